@@ -0,0 +1,236 @@
+jest.mock("../src/services/mail", () => ({
+    ...jest.requireActual("../src/services/mail"),
+    sendMail: jest.fn(async () => ({ messageId: "test-message" })),
+}));
+
+const request = require("supertest");
+const app = require("../src/app");
+const User = require("../src/models/user.model");
+const LawyerProfile = require("../src/models/lawyer.model");
+const Notification = require("../src/models/notification.model");
+const NotificationPreferences = require("../src/models/notificationPreferences.model");
+const Announcement = require("../src/models/announcement.model");
+const OutboxEmail = require("../src/models/outboxEmail.model");
+const Job = require("../src/models/job.model");
+const jobScheduler = require("../src/services/jobScheduler");
+const { sendMail } = require("../src/services/mail");
+const {
+    ANNOUNCEMENT_JOB,
+    countAudience,
+    scheduleAnnouncement,
+    cancelAnnouncement,
+    getAnnouncementStats,
+    getAnnouncementStatsList,
+    registerAnnouncementJobs,
+} = require("../src/jobs/announcementJobs");
+
+describe("📢 Announcements", () => {
+    let client;
+    let verifiedLawyer;
+    let newLawyer;
+
+    const profile = (user, fields) =>
+        LawyerProfile.create({
+            user: user._id,
+            specialization: "Criminal Law",
+            licenseNumber: `LIC-${user.username}`,
+            ...fields,
+        });
+
+    const announce = async (fields = {}) => {
+        const announcement = await Announcement.create({
+            title: "Portal maintenance",
+            message: "LegalHub is down for maintenance on Sunday.",
+            segment: "all",
+            ...fields,
+        });
+        await scheduleAnnouncement(announcement);
+        return announcement;
+    };
+
+    beforeAll(async () => {
+        await Promise.all([
+            User.deleteMany({}),
+            LawyerProfile.deleteMany({}),
+            Notification.deleteMany({}),
+            NotificationPreferences.deleteMany({}),
+            Announcement.deleteMany({}),
+            OutboxEmail.deleteMany({}),
+            Job.deleteMany({}),
+        ]);
+        registerAnnouncementJobs();
+
+        client = await User.create({ username: "annclient", email: "annclient@example.com" });
+        verifiedLawyer = await User.create({
+            username: "annlawyer1",
+            email: "annlawyer1@example.com",
+            role: "lawyer",
+        });
+        newLawyer = await User.create({
+            username: "annlawyer2",
+            email: "annlawyer2@example.com",
+            role: "lawyer",
+        });
+        await User.create({
+            username: "anninactive",
+            email: "anninactive@example.com",
+            isActive: false,
+        });
+        await profile(verifiedLawyer, { isVerified: true, state: "Maharashtra" });
+        await profile(newLawyer, { isVerified: false, state: "Goa" });
+    });
+
+    beforeEach(async () => {
+        sendMail.mockClear();
+        await Promise.all([
+            Notification.deleteMany({}),
+            Announcement.deleteMany({}),
+            OutboxEmail.deleteMany({}),
+            Job.deleteMany({}),
+        ]);
+    });
+
+    afterAll(async () => {
+        await Promise.all([
+            User.deleteMany({}),
+            LawyerProfile.deleteMany({}),
+            Notification.deleteMany({}),
+            Announcement.deleteMany({}),
+            OutboxEmail.deleteMany({}),
+            Job.deleteMany({}),
+        ]);
+    });
+
+    it("should resolve each segment to active users only", async () => {
+        expect(await countAudience({ segment: "all" })).toBe(3);
+        expect(await countAudience({ segment: "lawyers" })).toBe(2);
+        expect(await countAudience({ segment: "verified_lawyers" })).toBe(1);
+        expect(await countAudience({ segment: "state", state: "maharashtra" })).toBe(1);
+        expect(await countAudience({ segment: "state", state: "Kerala" })).toBe(0);
+    });
+
+    it("should notify the segment through the chosen channels", async () => {
+        const announcement = await announce({
+            segment: "lawyers",
+            channels: { inApp: true, email: true },
+        });
+
+        expect(await jobScheduler.runDueJobs()).toBe(1);
+
+        const sent = await Announcement.findById(announcement._id);
+        expect(sent.status).toBe("sent");
+        expect(sent.toObject().stats).toEqual({ recipients: 2, notified: 2, failed: 0 });
+
+        const notifications = await Notification.find({ relatedId: announcement._id });
+        expect(notifications.map((n) => String(n.user)).sort()).toEqual(
+            [String(verifiedLawyer._id), String(newLawyer._id)].sort()
+        );
+        expect(notifications[0].type).toBe("system.alert");
+        expect(notifications[0].channels.digest).toBe(false);
+        // emails wait in the outbox for the outbox job instead of holding up the run
+        expect(sendMail).not.toHaveBeenCalled();
+        expect(await OutboxEmail.countDocuments({ status: "queued" })).toBe(2);
+        expect(await Notification.countDocuments({ user: client._id })).toBe(0);
+    });
+
+    it("should wait for the scheduled time and report read statistics", async () => {
+        const runAt = new Date(Date.now() + 60 * 60 * 1000);
+        const announcement = await announce({ scheduledFor: runAt });
+
+        expect(await jobScheduler.runDueJobs()).toBe(0);
+        expect((await Announcement.findById(announcement._id)).status).toBe("scheduled");
+
+        await jobScheduler.runDueJobs(new Date(runAt.getTime() + 1000));
+        await Notification.updateOne(
+            { relatedId: announcement._id, user: client._id },
+            { status: "read" }
+        );
+
+        const stats = await getAnnouncementStats(await Announcement.findById(announcement._id));
+        expect(stats).toMatchObject({ recipients: 3, delivered: 3, read: 1, readRate: 33 });
+    });
+
+    it("should skip recipients who already got it when the job runs again", async () => {
+        const announcement = await announce({ segment: "verified_lawyers" });
+        await jobScheduler.runDueJobs();
+
+        await Announcement.updateOne({ _id: announcement._id }, { status: "sending" });
+        await scheduleAnnouncement(announcement);
+        await jobScheduler.runDueJobs();
+
+        expect(await Notification.countDocuments({ relatedId: announcement._id })).toBe(1);
+    });
+
+    it("should not send a cancelled announcement", async () => {
+        const announcement = await announce({ scheduledFor: new Date(Date.now() + 60000) });
+
+        expect(await cancelAnnouncement(announcement._id)).not.toBeNull();
+        expect(await cancelAnnouncement(announcement._id)).toBeNull();
+        expect(await Job.countDocuments({ name: ANNOUNCEMENT_JOB, status: "queued" })).toBe(0);
+
+        await jobScheduler.runDueJobs(new Date(Date.now() + 120000));
+        expect(await Notification.countDocuments({ relatedId: announcement._id })).toBe(0);
+    });
+
+    it("should keep push/email-only announcements out of the inbox", async () => {
+        await announce({ segment: "all", channels: { inApp: false, email: true } });
+        await jobScheduler.runDueJobs();
+
+        const res = await request(app)
+            .get("/api/notifications")
+            .set("Accept", "application/json")
+            .send({ author: client._id });
+
+        expect(res.body.data.total).toBe(0);
+        expect(res.body.data.unreadCount).toBe(0);
+        expect(await OutboxEmail.countDocuments()).toBe(3);
+    });
+
+    it("should send large audiences in batches, one job run per batch", async () => {
+        process.env.ANNOUNCEMENT_BATCH_SIZE = "2";
+        try {
+            const announcement = await announce({ segment: "all" });
+
+            expect(await jobScheduler.runDueJobs()).toBe(2);
+
+            const sent = await Announcement.findById(announcement._id);
+            expect(sent.status).toBe("sent");
+            expect(sent.toObject().stats).toEqual({ recipients: 3, notified: 3, failed: 0 });
+            expect(await Notification.countDocuments({ relatedId: announcement._id })).toBe(3);
+        } finally {
+            delete process.env.ANNOUNCEMENT_BATCH_SIZE;
+        }
+    });
+
+    it("should compute statistics for several announcements at once", async () => {
+        const first = await announce({ segment: "lawyers" });
+        const second = await announce({ segment: "verified_lawyers" });
+        const unsent = await Announcement.create({
+            title: "Later",
+            message: "Not yet",
+            segment: "all",
+            scheduledFor: new Date(Date.now() + 60 * 60 * 1000),
+        });
+        await jobScheduler.runDueJobs();
+        await Notification.updateOne(
+            { relatedId: first._id, user: verifiedLawyer._id },
+            { status: "read" }
+        );
+
+        const [firstStats, secondStats, unsentStats] = await getAnnouncementStatsList(
+            await Promise.all([first, second, unsent].map((a) => Announcement.findById(a._id)))
+        );
+        expect(firstStats).toMatchObject({ delivered: 2, read: 1, readRate: 50 });
+        expect(secondStats).toMatchObject({ delivered: 1, read: 0, email: 0 });
+        expect(unsentStats).toMatchObject({ delivered: 0, readRate: 0 });
+    });
+
+    it("should limit the admin pages to admins", async () => {
+        const res = await request(app)
+            .post("/api/admin/dashboard/announcements")
+            .set("Accept", "application/json")
+            .send({ title: "Hi", message: "There", segment: "all" });
+
+        expect(res.statusCode).toBe(403);
+    });
+});
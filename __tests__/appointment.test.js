@@ -3,6 +3,8 @@ const app = require("../src/app");
 const User = require("../src/models/user.model");
 const LawyerProfile = require("../src/models/lawyer.model");
 const Appointment = require("../src/models/appointment.model");
+const { refreshCardLink } = require("../src/utils/appointmentCard");
+const { buildCalendar } = require("../src/utils/ical");
 
 describe("📅 Appointment API Testing", () => {
     let testClient;
@@ -385,4 +387,491 @@ describe("📅 Appointment API Testing", () => {
             expect(res.body.msg).toBe("Lawyer not found");
         });
     });
+
+    describe("🗓️ Weekly Schedule Slots", () => {
+        const DAY = 24 * 60 * 60 * 1000;
+        const scheduledDate = new Date(Date.now() + 8 * DAY);
+        const blackoutDate = new Date(Date.now() + 9 * DAY);
+
+        beforeAll(async () => {
+            testLawyerProfile.availability = {
+                slotDuration: 60,
+                bufferMinutes: 0,
+                weeklySchedule: [scheduledDate, blackoutDate].map((d) => ({
+                    dayOfWeek: d.getDay(),
+                    start: "10:00",
+                    end: "12:00",
+                })),
+                holidays: [],
+                blackoutDates: [{ from: blackoutDate, to: blackoutDate, reason: "Court" }],
+            };
+            await testLawyerProfile.save();
+        });
+
+        it("should return slots generated from the weekly schedule", async () => {
+            const res = await request(app)
+                .get("/api/appointment/slots")
+                .query({ lawyerId: testLawyer._id, date: scheduledDate.toISOString() })
+                .set("Accept", "application/json");
+
+            expect(res.statusCode).toBe(200);
+            expect(res.body.data).toEqual(["10:00 AM", "11:00 AM"]);
+        });
+
+        it("should return no slots on a blackout date", async () => {
+            const res = await request(app)
+                .get("/api/appointment/slots")
+                .query({ lawyerId: testLawyer._id, date: blackoutDate.toISOString() })
+                .set("Accept", "application/json");
+
+            expect(res.statusCode).toBe(200);
+            expect(res.body.data).toEqual([]);
+        });
+
+        it("should expose the lawyer's availability", async () => {
+            const res = await request(app)
+                .get(`/api/lawyers/${testLawyer._id}/availability`)
+                .set("Accept", "application/json");
+
+            expect(res.statusCode).toBe(200);
+            expect(res.body.data.availability.slotDuration).toBe(60);
+            expect(res.body.data.availability.weeklySchedule).toHaveLength(2);
+        });
+
+        it("should reject booking a slot outside the schedule", async () => {
+            const res = await request(app)
+                .post("/api/appointment")
+                .set("Accept", "application/json")
+                .send({
+                    lawyerId: testLawyer._id,
+                    date: scheduledDate,
+                    timeSlot: "3:00 PM",
+                    author: testClient._id,
+                });
+
+            expect([400, 500]).toContain(res.statusCode);
+            if (res.statusCode === 400) {
+                expect(res.body.msg).toBe("Selected time slot is not available on this date");
+            }
+        });
+    });
+
+    describe("🔁 Reschedule Appointment", () => {
+        const DAY = 24 * 60 * 60 * 1000;
+        let rescheduleAppointment;
+
+        beforeAll(async () => {
+            rescheduleAppointment = await Appointment.create({
+                client: testClient._id,
+                lawyer: testLawyer._id,
+                date: new Date(Date.now() + 10 * DAY),
+                timeSlot: "4:00 PM",
+                status: "approved",
+                notes: "Keep these notes across reschedules",
+                appointmentCard: {
+                    cardId: `test-reschedule-card-${Date.now()}`,
+                    qrCode: "test-qr-code",
+                },
+            });
+        });
+
+        it("should let the client propose a new slot", async () => {
+            const res = await request(app)
+                .post(`/api/appointment/${rescheduleAppointment._id}/reschedule`)
+                .set("Accept", "application/json")
+                .send({
+                    date: new Date(Date.now() + 8 * DAY),
+                    timeSlot: "11:00 AM",
+                    reason: "Travelling that week",
+                    author: testClient._id,
+                });
+
+            expect(res.statusCode).toBe(201);
+            expect(res.body.msg).toBe("Reschedule proposal sent successfully");
+            expect(res.body.data.rescheduleRequests).toHaveLength(1);
+            expect(res.body.data.rescheduleRequests[0].status).toBe("pending");
+        });
+
+        it("should reject a second proposal while one is pending", async () => {
+            const res = await request(app)
+                .post(`/api/appointment/${rescheduleAppointment._id}/reschedule`)
+                .set("Accept", "application/json")
+                .send({
+                    date: new Date(Date.now() + 8 * DAY),
+                    timeSlot: "10:00 AM",
+                    author: testLawyer._id,
+                });
+
+            expect(res.statusCode).toBe(409);
+            expect(res.body.msg).toBe("A reschedule proposal is already awaiting a response");
+        });
+
+        it("should not let the proposer accept their own proposal", async () => {
+            const appointment = await Appointment.findById(rescheduleAppointment._id);
+            const requestId = appointment.rescheduleRequests[0]._id;
+
+            const res = await request(app)
+                .post(`/api/appointment/${appointment._id}/reschedule/${requestId}/accept`)
+                .set("Accept", "application/json")
+                .send({ author: testClient._id });
+
+            expect(res.statusCode).toBe(403);
+            expect(res.body.msg).toBe("You cannot respond to your own proposal");
+        });
+
+        it("should move the appointment when the lawyer accepts", async () => {
+            const appointment = await Appointment.findById(rescheduleAppointment._id);
+            const requestId = appointment.rescheduleRequests[0]._id;
+
+            const res = await request(app)
+                .post(`/api/appointment/${appointment._id}/reschedule/${requestId}/accept`)
+                .set("Accept", "application/json")
+                .send({ author: testLawyer._id });
+
+            expect(res.statusCode).toBe(200);
+            expect(res.body.msg).toBe("Appointment rescheduled successfully");
+            expect(res.body.data.timeSlot).toBe("11:00 AM");
+            expect(res.body.data.status).toBe("approved");
+            expect(res.body.data.notes).toBe("Keep these notes across reschedules");
+            expect(res.body.data.rescheduleRequests[0].status).toBe("accepted");
+            expect(res.body.data.rescheduleRequests[0].previousTimeSlot).toBe("4:00 PM");
+        });
+
+        it("should record a declined proposal without moving the appointment", async () => {
+            const proposeRes = await request(app)
+                .post(`/api/appointment/${rescheduleAppointment._id}/reschedule`)
+                .set("Accept", "application/json")
+                .send({
+                    date: new Date(Date.now() + 8 * DAY),
+                    timeSlot: "10:00 AM",
+                    author: testLawyer._id,
+                });
+            expect(proposeRes.statusCode).toBe(201);
+            const requestId = proposeRes.body.data.rescheduleRequests[1]._id;
+
+            const res = await request(app)
+                .post(
+                    `/api/appointment/${rescheduleAppointment._id}/reschedule/${requestId}/decline`
+                )
+                .set("Accept", "application/json")
+                .send({ author: testClient._id, reason: "Prefer the current time" });
+
+            expect(res.statusCode).toBe(200);
+            expect(res.body.data.timeSlot).toBe("11:00 AM");
+            expect(res.body.data.rescheduleRequests[1].status).toBe("declined");
+            expect(res.body.data.rescheduleRequests[1].responseNote).toBe(
+                "Prefer the current time"
+            );
+        });
+
+        it("should return 403 for users outside the appointment", async () => {
+            const res = await request(app)
+                .post(`/api/appointment/${rescheduleAppointment._id}/reschedule`)
+                .set("Accept", "application/json")
+                .send({
+                    date: new Date(Date.now() + 8 * DAY),
+                    timeSlot: "10:00 AM",
+                    author: "64b4c7fe12f84b1f12345678",
+                });
+
+            expect(res.statusCode).toBe(403);
+        });
+
+        it("should close an open proposal when the appointment is cancelled", async () => {
+            const proposeRes = await request(app)
+                .post(`/api/appointment/${rescheduleAppointment._id}/reschedule`)
+                .set("Accept", "application/json")
+                .send({
+                    date: new Date(Date.now() + 9 * DAY),
+                    timeSlot: "10:00 AM",
+                    author: testLawyer._id,
+                });
+            expect(proposeRes.statusCode).toBe(201);
+
+            const res = await request(app)
+                .delete(`/api/appointment/${rescheduleAppointment._id}`)
+                .set("Accept", "application/json")
+                .send({ author: testClient._id });
+            expect(res.statusCode).toBe(200);
+
+            const appointment = await Appointment.findById(rescheduleAppointment._id);
+            expect(appointment.status).toBe("cancelled");
+            const proposal = appointment.rescheduleRequests[2];
+            expect(proposal.status).toBe("declined");
+            expect(proposal.responseNote).toBe("Appointment cancelled");
+            expect(proposal.respondedBy.toString()).toBe(testClient._id.toString());
+        });
+    });
+
+    describe("🚦 Status Transitions", () => {
+        let transitionAppointment;
+
+        beforeAll(async () => {
+            transitionAppointment = await Appointment.create({
+                client: testClient._id,
+                lawyer: testLawyer._id,
+                date: new Date(Date.now() + 12 * 24 * 60 * 60 * 1000),
+                timeSlot: "3:00 PM",
+                status: "pending",
+                statusHistory: [
+                    { from: null, to: "pending", changedBy: testClient._id, role: "client" },
+                ],
+                appointmentCard: {
+                    cardId: `test-transition-card-${Date.now()}`,
+                    qrCode: "test-qr-code",
+                },
+            });
+        });
+
+        it("should not allow completing a pending appointment", async () => {
+            const res = await request(app)
+                .put("/api/appointment/status")
+                .set("Accept", "application/json")
+                .send({
+                    appointmentId: transitionAppointment._id,
+                    status: "completed",
+                    author: testLawyer._id,
+                });
+
+            expect(res.statusCode).toBe(400);
+            expect(res.body.msg).toBe("Cannot change appointment status from pending to completed");
+        });
+
+        it("should require a reason when the lawyer rejects", async () => {
+            const res = await request(app)
+                .put("/api/appointment/status")
+                .set("Accept", "application/json")
+                .send({
+                    appointmentId: transitionAppointment._id,
+                    status: "rejected",
+                    author: testLawyer._id,
+                });
+
+            expect(res.statusCode).toBe(400);
+            expect(res.body.msg).toBe("A reason is required when an appointment is rejected");
+        });
+
+        it("should record the rejection in the status history", async () => {
+            const res = await request(app)
+                .put("/api/appointment/status")
+                .set("Accept", "application/json")
+                .send({
+                    appointmentId: transitionAppointment._id,
+                    status: "rejected",
+                    reason: "Not my area of practice",
+                    author: testLawyer._id,
+                });
+
+            expect(res.statusCode).toBe(200);
+            expect(res.body.data.status).toBe("rejected");
+            const last = res.body.data.statusHistory[res.body.data.statusHistory.length - 1];
+            expect(last.from).toBe("pending");
+            expect(last.to).toBe("rejected");
+            expect(last.role).toBe("lawyer");
+            expect(last.reason).toBe("Not my area of practice");
+        });
+
+        it("should not reopen a rejected appointment", async () => {
+            const res = await request(app)
+                .put("/api/appointment/status")
+                .set("Accept", "application/json")
+                .send({
+                    appointmentId: transitionAppointment._id,
+                    status: "approved",
+                    author: testLawyer._id,
+                });
+
+            expect(res.statusCode).toBe(400);
+            expect(res.body.msg).toBe("Cannot change appointment status from rejected to approved");
+        });
+
+        it("should return the status history to participants", async () => {
+            const res = await request(app)
+                .get(`/api/appointment/${transitionAppointment._id}/history`)
+                .set("Accept", "application/json")
+                .send({ author: testClient._id });
+
+            expect(res.statusCode).toBe(200);
+            expect(res.body.data.status).toBe("rejected");
+            expect(res.body.data.statusHistory.map((h) => h.to)).toEqual(["pending", "rejected"]);
+        });
+
+        it("should hide the status history from other users", async () => {
+            const res = await request(app)
+                .get(`/api/appointment/${transitionAppointment._id}/history`)
+                .set("Accept", "application/json")
+                .send({ author: "64b4c7fe12f84b1f12345678" });
+
+            expect(res.statusCode).toBe(403);
+        });
+    });
+
+    describe("📆 Calendar Export", () => {
+        let calendarAppointment;
+
+        beforeAll(async () => {
+            calendarAppointment = await Appointment.create({
+                client: testClient._id,
+                lawyer: testLawyer._id,
+                date: new Date(Date.now() + 14 * 24 * 60 * 60 * 1000),
+                timeSlot: "11:00 AM",
+                status: "approved",
+                notes: "Bring the sale deed",
+                appointmentCard: {
+                    cardId: `test-calendar-card-${Date.now()}`,
+                    qrCode: "test-qr-code",
+                },
+            });
+        });
+
+        it("should export an appointment as an iCalendar event", async () => {
+            const res = await request(app)
+                .get(`/api/appointment/${calendarAppointment._id}/ics`)
+                .send({ author: testClient._id });
+
+            expect(res.statusCode).toBe(200);
+            expect(res.headers["content-type"]).toMatch(/text\/calendar/);
+            expect(res.text).toContain("BEGIN:VEVENT");
+            expect(res.text).toContain(`UID:appointment-${calendarAppointment._id}@legalhub`);
+            expect(res.text).toContain("STATUS:CONFIRMED");
+            expect(res.text).toContain("Notes: Bring the sale deed");
+            expect(res.text).toContain("ATTENDEE;CN=testclient");
+        });
+
+        it("should keep the booked Indian time on a server running in UTC", () => {
+            const serverTz = process.env.TZ;
+            process.env.TZ = "UTC";
+            try {
+                const date = new Date(2025, 2, 14);
+                const ics = buildCalendar([
+                    { _id: "ist-check", date, timeSlot: "10:00 AM", durationMinutes: 30 },
+                ]);
+
+                expect(ics).toContain("BEGIN:VTIMEZONE\r\nTZID:Asia/Kolkata");
+                expect(ics).toContain("DTSTART;TZID=Asia/Kolkata:20250314T100000");
+                expect(ics).toContain("DTEND;TZID=Asia/Kolkata:20250314T103000");
+            } finally {
+                if (serverTz === undefined) delete process.env.TZ;
+                else process.env.TZ = serverTz;
+            }
+        });
+
+        it("should not export appointments of other users", async () => {
+            const res = await request(app)
+                .get(`/api/appointment/${calendarAppointment._id}/ics`)
+                .set("Accept", "application/json")
+                .send({ author: "64b4c7fe12f84b1f12345678" });
+
+            expect(res.statusCode).toBe(403);
+        });
+
+        it("should serve approved appointments on the tokenised feed", async () => {
+            const tokenRes = await request(app)
+                .post("/api/appointment/calendar/token")
+                .set("Accept", "application/json")
+                .send({ author: testClient._id });
+
+            expect(tokenRes.statusCode).toBe(200);
+            const feedPath = new URL(tokenRes.body.data.feedUrl).pathname;
+
+            const res = await request(app).get(feedPath);
+            expect(res.statusCode).toBe(200);
+            expect(res.text).toContain("BEGIN:VCALENDAR");
+            expect(res.text).toContain(`UID:appointment-${calendarAppointment._id}@legalhub`);
+            expect(res.text).not.toContain("STATUS:CANCELLED");
+        });
+
+        it("should return 404 for an unknown feed token", async () => {
+            const res = await request(app)
+                .get("/api/appointment/calendar/not-a-real-token.ics")
+                .set("Accept", "application/json");
+
+            expect(res.statusCode).toBe(404);
+        });
+    });
+
+    describe("🔏 Card Verification", () => {
+        let verifyPath;
+        let cardAppointment;
+
+        beforeAll(async () => {
+            cardAppointment = await Appointment.create({
+                client: testClient._id,
+                lawyer: testLawyer._id,
+                date: new Date(Date.now() + 16 * 24 * 60 * 60 * 1000),
+                timeSlot: "2:00 PM",
+                status: "approved",
+                appointmentCard: { cardId: `LH-VERIFY-${Date.now()}` },
+            });
+            await refreshCardLink(cardAppointment, "http://localhost:8000");
+            await cardAppointment.save();
+
+            const url = new URL(cardAppointment.appointmentCard.verifyUrl);
+            verifyPath = url.pathname + url.search;
+        });
+
+        it("should tie card expiry to the end of the appointment", () => {
+            const end = new Date(cardAppointment.date);
+            end.setHours(14, 30, 0, 0);
+            expect(cardAppointment.appointmentCard.expiresAt.getTime()).toBe(end.getTime());
+            expect(cardAppointment.appointmentCard.qrCode).toMatch(/^data:image\/png;base64,/);
+        });
+
+        it("should verify an authentic card for an approved appointment", async () => {
+            const res = await request(app).get(verifyPath).set("Accept", "application/json");
+
+            expect(res.statusCode).toBe(200);
+            expect(res.body.data.authentic).toBe(true);
+            expect(res.body.data.valid).toBe(true);
+            expect(res.body.data.appointment.lawyer).toBe("testlawyer");
+            expect(res.body.data.appointment.timeSlot).toBe("2:00 PM");
+        });
+
+        it("should reject a tampered signature", async () => {
+            const res = await request(app)
+                .get(`/verify/card/${cardAppointment.appointmentCard.cardId}?sig=forged`)
+                .set("Accept", "application/json");
+
+            expect(res.statusCode).toBe(403);
+        });
+
+        it("should only show the card to the appointment's participants", async () => {
+            const outsider = await User.create({
+                username: "cardoutsider",
+                email: "outsider@example.com",
+            });
+
+            const res = await request(app)
+                .get(`/api/appointment/${cardAppointment._id}/card/view`)
+                .send({ author: outsider._id })
+                .set("Accept", "application/json");
+
+            expect(res.statusCode).toBe(403);
+        });
+
+        it("should not rewrite the stored card from the request host", async () => {
+            const before = cardAppointment.appointmentCard.verifyUrl;
+
+            const res = await request(app)
+                .get(`/api/appointment/${cardAppointment._id}/card/view`)
+                .send({ author: testClient._id })
+                .set("Host", "evil.example.com");
+
+            expect(res.statusCode).toBe(200);
+            const stored = await Appointment.findById(cardAppointment._id);
+            expect(stored.appointmentCard.verifyUrl).toBe(before);
+            expect(stored.appointmentCard.verifyUrl).not.toContain("evil.example.com");
+        });
+
+        it("should report cancelled appointments as not valid", async () => {
+            await Appointment.updateOne({ _id: cardAppointment._id }, { status: "cancelled" });
+
+            const res = await request(app).get(verifyPath).set("Accept", "application/json");
+
+            expect(res.statusCode).toBe(200);
+            expect(res.body.data.authentic).toBe(true);
+            expect(res.body.data.valid).toBe(false);
+            expect(res.body.data.state).toBe("void");
+        });
+    });
 });
@@ -235,4 +235,15 @@ describe("📄 Articles API Testing", () => {
             expect(res.body.msg).toBe("You are not authorized to edit/delete this article");
         }
     });
+
+    it("❌ should return 404 when exporting a non-existent article as PDF", async () => {
+        const fakeId = "64b5fcafe2f3a2cdd0123456";
+
+        const res = await request(app)
+            .get(`/api/articles/${fakeId}/pdf`)
+            .set("Accept", "application/json");
+
+        expect(res.statusCode).toBe(404);
+        expect(res.body.msg).toBe("Article not found");
+    });
 });
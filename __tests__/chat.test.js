@@ -5,6 +5,28 @@ const LawyerProfile = require("../src/models/lawyer.model");
 const Appointment = require("../src/models/appointment.model");
 const ChatRoom = require("../src/models/chatRoom.model");
 const Message = require("../src/models/message.model");
+const CallLog = require("../src/models/callLog.model");
+const { checkCallAccess } = require("../src/utils/callAccess");
+const {
+    authenticateSocket,
+    requireChatRoomMember,
+} = require("../src/middlewares/socketAuth.middleware");
+const {
+    isAllowedType,
+    matchesSignature,
+    sanitizeFileName,
+} = require("../src/utils/attachmentPolicy");
+const { scanAttachment } = require("../src/services/attachmentScanner");
+const { getStorage } = require("../src/services/attachmentStorage");
+const { highlightMatches } = require("../src/utils/messageSearch");
+const { EDIT_WINDOW } = require("../src/utils/chatMessagePolicy");
+const registerSocketHandlers = require("../src/socket");
+const presence = require("../src/services/presence");
+const ChatTranscript = require("../src/models/chatTranscript.model");
+const Notification = require("../src/models/notification.model");
+const NotificationPreferences = require("../src/models/notificationPreferences.model");
+const { notifyNewMessage } = require("../src/services/chatNotifications");
+const { FOOTER_SEPARATOR, hashTranscript } = require("../src/utils/chatTranscript");
 
 describe("💬 Chat API Testing", () => {
     let testClient;
@@ -93,6 +115,36 @@ describe("💬 Chat API Testing", () => {
         });
     });
 
+    // run the real socket.js handlers against an in-memory socket;
+    // everything they broadcast is collected in `emitted`
+    let emitted = [];
+    const connectAs = (user) => {
+        let onConnection;
+        const io = {
+            use() {},
+            on: (event, fn) => (onConnection = fn),
+            to: () => ({ to: io.to, emit: (event, data) => emitted.push({ event, data }) }),
+            in: () => ({ fetchSockets: async () => [] }),
+        };
+        registerSocketHandlers(io);
+
+        const handlers = {};
+        onConnection({
+            id: `test-${user.username}`,
+            data: { user: { _id: user._id.toString() } },
+            rooms: new Set(),
+            join() {},
+            emit() {},
+            to: () => ({ emit() {} }),
+            on: (event, fn) => (handlers[event] = fn),
+        });
+        return (event, payload) => new Promise((resolve) => handlers[event](payload, resolve));
+    };
+
+    beforeEach(() => {
+        emitted = [];
+    });
+
     afterAll(async () => {
         // Clean up test data
         await Message.deleteMany({});
@@ -177,10 +229,10 @@ describe("💬 Chat API Testing", () => {
                 .send({ author: testClient._id });
 
             expect(res.statusCode).toBe(200);
-            expect(Array.isArray(res.body)).toBe(true);
-            expect(res.body.length).toBeGreaterThan(0);
+            expect(Array.isArray(res.body.messages)).toBe(true);
+            expect(res.body.messages.length).toBeGreaterThan(0);
 
-            const message = res.body[0];
+            const message = res.body.messages[0];
             expect(message).toHaveProperty("content");
             expect(message).toHaveProperty("sender");
             expect(message).toHaveProperty("receiver");
@@ -219,6 +271,130 @@ describe("💬 Chat API Testing", () => {
         });
     });
 
+    describe("📜 Message History & Search", () => {
+        let historyRoom;
+        let history;
+
+        beforeAll(async () => {
+            historyRoom = await ChatRoom.create({
+                participants: [testClient._id, testLawyer._id],
+                appointment: testAppointment._id,
+            });
+            history = [];
+            for (let i = 1; i <= 7; i++) {
+                history.push(
+                    await Message.create({
+                        chatRoom: historyRoom._id,
+                        sender: i % 2 ? testClient._id : testLawyer._id,
+                        receiver: i % 2 ? testLawyer._id : testClient._id,
+                        content: i === 4 ? "Please bring the original sale deed" : `Message ${i}`,
+                    })
+                );
+            }
+        });
+
+        const getPage = (query) =>
+            request(app)
+                .get(`/chat/messages/${historyRoom._id}`)
+                .query(query)
+                .set("Accept", "application/json")
+                .send({ author: testClient._id });
+
+        it("should return the latest page oldest-first", async () => {
+            const res = await getPage({ limit: 3 });
+
+            expect(res.statusCode).toBe(200);
+            expect(res.body.messages.map((m) => m.content)).toEqual([
+                "Message 5",
+                "Message 6",
+                "Message 7",
+            ]);
+            expect(res.body.pageInfo).toMatchObject({
+                limit: 3,
+                hasOlder: true,
+                hasNewer: false,
+                oldestId: history[4]._id.toString(),
+            });
+        });
+
+        it("should page backwards and forwards from a cursor", async () => {
+            const older = await getPage({ limit: 3, before: history[4]._id.toString() });
+            expect(older.body.messages.map((m) => m.content)).toEqual([
+                "Message 2",
+                "Message 3",
+                "Please bring the original sale deed",
+            ]);
+            expect(older.body.pageInfo.hasOlder).toBe(true);
+            expect(older.body.pageInfo.hasNewer).toBe(true);
+
+            const newer = await getPage({ limit: 3, after: history[4]._id.toString() });
+            expect(newer.body.messages.map((m) => m.content)).toEqual(["Message 6", "Message 7"]);
+            expect(newer.body.pageInfo.hasNewer).toBe(false);
+        });
+
+        it("should return the page around a message", async () => {
+            const res = await getPage({ limit: 3, around: history[3]._id.toString() });
+
+            expect(res.body.messages.map((m) => m._id)).toEqual(
+                [history[2], history[3], history[4]].map((m) => m._id.toString())
+            );
+        });
+
+        it("should reject malformed cursors", async () => {
+            const res = await getPage({ before: "not-an-id" });
+
+            expect(res.statusCode).toBe(400);
+            expect(res.body.msg).toBe("Invalid message cursor");
+        });
+
+        it("should search the user's chats and mark the matches", async () => {
+            const res = await request(app)
+                .get("/chat/search")
+                .query({ q: "SALE deed" })
+                .set("Accept", "application/json")
+                .send({ author: testLawyer._id });
+
+            expect(res.statusCode).toBe(200);
+            expect(res.body.results).toHaveLength(1);
+            expect(res.body.results[0].chatRoom).toBe(historyRoom._id.toString());
+            expect(res.body.results[0].highlights).toEqual([
+                { text: "Please bring the original ", match: false },
+                { text: "sale deed", match: true },
+            ]);
+        });
+
+        it("should not find messages in other users' chats", async () => {
+            const res = await request(app)
+                .get("/chat/search")
+                .query({ q: "sale deed" })
+                .set("Accept", "application/json")
+                .send({ author: "64b4c7fe12f84b1f12345678" });
+
+            expect(res.statusCode).toBe(200);
+            expect(res.body.results).toHaveLength(0);
+        });
+
+        it("should treat search terms literally", async () => {
+            const res = await request(app)
+                .get("/chat/search")
+                .query({ q: ".*" })
+                .set("Accept", "application/json")
+                .send({ author: testClient._id });
+
+            expect(res.statusCode).toBe(200);
+            expect(res.body.results).toHaveLength(0);
+        });
+
+        it("should trim long messages around the first match", () => {
+            const text = `${"a".repeat(100)} FIR copy ${"b".repeat(100)}`;
+            const parts = highlightMatches(text, "fir", 10);
+
+            expect(parts[0]).toEqual({ text: "…", match: false });
+            expect(parts.find((p) => p.match).text).toBe("FIR");
+            expect(parts[parts.length - 1]).toEqual({ text: "…", match: false });
+        });
+    });
+
     describe("🗑️ Delete Message", () => {
         it("should mark message as deleted for authorized user", async () => {
             const res = await request(app)
@@ -395,4 +571,768 @@ describe("💬 Chat API Testing", () => {
             await User.findByIdAndDelete(anotherLawyer._id);
         });
     });
+
+    describe("📞 Consultation Calls", () => {
+        const HOUR = 60 * 60 * 1000;
+        let callRoom;
+
+        const roomFor = (appointment) => ({
+            participants: [testClient._id, testLawyer._id],
+            appointment,
+        });
+
+        beforeAll(async () => {
+            const callAppointment = await Appointment.create({
+                client: testClient._id,
+                lawyer: testLawyer._id,
+                date: new Date(Date.now() + 3 * 24 * HOUR),
+                timeSlot: "11:00 AM",
+                status: "approved",
+                appointmentCard: { cardId: `chat-call-card-${Date.now()}` },
+            });
+            callRoom = await ChatRoom.create({
+                participants: [testClient._id, testLawyer._id],
+                appointment: callAppointment._id,
+            });
+        });
+
+        afterAll(async () => {
+            await CallLog.deleteMany({});
+        });
+
+        it("should allow calls during an approved appointment", () => {
+            const date = new Date("2030-01-10T00:00:00");
+            const now = new Date("2030-01-10T11:05:00");
+            const access = checkCallAccess(
+                roomFor({ date, timeSlot: "11:00 AM", status: "approved" }),
+                testClient._id,
+                now
+            );
+
+            expect(access.allowed).toBe(true);
+        });
+
+        it("should refuse calls outside the appointment window", () => {
+            const date = new Date("2030-01-10T00:00:00");
+            const appointment = { date, timeSlot: "11:00 AM", status: "approved" };
+
+            const early = checkCallAccess(
+                roomFor(appointment),
+                testClient._id,
+                new Date("2030-01-10T10:00:00")
+            );
+            const late = checkCallAccess(
+                roomFor(appointment),
+                testClient._id,
+                new Date("2030-01-10T12:00:00")
+            );
+
+            expect(early.allowed).toBe(false);
+            expect(late.reason).toBe("The consultation window has ended");
+        });
+
+        it("should refuse calls for unapproved appointments and outsiders", () => {
+            const date = new Date("2030-01-10T00:00:00");
+            const now = new Date("2030-01-10T11:05:00");
+
+            const pending = checkCallAccess(
+                roomFor({ date, timeSlot: "11:00 AM", status: "pending" }),
+                testClient._id,
+                now
+            );
+            const outsider = checkCallAccess(
+                roomFor({ date, timeSlot: "11:00 AM", status: "approved" }),
+                "64b4c7fe12f84b1f12345678",
+                now
+            );
+
+            expect(pending.reason).toBe("Calls are only available for approved appointments");
+            expect(outsider.reason).toBe("You are not a participant of this chat");
+        });
+
+        it("should return call availability and history to participants", async () => {
+            await CallLog.create({
+                chatRoom: callRoom._id,
+                appointment: callRoom.appointment,
+                initiator: testClient._id,
+                participants: [testClient._id],
+                status: "missed",
+                endReason: "no_answer",
+            });
+
+            const res = await request(app)
+                .get(`/chat/calls/${callRoom._id}`)
+                .set("Accept", "application/json")
+                .send({ author: testLawyer._id });
+
+            expect(res.statusCode).toBe(200);
+            expect(res.body.access.allowed).toBe(false);
+            expect(res.body.iceServers.length).toBeGreaterThan(0);
+            expect(res.body.calls).toHaveLength(1);
+            expect(res.body.calls[0].status).toBe("missed");
+        });
+
+        it("should hide call history from other users", async () => {
+            const res = await request(app)
+                .get(`/chat/calls/${callRoom._id}`)
+                .set("Accept", "application/json")
+                .send({ author: "64b4c7fe12f84b1f12345678" });
+
+            expect(res.statusCode).toBe(403);
+        });
+    });
+
+    describe("🔐 Socket Authentication", () => {
+        const fakeSocket = ({ session, auth = {}, user } = {}) => ({
+            handshake: { auth },
+            request: { session },
+            data: user ? { user } : {},
+        });
+        const runAuth = (socket) =>
+            new Promise((resolve) => authenticateSocket(socket, (err) => resolve(err)));
+
+        it("should refuse connections without a logged-in session", async () => {
+            const err = await runAuth(fakeSocket({ session: {} }));
+
+            expect(err).toBeInstanceOf(Error);
+            expect(err.data).toEqual({
+                status: "error",
+                code: 401,
+                msg: "Please log in first",
+            });
+        });
+
+        it("should take the user from the session, not the client", async () => {
+            const socket = fakeSocket({
+                session: { passport: { user: testClient.username } },
+                auth: { userId: testLawyer._id.toString() },
+            });
+            const err = await runAuth(socket);
+
+            expect(err).toBeUndefined();
+            expect(socket.data.user._id).toBe(testClient._id.toString());
+        });
+
+        it("should let participants into their chat room", async () => {
+            const room = await ChatRoom.create({
+                participants: [testClient._id, testLawyer._id],
+                appointment: testAppointment._id,
+            });
+            const socket = fakeSocket({ user: { _id: testLawyer._id.toString() } });
+
+            const result = await requireChatRoomMember(socket, room._id.toString());
+            expect(result._id.toString()).toBe(room._id.toString());
+        });
+
+        it("should reject other users and invalid room IDs", async () => {
+            const room = await ChatRoom.create({
+                participants: [testClient._id, testLawyer._id],
+                appointment: testAppointment._id,
+            });
+            const socket = fakeSocket({ user: { _id: "64b4c7fe12f84b1f12345678" } });
+
+            await expect(requireChatRoomMember(socket, room._id.toString())).rejects.toEqual({
+                status: "error",
+                code: 403,
+                msg: "You do not have access to this chat room",
+            });
+            await expect(requireChatRoomMember(socket, "not-an-id")).rejects.toMatchObject({
+                code: 400,
+            });
+        });
+    });
+
+    describe("📎 Attachments", () => {
+        const pdf = Buffer.from("%PDF-1.4\n% test document\n");
+        let attachmentMessage;
+
+        beforeAll(async () => {
+            const { key } = await getStorage("local").save({
+                buffer: pdf,
+                fileName: "fir.pdf",
+                mimeType: "application/pdf",
+            });
+            attachmentMessage = await Message.create({
+                chatRoom: testChatRoom._id,
+                sender: testClient._id,
+                receiver: testLawyer._id,
+                attachments: [
+                    {
+                        fileName: "fir.pdf",
+                        mimeType: "application/pdf",
+                        size: pdf.length,
+                        storage: "local",
+                        key,
+                    },
+                ],
+            });
+        });
+
+        it("should store new uploads on Cloudinary in production by default", () => {
+            const { NODE_ENV, ATTACHMENT_STORAGE } = process.env;
+            try {
+                delete process.env.ATTACHMENT_STORAGE;
+                process.env.NODE_ENV = "production";
+                expect(getStorage().name).toBe("cloudinary");
+
+                process.env.ATTACHMENT_STORAGE = "local";
+                expect(getStorage().name).toBe("local");
+            } finally {
+                process.env.NODE_ENV = NODE_ENV;
+                if (ATTACHMENT_STORAGE === undefined) delete process.env.ATTACHMENT_STORAGE;
+                else process.env.ATTACHMENT_STORAGE = ATTACHMENT_STORAGE;
+            }
+        });
+
+        it("should only accept whitelisted types with matching content", () => {
+            expect(isAllowedType("application/pdf", "fir.pdf")).toBe(true);
+            expect(isAllowedType("application/pdf", "setup.exe")).toBe(false);
+            expect(isAllowedType("application/x-msdownload", "setup.exe")).toBe(false);
+
+            expect(matchesSignature(pdf, "application/pdf")).toBe(true);
+            expect(matchesSignature(Buffer.from("MZ\x90\x00"), "application/pdf")).toBe(false);
+        });
+
+        it("should strip paths from uploaded file names", () => {
+            expect(sanitizeFileName("../../etc/passwd")).toBe("passwd");
+            expect(sanitizeFileName('bad"name.pdf')).toBe("bad_name.pdf");
+        });
+
+        it("should flag infected files", async () => {
+            const eicar = Buffer.from(
+                "X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*"
+            );
+            expect((await scanAttachment({ buffer: eicar })).clean).toBe(false);
+            expect((await scanAttachment({ buffer: pdf })).clean).toBe(true);
+        });
+
+        it("should expose a download URL but not the storage key", () => {
+            const json = attachmentMessage.toJSON();
+            const [attachment] = json.attachments;
+
+            expect(attachment.url).toBe(
+                `/chat/attachments/${attachmentMessage._id}/${attachment._id}`
+            );
+            expect(attachment.key).toBeUndefined();
+        });
+
+        it("should let participants download the file", async () => {
+            const res = await request(app)
+                .get(attachmentMessage.toJSON().attachments[0].url)
+                .set("Accept", "application/json")
+                .responseType("blob")
+                .send({ author: testLawyer._id });
+
+            expect(res.statusCode).toBe(200);
+            expect(res.headers["content-type"]).toBe("application/pdf");
+            expect(res.headers["cache-control"]).toBe("private, no-store");
+            expect(res.body.equals(pdf)).toBe(true);
+        });
+
+        it("should not let other users download the file", async () => {
+            const res = await request(app)
+                .get(attachmentMessage.toJSON().attachments[0].url)
+                .set("Accept", "application/json")
+                .send({ author: "64b4c7fe12f84b1f12345678" });
+
+            expect(res.statusCode).toBe(403);
+        });
+
+        it("should not serve attachments of deleted messages", async () => {
+            await Message.updateOne({ _id: attachmentMessage._id }, { deleted: true });
+
+            const res = await request(app)
+                .get(attachmentMessage.toJSON().attachments[0].url)
+                .set("Accept", "application/json")
+                .send({ author: testClient._id });
+
+            expect(res.statusCode).toBe(410);
+        });
+    });
+
+    describe("✏️ Edits, Replies & Reactions", () => {
+        let room;
+
+        beforeAll(async () => {
+            room = await ChatRoom.create({
+                participants: [testClient._id, testLawyer._id],
+                appointment: testAppointment._id,
+            });
+        });
+
+        const newMessage = (fields = {}) =>
+            Message.create({
+                chatRoom: room._id,
+                sender: testClient._id,
+                receiver: testLawyer._id,
+                content: "The hearing is on Monday",
+                ...fields,
+            });
+
+        it("should edit a message and keep the previous text", async () => {
+            const msg = await newMessage();
+            const emit = connectAs(testClient);
+
+            const res = await emit("editMessage", {
+                chatRoomId: room._id.toString(),
+                messageId: msg._id.toString(),
+                content: "The hearing is on Tuesday",
+            });
+
+            expect(res.status).toBe("ok");
+            expect(res.message.content).toBe("The hearing is on Tuesday");
+            expect(res.message.editedAt).toBeTruthy();
+            expect(emitted.some((e) => e.event === "messageEdited")).toBe(true);
+
+            const history = await emit("getEditHistory", {
+                chatRoomId: room._id.toString(),
+                messageId: msg._id.toString(),
+            });
+            expect(history.history.map((v) => v.content)).toEqual([
+                "The hearing is on Monday",
+                "The hearing is on Tuesday",
+            ]);
+        });
+
+        it("should only let the sender edit, within the edit window", async () => {
+            const msg = await newMessage();
+            const byLawyer = await connectAs(testLawyer)("editMessage", {
+                chatRoomId: room._id.toString(),
+                messageId: msg._id.toString(),
+                content: "Changed",
+            });
+            expect(byLawyer).toMatchObject({ status: "error", code: 403 });
+
+            const old = await newMessage();
+            await Message.collection.updateOne(
+                { _id: old._id },
+                { $set: { createdAt: new Date(Date.now() - EDIT_WINDOW - 1000) } }
+            );
+            const late = await connectAs(testClient)("editMessage", {
+                chatRoomId: room._id.toString(),
+                messageId: old._id.toString(),
+                content: "Too late",
+            });
+            expect(late.code).toBe(403);
+            expect(late.msg).toMatch(/within \d+ minutes/);
+        });
+
+        it("should only let the sender delete a message, once", async () => {
+            const msg = await newMessage();
+            const payload = { chatRoomId: room._id.toString(), messageId: msg._id.toString() };
+
+            const byLawyer = await connectAs(testLawyer)("deleteMessage", payload);
+            expect(byLawyer).toMatchObject({ status: "error", code: 403 });
+            expect((await Message.findById(msg._id)).deleted).toBe(false);
+
+            const emit = connectAs(testClient);
+            expect((await emit("deleteMessage", payload)).status).toBe("ok");
+            const { deletedAt } = await Message.findById(msg._id);
+            expect(deletedAt).toBeTruthy();
+
+            const again = await emit("deleteMessage", payload);
+            expect(again).toMatchObject({ status: "error", code: 400 });
+            expect((await Message.findById(msg._id)).deletedAt).toEqual(deletedAt);
+        });
+
+        it("should send a reply that quotes the earlier message", async () => {
+            const original = await newMessage({ content: "Please share the FIR copy" });
+
+            const res = await connectAs(testLawyer)("sendMessage", {
+                chatRoomId: room._id.toString(),
+                content: "Attached it here",
+                replyTo: original._id.toString(),
+            });
+
+            expect(res.status).toBe("ok");
+            expect(res.message.replyTo.content).toBe("Please share the FIR copy");
+            expect(res.message.replyTo.sender.username).toBe(testClient.username);
+        });
+
+        it("should not reveal the text of a quoted message that was deleted", async () => {
+            const original = await newMessage({ content: "Draft settlement terms" });
+            const reply = await newMessage({
+                sender: testLawyer._id,
+                receiver: testClient._id,
+                content: "Noted",
+                replyTo: original._id,
+            });
+            await Message.updateOne(
+                { _id: original._id },
+                { deleted: true, deletedAt: new Date(), content: "Draft settlement terms" }
+            );
+
+            const res = await request(app)
+                .get(`/chat/messages/${room._id}`)
+                .set("Accept", "application/json")
+                .send({ author: testClient._id });
+
+            const listed = res.body.messages.find((m) => m._id === reply._id.toString());
+            expect(listed.replyTo.deleted).toBe(true);
+            expect(listed.replyTo.content).toBe("");
+            expect(JSON.stringify(res.body)).not.toContain("Draft settlement terms");
+        });
+
+        it("should not reply to messages from another room", async () => {
+            const otherRoom = await ChatRoom.create({
+                participants: [testClient._id, testLawyer._id],
+                appointment: testAppointment._id,
+            });
+            const elsewhere = await Message.create({
+                chatRoom: otherRoom._id,
+                sender: testClient._id,
+                receiver: testLawyer._id,
+                content: "Elsewhere",
+            });
+
+            const res = await connectAs(testLawyer)("sendMessage", {
+                chatRoomId: room._id.toString(),
+                content: "Reply",
+                replyTo: elsewhere._id.toString(),
+            });
+            expect(res).toMatchObject({ status: "error", code: 400 });
+        });
+
+        it("should toggle reactions and broadcast them", async () => {
+            const msg = await newMessage();
+            const emit = connectAs(testLawyer);
+            const payload = {
+                chatRoomId: room._id.toString(),
+                messageId: msg._id.toString(),
+                emoji: "👍",
+            };
+
+            const added = await emit("toggleReaction", payload);
+            expect(added.reactions).toHaveLength(1);
+            expect(added.reactions[0].user.toString()).toBe(testLawyer._id.toString());
+            expect(emitted.some((e) => e.event === "messageReactions")).toBe(true);
+
+            const removed = await emit("toggleReaction", payload);
+            expect(removed.reactions).toHaveLength(0);
+        });
+
+        it("should reject unknown reactions", async () => {
+            const msg = await newMessage();
+            const res = await connectAs(testLawyer)("toggleReaction", {
+                chatRoomId: room._id.toString(),
+                messageId: msg._id.toString(),
+                emoji: "<script>",
+            });
+
+            expect(res).toMatchObject({ status: "error", code: 400, msg: "Unsupported reaction" });
+        });
+    });
+
+    describe("🟢 Receipts & Presence", () => {
+        let room;
+
+        beforeAll(async () => {
+            room = await ChatRoom.create({
+                participants: [testClient._id, testLawyer._id],
+                appointment: testAppointment._id,
+            });
+        });
+
+        it("should stay online until the user's last socket closes", async () => {
+            const userId = "64b4c7fe12f84b1f1234abcd";
+
+            expect(presence.connect(userId, "tab-1")).toBe(true);
+            expect(presence.connect(userId, "tab-2")).toBe(false);
+            expect(presence.disconnect(userId, "tab-1")).toBeNull();
+            expect(presence.isOnline(userId)).toBe(true);
+
+            const lastSeenAt = presence.disconnect(userId, "tab-2");
+            expect(lastSeenAt).toBeInstanceOf(Date);
+
+            const [status] = await presence.getPresence([userId]);
+            expect(status).toEqual({ userId, online: false, lastSeenAt });
+        });
+
+        it("should mark messages delivered when the receiver is online", async () => {
+            connectAs(testLawyer);
+
+            const res = await connectAs(testClient)("sendMessage", {
+                chatRoomId: room._id.toString(),
+                content: "Are you available tomorrow?",
+            });
+
+            expect(res.status).toBe("ok");
+            expect(res.message.deliveredAt).toBeInstanceOf(Date);
+            expect(res.message.readAt).toBeNull();
+        });
+
+        it("should count unread messages per chat room", async () => {
+            await Message.create([
+                {
+                    chatRoom: room._id,
+                    sender: testLawyer._id,
+                    receiver: testClient._id,
+                    content: "Yes, 11 AM works",
+                },
+                {
+                    chatRoom: room._id,
+                    sender: testLawyer._id,
+                    receiver: testClient._id,
+                    content: "Bring the agreement",
+                },
+            ]);
+
+            const res = await request(app)
+                .get("/chat/rooms")
+                .set("Accept", "application/json")
+                .send({ author: testClient._id });
+
+            const listed = res.body.find((r) => r._id === room._id.toString());
+            expect(listed.unreadCount).toBe(2);
+            expect(listed.participants[0]).toHaveProperty("online");
+        });
+
+        it("should mark messages read up to the given message", async () => {
+            const unread = await Message.find({ chatRoom: room._id, sender: testLawyer._id }).sort({
+                _id: 1,
+            });
+
+            const res = await connectAs(testClient)("markSeen", {
+                chatRoomId: room._id.toString(),
+                upTo: unread[0]._id.toString(),
+            });
+            expect(res.messageIds).toEqual([unread[0]._id.toString()]);
+
+            const [first, second] = await Message.find({ _id: { $in: unread } }).sort({ _id: 1 });
+            expect(first.seen).toBe(true);
+            expect(first.readAt).toBeInstanceOf(Date);
+            expect(first.deliveredAt).toBeInstanceOf(Date);
+            expect(second.readAt).toBeNull();
+
+            const seenEvent = emitted.find((e) => e.event === "messagesSeen");
+            expect(seenEvent.data.messageIds).toEqual([unread[0]._id.toString()]);
+        });
+    });
+
+    describe("🧾 Transcripts", () => {
+        let room;
+
+        beforeAll(async () => {
+            room = await ChatRoom.create({
+                participants: [testClient._id, testLawyer._id],
+                appointment: testAppointment._id,
+            });
+            await Message.create([
+                {
+                    chatRoom: room._id,
+                    sender: testClient._id,
+                    receiver: testLawyer._id,
+                    content: "Can I file the appeal after 90 days?",
+                },
+                {
+                    chatRoom: room._id,
+                    sender: testLawyer._id,
+                    receiver: testClient._id,
+                    content: "Secret draft advice",
+                    deleted: true,
+                    deletedAt: new Date(),
+                },
+                {
+                    chatRoom: room._id,
+                    sender: testLawyer._id,
+                    receiver: testClient._id,
+                    content: "Only with a condonation of delay application.",
+                },
+            ]);
+        });
+
+        afterAll(async () => {
+            await ChatTranscript.deleteMany({});
+        });
+
+        const exportAs = (author) =>
+            request(app)
+                .get(`/chat/transcripts/${room._id}`)
+                .query({ format: "txt" })
+                .set("Accept", "application/json")
+                .send({ author });
+
+        it("should export a signed plain-text transcript for participants", async () => {
+            const res = await exportAs(testLawyer._id);
+
+            expect(res.statusCode).toBe(200);
+            expect(res.headers["content-type"]).toMatch(/^text\/plain/);
+            expect(res.text).toContain("Participants: Chat Client, Chat Lawyer");
+            expect(res.text).toContain("Chat Client: Can I file the appeal after 90 days?");
+            expect(res.text).toContain("Chat Lawyer: [This message was deleted]");
+            expect(res.text).not.toContain("Secret draft advice");
+
+            const [body] = res.text.split(`${FOOTER_SEPARATOR}\n`);
+            const hash = res.text.match(/^SHA-256: ([0-9a-f]{64})$/m)[1];
+            expect(hashTranscript(body)).toBe(hash);
+        });
+
+        it("should let admins export but not other users", async () => {
+            const admin = await User.create({
+                username: "transcriptadmin",
+                email: "transcriptadmin@example.com",
+                role: "admin",
+            });
+
+            expect((await exportAs(admin._id)).statusCode).toBe(200);
+            expect((await exportAs("64b4c7fe12f84b1f12345678")).statusCode).toBe(403);
+
+            await User.findByIdAndDelete(admin._id);
+        });
+
+        it("should verify an issued transcript and reject altered ones", async () => {
+            const res = await exportAs(testClient._id);
+            const verifyPath = res.text.match(/^Verify: https?:\/\/[^/]+(\/\S+)$/m)[1];
+
+            const ok = await request(app).get(verifyPath).set("Accept", "application/json");
+            expect(ok.statusCode).toBe(200);
+            expect(ok.body.data.state).toBe("valid");
+            expect(ok.body.data.transcript.messageCount).toBe(3);
+
+            const tampered = verifyPath.replace(/hash=[0-9a-f]/, "hash=x");
+            const bad = await request(app).get(tampered).set("Accept", "application/json");
+            expect(bad.statusCode).toBe(403);
+        });
+
+        it("should check the contents of a .txt copy", async () => {
+            const res = await exportAs(testClient._id);
+            const checkPath = res.text.match(/^Verify: https?:\/\/[^/]+(\/\S+)$/m)[1].split("?")[0];
+            const check = (text) =>
+                request(app)
+                    .post(checkPath)
+                    .set("Content-Type", "text/plain")
+                    .set("Accept", "application/json")
+                    .send(text);
+
+            const ok = await check(res.text);
+            expect(ok.statusCode).toBe(200);
+            expect(ok.body.data.state).toBe("valid");
+
+            // the footer still carries the original hash and link, but the text changed
+            const edited = res.text.replace("after 90 days", "after 30 days");
+            const altered = await check(edited);
+            expect(altered.statusCode).toBe(403);
+            expect(altered.body.msg).toBe("This copy differs from the transcript LegalHub issued.");
+
+            const unknown = await request(app)
+                .post("/verify/transcript/LH-TR-NOPE")
+                .set("Content-Type", "text/plain")
+                .set("Accept", "application/json")
+                .send(res.text);
+            expect(unknown.statusCode).toBe(404);
+        });
+
+        it("should cap the size and rate of public transcript checks", async () => {
+            const check = (text) =>
+                request(app)
+                    .post("/verify/transcript/LH-TR-NOPE")
+                    .set("Content-Type", "text/plain")
+                    .set("Accept", "application/json")
+                    .send(text);
+
+            expect((await check("x".repeat(1024 * 1024 + 1))).statusCode).toBe(413);
+
+            let res;
+            for (let i = 0; i < 25; i += 1) {
+                res = await check("LegalHuB - Chat Transcript");
+                if (res.statusCode === 429) break;
+            }
+            expect(res.statusCode).toBe(429);
+        });
+
+        it("should reject unknown export formats", async () => {
+            const res = await request(app)
+                .get(`/chat/transcripts/${room._id}`)
+                .query({ format: "docx" })
+                .set("Accept", "application/json")
+                .send({ author: testClient._id });
+
+            expect(res.statusCode).toBe(400);
+        });
+    });
+
+    describe("🔔 Offline Message Notifications", () => {
+        let room;
+        let viewers;
+        let sent;
+        const io = {
+            in: () => ({ fetchSockets: async () => viewers }),
+            to: (target) => ({ emit: (event, data) => sent.push({ target, event, data }) }),
+        };
+
+        beforeAll(async () => {
+            room = await ChatRoom.create({
+                participants: [testClient._id, testLawyer._id],
+                appointment: testAppointment._id,
+            });
+        });
+
+        beforeEach(async () => {
+            viewers = [];
+            sent = [];
+            await Notification.deleteMany({});
+        });
+
+        afterAll(async () => {
+            await Notification.deleteMany({});
+        });
+
+        const send = (content) =>
+            Message.create({
+                chatRoom: room._id,
+                sender: testClient._id,
+                receiver: testLawyer._id,
+                content,
+            });
+
+        it("should not notify a receiver who has the chat open", async () => {
+            viewers = [{ data: { user: { _id: testLawyer._id.toString() } } }];
+
+            const result = await notifyNewMessage(io, await send("Hello"), testClient);
+
+            expect(result).toBeNull();
+            expect(await Notification.countDocuments({ user: testLawyer._id })).toBe(0);
+        });
+
+        it("should notify an absent receiver with a message preview", async () => {
+            await NotificationPreferences.create({
+                user: testLawyer._id,
+                digestFrequency: "daily",
+            });
+            const notification = await notifyNewMessage(io, await send("Hello"), testClient);
+            await NotificationPreferences.deleteMany({ user: testLawyer._id });
+
+            expect(notification.type).toBe("message.new");
+            expect(notification.title).toBe("New message from Chat Client");
+            expect(notification.message).toBe("Hello");
+            expect(notification.relatedId.toString()).toBe(room._id.toString());
+            expect(notification.channels.digest).toBe(true);
+        });
+
+        it("should fold a burst of messages into one notification", async () => {
+            const messages = await Promise.all(["One", "Two", "Three"].map(send));
+            await Promise.all(messages.map((m) => notifyNewMessage(io, m, testClient)));
+
+            const notifications = await Notification.find({ user: testLawyer._id });
+            expect(notifications).toHaveLength(1);
+            expect(notifications[0].count).toBe(3);
+            expect(notifications[0].title).toBe("3 new messages from Chat Client");
+
+            // the receiver's open pages see the folded notification and the unread badge
+            const updates = sent.filter((e) => e.event === "notificationUpdated");
+            expect(updates).toHaveLength(2);
+            expect(updates[1].target).toBe(testLawyer._id.toString());
+            expect(updates[1].data.count).toBe(3);
+            const counts = sent.filter((e) => e.event === "notification:unread");
+            expect(counts).toHaveLength(3);
+        });
+
+        it("should notify again once the earlier notification was read", async () => {
+            const first = await notifyNewMessage(io, await send("First"), testClient);
+            await Notification.updateOne({ _id: first._id }, { status: "read" });
+
+            const second = await notifyNewMessage(io, await send("Second"), testClient);
+            expect(second._id.toString()).not.toBe(first._id.toString());
+        });
+    });
 });
@@ -199,4 +199,16 @@ describe("📄 Documents API", () => {
         expect(res.statusCode).toBe(400);
         expect(res.body.success).toBe(false);
     });
+
+    // ❌ PDF export of a document that doesn't exist
+    it("❌ should return 404 when exporting a non-existent document as PDF", async () => {
+        const fakeId = "64b4c7fe12f84b1f12345678";
+
+        const res = await request(app)
+            .get(`/api/documents/${fakeId}/pdf`)
+            .set("Accept", "application/json");
+
+        expect(res.statusCode).toBe(404);
+        expect(res.body.msg).toBe("Document not found");
+    });
 });
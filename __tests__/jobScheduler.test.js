@@ -0,0 +1,171 @@
+const User = require("../src/models/user.model");
+const Appointment = require("../src/models/appointment.model");
+const Notification = require("../src/models/notification.model");
+const Job = require("../src/models/job.model");
+const jobScheduler = require("../src/services/jobScheduler");
+const {
+    REMINDER_JOB,
+    scheduleAppointmentReminders,
+    cancelAppointmentReminders,
+    expirePendingAppointments,
+} = require("../src/jobs/appointmentJobs");
+
+describe("⏱️ Job Scheduler", () => {
+    const HOUR = 60 * 60 * 1000;
+    let client;
+    let lawyer;
+
+    beforeAll(async () => {
+        await Promise.all([
+            Job.deleteMany({}),
+            Appointment.deleteMany({}),
+            Notification.deleteMany({}),
+            User.deleteMany({}),
+        ]);
+        client = await User.create({
+            username: "jobclient",
+            email: "jobclient@example.com",
+            role: "user",
+        });
+        lawyer = await User.create({
+            username: "joblawyer",
+            email: "joblawyer@example.com",
+            role: "lawyer",
+        });
+    });
+
+    afterAll(async () => {
+        jobScheduler.stop();
+        await Promise.all([
+            Job.deleteMany({}),
+            Appointment.deleteMany({}),
+            Notification.deleteMany({}),
+            User.deleteMany({}),
+        ]);
+    });
+
+    describe("⚙️ Running jobs", () => {
+        it("should run due jobs and leave future ones queued", async () => {
+            const seen = [];
+            jobScheduler.defineJob("test.record", async (job) => {
+                seen.push(job.data.value);
+            });
+
+            await jobScheduler.scheduleJob("test.record", { value: "now" });
+            await jobScheduler.scheduleJob(
+                "test.record",
+                { value: "later" },
+                { runAt: new Date(Date.now() + 24 * HOUR) }
+            );
+
+            const ran = await jobScheduler.runDueJobs();
+            expect(ran).toBe(1);
+            expect(seen).toEqual(["now"]);
+
+            const queued = await Job.find({ name: "test.record", status: "queued" });
+            expect(queued).toHaveLength(1);
+            expect(queued[0].data.value).toBe("later");
+        });
+
+        it("should retry failing jobs until maxAttempts, then mark them failed", async () => {
+            jobScheduler.defineJob("test.fail", async () => {
+                throw new Error("boom");
+            });
+            const job = await jobScheduler.scheduleJob("test.fail", {}, { maxAttempts: 2 });
+
+            await jobScheduler.runDueJobs();
+            let stored = await Job.findById(job._id);
+            expect(stored.status).toBe("queued");
+            expect(stored.attempts).toBe(1);
+            expect(stored.lastError).toBe("boom");
+
+            // jump past the one minute retry delay
+            await jobScheduler.runDueJobs(new Date(Date.now() + 2 * 60 * 1000));
+            stored = await Job.findById(job._id);
+            expect(stored.status).toBe("failed");
+            expect(stored.attempts).toBe(2);
+        });
+
+        it("should report per-job counts for the dashboard", async () => {
+            const stats = await jobScheduler.getJobStats();
+            const record = stats.jobs.find((j) => j.name === "test.record");
+            const fail = stats.jobs.find((j) => j.name === "test.fail");
+
+            expect(record.completed).toBe(1);
+            expect(record.queued).toBe(1);
+            expect(fail.failed).toBe(1);
+            expect(stats.recentFailures[0].lastError).toBe("boom");
+        });
+    });
+
+    describe("🔔 Appointment reminders", () => {
+        it("should queue 24h and 1h reminders once per appointment", async () => {
+            const date = new Date(Date.now() + 3 * 24 * HOUR);
+            date.setHours(0, 0, 0, 0);
+            const appointment = await Appointment.create({
+                client: client._id,
+                lawyer: lawyer._id,
+                date,
+                timeSlot: "10:00 AM",
+                status: "approved",
+                appointmentCard: { cardId: `job-reminder-card-${Date.now()}` },
+            });
+
+            await scheduleAppointmentReminders(appointment);
+            await scheduleAppointmentReminders(appointment);
+
+            const jobs = await Job.find({
+                name: REMINDER_JOB,
+                "data.appointmentId": appointment._id.toString(),
+            }).sort({ runAt: 1 });
+            expect(jobs).toHaveLength(2);
+            expect(jobs.map((j) => j.data.offset)).toEqual(["24h", "1h"]);
+
+            const start = new Date(date);
+            start.setHours(10, 0, 0, 0);
+            expect(jobs[0].runAt.getTime()).toBe(start.getTime() - 24 * HOUR);
+            expect(jobs[1].runAt.getTime()).toBe(start.getTime() - HOUR);
+
+            await cancelAppointmentReminders(appointment._id);
+            const cancelled = await Job.countDocuments({
+                name: REMINDER_JOB,
+                status: "cancelled",
+            });
+            expect(cancelled).toBe(2);
+        });
+    });
+
+    describe("⌛ Pending appointment expiry", () => {
+        it("should expire pending appointments whose slot has started", async () => {
+            const yesterday = new Date(Date.now() - 24 * HOUR);
+            yesterday.setHours(0, 0, 0, 0);
+            const stale = await Appointment.create({
+                client: client._id,
+                lawyer: lawyer._id,
+                date: yesterday,
+                timeSlot: "11:00 AM",
+                status: "pending",
+                appointmentCard: { cardId: `job-stale-card-${Date.now()}` },
+            });
+            const upcoming = await Appointment.create({
+                client: client._id,
+                lawyer: lawyer._id,
+                date: new Date(Date.now() + 5 * 24 * HOUR),
+                timeSlot: "11:00 AM",
+                status: "pending",
+                appointmentCard: { cardId: `job-upcoming-card-${Date.now()}` },
+            });
+
+            const result = await expirePendingAppointments();
+            expect(result.expired).toBe(1);
+
+            const expired = await Appointment.findById(stale._id);
+            expect(expired.status).toBe("expired");
+            expect(expired.statusHistory[0].role).toBe("system");
+            expect((await Appointment.findById(upcoming._id)).status).toBe("pending");
+
+            const notification = await Notification.findOne({ user: client._id });
+            expect(notification.title).toBe("Appointment Request Expired");
+        });
+    });
+});
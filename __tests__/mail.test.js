@@ -0,0 +1,234 @@
+const request = require("supertest");
+const app = require("../src/app");
+const User = require("../src/models/user.model");
+const NotificationPreferences = require("../src/models/notificationPreferences.model");
+const OutboxEmail = require("../src/models/outboxEmail.model");
+const transports = require("../src/services/mail/transports");
+const { TEMPLATES, LOCALES, renderMail, sendMail } = require("../src/services/mail");
+const { getPreviewData } = require("../src/services/mail/previewData");
+const { retryDelay, queueMail, processOutbox, resendMail } = require("../src/services/mail/outbox");
+
+describe("✉️ Mail Templates", () => {
+    let testUser;
+
+    beforeAll(async () => {
+        await Promise.all([
+            NotificationPreferences.deleteMany({}),
+            OutboxEmail.deleteMany({}),
+            User.deleteMany({}),
+        ]);
+        testUser = await User.create({
+            username: "mailuser",
+            email: "mailuser@example.com",
+            role: "user",
+        });
+    });
+
+    afterAll(async () => {
+        await Promise.all([
+            NotificationPreferences.deleteMany({}),
+            OutboxEmail.deleteMany({}),
+            User.deleteMany({}),
+        ]);
+    });
+
+    describe("🖋️ Rendering", () => {
+        it("should render every template in every language with sample data", async () => {
+            for (const template of TEMPLATES) {
+                for (const locale of LOCALES) {
+                    const mail = await renderMail(template, getPreviewData(template), locale);
+                    expect(mail.locale).toBe(locale);
+                    expect(mail.subject).not.toMatch(/[{}]/);
+                    expect(mail.html).toContain("<!DOCTYPE html>");
+                    expect(mail.text.trim().length).toBeGreaterThan(0);
+                }
+            }
+        });
+
+        it("should translate strings and pick plural forms", async () => {
+            const data = { ...getPreviewData("digest"), count: 1 };
+            const en = await renderMail("digest", data, "en");
+            const hi = await renderMail("digest", data, "hi");
+
+            expect(en.subject).toBe("LegalHub: 1 unread notification");
+            expect(hi.subject).toBe("LegalHub: 1 अपठित सूचना");
+            expect(hi.text).toContain("दैनिक");
+        });
+
+        it("should escape values in the HTML but not in the text version", async () => {
+            const mail = await renderMail("notification", {
+                name: "Asha",
+                title: "<b>Hi</b>",
+                message: "Tom & Jerry",
+                url: "https://example.com/notifications",
+            });
+
+            expect(mail.html).toContain("&lt;b&gt;Hi&lt;/b&gt;");
+            expect(mail.text).toContain("Tom & Jerry");
+        });
+
+        it("should fall back to English for unknown languages and reject unknown templates", async () => {
+            const mail = await renderMail("password_reset", getPreviewData("password_reset"), "fr");
+            expect(mail.locale).toBe("en");
+            await expect(renderMail("no_such_template", {})).rejects.toThrow(
+                'Unknown email template "no_such_template"'
+            );
+        });
+    });
+
+    describe("📤 Sending", () => {
+        it("should build the message with the JSON transport in tests", async () => {
+            const info = await sendMail({
+                to: testUser.email,
+                template: "password_reset",
+                data: getPreviewData("password_reset"),
+            });
+
+            const message = JSON.parse(info.message);
+            expect(message.to[0].address).toBe(testUser.email);
+            expect(message.subject).toBe("Reset your LegalHub password");
+            expect(message.html).toContain("sample-token");
+            expect(message.text).toContain("sample-token");
+        });
+
+        it("should use the recipient's email language", async () => {
+            await NotificationPreferences.create({ user: testUser._id, language: "hi" });
+
+            const info = await sendMail({
+                to: testUser.email,
+                template: "password_reset",
+                data: getPreviewData("password_reset"),
+                user: testUser._id,
+            });
+
+            expect(JSON.parse(info.message).subject).toBe("अपना LegalHub पासवर्ड रीसेट करें");
+        });
+    });
+
+    describe("📮 Outbox", () => {
+        const MINUTE = 60 * 1000;
+        const smtpSend = jest.fn();
+        const resetMail = {
+            to: "reset@example.com",
+            template: "password_reset",
+            data: getPreviewData("password_reset"),
+        };
+
+        beforeEach(async () => {
+            await OutboxEmail.deleteMany({});
+            smtpSend.mockReset();
+            smtpSend.mockResolvedValue({ messageId: "<sent@test>", rejected: [] });
+            jest.spyOn(transports, "getTransport").mockReturnValue({ sendMail: smtpSend });
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        it("should store the email and send it right away", async () => {
+            const email = await queueMail(resetMail);
+
+            expect(smtpSend).toHaveBeenCalledTimes(1);
+            expect(email.status).toBe("sent");
+            expect(email.attempts).toBe(1);
+            expect(email.messageId).toBe("<sent@test>");
+            expect(await OutboxEmail.countDocuments({ status: "sent" })).toBe(1);
+        });
+
+        it("should back off exponentially and fail after the last attempt", async () => {
+            expect(retryDelay(1)).toBe(MINUTE);
+            expect(retryDelay(3)).toBe(4 * MINUTE);
+
+            smtpSend.mockRejectedValue(new Error("Connection timeout"));
+            const start = new Date();
+            let email = await queueMail(resetMail, { maxAttempts: 3 });
+            expect(email.status).toBe("queued");
+            expect(email.lastError).toBe("Connection timeout");
+            expect(email.nextAttemptAt - email.lastAttemptAt).toBe(MINUTE);
+
+            // not due yet
+            expect((await processOutbox(start)).retrying).toBe(0);
+
+            let now = new Date(start.getTime() + 2 * MINUTE);
+            expect((await processOutbox(now)).retrying).toBe(1);
+            email = await OutboxEmail.findById(email._id);
+            expect(email.attempts).toBe(2);
+            expect(email.nextAttemptAt - now).toBe(2 * MINUTE);
+
+            now = new Date(now.getTime() + 3 * MINUTE);
+            expect((await processOutbox(now)).failed).toBe(1);
+            email = await OutboxEmail.findById(email._id);
+            expect(email.status).toBe("failed");
+            expect(email.attempts).toBe(3);
+            expect(smtpSend).toHaveBeenCalledTimes(3);
+        });
+
+        it("should mark permanent rejections as bounced without retrying", async () => {
+            smtpSend.mockRejectedValueOnce(
+                Object.assign(new Error("550 No such user"), { responseCode: 550 })
+            );
+            const bounced = await queueMail(resetMail);
+            expect(bounced.status).toBe("bounced");
+
+            smtpSend.mockResolvedValueOnce({
+                messageId: "<x@test>",
+                rejected: ["gone@example.com"],
+            });
+            const rejected = await queueMail({ ...resetMail, to: "gone@example.com" });
+            expect(rejected.status).toBe("bounced");
+            expect(rejected.lastError).toContain("gone@example.com");
+
+            const summary = await processOutbox(new Date(Date.now() + 60 * MINUTE));
+            expect(summary.sent + summary.retrying).toBe(0);
+        });
+
+        it("should resend failed emails with fresh attempts", async () => {
+            smtpSend.mockRejectedValueOnce(new Error("Connection timeout"));
+            const failed = await queueMail(resetMail, { maxAttempts: 1 });
+            expect(failed.status).toBe("failed");
+
+            const email = await resendMail(failed._id);
+            expect(email.status).toBe("sent");
+            expect(email.attempts).toBe(1);
+
+            // only failed or bounced emails can be resent
+            expect(await resendMail(failed._id)).toBeNull();
+        });
+
+        it("should keep attachments for retries", async () => {
+            smtpSend.mockRejectedValueOnce(new Error("Connection timeout"));
+            const email = await queueMail({
+                ...resetMail,
+                attachments: [{ filename: "a.txt", content: "hello", contentType: "text/plain" }],
+            });
+            expect(email.status).toBe("queued");
+
+            await processOutbox(new Date(Date.now() + 2 * MINUTE));
+            const [message] = smtpSend.mock.calls[1];
+            expect(message.attachments[0].filename).toBe("a.txt");
+            expect(Buffer.from(message.attachments[0].content).toString()).toBe("hello");
+        });
+    });
+
+    describe("👀 Admin preview", () => {
+        it("should be limited to admins", async () => {
+            const res = await request(app)
+                .get("/api/admin/dashboard/emails/digest")
+                .set("Accept", "application/json");
+
+            expect(res.statusCode).toBe(403);
+        });
+
+        it("should keep the outbox and resend to admins", async () => {
+            const list = await request(app)
+                .get("/api/admin/dashboard/email-outbox")
+                .set("Accept", "application/json");
+            const resend = await request(app)
+                .post("/api/admin/dashboard/email-outbox/000000000000000000000000/resend")
+                .set("Accept", "application/json");
+
+            expect(list.statusCode).toBe(403);
+            expect(resend.statusCode).toBe(403);
+        });
+    });
+});
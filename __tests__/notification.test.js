@@ -0,0 +1,549 @@
+jest.mock("../src/services/mail", () => ({
+    ...jest.requireActual("../src/services/mail"),
+    sendMail: jest.fn(async () => ({ messageId: "test-message" })),
+}));
+
+const request = require("supertest");
+const app = require("../src/app");
+const User = require("../src/models/user.model");
+const Notification = require("../src/models/notification.model");
+const NotificationPreferences = require("../src/models/notificationPreferences.model");
+const Job = require("../src/models/job.model");
+const NotificationDigest = require("../src/models/notificationDigest.model");
+const OutboxEmail = require("../src/models/outboxEmail.model");
+const { sendMail } = require("../src/services/mail");
+const { sendUserDigest } = require("../src/jobs/notificationJobs");
+const {
+    DELIVER_JOB,
+    createNotification,
+    deliverDeferredNotification,
+} = require("../src/utils/notificationService");
+const { quietHoursEndsAt } = require("../src/utils/notificationPreferences");
+
+describe("🔔 Notification API Testing", () => {
+    let testUser;
+
+    beforeAll(async () => {
+        await Promise.all([
+            Notification.deleteMany({}),
+            NotificationPreferences.deleteMany({}),
+            NotificationDigest.deleteMany({}),
+            OutboxEmail.deleteMany({}),
+            Job.deleteMany({}),
+            User.deleteMany({}),
+        ]);
+        testUser = await User.create({
+            username: "notifyuser",
+            email: "notifyuser@example.com",
+            role: "user",
+        });
+    });
+
+    afterAll(async () => {
+        await Promise.all([
+            Notification.deleteMany({}),
+            NotificationPreferences.deleteMany({}),
+            NotificationDigest.deleteMany({}),
+            OutboxEmail.deleteMany({}),
+            Job.deleteMany({}),
+            User.deleteMany({}),
+        ]);
+    });
+
+    describe("⚙️ Preferences", () => {
+        beforeEach(async () => {
+            await Promise.all([
+                NotificationPreferences.deleteMany({}),
+                Notification.deleteMany({}),
+                Job.deleteMany({}),
+            ]);
+        });
+
+        it("should return the defaults when nothing was saved", async () => {
+            const res = await request(app)
+                .get("/api/notifications/preferences")
+                .set("Accept", "application/json")
+                .send({ author: testUser._id });
+
+            expect(res.statusCode).toBe(200);
+            expect(res.body.data.types).toEqual([]);
+            expect(res.body.data.quietHours.enabled).toBe(false);
+            expect(res.body.data.digestFrequency).toBe("off");
+        });
+
+        it("should only change the toggles a JSON client sends", async () => {
+            const res = await request(app)
+                .post("/api/notifications/preferences")
+                .set("Accept", "application/json")
+                .send({
+                    author: testUser._id,
+                    types: { "message.new": { email: false } },
+                    digestFrequency: "weekly",
+                });
+
+            expect(res.statusCode).toBe(200);
+            const saved = await NotificationPreferences.findOne({ user: testUser._id });
+            expect(saved.types).toHaveLength(1);
+            expect(saved.types[0]).toMatchObject({ name: "message.new", email: false, push: true });
+            expect(saved.digestFrequency).toBe("weekly");
+        });
+
+        it("should treat unchecked boxes as off for settings form posts", async () => {
+            const res = await request(app)
+                .post("/api/notifications/preferences")
+                .set("Accept", "application/json")
+                .type("form")
+                .send(
+                    `author=${testUser._id}&types[appointment.reminder][push]=on` +
+                        "&quietHours[enabled]=on&quietHours[start]=21:30&quietHours[end]=06:00" +
+                        "&quietHours[timeZone]=Asia/Kolkata&digestFrequency=off"
+                );
+
+            expect(res.statusCode).toBe(200);
+            const saved = await NotificationPreferences.findOne({ user: testUser._id });
+            const reminder = saved.types.find((t) => t.name === "appointment.reminder");
+            expect(reminder).toMatchObject({ email: false, push: true });
+            expect(saved.types.find((t) => t.name === "message.new").push).toBe(false);
+            expect(saved.quietHours).toMatchObject({ enabled: true, start: "21:30", end: "06:00" });
+            expect(saved.digestFrequency).toBe("off");
+        });
+
+        it("should reject malformed quiet hours and unknown time zones", async () => {
+            const badClock = await request(app)
+                .post("/api/notifications/preferences")
+                .set("Accept", "application/json")
+                .send({ author: testUser._id, quietHours: { start: "25:00", end: "07:00" } });
+            expect(badClock.statusCode).toBe(400);
+
+            const badZone = await request(app)
+                .post("/api/notifications/preferences")
+                .set("Accept", "application/json")
+                .send({ author: testUser._id, quietHours: { timeZone: "Mars/Olympus" } });
+            expect(badZone.statusCode).toBe(400);
+            expect(badZone.body.message).toBe("Unknown time zone");
+        });
+
+        it("should drop channels the user switched off for that type", async () => {
+            await NotificationPreferences.create({
+                user: testUser._id,
+                types: [{ name: "system.alert", email: false, push: false }],
+                digestFrequency: "off",
+            });
+
+            const notification = await createNotification(null, {
+                user: testUser._id,
+                type: "system.alert",
+                title: "Maintenance",
+                message: "Planned downtime tonight",
+                channels: { email: true, push: true, digest: true },
+            });
+
+            expect(notification.channels.inApp).toBe(true);
+            expect(notification.channels.email).toBe(false);
+            expect(notification.channels.push).toBe(false);
+            expect(notification.channels.digest).toBe(false);
+        });
+    });
+
+    describe("🌙 Quiet hours", () => {
+        // a UTC window that always contains `now`
+        const windowAround = (now) => {
+            const clock = (d) => d.toISOString().slice(11, 16);
+            return {
+                enabled: true,
+                start: clock(new Date(now.getTime() - 60 * 60 * 1000)),
+                end: clock(new Date(now.getTime() + 60 * 60 * 1000)),
+                timeZone: "UTC",
+            };
+        };
+
+        beforeEach(async () => {
+            await Promise.all([
+                NotificationPreferences.deleteMany({}),
+                Notification.deleteMany({}),
+                Job.deleteMany({}),
+            ]);
+        });
+
+        it("should work out when overnight quiet hours end", () => {
+            const quietHours = {
+                enabled: true,
+                start: "22:00",
+                end: "07:00",
+                timeZone: "Asia/Kolkata",
+            };
+            // 23:30 IST
+            const endsAt = quietHoursEndsAt(quietHours, new Date("2026-03-10T18:00:00Z"));
+            expect(endsAt.toISOString()).toBe("2026-03-11T01:30:00.000Z");
+            // 12:00 IST
+            expect(quietHoursEndsAt(quietHours, new Date("2026-03-10T06:30:00Z"))).toBeNull();
+            expect(quietHoursEndsAt({ ...quietHours, enabled: false })).toBeNull();
+        });
+
+        it("should hold email back until quiet hours end", async () => {
+            const now = new Date();
+            await NotificationPreferences.create({
+                user: testUser._id,
+                quietHours: windowAround(now),
+            });
+
+            const notification = await createNotification(null, {
+                user: testUser._id,
+                type: "appointment.updated",
+                title: "Appointment Rescheduled",
+                message: "Your appointment moved to Friday",
+                channels: { email: true },
+                email: testUser.email,
+            });
+
+            expect(notification.deferredUntil).toBeInstanceOf(Date);
+            expect(notification.deferredUntil.getTime()).toBeGreaterThan(now.getTime());
+
+            const job = await Job.findOne({ name: DELIVER_JOB });
+            expect(job).not.toBeNull();
+            expect(job.data.notificationId).toBe(notification._id.toString());
+            expect(job.runAt.getTime()).toBe(notification.deferredUntil.getTime());
+        });
+
+        it("should not hold back notifications without email or push", async () => {
+            await NotificationPreferences.create({
+                user: testUser._id,
+                quietHours: windowAround(new Date()),
+            });
+
+            const notification = await createNotification(null, {
+                user: testUser._id,
+                type: "review.posted",
+                title: "New Review",
+                message: "Someone reviewed you",
+            });
+
+            expect(notification.deferredUntil).toBeNull();
+            expect(await Job.countDocuments({ name: DELIVER_JOB })).toBe(0);
+        });
+
+        it("should send a deferred email in the user's language", async () => {
+            await NotificationPreferences.create({ user: testUser._id, language: "hi" });
+            const notification = await Notification.create({
+                user: testUser._id,
+                type: "appointment.updated",
+                title: "Appointment Rescheduled",
+                message: "Your appointment moved to Friday",
+                channels: { inApp: true, email: true },
+                deferredUntil: new Date(),
+            });
+            sendMail.mockClear();
+
+            const result = await deliverDeferredNotification({
+                data: { notificationId: notification._id.toString(), email: testUser.email },
+            });
+
+            expect(result).toEqual({ delivered: true });
+            expect(sendMail).toHaveBeenCalledTimes(1);
+            expect(sendMail.mock.calls[0][0].locale).toBe("hi");
+        });
+
+        it("should skip deferred delivery once the notification was read", async () => {
+            const notification = await Notification.create({
+                user: testUser._id,
+                type: "appointment.updated",
+                title: "Appointment Rescheduled",
+                message: "Your appointment moved to Friday",
+                channels: { inApp: true, email: true },
+                status: "read",
+                deferredUntil: new Date(),
+            });
+
+            const result = await deliverDeferredNotification({
+                data: { notificationId: notification._id.toString(), email: testUser.email },
+            });
+
+            expect(result).toEqual({ skipped: "already read" });
+            const updated = await Notification.findById(notification._id);
+            expect(updated.deferredUntil).toBeNull();
+        });
+    });
+
+    describe("📥 Inbox", () => {
+        let otherUser;
+
+        const seed = () =>
+            Notification.create([
+                {
+                    user: testUser._id,
+                    type: "message.new",
+                    title: "3 new messages from Asha",
+                    message: "See you at 10",
+                    relatedId: otherUser._id,
+                    actor: "Asha",
+                    count: 3,
+                },
+                {
+                    user: testUser._id,
+                    type: "message.new",
+                    title: "New message from Asha",
+                    message: "Thanks!",
+                    relatedId: otherUser._id,
+                    actor: "Asha",
+                },
+                {
+                    user: testUser._id,
+                    type: "payment.received",
+                    title: "Payment Received",
+                    message: "₹500 received",
+                    priority: "high",
+                },
+                {
+                    user: testUser._id,
+                    type: "system.alert",
+                    title: "Maintenance",
+                    message: "Tonight",
+                    status: "read",
+                },
+                {
+                    user: otherUser._id,
+                    type: "system.alert",
+                    title: "Theirs",
+                    message: "Not yours",
+                },
+            ]);
+
+        const api = (method, path, body = {}) => {
+            const agent = request(app);
+            return agent[method](`/api/notifications${path}`)
+                .set("Accept", "application/json")
+                .send({ author: testUser._id, ...body });
+        };
+
+        beforeAll(async () => {
+            otherUser = await User.create({
+                username: "inboxother",
+                email: "inboxother@example.com",
+                role: "user",
+            });
+        });
+
+        beforeEach(async () => {
+            await Notification.deleteMany({});
+        });
+
+        it("should filter by type, priority and status with pagination", async () => {
+            await seed();
+
+            const all = await request(app)
+                .get("/api/notifications?limit=2")
+                .set("Accept", "application/json")
+                .send({ author: testUser._id });
+            expect(all.statusCode).toBe(200);
+            expect(all.body.data.total).toBe(4);
+            expect(all.body.data.notifications).toHaveLength(2);
+            expect(all.body.data.totalPages).toBe(2);
+            expect(all.body.data.unreadCount).toBe(3);
+
+            const filtered = await request(app)
+                .get(
+                    "/api/notifications?type=message.new,payment.received&priority=high&status=unread"
+                )
+                .set("Accept", "application/json")
+                .send({ author: testUser._id });
+            expect(filtered.body.data.total).toBe(1);
+            expect(filtered.body.data.notifications[0].title).toBe("Payment Received");
+
+            const invalid = await request(app)
+                .get("/api/notifications?type=nope")
+                .set("Accept", "application/json")
+                .send({ author: testUser._id });
+            expect(invalid.statusCode).toBe(400);
+        });
+
+        it("should group similar notifications", async () => {
+            await seed();
+
+            const res = await request(app)
+                .get("/api/notifications?grouped=true")
+                .set("Accept", "application/json")
+                .send({ author: testUser._id });
+
+            const groups = res.body.data.groups;
+            expect(groups).toHaveLength(3);
+            const chat = groups.find((g) => g.type === "message.new");
+            expect(chat.title).toBe("4 new messages from Asha");
+            expect(chat.ids).toHaveLength(2);
+            expect(chat.unread).toBe(2);
+        });
+
+        it("should mark selected or all notifications as read, only for the owner", async () => {
+            const [first, , payment, , theirs] = await seed();
+
+            const selected = await api("post", "/read", { ids: [first._id, theirs._id] });
+            expect(selected.statusCode).toBe(200);
+            expect(selected.body.data).toMatchObject({ modified: 1, unreadCount: 2 });
+            expect((await Notification.findById(theirs._id)).status).toBe("unread");
+
+            const byType = await api("post", "/read-all", { type: "payment.received" });
+            expect(byType.body.data.modified).toBe(1);
+            expect((await Notification.findById(payment._id)).status).toBe("read");
+
+            const all = await api("post", "/read-all");
+            expect(all.body.data).toMatchObject({ modified: 1, unreadCount: 0 });
+
+            expect((await api("post", "/read", { ids: [] })).statusCode).toBe(400);
+            expect((await api("post", "/read", { ids: ["not-an-id"] })).statusCode).toBe(400);
+        });
+
+        it("should archive, restore and delete notifications", async () => {
+            const [first, second, payment, , theirs] = await seed();
+
+            const archived = await api("post", "/archive", { ids: `${first._id},${second._id}` });
+            expect(archived.body.data).toMatchObject({ modified: 2, unreadCount: 1 });
+
+            const inbox = await request(app)
+                .get("/api/notifications")
+                .set("Accept", "application/json")
+                .send({ author: testUser._id });
+            expect(inbox.body.data.total).toBe(2);
+            const archive = await request(app)
+                .get("/api/notifications?archived=archived")
+                .set("Accept", "application/json")
+                .send({ author: testUser._id });
+            expect(archive.body.data.total).toBe(2);
+
+            const restored = await api("post", "/unarchive", { ids: [first._id] });
+            expect(restored.body.data.modified).toBe(1);
+
+            const deleted = await api("delete", "", { ids: [second._id, theirs._id] });
+            expect(deleted.body.data.modified).toBe(1);
+            expect(await Notification.exists({ _id: theirs._id })).not.toBeNull();
+
+            expect((await api("delete", `/${payment._id}`)).statusCode).toBe(200);
+            expect((await api("delete", `/${payment._id}`)).statusCode).toBe(404);
+        });
+
+        it("should push the unread count to the user's sockets", async () => {
+            const emit = jest.fn();
+            const io = { to: jest.fn(() => ({ emit })) };
+
+            await createNotification(io, {
+                user: testUser._id,
+                type: "system.alert",
+                title: "Hello",
+                message: "World",
+            });
+
+            expect(io.to).toHaveBeenCalledWith(testUser._id.toString());
+            expect(emit).toHaveBeenCalledWith("notification:unread", { count: 1 });
+        });
+    });
+
+    describe("📬 Email digest", () => {
+        const DAY = 24 * 60 * 60 * 1000;
+        const inDays = (days) => new Date(Date.now() + days * DAY);
+
+        const notify = (fields = {}) =>
+            Notification.create({
+                user: testUser._id,
+                type: "appointment.updated",
+                title: "Appointment Approved",
+                message: "Your appointment was approved",
+                ...fields,
+            });
+
+        beforeEach(async () => {
+            sendMail.mockClear();
+            await Promise.all([
+                NotificationPreferences.deleteMany({}),
+                NotificationDigest.deleteMany({}),
+                Notification.deleteMany({}),
+            ]);
+            await NotificationPreferences.create({ user: testUser._id, digestFrequency: "daily" });
+        });
+
+        const setFrequency = (digestFrequency) =>
+            NotificationPreferences.updateOne({ user: testUser._id }, { digestFrequency });
+
+        it("should mail unread notifications once and mark them as digested", async () => {
+            await notify();
+            await notify({ type: "payment.received", title: "Payment Received" });
+            await notify({ title: "Already seen", status: "read" });
+
+            const now = inDays(2);
+            expect(await sendUserDigest(testUser, now)).toBe("sent");
+            expect(sendMail).toHaveBeenCalledTimes(1);
+            const mail = sendMail.mock.calls[0][0];
+            expect(mail.to).toBe(testUser.email);
+            expect(mail.template).toBe("digest");
+            expect(mail.data.count).toBe(2);
+            const titles = mail.data.groups.flatMap((g) => g.items.map((i) => i.title));
+            expect(titles).toContain("Payment Received");
+            expect(titles).not.toContain("Already seen");
+
+            const digest = await NotificationDigest.findOne({ user: testUser._id });
+            expect(digest.status).toBe("sent");
+            expect(digest.count).toBe(2);
+            expect(await Notification.countDocuments({ digest: digest._id, digestedAt: now })).toBe(
+                2
+            );
+
+            // nothing new since, so no second email
+            expect(await sendUserDigest(testUser, inDays(4))).toBe("nothing unread");
+            expect(sendMail).toHaveBeenCalledTimes(1);
+        });
+
+        it("should wait until a full period has passed", async () => {
+            await notify();
+            expect(await sendUserDigest(testUser, inDays(0.5))).toBe("not due");
+
+            await setFrequency("weekly");
+            expect(await sendUserDigest(testUser, inDays(2))).toBe("not due");
+            expect(await sendUserDigest(testUser, inDays(8))).toBe("sent");
+        });
+
+        it("should skip users who turned the digest off", async () => {
+            await setFrequency("off");
+            await notify();
+
+            expect(await sendUserDigest(testUser, inDays(2))).toBe("off");
+            expect(sendMail).not.toHaveBeenCalled();
+        });
+
+        it("should not repeat notifications that were already emailed", async () => {
+            const emailed = await createNotification(null, {
+                user: testUser._id,
+                type: "appointment.updated",
+                title: "Appointment Approved",
+                message: "Your appointment was approved",
+                channels: { email: true },
+                email: testUser.email,
+            });
+            expect(emailed.channels.digest).toBe(false);
+            sendMail.mockClear();
+
+            expect(await sendUserDigest(testUser, inDays(2))).toBe("nothing unread");
+            expect(sendMail).not.toHaveBeenCalled();
+        });
+
+        it("should leave a failed send to the outbox to retry", async () => {
+            await notify();
+            sendMail.mockRejectedValueOnce(new Error("SMTP unavailable"));
+
+            expect(await sendUserDigest(testUser, inDays(2))).toBe("sent");
+            const digest = await NotificationDigest.findOne({ user: testUser._id });
+            const email = await OutboxEmail.findById(digest.email);
+            expect(email.status).toBe("queued");
+            expect(email.lastError).toBe("SMTP unavailable");
+        });
+
+        it("should release the notifications when the email bounces", async () => {
+            await notify();
+            sendMail.mockRejectedValueOnce(
+                Object.assign(new Error("Mailbox unavailable"), { responseCode: 550 })
+            );
+
+            expect(await sendUserDigest(testUser, inDays(2))).toBe("failed");
+            expect(await NotificationDigest.findOne({ status: "failed" })).not.toBeNull();
+            expect(await Notification.countDocuments({ digestedAt: null })).toBe(1);
+
+            expect(await sendUserDigest(testUser, inDays(2))).toBe("sent");
+        });
+    });
+});
@@ -0,0 +1,128 @@
+const request = require("supertest");
+const app = require("../src/app");
+const User = require("../src/models/user.model");
+const Right = require("../src/models/rights.model");
+const Document = require("../src/models/document.model");
+const Bookmark = require("../src/models/bookmark.model");
+const { RIGHTS_PER_PAGE, buildOfflineManifest } = require("../src/utils/offlineContent");
+
+describe("📴 Offline content", () => {
+    let user;
+    let bookmarked;
+    let rights;
+
+    beforeAll(async () => {
+        await Promise.all([
+            User.deleteMany({}),
+            Right.deleteMany({}),
+            Document.deleteMany({}),
+            Bookmark.deleteMany({}),
+        ]);
+
+        rights = await Right.create(
+            Array.from({ length: RIGHTS_PER_PAGE + 1 }, (_, i) => ({
+                name: `Offline Right ${i + 1}`,
+                articleNumber: `Article ${14 + i}`,
+                description: "A fundamental right.",
+                sourceLink: "https://example.com/right",
+                category: "Right to Equality",
+            }))
+        );
+
+        const documentFields = {
+            description: "A government scheme.",
+            downloadLink: "https://example.com/download",
+            applyLink: "https://example.com/apply",
+            state: "Delhi",
+            department: "Education",
+            guidelines: ["Read the guidelines"],
+            requiredDocuments: ["Aadhar Card"],
+        };
+        bookmarked = await Document.create({ title: "Bookmarked Scheme", ...documentFields });
+        await Document.create({ title: "Other Scheme", ...documentFields });
+
+        user = await User.create({
+            username: "offlineuser",
+            email: "offlineuser@example.com",
+            savedTerms: ["Habeas Corpus", " habeas corpus", "Estoppel"],
+        });
+        await Bookmark.create({ userId: user._id, documents: [bookmarked._id] });
+    });
+
+    afterAll(async () => {
+        await Promise.all([
+            User.deleteMany({}),
+            Right.deleteMany({}),
+            Document.deleteMany({}),
+            Bookmark.deleteMany({}),
+        ]);
+    });
+
+    it("should give visitors every fundamental rights page", async () => {
+        const manifest = await buildOfflineManifest(null);
+        const urls = manifest.pages.map((p) => p.url);
+
+        expect(manifest.scope).toBeNull();
+        expect(manifest.terms).toEqual([]);
+        expect(urls).toEqual(
+            expect.arrayContaining(["/rights", "/rights?page=1", "/rights?page=2"])
+        );
+        rights.forEach((right) => expect(urls).toContain(`/api/rights/${right._id}`));
+        expect(manifest.pages.every((p) => p.kind === "rights")).toBe(true);
+    });
+
+    it("should add a user's bookmarked documents and saved terms", async () => {
+        const manifest = await buildOfflineManifest(user);
+        const documents = manifest.pages.filter((p) => p.kind === "document");
+
+        expect(manifest.scope).toBe(String(user._id));
+        expect(documents).toEqual([
+            {
+                url: `/api/documents/${bookmarked._id}`,
+                title: "Bookmarked Scheme",
+                kind: "document",
+            },
+        ]);
+        expect(manifest.terms).toEqual(["Habeas Corpus", "Estoppel"]);
+        expect(manifest.pages.map((p) => p.url)).toContain("/dictionary");
+    });
+
+    it("should serve the manifest without caching it", async () => {
+        const res = await request(app).get("/offline/manifest.json");
+
+        expect(res.statusCode).toBe(200);
+        expect(res.headers["cache-control"]).toBe("no-store");
+        expect(res.body.data.scope).toBeNull();
+        expect(res.body.data.pages.length).toBe(rights.length + 3);
+    });
+
+    it("should render the offline fallback page", async () => {
+        const res = await request(app).get("/offline").set("Accept", "text/html");
+
+        expect(res.statusCode).toBe(200);
+        expect(res.text).toContain("You're offline");
+    });
+});
+
+describe("📲 Web app manifest", () => {
+    it("should be installable with icons and shortcuts", async () => {
+        const res = await request(app).get("/manifest.webmanifest");
+        const manifest = JSON.parse(res.text);
+
+        expect(res.statusCode).toBe(200);
+        expect(res.headers["content-type"]).toMatch(/application\/manifest\+json/);
+        expect(manifest).toMatchObject({ start_url: "/", display: "standalone" });
+        expect(manifest.icons.map((icon) => icon.sizes)).toEqual(
+            expect.arrayContaining(["192x192", "512x512"])
+        );
+        expect(manifest.shortcuts.map((s) => s.url)).toEqual([
+            "/lawyers",
+            "/api/appointment/bookings",
+            "/dictionary",
+            "/chat",
+        ]);
+
+        const icon = await request(app).get(manifest.icons[0].src);
+        expect(icon.statusCode).toBe(200);
+    });
+});
@@ -0,0 +1,418 @@
+const request = require("supertest");
+const app = require("../src/app");
+const User = require("../src/models/user.model");
+const Appointment = require("../src/models/appointment.model");
+const Payment = require("../src/models/payment.model");
+const Invoice = require("../src/models/invoice.model");
+const Job = require("../src/models/job.model");
+const jobScheduler = require("../src/services/jobScheduler");
+const { registerPaymentJobs } = require("../src/jobs/paymentJobs");
+const { computeRefund } = require("../src/utils/refundPolicy");
+const {
+    REFUND_JOB,
+    splitTax,
+    getGateway,
+    registerGateway,
+    confirmPayment,
+    refundAppointmentPayment,
+} = require("../src/services/payments");
+
+describe("💳 Payments API Testing", () => {
+    const HOUR = 60 * 60 * 1000;
+    const DAY = 24 * HOUR;
+    let client;
+    let lawyer;
+    let appointment;
+    let orderId;
+
+    beforeAll(async () => {
+        await Promise.all([
+            Appointment.deleteMany({}),
+            Payment.deleteMany({}),
+            Invoice.deleteMany({}),
+            User.deleteMany({}),
+        ]);
+        client = await User.create({
+            username: "payclient",
+            email: "payclient@example.com",
+            role: "user",
+        });
+        lawyer = await User.create({
+            username: "paylawyer",
+            email: "paylawyer@example.com",
+            role: "lawyer",
+        });
+
+        const date = new Date(Date.now() + 5 * DAY);
+        date.setHours(0, 0, 0, 0);
+        appointment = await Appointment.create({
+            client: client._id,
+            lawyer: lawyer._id,
+            date,
+            timeSlot: "10:00 AM",
+            status: "pending",
+            feeAmount: 118000,
+            paymentStatus: "unpaid",
+            appointmentCard: { cardId: `LH-PAY-${Date.now()}` },
+        });
+    });
+
+    afterAll(async () => {
+        await Promise.all([
+            Appointment.deleteMany({}),
+            Payment.deleteMany({}),
+            Invoice.deleteMany({}),
+            Job.deleteMany({}),
+            User.deleteMany({}),
+        ]);
+    });
+
+    describe("🧾 Checkout", () => {
+        it("should only let the client start a payment", async () => {
+            const res = await request(app)
+                .post(`/api/payments/appointments/${appointment._id}/order`)
+                .set("Accept", "application/json")
+                .send({ author: lawyer._id });
+
+            expect(res.statusCode).toBe(403);
+            expect(res.body.msg).toBe("Only the client can pay for this appointment");
+        });
+
+        it("should turn checkouts away while the gateway is misconfigured", async () => {
+            registerGateway({
+                name: "unconfigured",
+                assertConfigured() {
+                    throw new Error("Gateway keys are missing");
+                },
+            });
+            const { PAYMENT_GATEWAY } = process.env;
+            process.env.PAYMENT_GATEWAY = "unconfigured";
+            let res;
+            try {
+                res = await request(app)
+                    .post(`/api/payments/appointments/${appointment._id}/order`)
+                    .set("Accept", "application/json")
+                    .send({ author: client._id });
+            } finally {
+                if (PAYMENT_GATEWAY === undefined) delete process.env.PAYMENT_GATEWAY;
+                else process.env.PAYMENT_GATEWAY = PAYMENT_GATEWAY;
+            }
+
+            expect(res.statusCode).toBe(402);
+            expect(res.body.msg).toBe("Online payments are currently unavailable");
+        });
+
+        it("should create a gateway order for the fee", async () => {
+            const res = await request(app)
+                .post(`/api/payments/appointments/${appointment._id}/order`)
+                .set("Accept", "application/json")
+                .send({ author: client._id });
+
+            expect(res.statusCode).toBe(201);
+            expect(res.body.data.amount).toBe(118000);
+            expect(res.body.data.checkout.gateway).toBe("fake");
+            orderId = res.body.data.orderId;
+        });
+
+        it("should not let the lawyer approve before the fee is paid", async () => {
+            const res = await request(app)
+                .put("/api/appointment/status")
+                .set("Accept", "application/json")
+                .send({ appointmentId: appointment._id, status: "approved", author: lawyer._id });
+
+            expect(res.statusCode).toBe(402);
+            expect(res.body.msg).toBe("Appointment fee must be paid before it can be approved");
+        });
+
+        it("should reject a forged checkout result", async () => {
+            const res = await request(app)
+                .post("/api/payments/verify")
+                .set("Accept", "application/json")
+                .send({
+                    orderId,
+                    paymentId: "pay_forged",
+                    signature: "not-a-signature",
+                    author: client._id,
+                });
+
+            expect(res.statusCode).toBe(400);
+            expect(res.body.msg).toBe("Payment verification failed");
+        });
+
+        it("should mark the appointment paid and issue a GST invoice", async () => {
+            const orderRes = await request(app)
+                .post(`/api/payments/appointments/${appointment._id}/order`)
+                .set("Accept", "application/json")
+                .send({ author: client._id });
+            orderId = orderRes.body.data.orderId;
+
+            const checkout = await request(app)
+                .post(`/api/payments/fake/${orderId}/complete`)
+                .set("Accept", "application/json")
+                .send({ author: client._id });
+            expect(checkout.statusCode).toBe(200);
+
+            const res = await request(app)
+                .post("/api/payments/verify")
+                .set("Accept", "application/json")
+                .send({ ...checkout.body.data, author: client._id });
+
+            expect(res.statusCode).toBe(200);
+            expect(res.body.data.status).toBe("paid");
+
+            const updated = await Appointment.findById(appointment._id);
+            expect(updated.paymentStatus).toBe("paid");
+
+            const invoice = await Invoice.findOne({ appointment: appointment._id });
+            expect(invoice.invoiceNumber).toMatch(/^LH-INV-\d{4}-/);
+            expect(invoice.total).toBe(118000);
+            expect(invoice.subtotal).toBe(100000);
+            expect(invoice.cgst + invoice.sgst).toBe(18000);
+        });
+
+        it("should allow approval once paid", async () => {
+            const res = await request(app)
+                .put("/api/appointment/status")
+                .set("Accept", "application/json")
+                .send({ appointmentId: appointment._id, status: "approved", author: lawyer._id });
+
+            expect(res.statusCode).toBe(200);
+            expect(res.body.data.status).toBe("approved");
+        });
+
+        it("should hide payments and invoices from other users", async () => {
+            const stranger = "64b4c7fe12f84b1f12345678";
+            const invoice = await Invoice.findOne({ appointment: appointment._id });
+
+            const paymentsRes = await request(app)
+                .get(`/api/payments/appointments/${appointment._id}`)
+                .set("Accept", "application/json")
+                .send({ author: stranger });
+            expect(paymentsRes.statusCode).toBe(403);
+
+            const pdfRes = await request(app)
+                .get(`/api/payments/invoices/${invoice._id}/pdf`)
+                .set("Accept", "application/json")
+                .send({ author: stranger });
+            expect(pdfRes.statusCode).toBe(403);
+        });
+
+        it("should refund in full when the client cancels days ahead", async () => {
+            const res = await request(app)
+                .delete(`/api/appointment/${appointment._id}`)
+                .set("Accept", "application/json")
+                .send({ author: client._id });
+
+            expect(res.statusCode).toBe(200);
+            expect(res.body.data.paymentStatus).toBe("refunded");
+
+            const payment = await Payment.findOne({
+                appointment: appointment._id,
+                status: "refunded",
+            });
+            expect(payment.refundedAmount).toBe(118000);
+            expect(payment.refunds[0].status).toBe("processed");
+
+            const invoice = await Invoice.findOne({ appointment: appointment._id });
+            expect(invoice.status).toBe("refunded");
+        });
+    });
+
+    describe("🔒 Verification", () => {
+        it("should confirm a checkout only once when verified twice at the same time", async () => {
+            const date = new Date(Date.now() + 6 * DAY);
+            date.setHours(0, 0, 0, 0);
+            const unpaid = await Appointment.create({
+                client: client._id,
+                lawyer: lawyer._id,
+                date,
+                timeSlot: "11:00 AM",
+                status: "pending",
+                feeAmount: 59000,
+                paymentStatus: "unpaid",
+                appointmentCard: { cardId: `LH-PAY-TWICE-${Date.now()}` },
+            });
+            const orderRes = await request(app)
+                .post(`/api/payments/appointments/${unpaid._id}/order`)
+                .set("Accept", "application/json")
+                .send({ author: client._id });
+            const result = await getGateway("fake").simulatePayment(orderRes.body.data.orderId);
+
+            const [first, second] = await Promise.all([
+                confirmPayment(result),
+                confirmPayment(result),
+            ]);
+
+            expect([first.status, second.status]).toContain("paid");
+            expect(await Invoice.countDocuments({ appointment: unpaid._id })).toBe(1);
+        });
+
+        it("should release the claim when recording a verified payment fails", async () => {
+            const date = new Date(Date.now() + 7 * DAY);
+            date.setHours(0, 0, 0, 0);
+            const unpaid = await Appointment.create({
+                client: client._id,
+                lawyer: lawyer._id,
+                date,
+                timeSlot: "11:00 AM",
+                status: "pending",
+                feeAmount: 59000,
+                paymentStatus: "unpaid",
+                appointmentCard: { cardId: `LH-PAY-RETRY-${Date.now()}` },
+            });
+            const orderRes = await request(app)
+                .post(`/api/payments/appointments/${unpaid._id}/order`)
+                .set("Accept", "application/json")
+                .send({ author: client._id });
+            const result = await getGateway("fake").simulatePayment(orderRes.body.data.orderId);
+
+            const create = jest
+                .spyOn(Invoice, "create")
+                .mockRejectedValueOnce(new Error("Database unavailable"));
+            try {
+                await expect(confirmPayment(result)).rejects.toThrow("Database unavailable");
+            } finally {
+                create.mockRestore();
+            }
+
+            const payment = await Payment.findOne({ gatewayOrderId: result.orderId });
+            expect(payment.status).toBe("created");
+            expect((await Appointment.findById(unpaid._id)).paymentStatus).toBe("unpaid");
+
+            // the same checkout result can be confirmed once the database is back
+            expect((await confirmPayment(result)).status).toBe("paid");
+            expect(await Invoice.countDocuments({ appointment: unpaid._id })).toBe(1);
+        });
+
+        it("should refuse the fake gateway in production", () => {
+            const { NODE_ENV, PAYMENT_GATEWAY } = process.env;
+            process.env.NODE_ENV = "production";
+            try {
+                delete process.env.PAYMENT_GATEWAY;
+                expect(() => getGateway()).toThrow("PAYMENT_GATEWAY must be set in production");
+
+                process.env.PAYMENT_GATEWAY = "fake";
+                expect(() => getGateway()).toThrow(
+                    "The fake payment gateway cannot be used in production"
+                );
+            } finally {
+                process.env.NODE_ENV = NODE_ENV;
+                if (PAYMENT_GATEWAY === undefined) delete process.env.PAYMENT_GATEWAY;
+                else process.env.PAYMENT_GATEWAY = PAYMENT_GATEWAY;
+            }
+        });
+    });
+
+    describe("🔁 Refund retries", () => {
+        let gatewayDown = true;
+
+        beforeAll(() => {
+            registerGateway({
+                name: "flaky",
+                async refund({ paymentId, amount }) {
+                    if (gatewayDown) throw new Error("Gateway unavailable");
+                    return { refundId: "rfnd_flaky", paymentId, amount, status: "processed" };
+                },
+            });
+            registerPaymentJobs();
+        });
+
+        afterAll(() => {
+            jobScheduler.stop();
+        });
+
+        it("should retry a failed refund in the background until the gateway accepts it", async () => {
+            const date = new Date(Date.now() + 7 * DAY);
+            date.setHours(0, 0, 0, 0);
+            const cancelled = await Appointment.create({
+                client: client._id,
+                lawyer: lawyer._id,
+                date,
+                timeSlot: "12:00 PM",
+                status: "cancelled",
+                feeAmount: 118000,
+                paymentStatus: "paid",
+                appointmentCard: { cardId: `LH-PAY-RETRY-${Date.now()}` },
+            });
+            const payment = await Payment.create({
+                appointment: cancelled._id,
+                payer: client._id,
+                payee: lawyer._id,
+                amount: 118000,
+                gateway: "flaky",
+                gatewayOrderId: `order_flaky_${Date.now()}`,
+                gatewayPaymentId: "pay_flaky",
+                status: "paid",
+            });
+
+            const entry = await refundAppointmentPayment(cancelled, {
+                status: "cancelled",
+                role: "lawyer",
+            });
+            expect(entry.status).toBe("failed");
+            expect(await Job.countDocuments({ name: REFUND_JOB, status: "queued" })).toBe(1);
+
+            // a second refund attempt must not refund the amount still owed again
+            expect(
+                await refundAppointmentPayment(cancelled, { status: "cancelled", role: "lawyer" })
+            ).toBeNull();
+
+            const later = new Date(Date.now() + 2 * 60 * 1000);
+            await jobScheduler.runDueJobs(later);
+            const stillOwed = await Payment.findById(payment._id);
+            expect(stillOwed.refunds[0].status).toBe("failed");
+            expect(await Job.countDocuments({ name: REFUND_JOB, status: "queued" })).toBe(1);
+
+            gatewayDown = false;
+            await jobScheduler.runDueJobs(new Date(later.getTime() + HOUR));
+
+            const refunded = await Payment.findById(payment._id);
+            expect(refunded.status).toBe("refunded");
+            expect(refunded.refundedAmount).toBe(118000);
+            expect(refunded.refunds).toHaveLength(1);
+            expect(refunded.refunds[0].status).toBe("processed");
+            expect((await Appointment.findById(cancelled._id)).paymentStatus).toBe("refunded");
+        });
+    });
+
+    describe("↩️ Refund policy", () => {
+        const now = new Date("2030-01-10T08:00:00");
+        const slotAt = (hoursAhead) => {
+            const start = new Date(now.getTime() + hoursAhead * HOUR);
+            const date = new Date(start);
+            date.setHours(0, 0, 0, 0);
+            const h = start.getHours();
+            const label = `${h % 12 || 12}:00 ${h < 12 ? "AM" : "PM"}`;
+            return { date, timeSlot: label, feeAmount: 100000 };
+        };
+
+        it("should refund half for client cancellations under 24h", () => {
+            const refund = computeRefund(slotAt(5), { status: "cancelled", role: "client", now });
+            expect(refund.percent).toBe(50);
+            expect(refund.amount).toBe(50000);
+        });
+
+        it("should refund nothing for client cancellations under 2h", () => {
+            const refund = computeRefund(slotAt(1), { status: "cancelled", role: "client", now });
+            expect(refund.amount).toBe(0);
+        });
+
+        it("should refund in full when the lawyer cancels or rejects", () => {
+            expect(
+                computeRefund(slotAt(1), { status: "cancelled", role: "lawyer", now }).percent
+            ).toBe(100);
+            expect(
+                computeRefund(slotAt(1), { status: "rejected", role: "lawyer", now }).percent
+            ).toBe(100);
+        });
+
+        it("should split GST-inclusive amounts into CGST and SGST", () => {
+            expect(splitTax(118000, 18)).toEqual({
+                subtotal: 100000,
+                cgst: 9000,
+                sgst: 9000,
+                total: 118000,
+            });
+        });
+    });
+});
@@ -0,0 +1,132 @@
+jest.mock("puppeteer", () => ({ launch: jest.fn() }));
+
+// small limits so the queue and timeout are easy to reach; read when the service loads
+process.env.PDF_POOL_SIZE = "1";
+process.env.PDF_CONCURRENCY = "1";
+process.env.PDF_QUEUE_LIMIT = "1";
+process.env.PDF_RENDER_TIMEOUT_MS = "100";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const puppeteer = require("puppeteer");
+const pdfService = require("../src/services/pdfService");
+
+describe("🖨️ PDF Service", () => {
+    let browser;
+    let pages;
+    let templatePath;
+
+    // what the next page does on setContent / pdf; defaults render "%PDF-<html>"
+    let setContent;
+    let printPdf;
+
+    beforeAll(() => {
+        templatePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "pdf-")), "doc.ejs");
+        fs.writeFileSync(templatePath, "<h1><%= title %></h1>");
+    });
+
+    beforeEach(async () => {
+        await pdfService.shutdown();
+        pages = [];
+        setContent = async () => {};
+        printPdf = async (page) => `%PDF-${page.html}`;
+
+        browser = {
+            on: jest.fn(),
+            close: jest.fn(async () => {}),
+            newPage: jest.fn(async () => {
+                const page = {
+                    setContent: jest.fn(async (html) => {
+                        page.html = html;
+                        return setContent(html);
+                    }),
+                    pdf: jest.fn(async () => printPdf(page)),
+                    close: jest.fn(async () => {}),
+                };
+                pages.push(page);
+                return page;
+            }),
+        };
+        puppeteer.launch.mockReset();
+        puppeteer.launch.mockResolvedValue(browser);
+    });
+
+    afterAll(async () => {
+        await pdfService.shutdown();
+        fs.rmSync(path.dirname(templatePath), { recursive: true, force: true });
+    });
+
+    it("should render HTML on a pooled browser and close the page", async () => {
+        const first = await pdfService.renderHtmlToPdf("<p>one</p>");
+        await pdfService.renderHtmlToPdf("<p>two</p>");
+
+        expect(first.toString()).toBe("%PDF-<p>one</p>");
+        expect(puppeteer.launch).toHaveBeenCalledTimes(1);
+        expect(pages.every((page) => page.close.mock.calls.length === 1)).toBe(true);
+    });
+
+    it("should serve repeated template renders from the cache", async () => {
+        const first = await pdfService.renderTemplateToPdf(templatePath, { title: "Deed" });
+        const second = await pdfService.renderTemplateToPdf(templatePath, { title: "Deed" });
+        expect(second).toBe(first);
+        expect(pages).toHaveLength(1);
+
+        await pdfService.renderTemplateToPdf(templatePath, { title: "Will" });
+        await pdfService.renderTemplateToPdf(templatePath, { title: "Deed" }, { cache: false });
+        expect(pages).toHaveLength(3);
+    });
+
+    it("should reject with 503 once the queue is full", async () => {
+        let release;
+        setContent = () => new Promise((resolve) => (release = resolve));
+
+        const running = pdfService.renderHtmlToPdf("<p>running</p>");
+        const queued = pdfService.renderHtmlToPdf("<p>queued</p>");
+        await expect(pdfService.renderHtmlToPdf("<p>rejected</p>")).rejects.toMatchObject({
+            statusCode: 503,
+        });
+        expect(pdfService.getStats()).toMatchObject({ running: 1, queued: 1 });
+
+        // wait for the first page to reach setContent, then let it finish
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        setContent = async () => {};
+        release();
+        await expect(running).resolves.toBeInstanceOf(Buffer);
+        await expect(queued).resolves.toBeInstanceOf(Buffer);
+        expect(pdfService.getStats()).toMatchObject({ running: 0, queued: 0 });
+    });
+
+    it("should give up on a hung render with 504 and release the page", async () => {
+        setContent = () => new Promise(() => {});
+
+        await expect(pdfService.renderHtmlToPdf("<p>hangs</p>")).rejects.toMatchObject({
+            statusCode: 504,
+        });
+        expect(pages[0].close).toHaveBeenCalledTimes(1);
+        expect(pdfService.getStats().running).toBe(0);
+    });
+
+    it("should release the page when rendering fails", async () => {
+        printPdf = async () => {
+            throw new Error("Target closed");
+        };
+
+        await expect(pdfService.renderHtmlToPdf("<p>fails</p>")).rejects.toThrow("Target closed");
+        expect(pages[0].close).toHaveBeenCalledTimes(1);
+
+        // the slot is free again for the next render
+        printPdf = async (page) => `%PDF-${page.html}`;
+        await expect(pdfService.renderHtmlToPdf("<p>next</p>")).resolves.toBeInstanceOf(Buffer);
+    });
+
+    it("should close pooled browsers and clear the cache on shutdown", async () => {
+        await pdfService.renderTemplateToPdf(templatePath, { title: "Deed" });
+        expect(pdfService.getStats()).toMatchObject({ browsers: 1, cached: 1 });
+
+        await pdfService.shutdown();
+
+        expect(browser.close).toHaveBeenCalledTimes(1);
+        expect(pdfService.getStats()).toMatchObject({ browsers: 0, cached: 0 });
+    });
+});
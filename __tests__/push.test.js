@@ -0,0 +1,163 @@
+jest.mock("../src/config/push", () => ({
+    webPush: { sendNotification: jest.fn() },
+    enabled: true,
+    publicKey: "test-public-key",
+}));
+
+const request = require("supertest");
+const app = require("../src/app");
+const User = require("../src/models/user.model");
+const Subscription = require("../src/models/subscription.model");
+const { webPush } = require("../src/config/push");
+const {
+    MAX_PUSH_FAILURES,
+    PUSH_CONCURRENCY,
+    describeDevice,
+    sendToSubscription,
+    sendToSubscriptions,
+} = require("../src/services/push");
+
+const CHROME_ANDROID =
+    "Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Mobile Safari/537.36";
+
+describe("📱 Push devices", () => {
+    let owner;
+    let other;
+
+    const subscribe = (user, endpoint) =>
+        Subscription.create({
+            user: user._id,
+            endpoint,
+            keys: { p256dh: "p256dh-key", auth: "auth-key" },
+            userAgent: CHROME_ANDROID,
+            deviceName: describeDevice(CHROME_ANDROID),
+        });
+
+    beforeAll(async () => {
+        await Promise.all([User.deleteMany({}), Subscription.deleteMany({})]);
+        owner = await User.create({ username: "pushowner", email: "pushowner@example.com" });
+        other = await User.create({ username: "pushother", email: "pushother@example.com" });
+    });
+
+    beforeEach(async () => {
+        webPush.sendNotification.mockReset();
+        await Subscription.deleteMany({});
+    });
+
+    afterAll(async () => {
+        await Promise.all([User.deleteMany({}), Subscription.deleteMany({})]);
+    });
+
+    it("should name devices from the user agent", () => {
+        expect(describeDevice(CHROME_ANDROID)).toMatch(/Chrome/);
+        expect(describeDevice(null)).toBe("Unknown device");
+    });
+
+    it("should list only the user's own devices", async () => {
+        await subscribe(owner, "https://push.example.com/owner");
+        await subscribe(other, "https://push.example.com/other");
+
+        const res = await request(app)
+            .get("/api/push/devices")
+            .set("Accept", "application/json")
+            .send({ author: owner._id });
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.data).toHaveLength(1);
+        expect(res.body.data[0].endpoint).toBe("https://push.example.com/owner");
+        expect(res.body.data[0].keys).toBeUndefined();
+    });
+
+    it("should revoke a device but not someone else's", async () => {
+        const mine = await subscribe(owner, "https://push.example.com/owner");
+        const theirs = await subscribe(other, "https://push.example.com/other");
+
+        const forbidden = await request(app)
+            .delete(`/api/push/devices/${theirs._id}`)
+            .set("Accept", "application/json")
+            .send({ author: owner._id });
+        expect(forbidden.statusCode).toBe(404);
+
+        const res = await request(app)
+            .delete(`/api/push/devices/${mine._id}`)
+            .set("Accept", "application/json")
+            .send({ author: owner._id });
+        expect(res.statusCode).toBe(200);
+        expect(await Subscription.exists({ _id: mine._id })).toBeNull();
+        expect(await Subscription.exists({ _id: theirs._id })).not.toBeNull();
+    });
+
+    it("should send a test push to one device", async () => {
+        webPush.sendNotification.mockResolvedValue({ statusCode: 201 });
+        const device = await subscribe(owner, "https://push.example.com/owner");
+
+        const res = await request(app)
+            .post(`/api/push/devices/${device._id}/test`)
+            .set("Accept", "application/json")
+            .send({ author: owner._id });
+
+        expect(res.statusCode).toBe(200);
+        expect(webPush.sendNotification).toHaveBeenCalledTimes(1);
+        expect(webPush.sendNotification.mock.calls[0][0].endpoint).toBe(device.endpoint);
+        expect((await Subscription.findById(device._id)).lastPushAt).toBeInstanceOf(Date);
+    });
+
+    it("should remove a subscription the push service reports as gone", async () => {
+        webPush.sendNotification.mockRejectedValue(
+            Object.assign(new Error("Gone"), { statusCode: 410 })
+        );
+        const device = await subscribe(owner, "https://push.example.com/owner");
+
+        const result = await sendToSubscription(device, { title: "Hi" });
+
+        expect(result.status).toBe("removed");
+        expect(await Subscription.exists({ _id: device._id })).toBeNull();
+    });
+
+    it("should prune a subscription after repeated failures", async () => {
+        webPush.sendNotification.mockRejectedValue(
+            Object.assign(new Error("Server error"), { statusCode: 500 })
+        );
+        const device = await subscribe(owner, "https://push.example.com/owner");
+
+        for (let i = 1; i < MAX_PUSH_FAILURES; i++) {
+            expect((await sendToSubscription(device, { title: "Hi" })).status).toBe("failed");
+        }
+        expect((await Subscription.findById(device._id)).failureCount).toBe(MAX_PUSH_FAILURES - 1);
+
+        expect((await sendToSubscription(device, { title: "Hi" })).status).toBe("removed");
+        expect(await Subscription.exists({ _id: device._id })).toBeNull();
+    });
+
+    it("should reset the failure count after a successful push", async () => {
+        const device = await subscribe(owner, "https://push.example.com/owner");
+        webPush.sendNotification.mockRejectedValueOnce(new Error("Timeout"));
+        await sendToSubscription(device, { title: "Hi" });
+
+        webPush.sendNotification.mockResolvedValueOnce({ statusCode: 201 });
+        await sendToSubscription(device, { title: "Hi" });
+
+        expect((await Subscription.findById(device._id)).failureCount).toBe(0);
+    });
+
+    it("should limit how many pushes a broadcast sends at once", async () => {
+        const total = PUSH_CONCURRENCY * 2 + 1;
+        for (let i = 0; i < total; i++) {
+            await subscribe(i % 2 ? owner : other, `https://push.example.com/device-${i}`);
+        }
+        let inFlight = 0;
+        let maxInFlight = 0;
+        webPush.sendNotification.mockImplementation(async () => {
+            maxInFlight = Math.max(maxInFlight, ++inFlight);
+            await new Promise((resolve) => setTimeout(resolve, 5));
+            inFlight--;
+            return { statusCode: 201 };
+        });
+
+        const results = await sendToSubscriptions({}, { title: "Hi" });
+
+        expect(results).toHaveLength(total);
+        expect(results.every((r) => r.status === "ok")).toBe(true);
+        expect(maxInFlight).toBe(PUSH_CONCURRENCY);
+    });
+});
@@ -32,12 +32,16 @@ module.exports = [
                 Event: "readonly",
                 Notification: "readonly",
                 URL: "readonly",
+                URLSearchParams: "readonly",
                 alert: "readonly",
                 prompt: "readonly",
                 IntersectionObserver: "readonly",
                 // Service Worker globals
                 self: "readonly",
                 clients: "readonly",
+                caches: "readonly",
+                Request: "readonly",
+                Response: "readonly",
                 // Jest globals
                 beforeAll: "readonly",
                 afterAll: "readonly",
@@ -34,13 +34,14 @@ const GoogleStrategy = require("passport-google-oauth20").Strategy;
 // Import User model (Fix for passport authentication)
 const User = require("./models/user.model.js");
 const Notification = require("./models/notification.model.js");
+const { countUnread } = require("./utils/notificationInbox.js");
 
 // Import Utility Functions
 const apiError = require("./utils/apiError.js");
 const apiResponse = require("./utils/apiResponse.js");
 
 // Rate Limiter
-const apiLimiter = require("./middlewares/rateLimiter.middleware.js");
+const { apiLimiter } = require("./middlewares/rateLimiter.middleware.js");
 
 // Basic security & middleware (top)
 const NODE_ENV = process.env.NODE_ENV || "development";
@@ -67,6 +68,7 @@ app.use(
                     "https://cdn.jsdelivr.net",
                     "https://cdn.gtranslate.net",
                     "https://www.chatbase.co",
+                    "https://checkout.razorpay.com",
                 ],
                 "script-src-attr": ["'unsafe-inline'"], // ✅ allow onclick etc.
                 "script-src-elem": [
@@ -75,6 +77,7 @@ app.use(
                     "https://cdn.jsdelivr.net",
                     "https://cdn.gtranslate.net",
                     "https://www.chatbase.co",
+                    "https://checkout.razorpay.com",
                 ], // ✅ allow inline <script>
                 "style-src": [
                     "'self'",
@@ -94,8 +97,9 @@ app.use(
                     "https://www.chatbase.co",
                     "wss://www.chatbase.co",
                     "https://cdn.jsdelivr.net",
+                    "https://api.razorpay.com",
                 ],
-                "frame-src": ["'self'", "https://www.chatbase.co"],
+                "frame-src": ["'self'", "https://www.chatbase.co", "https://api.razorpay.com"],
             },
         },
     })
@@ -137,7 +141,7 @@ app.use(cookieParser());
 // Static files
 app.use(express.static(path.join(__dirname, "/public")));
 app.use(methodOverride("_method"));
-app.use(express.static('public'));
+app.use(express.static("public"));
 
 // ------------------------- View engine -------------------------
 app.engine("ejs", ejsMate);
@@ -169,7 +173,10 @@ if (!IS_TEST) {
     });
 }
 
-app.use(session(sessionOptions));
+const sessionMiddleware = session(sessionOptions);
+app.use(sessionMiddleware);
+// shared with socket.io so sockets are authenticated by the same session (see src/index.js)
+app.set("sessionMiddleware", sessionMiddleware);
 app.use(flash());
 
 // Passport
@@ -206,13 +213,14 @@ app.use(async (req, res, next) => {
     }
     try {
         // rest of your code...
-        const notifications = await Notification.find({ user: req.user._id })
+        const notifications = await Notification.find({
+            user: req.user._id,
+            archivedAt: null,
+            "channels.inApp": { $ne: false },
+        })
             .sort({ createdAt: -1 })
             .limit(5);
-        const unreadCount = await Notification.countDocuments({
-            user: req.user._id,
-            status: "unread",
-        });
+        const unreadCount = await countUnread(req.user._id);
         res.locals.notifications = notifications;
         res.locals.notificationsCount = unreadCount;
     } catch (err) {
@@ -318,6 +326,8 @@ const reviewRoutes = require("./routes/review.routes.js");
 const adminRoutes = require("./routes/admin.routes.js");
 const notificationRoutes = require("./routes/notification.routes.js");
 const securityRoutes = require("./routes/security.routes.js");
+const verifyRoutes = require("./routes/verify.routes.js");
+const paymentRoutes = require("./routes/payment.routes.js");
 
 // Rate-limiter applied to /api (keeps it at top)
 app.use("/api", apiLimiter);
@@ -336,12 +346,14 @@ app.use("/api/articles", articleRoutes);
 app.use("/api/users", userRoutes);
 app.use("/api/lawyers", lawyerRoutes);
 app.use("/api/appointment", appointmentRoutes);
+app.use("/api/payments", paymentRoutes);
 app.use("/chat", chatRoutes);
 app.use("/api/reviews", reviewRoutes);
 app.use("/api/admin", adminRoutes);
 app.use("/api/notifications", notificationRoutes);
 app.use("/api/push", require("./routes/push.routes.js"));
 app.use("/account/security", securityRoutes);
+app.use("/verify", verifyRoutes);
 
 // Smart Search
 app.get("/api/search", smartSearch);
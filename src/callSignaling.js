@@ -0,0 +1,245 @@
+// src/callSignaling.js
+// WebRTC signaling for voice/video consultations. Media flows peer to peer; the
+// server only authorizes participants, relays offer/answer/ICE messages between
+// the sockets in a call and keeps the CallLog up to date.
+
+const mongoose = require("mongoose");
+const CallLog = require("./models/callLog.model");
+const ChatRoom = require("./models/chatRoom.model");
+const { loadCallAccess } = require("./utils/callAccess");
+const { socketError } = require("./middlewares/socketAuth.middleware");
+
+const RING_TIMEOUT = 45 * 1000;
+const RELAYED_EVENTS = ["call:offer", "call:answer", "call:ice-candidate"];
+
+// callId -> { chatRoomId, participants, ringTimer, windowTimer } for calls in progress
+const activeCalls = new Map();
+
+const callRoom = (chatRoomId) => `call:${chatRoomId}`;
+
+function unrefTimer(timer) {
+    if (timer && typeof timer.unref === "function") timer.unref();
+    return timer;
+}
+
+// everyone who should hear about the call: the call itself, the chat and each
+// participant's personal notification room (socket.io de-duplicates the union)
+function broadcastTo(io, entry) {
+    let target = io.to(callRoom(entry.chatRoomId)).to(entry.chatRoomId);
+    entry.participants.forEach((id) => {
+        target = target.to(id);
+    });
+    return target;
+}
+
+/**
+ * Close a ringing or active call and tell everyone involved
+ */
+async function endCall(io, callLog, { endedBy = null, reason }) {
+    const callId = String(callLog._id);
+    const entry = activeCalls.get(callId);
+    if (entry) {
+        clearTimeout(entry.ringTimer);
+        clearTimeout(entry.windowTimer);
+        activeCalls.delete(callId);
+    }
+    if (!["ringing", "active"].includes(callLog.status)) return callLog;
+
+    const now = new Date();
+    if (callLog.status === "active") {
+        callLog.status = "ended";
+        callLog.durationSeconds = Math.round((now - callLog.answeredAt) / 1000);
+    } else {
+        callLog.status = reason === "declined" ? "declined" : "missed";
+    }
+    callLog.endedAt = now;
+    callLog.endedBy = endedBy;
+    callLog.endReason = reason;
+    await callLog.save();
+
+    const chatRoomId = String(callLog.chatRoom);
+    broadcastTo(io, entry || { chatRoomId, participants: [] }).emit("call:ended", {
+        callId,
+        chatRoomId,
+        status: callLog.status,
+        reason,
+        durationSeconds: callLog.durationSeconds,
+    });
+    io.in(callRoom(chatRoomId)).socketsLeave(callRoom(chatRoomId));
+    return callLog;
+}
+
+async function endCallById(io, callId, options) {
+    const callLog = await CallLog.findById(callId);
+    if (callLog) await endCall(io, callLog, options);
+}
+
+function trackCall(io, callLog, closesAt) {
+    const callId = String(callLog._id);
+    const entry = {
+        chatRoomId: String(callLog.chatRoom),
+        participants: [],
+        ringTimer: unrefTimer(
+            setTimeout(() => {
+                endCallById(io, callId, { reason: "no_answer" }).catch((err) =>
+                    console.error("call ring timeout error:", err)
+                );
+            }, RING_TIMEOUT)
+        ),
+        windowTimer: unrefTimer(
+            setTimeout(
+                () => {
+                    endCallById(io, callId, { reason: "window_closed" }).catch((err) =>
+                        console.error("call window timeout error:", err)
+                    );
+                },
+                Math.max(0, closesAt - Date.now())
+            )
+        ),
+    };
+    activeCalls.set(callId, entry);
+    return entry;
+}
+
+// Leave whatever call this socket is in; a 1:1 consultation ends when either side leaves
+async function leaveCall(io, socket, reason) {
+    const call = socket.data.call;
+    if (!call) return;
+    socket.data.call = null;
+    socket.leave(callRoom(call.chatRoomId));
+    if (!activeCalls.has(call.callId)) return;
+    await endCallById(io, call.callId, { endedBy: call.userId, reason });
+}
+
+module.exports = function registerCallHandlers(io, socket) {
+    const userId = socket.data.user._id;
+
+    // Start a call, or answer the one already ringing in this chat room
+    socket.on("call:join", async ({ chatRoomId, type } = {}, callback) => {
+        try {
+            if (!mongoose.isValidObjectId(chatRoomId)) {
+                return callback?.(socketError(400, "A valid chat room ID is required"));
+            }
+            const { chatRoom, access } = await loadCallAccess(chatRoomId, userId);
+            if (!access.allowed) {
+                return callback?.(socketError(chatRoom ? 403 : 404, access.reason));
+            }
+            await leaveCall(io, socket, "hangup");
+
+            let callLog = await CallLog.findOne({
+                chatRoom: chatRoom._id,
+                status: { $in: ["ringing", "active"] },
+            });
+            let entry = callLog && activeCalls.get(String(callLog._id));
+
+            if (callLog && !entry) {
+                // left over from a restart; nobody can still be connected to it
+                await endCall(io, callLog, { reason: "disconnected" });
+                callLog = null;
+            }
+
+            if (!callLog) {
+                callLog = await CallLog.create({
+                    chatRoom: chatRoom._id,
+                    appointment: chatRoom.appointment._id,
+                    initiator: userId,
+                    participants: [userId],
+                    type: type === "audio" ? "audio" : "video",
+                });
+                entry = trackCall(io, callLog, access.closesAt);
+                entry.participants = chatRoom.participants.map(String);
+
+                socket
+                    .to(String(chatRoom._id))
+                    .to(entry.participants.filter((id) => id !== userId))
+                    .emit("call:incoming", {
+                        callId: String(callLog._id),
+                        chatRoomId: String(chatRoom._id),
+                        from: userId,
+                        type: callLog.type,
+                    });
+            } else {
+                if (!callLog.participants.some((p) => String(p) === userId)) {
+                    callLog.participants.push(userId);
+                }
+                if (callLog.status === "ringing" && String(callLog.initiator) !== userId) {
+                    callLog.status = "active";
+                    callLog.answeredAt = new Date();
+                    clearTimeout(entry.ringTimer);
+                }
+                await callLog.save();
+            }
+
+            const callId = String(callLog._id);
+            socket.data.call = { callId, chatRoomId: String(chatRoom._id), userId: userId };
+            socket.join(callRoom(chatRoom._id));
+            // the peer already in the call creates the WebRTC offer when this arrives
+            socket.to(callRoom(chatRoom._id)).emit("call:peer-joined", { callId, userId });
+
+            callback?.({
+                status: "ok",
+                callId,
+                type: callLog.type,
+                initiator: String(callLog.initiator),
+                callStatus: callLog.status,
+                closesAt: access.closesAt,
+            });
+        } catch (err) {
+            console.error("call:join error:", err);
+            callback?.(socketError(500, "Server error"));
+        }
+    });
+
+    // SDP and ICE candidates are only relayed between sockets that joined the same call
+    RELAYED_EVENTS.forEach((event) => {
+        socket.on(event, (payload = {}) => {
+            const call = socket.data.call;
+            if (!call || !activeCalls.has(call.callId)) return;
+            if (String(payload.chatRoomId) !== call.chatRoomId) return;
+
+            socket.to(callRoom(call.chatRoomId)).emit(event, {
+                callId: call.callId,
+                from: call.userId,
+                sdp: payload.sdp,
+                candidate: payload.candidate,
+            });
+        });
+    });
+
+    // Reject a ringing call without joining it
+    socket.on("call:decline", async ({ chatRoomId } = {}, callback) => {
+        try {
+            if (!mongoose.isValidObjectId(chatRoomId)) {
+                return callback?.(socketError(400, "A valid chat room ID is required"));
+            }
+            const chatRoom = await ChatRoom.findById(chatRoomId).select("participants");
+            if (!chatRoom || !chatRoom.participants.some((p) => String(p) === userId)) {
+                return callback?.(socketError(403, "You do not have access to this chat room"));
+            }
+            const callLog = await CallLog.findOne({ chatRoom: chatRoom._id, status: "ringing" });
+            if (callLog && String(callLog.initiator) !== userId) {
+                await endCall(io, callLog, { endedBy: userId, reason: "declined" });
+            }
+            callback?.({ status: "ok" });
+        } catch (err) {
+            console.error("call:decline error:", err);
+            callback?.(socketError(500, "Server error"));
+        }
+    });
+
+    socket.on("call:leave", async (payload, callback) => {
+        try {
+            await leaveCall(io, socket, "hangup");
+            callback?.({ status: "ok" });
+        } catch (err) {
+            console.error("call:leave error:", err);
+            callback?.(socketError(500, "Server error"));
+        }
+    });
+
+    socket.on("disconnect", () => {
+        leaveCall(io, socket, "disconnected").catch((err) =>
+            console.error("call disconnect error:", err)
+        );
+    });
+};
@@ -0,0 +1,21 @@
+// src/config/webrtc.js
+const { conditionalConsole } = require("../utils/logger");
+
+const DEFAULT_ICE_SERVERS = [{ urls: "stun:stun.l.google.com:19302" }];
+
+/**
+ * ICE servers handed to browsers for consultation calls. WEBRTC_ICE_SERVERS takes
+ * a JSON array of RTCIceServer objects, e.g. to add a TURN server.
+ */
+function getIceServers() {
+    if (!process.env.WEBRTC_ICE_SERVERS) return DEFAULT_ICE_SERVERS;
+    try {
+        const servers = JSON.parse(process.env.WEBRTC_ICE_SERVERS);
+        if (Array.isArray(servers) && servers.length > 0) return servers;
+    } catch (error) {
+        conditionalConsole.error("❌ WEBRTC_ICE_SERVERS is not valid JSON:", error.message);
+    }
+    return DEFAULT_ICE_SERVERS;
+}
+
+module.exports = { getIceServers };
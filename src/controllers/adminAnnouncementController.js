@@ -0,0 +1,155 @@
+const mongoose = require("mongoose");
+const Announcement = require("../models/announcement.model.js");
+const LawyerProfile = require("../models/lawyer.model.js");
+const asyncHandler = require("../utils/asyncHandler.js");
+const apiResponse = require("../utils/apiResponse.js");
+const apiError = require("../utils/apiError.js");
+const {
+    SEGMENTS,
+    countAudience,
+    scheduleAnnouncement,
+    cancelAnnouncement,
+    getAnnouncementStats,
+    getAnnouncementStatsList,
+} = require("../jobs/announcementJobs.js");
+
+const isOn = (value) => value === true || value === "true" || value === "on" || value === "1";
+
+/**
+ * Validate a submitted announcement
+ * @returns {{ fields: Object, error: String|null }}
+ */
+function parseAnnouncement(body) {
+    const title = (body.title || "").trim();
+    const message = (body.message || "").trim();
+    if (!title || !message) return { error: "Title and message are required" };
+    if (title.length > 120) return { error: "Title must be at most 120 characters" };
+    if (message.length > 1000) return { error: "Message must be at most 1000 characters" };
+
+    const url = (body.url || "").trim() || null;
+    // only links inside the portal, so a notification can't send users elsewhere
+    if (url && (!url.startsWith("/") || url.startsWith("//"))) {
+        return { error: "Link must be a path on this site, e.g. /articles" };
+    }
+
+    if (!SEGMENTS.includes(body.segment)) {
+        return { error: `Segment must be one of: ${SEGMENTS.join(", ")}` };
+    }
+    const state = (body.state || "").trim() || null;
+    if (body.segment === "state" && !state) return { error: "Choose a state for this segment" };
+
+    const channels = body.channels || {};
+    const selected = {
+        inApp: isOn(channels.inApp),
+        push: isOn(channels.push),
+        email: isOn(channels.email),
+    };
+    if (!selected.inApp && !selected.push && !selected.email) {
+        return { error: "Choose at least one channel" };
+    }
+
+    let scheduledFor = new Date();
+    if (body.scheduledFor) {
+        scheduledFor = new Date(body.scheduledFor);
+        if (Number.isNaN(scheduledFor.getTime())) return { error: "Invalid schedule date" };
+    }
+
+    return {
+        fields: {
+            title,
+            message,
+            url,
+            segment: body.segment,
+            state: body.segment === "state" ? state : null,
+            channels: selected,
+            priority: body.priority === "high" ? "high" : "normal",
+            scheduledFor,
+        },
+        error: null,
+    };
+}
+
+// Announcements with their delivery statistics, and the compose form
+const renderAnnouncements = asyncHandler(async (req, res) => {
+    const announcements = await Announcement.find()
+        .populate("createdBy", "username")
+        .sort({ scheduledFor: -1 })
+        .limit(50);
+    const stats = await getAnnouncementStatsList(announcements);
+    const items = announcements.map((announcement, i) => ({ announcement, stats: stats[i] }));
+
+    if (req.accepts("html")) {
+        const states = (await LawyerProfile.distinct("state")).filter(Boolean).sort();
+        return res.render("admin/announcements", { items, segments: SEGMENTS, states });
+    }
+    res.status(200).json(new apiResponse(200, items, "Announcements fetched"));
+});
+
+// Compose an announcement; it goes out now or at scheduledFor
+const createAnnouncement = asyncHandler(async (req, res) => {
+    const { fields, error } = parseAnnouncement(req.body);
+    if (error) {
+        if (req.accepts("html")) {
+            req.flash("error", error);
+            return res.redirect("/api/admin/dashboard/announcements");
+        }
+        throw new apiError(400, error);
+    }
+
+    const announcement = await Announcement.create({ ...fields, createdBy: req.user._id });
+    await scheduleAnnouncement(announcement);
+    const audience = await countAudience(announcement);
+
+    const when =
+        announcement.scheduledFor > new Date()
+            ? `scheduled for ${announcement.scheduledFor.toLocaleString("en-IN")}`
+            : "is being sent";
+    const message = `Announcement ${when} to ${audience} user(s)`;
+
+    if (req.accepts("html")) {
+        req.flash("success", message);
+        return res.redirect("/api/admin/dashboard/announcements");
+    }
+    res.status(201).json(new apiResponse(201, { announcement, audience }, message));
+});
+
+// Delivery statistics of one announcement
+const getAnnouncement = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const announcement = mongoose.isValidObjectId(id) ? await Announcement.findById(id) : null;
+    if (!announcement) throw new apiError(404, "Announcement not found");
+
+    const stats = await getAnnouncementStats(announcement);
+    res.status(200).json(new apiResponse(200, { announcement, stats }, "Announcement fetched"));
+});
+
+// Cancel a scheduled announcement before it is sent
+const cancelScheduledAnnouncement = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) throw new apiError(404, "Announcement not found");
+
+    const announcement = await cancelAnnouncement(id);
+    if (!announcement) {
+        const existing = await Announcement.findById(id);
+        if (!existing) throw new apiError(404, "Announcement not found");
+        const error = `Announcement is already ${existing.status}`;
+        if (req.accepts("html")) {
+            req.flash("error", error);
+            return res.redirect("/api/admin/dashboard/announcements");
+        }
+        throw new apiError(409, error);
+    }
+
+    if (req.accepts("html")) {
+        req.flash("success", "Announcement cancelled");
+        return res.redirect("/api/admin/dashboard/announcements");
+    }
+    res.status(200).json(new apiResponse(200, announcement, "Announcement cancelled"));
+});
+
+module.exports = {
+    renderAnnouncements,
+    createAnnouncement,
+    getAnnouncement,
+    cancelScheduledAnnouncement,
+};
@@ -7,6 +7,10 @@ const asyncHandler = require("../utils/asyncHandler.js");
 const apiResponse = require("../utils/apiResponse.js");
 const apiError = require("../utils/apiError.js");
 const Appointment = require("../models/appointment.model.js");
+const OutboxEmail = require("../models/outboxEmail.model.js");
+const { getJobStats } = require("../services/jobScheduler.js");
+const { getMailBaseUrl } = require("../services/mail/index.js");
+const { queueMail } = require("../services/mail/outbox.js");
 
 // --- Dashboard stats
 const dashboardStats = asyncHandler(async (req, res) => {
@@ -24,6 +28,12 @@ const dashboardStats = asyncHandler(async (req, res) => {
     const approvedAppointments = await Appointment.countDocuments({ status: "approved" });
     const completedAppointments = await Appointment.countDocuments({ status: "completed" });
 
+    // Background job status
+    const jobStats = await getJobStats();
+    const failedEmails = await OutboxEmail.countDocuments({
+        status: { $in: ["failed", "bounced"] },
+    });
+
     // ✅ Fetch latest 10 appointments
     const appointments = await Appointment.find()
         .populate("client", "username email")
@@ -50,6 +60,8 @@ const dashboardStats = asyncHandler(async (req, res) => {
         completedAppointments,
         lawyers,
         appointments, // ✅ pass it to EJS
+        jobStats,
+        failedEmails,
     });
 });
 
@@ -62,6 +74,22 @@ const toggleLawyerApprove = asyncHandler(async (req, res) => {
     lawyer.isVerified = !lawyer.isVerified;
     await lawyer.save();
 
+    if (lawyer.isVerified) {
+        const lawyerUser = await User.findById(lawyer.user).select("name username email");
+        if (lawyerUser?.email) {
+            // the approval stands even if the email can't be sent
+            queueMail({
+                to: lawyerUser.email,
+                template: "lawyer_verified",
+                data: {
+                    name: lawyerUser.name || lawyerUser.username,
+                    profileUrl: `${getMailBaseUrl()}/lawyers/${lawyerUser._id}`,
+                },
+                user: lawyerUser._id,
+            }).catch((err) => console.error("Lawyer verified email failed:", err.message));
+        }
+    }
+
     if (req.accepts("html")) {
         req.flash("success", "Lawyer approved successfully");
         return res.redirect("/api/admin/dashboard");
@@ -0,0 +1,108 @@
+const mongoose = require("mongoose");
+const OutboxEmail = require("../models/outboxEmail.model.js");
+const asyncHandler = require("../utils/asyncHandler.js");
+const apiResponse = require("../utils/apiResponse.js");
+const apiError = require("../utils/apiError.js");
+const { TEMPLATES, LOCALES, renderMail } = require("../services/mail/index.js");
+const { getPreviewData } = require("../services/mail/previewData.js");
+const { resendMail, getOutboxStats } = require("../services/mail/outbox.js");
+
+const OUTBOX_FILTERS = ["failed", "bounced", "queued", "sent"];
+
+// List email templates with a live preview
+const renderEmailPreviews = asyncHandler(async (req, res) => {
+    const template = TEMPLATES.includes(req.query.template) ? req.query.template : TEMPLATES[0];
+    const locale = LOCALES.includes(req.query.locale) ? req.query.locale : LOCALES[0];
+
+    if (req.accepts("html")) {
+        return res.render("admin/emails", {
+            templates: TEMPLATES,
+            locales: LOCALES,
+            template,
+            locale,
+        });
+    }
+    res.status(200).json(
+        new apiResponse(200, { templates: TEMPLATES, locales: LOCALES }, "Email templates")
+    );
+});
+
+// Render one template with sample data, as HTML (default) or ?format=text
+const previewEmail = asyncHandler(async (req, res) => {
+    const { template } = req.params;
+    if (!TEMPLATES.includes(template)) throw new apiError(404, "Email template not found");
+
+    const { subject, html, text, locale } = await renderMail(
+        template,
+        getPreviewData(template),
+        req.query.locale
+    );
+
+    res.set("X-Email-Subject", encodeURIComponent(subject));
+    res.set("Content-Language", locale);
+    if (req.query.format === "text") {
+        return res.type("text/plain").send(`Subject: ${subject}\n\n${text}`);
+    }
+    res.type("html").send(html);
+});
+
+// Outbox messages that did not go out (failed and bounced by default), with pagination
+const renderEmailOutbox = asyncHandler(async (req, res) => {
+    const status = OUTBOX_FILTERS.includes(req.query.status) ? req.query.status : "";
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = 25;
+
+    const filter = { status: status || { $in: ["failed", "bounced"] } };
+    const total = await OutboxEmail.countDocuments(filter);
+    const emails = await OutboxEmail.find(filter)
+        .select("-data -attachments.content")
+        .populate("user", "username email")
+        .sort({ updatedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit);
+    const stats = await getOutboxStats();
+
+    if (req.accepts("html")) {
+        return res.render("admin/emailOutbox", {
+            emails,
+            stats,
+            status,
+            filters: OUTBOX_FILTERS,
+            page,
+            totalPages: Math.ceil(total / limit),
+        });
+    }
+    res.status(200).json(new apiResponse(200, { emails, stats, total }, "Email outbox"));
+});
+
+// Send a failed or bounced message again with a fresh set of retries
+const resendOutboxEmail = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const existing = mongoose.isValidObjectId(id) ? await OutboxEmail.findById(id) : null;
+    if (!existing) throw new apiError(404, "Email not found");
+    if (!["failed", "bounced"].includes(existing.status)) {
+        throw new apiError(
+            409,
+            `Email is ${existing.status}, only failed or bounced emails can be resent`
+        );
+    }
+
+    const email = await resendMail(id);
+    const sent = email?.status === "sent";
+    const message = sent
+        ? `Email to ${existing.to} sent`
+        : `Email to ${existing.to} not sent yet: ${email?.lastError || "unknown error"}`;
+
+    if (req.accepts("html")) {
+        req.flash(sent ? "success" : "error", message);
+        return res.redirect("/api/admin/dashboard/email-outbox");
+    }
+    res.status(200).json(new apiResponse(200, email, message));
+});
+
+module.exports = {
+    renderEmailPreviews,
+    previewEmail,
+    renderEmailOutbox,
+    resendOutboxEmail,
+};
@@ -5,12 +5,30 @@ const asyncHandler = require("../utils/asyncHandler.js");
 const apiError = require("../utils/apiError.js");
 const apiResponse = require("../utils/apiResponse.js");
 const shortid = require("shortid");
-const QRCode = require("qrcode");
 const path = require("path");
-const ejs = require("ejs");
-const puppeteer = require("puppeteer");
-const nodemailer = require("nodemailer");
+const crypto = require("crypto");
 const { createNotification } = require("../utils/notificationService.js");
+const pdfService = require("../services/pdfService.js");
+const { queueMail } = require("../services/mail/outbox.js");
+const { getMailBaseUrl } = require("../services/mail/index.js");
+const {
+    getSlotsForDate,
+    matchSlot,
+    removePastSlots,
+    getSlotDuration,
+} = require("../utils/availability.js");
+const { getActorRole, applyStatusChange } = require("../utils/appointmentStatus.js");
+const { buildCalendar } = require("../utils/ical.js");
+const {
+    verifyCardSignature,
+    getCardValidity,
+    refreshCardLink,
+} = require("../utils/appointmentCard.js");
+const {
+    scheduleAppointmentReminders,
+    cancelAppointmentReminders,
+} = require("../jobs/appointmentJobs.js");
+const { getCheckoutGateway, refundAppointmentPayment } = require("../services/payments/index.js");
 
 //Helper: normalize date to date-only (midnight local)
 function normalizeDateOnly(dateInput) {
@@ -19,33 +37,75 @@ function normalizeDateOnly(dateInput) {
     return d;
 }
 
-// Helper fn convert EJS to HTML and return PDF buffer ---
-async function generateAppointmentPdfBuffer(templatePath, templateData) {
-    // 🔹 Render EJS template to HTML
-    const html = await ejs.renderFile(templatePath, templateData);
-
-    // 🔹 launch puppeteer, convert HTML to PDF buffer
-    const browser = await puppeteer.launch({
-        headless: "new",
-        args: ["--no-sandbox", "--disable-setuid-sandbox"],
+// Helper: human readable appointment date used in notifications and emails
+function formatAppointmentDate(date) {
+    return new Date(date).toLocaleDateString("en-IN", {
+        weekday: "long",
+        year: "numeric",
+        month: "long",
+        day: "numeric",
     });
+}
 
-    try {
-        const page = await browser.newPage();
-        await page.setContent(html, { waitUntil: "networkidle0" });
-        //🔹 Convert to PDF
-        const pdfBuffer = await page.pdf({
-            format: "A4",
-            printBackground: true,
-            margin: { top: "1cm", right: "1cm", bottom: "1cm", left: "1cm" },
-        });
+// Helper: validate a slot against the lawyer's schedule and existing bookings.
+// Returns the canonical slot label; shared by booking and rescheduling.
+async function resolveBookableSlot({
+    lawyerProfile,
+    lawyerId,
+    clientId,
+    date,
+    timeSlot,
+    excludeAppointmentId = null,
+}) {
+    const offeredSlots = removePastSlots(getSlotsForDate(lawyerProfile, date), date);
+    const slot = matchSlot(offeredSlots, timeSlot);
+    if (!slot) {
+        throw new apiError(400, "Selected time slot is not available on this date");
+    }
+
+    const active = { date, timeSlot: slot, status: { $in: ["pending", "approved"] } };
+    if (excludeAppointmentId) active._id = { $ne: excludeAppointmentId };
+
+    // Check for existing appointment conflicts (lawyer)
+    const existing = await Appointment.findOne({ ...active, lawyer: lawyerId });
+    if (existing) {
+        throw new apiError(
+            409,
+            "Selected time slot is already booked for this lawyer on this date please select another time slot"
+        );
+    }
+
+    // Check client doesn't have overlapping appointment
+    const clientConflict = await Appointment.findOne({ ...active, client: clientId });
+    if (clientConflict) {
+        throw new apiError(409, "You already have an appointment at this time");
+    }
+
+    return slot;
+}
 
-        return pdfBuffer;
-    } finally {
-        await browser.close();
+// Helper: absolute base URL for links in emails, calendar entries and card QR codes.
+// Always the configured APP_URL, never the request's Host header, since card links are stored.
+function getBaseUrl() {
+    return getMailBaseUrl();
+}
+
+// Helper: only the appointment's client and lawyer (or an admin) may see its card
+function assertCardAccess(appointment, user) {
+    if (!getActorRole(appointment, user)) {
+        throw new apiError(403, "You are not authorized to view this appointment card");
     }
 }
 
+// Helper: load appointment(s) with the fields the iCalendar export needs
+function populateForCalendar(query) {
+    return query.populate("client", "username name email").populate({
+        path: "lawyer",
+        select: "username name email",
+        populate: { path: "lawyerProfile", select: "city state" },
+    });
+}
+
 // Book Appointment
 const bookAppointment = asyncHandler(async (req, res) => {
     const clientId = req.user._id;
@@ -77,51 +137,37 @@ const bookAppointment = asyncHandler(async (req, res) => {
         throw new apiError(400, "Date must be today or in the future");
     }
 
-    // Check for existing appointment conflicts (lawyer)
-    const existing = await Appointment.findOne({
-        lawyer: lawyerId,
+    const slot = await resolveBookableSlot({
+        lawyerProfile: lawyerUser.lawyerProfile,
+        lawyerId,
+        clientId,
         date: appointmentDate,
         timeSlot,
-        status: { $in: ["pending", "approved"] },
     });
 
-    if (existing) {
-        throw new apiError(
-            409,
-            "Selected time slot is already booked for this lawyer on this date please select another time slot"
-        );
-    }
-
-    // Check client doesn't have overlapping appointment
-    const clientConflict = await Appointment.findOne({
-        client: clientId,
-        date: appointmentDate,
-        timeSlot,
-        status: { $in: ["pending", "approved"] },
-    });
-    if (clientConflict) {
-        throw new apiError(409, "You already have an appointment at this time");
-    }
+    // lawyer fees are kept in rupees; payments work in paise
+    const feeAmount = Math.round((lawyerUser.lawyerProfile.fees || 0) * 100);
+    // a fee the client could not pay would leave the booking stuck unapproved
+    if (feeAmount > 0) getCheckoutGateway();
 
     try {
         const appointment = await Appointment.create({
             client: clientId,
             lawyer: lawyerId,
             date: appointmentDate,
-            timeSlot,
+            timeSlot: slot,
+            durationMinutes: getSlotDuration(lawyerUser.lawyerProfile),
             notes,
+            feeAmount,
+            paymentStatus: feeAmount > 0 ? "unpaid" : "not_required",
             status: "pending",
+            statusHistory: [{ from: null, to: "pending", changedBy: clientId, role: "client" }],
         });
 
-        // Generate unique appointment card ID and expiration date
+        // Generate unique appointment card ID; the QR code holds a signed verification link
         const cardId = `LH-${shortid.generate().toUpperCase()}`;
-        const expiresAt = new Date(Date.now() + 30 * 60 * 1000); // 30 minutes from now
-
-        // Optional: QR code with appointmentId
-        const qrData = `${process.env.APP_URL}/lawyers/${lawyerId}`;
-        const qrCode = await QRCode.toDataURL(qrData);
-
-        appointment.appointmentCard = { cardId, expiresAt, qrCode };
+        appointment.appointmentCard = { cardId };
+        await refreshCardLink(appointment, getBaseUrl());
         await appointment.save();
 
         // get io instance safely
@@ -213,10 +259,10 @@ const getAppointments = asyncHandler(async (req, res) => {
         .json(new apiResponse(200, appointments, "Appointments fetched successfully"));
 });
 
-/** Update appointment status (approve/reject/cancel/complete) - only lawyer or admin */
+/** Update appointment status (approve/reject/cancel/complete) following the status state machine */
 const updateAppointmentStatus = asyncHandler(async (req, res) => {
     const user = req.user;
-    const { appointmentId, status } = req.body;
+    const { appointmentId, status, reason } = req.body;
 
     const allowed = ["approved", "rejected", "cancelled", "completed"];
     if (!allowed.includes(status)) {
@@ -226,18 +272,27 @@ const updateAppointmentStatus = asyncHandler(async (req, res) => {
     const appointment = await Appointment.findById(appointmentId);
     if (!appointment) throw new apiError(404, "Appointment not found");
 
-    // Authorization: lawyer who owns it or admin
-    if (user.role === "lawyer") {
-        if (appointment.lawyer.toString() !== user._id.toString()) {
-            throw new apiError(403, "You are not authorized to update this appointment");
-        }
-    } else if (user.role !== "admin") {
+    // Authorization: participants or admin; the transition table decides the rest
+    const role = getActorRole(appointment, user);
+    if (!role) {
         throw new apiError(403, "You are not authorized to update this appointment");
     }
+    if (status === "approved" && appointment.paymentStatus === "unpaid") {
+        throw new apiError(402, "Appointment fee must be paid before it can be approved");
+    }
 
-    appointment.status = status;
+    applyStatusChange(appointment, { to: status, user, role, reason });
     await appointment.save();
 
+    if (status === "approved") {
+        await scheduleAppointmentReminders(appointment);
+    } else {
+        await cancelAppointmentReminders(appointment._id);
+    }
+    if (["rejected", "cancelled"].includes(status)) {
+        await refundAppointmentPayment(appointment, { status, role, io: req.app.get("io") });
+    }
+
     if (req.accepts("html")) {
         req.flash("success", "Appointment status updated successfully");
         return res.redirect("/appointments");
@@ -257,21 +312,19 @@ const cancelAppointment = asyncHandler(async (req, res) => {
     const appointment = await Appointment.findById(appointmentId);
     if (!appointment) throw new apiError(404, "Appointment not found");
 
-    // client may cancel their own:
-    if (user.role === "user") {
-        if (appointment.client.toString() !== user._id.toString()) {
-            throw new apiError(403, "You are not authorized to cancel this appointment");
-        }
-    } else if (user.role === "lawyer") {
-        if (appointment.lawyer.toString() !== user._id.toString()) {
-            throw new apiError(403, "You are not authorized to cancel this appointment");
-        }
-    } else if (user.role !== "admin") {
+    const role = getActorRole(appointment, user);
+    if (!role) {
         throw new apiError(403, "You are not authorized to cancel this appointment");
     }
 
-    appointment.status = "cancelled";
+    applyStatusChange(appointment, { to: "cancelled", user, role, reason: req.body?.reason });
     await appointment.save();
+    await cancelAppointmentReminders(appointment._id);
+    await refundAppointmentPayment(appointment, {
+        status: "cancelled",
+        role,
+        io: req.app.get("io"),
+    });
 
     if (req.accepts("html")) {
         req.flash("success", "Appointment cancelled successfully");
@@ -282,6 +335,225 @@ const cancelAppointment = asyncHandler(async (req, res) => {
         .json(new apiResponse(200, appointment, "Appointment cancelled successfully"));
 });
 
+/** Status audit trail for an appointment (participants or admin) */
+const getAppointmentHistory = asyncHandler(async (req, res) => {
+    const appointment = await Appointment.findById(req.params.appointmentId)
+        .select("client lawyer status statusHistory rescheduleRequests")
+        .populate("statusHistory.changedBy", "username name");
+    if (!appointment) throw new apiError(404, "Appointment not found");
+
+    if (!getActorRole(appointment, req.user)) {
+        throw new apiError(403, "You are not authorized to view this appointment");
+    }
+
+    return res.status(200).json(
+        new apiResponse(
+            200,
+            {
+                status: appointment.status,
+                statusHistory: appointment.statusHistory,
+                rescheduleRequests: appointment.rescheduleRequests,
+            },
+            "Appointment history fetched successfully"
+        )
+    );
+});
+
+/** Propose a new date/timeSlot for an appointment (client or lawyer who owns it) */
+const proposeReschedule = asyncHandler(async (req, res) => {
+    const user = req.user;
+    const { appointmentId } = req.params;
+    const { date, timeSlot, reason } = req.body;
+
+    if (!date || !timeSlot) {
+        throw new apiError(400, "Please provide date and timeSlot");
+    }
+
+    const appointment = await Appointment.findById(appointmentId)
+        .populate("client", "username email")
+        .populate("lawyer", "username email");
+    if (!appointment) throw new apiError(404, "Appointment not found");
+
+    const role = getActorRole(appointment, user);
+    if (!["client", "lawyer"].includes(role)) {
+        throw new apiError(403, "You are not authorized to reschedule this appointment");
+    }
+    if (!["pending", "approved"].includes(appointment.status)) {
+        throw new apiError(400, "Only pending or approved appointments can be rescheduled");
+    }
+    if (appointment.rescheduleRequests.some((r) => r.status === "pending")) {
+        throw new apiError(409, "A reschedule proposal is already awaiting a response");
+    }
+
+    const proposedDate = normalizeDateOnly(date);
+    if (proposedDate < normalizeDateOnly(new Date())) {
+        throw new apiError(400, "Date must be today or in the future");
+    }
+
+    const lawyerProfile = await LawyerProfile.findOne({ user: appointment.lawyer._id });
+    if (!lawyerProfile) throw new apiError(404, "Lawyer not found");
+
+    const slot = await resolveBookableSlot({
+        lawyerProfile,
+        lawyerId: appointment.lawyer._id,
+        clientId: appointment.client._id,
+        date: proposedDate,
+        timeSlot,
+        excludeAppointmentId: appointment._id,
+    });
+
+    if (proposedDate.getTime() === appointment.date.getTime() && slot === appointment.timeSlot) {
+        throw new apiError(400, "Proposed time is the same as the current appointment");
+    }
+
+    appointment.rescheduleRequests.push({
+        proposedBy: user._id,
+        date: proposedDate,
+        timeSlot: slot,
+        reason,
+        previousDate: appointment.date,
+        previousTimeSlot: appointment.timeSlot,
+    });
+    await appointment.save();
+
+    const proposer = role === "client" ? appointment.client : appointment.lawyer;
+    const other = role === "client" ? appointment.lawyer : appointment.client;
+
+    await createNotification(req.app.get("io"), {
+        user: other._id,
+        type: "appointment.updated",
+        title: "Reschedule Requested",
+        message: `${proposer.username} proposed moving your appointment to ${formatAppointmentDate(proposedDate)} at ${slot}`,
+        relatedId: appointment._id,
+        relatedModel: "Appointment",
+        priority: "high",
+        channels: { inApp: true, email: true },
+        email: other.email,
+    });
+
+    return res
+        .status(201)
+        .json(new apiResponse(201, appointment, "Reschedule proposal sent successfully"));
+});
+
+/** Accept or decline a pending reschedule proposal (only the other party may respond) */
+const respondToReschedule = (action) => {
+    return asyncHandler(async (req, res) => {
+        const user = req.user;
+        const { appointmentId, requestId } = req.params;
+
+        const appointment = await Appointment.findById(appointmentId)
+            .populate("client", "username email")
+            .populate("lawyer", "username email");
+        if (!appointment) throw new apiError(404, "Appointment not found");
+
+        const role = getActorRole(appointment, user);
+        if (!["client", "lawyer"].includes(role)) {
+            throw new apiError(403, "You are not authorized to respond to this proposal");
+        }
+
+        const proposal = appointment.rescheduleRequests.id(requestId);
+        if (!proposal) throw new apiError(404, "Reschedule proposal not found");
+        if (proposal.status !== "pending") {
+            throw new apiError(400, `Reschedule proposal has already been ${proposal.status}`);
+        }
+        if (proposal.proposedBy.toString() === user._id.toString()) {
+            throw new apiError(403, "You cannot respond to your own proposal");
+        }
+
+        if (action === "accept") {
+            if (!["pending", "approved"].includes(appointment.status)) {
+                throw new apiError(400, "Only pending or approved appointments can be rescheduled");
+            }
+
+            // the slot may have been taken since the proposal was made
+            const lawyerProfile = await LawyerProfile.findOne({ user: appointment.lawyer._id });
+            if (!lawyerProfile) throw new apiError(404, "Lawyer not found");
+            const slot = await resolveBookableSlot({
+                lawyerProfile,
+                lawyerId: appointment.lawyer._id,
+                clientId: appointment.client._id,
+                date: proposal.date,
+                timeSlot: proposal.timeSlot,
+                excludeAppointmentId: appointment._id,
+            });
+
+            appointment.date = proposal.date;
+            appointment.timeSlot = slot;
+            appointment.durationMinutes = getSlotDuration(lawyerProfile);
+            await refreshCardLink(appointment, getBaseUrl());
+        }
+
+        proposal.status = action === "accept" ? "accepted" : "declined";
+        proposal.respondedBy = user._id;
+        proposal.respondedAt = new Date();
+        proposal.responseNote = req.body.reason;
+
+        try {
+            await appointment.save();
+        } catch (err) {
+            if (err.code === 11000) {
+                throw new apiError(
+                    409,
+                    "Time slot already taken (race condition). Try another slot."
+                );
+            }
+            throw err;
+        }
+
+        // move the queued reminders along with the appointment
+        if (action === "accept" && appointment.status === "approved") {
+            await scheduleAppointmentReminders(appointment);
+        }
+
+        const io = req.app.get("io");
+        const responder = role === "client" ? appointment.client : appointment.lawyer;
+        const proposer = role === "client" ? appointment.lawyer : appointment.client;
+        const when = `${formatAppointmentDate(proposal.date)} at ${proposal.timeSlot}`;
+
+        if (action === "accept") {
+            for (const recipient of [proposer, responder]) {
+                await createNotification(io, {
+                    user: recipient._id,
+                    type: "appointment.updated",
+                    title: "Appointment Rescheduled",
+                    message: `Your appointment has been moved to ${when}`,
+                    relatedId: appointment._id,
+                    relatedModel: "Appointment",
+                    priority: "high",
+                    channels: { inApp: true, email: true },
+                    email: recipient.email,
+                });
+            }
+        } else {
+            await createNotification(io, {
+                user: proposer._id,
+                type: "appointment.updated",
+                title: "Reschedule Declined",
+                message: `${responder.username} declined moving your appointment to ${when}`,
+                relatedId: appointment._id,
+                relatedModel: "Appointment",
+                priority: "normal",
+                channels: { inApp: true, email: true },
+                email: proposer.email,
+            });
+        }
+
+        const msg =
+            action === "accept"
+                ? "Appointment rescheduled successfully"
+                : "Reschedule proposal declined";
+        if (req.accepts("html")) {
+            req.flash("success", msg);
+            return res.redirect("/appointments");
+        }
+        return res.status(200).json(new apiResponse(200, appointment, msg));
+    });
+};
+
+const acceptReschedule = respondToReschedule("accept");
+const declineReschedule = respondToReschedule("decline");
+
 /** Get available slots for a lawyer on a date */
 const getAvailableSlots = asyncHandler(async (req, res) => {
     const { lawyerId, date } = req.query;
@@ -302,23 +574,11 @@ const getAvailableSlots = asyncHandler(async (req, res) => {
 
     const bookedSlots = bookedAppointments.map((a) => a.timeSlot);
 
-    // availableSlots might be stored as an array or JSON-string; be flexible
-    let availableSlots = [];
-    const v = lawyerUser.lawyerProfile.availableSlots;
-    if (!v) availableSlots = [];
-    else if (Array.isArray(v)) availableSlots = v;
-    else {
-        try {
-            availableSlots = JSON.parse(v);
-            if (!Array.isArray(availableSlots)) availableSlots = [];
-        } catch (err) {
-            // if it's a comma separated string e.g. "10:00 AM,11:00 AM"
-            availableSlots = String(v)
-                .split(",")
-                .map((s) => s.trim())
-                .filter(Boolean);
-        }
-    }
+    // slots the lawyer's weekly schedule (or legacy slot list) offers on this date
+    const availableSlots = removePastSlots(
+        getSlotsForDate(lawyerUser.lawyerProfile, appointmentDate),
+        appointmentDate
+    );
 
     // remove booked
     const freeSlots = availableSlots.filter((slot) => !bookedSlots.includes(slot));
@@ -372,6 +632,10 @@ const viewAppointmentCard = asyncHandler(async (req, res) => {
             },
         });
     if (!appointment) throw new apiError(404, "Appointment not found");
+    assertCardAccess(appointment, req.user);
+
+    // cards issued before QR codes were signed get a signed link for this render only
+    await refreshCardLink(appointment, getBaseUrl());
 
     res.render("pages/appointment-card", { appointment });
 });
@@ -392,7 +656,9 @@ const downloadAppointmentCard = asyncHandler(async (req, res) => {
         });
 
     if (!appointment) throw new apiError(404, "Appointment not found");
+    assertCardAccess(appointment, req.user);
     if (!appointment.appointmentCard) throw new apiError(404, "Appointment card not found");
+    await refreshCardLink(appointment, getBaseUrl());
 
     // 🔹 Prepare data for template
     const templateData = {
@@ -410,7 +676,7 @@ const downloadAppointmentCard = asyncHandler(async (req, res) => {
     };
 
     const templatePath = path.join(__dirname, "../views/pages/download_appointment_card.ejs");
-    const pdfBuffer = await generateAppointmentPdfBuffer(templatePath, templateData);
+    const pdfBuffer = await pdfService.renderTemplateToPdf(templatePath, templateData);
 
     // 🔹 Send as download
     res.setHeader("Content-Type", "application/pdf");
@@ -431,14 +697,16 @@ const emailAppointmentCard = asyncHandler(async (req, res) => {
             select: "username email fullName",
             populate: {
                 path: "lawyerProfile",
-                select: "specialization licenseNumber experience isVerified",
+                select: "specialization licenseNumber experience isVerified city state",
             },
         });
 
     if (!appointment) throw new apiError(404, "Appointment not found");
+    assertCardAccess(appointment, req.user);
     if (!appointment.appointmentCard) throw new apiError(404, "Appointment card not found");
     if (!appointment.client || !appointment.client.email)
         throw new apiError(400, "Client has no email");
+    await refreshCardLink(appointment, getBaseUrl());
 
     // template data same as download
     const templateData = {
@@ -456,81 +724,159 @@ const emailAppointmentCard = asyncHandler(async (req, res) => {
     const templatePath = path.join(__dirname, "../views/pages/download_appointment_card.ejs");
 
     // Generate PDF buffer
-    const pdfBuffer = await generateAppointmentPdfBuffer(templatePath, templateData);
-
-    // prepare nodemailer transport (from .env)
-    const smtpPort = Number(process.env.SMTP_PORT) || 587;
-    const transporter = nodemailer.createTransport({
-        host: process.env.SMTP_HOST,
-        port: smtpPort,
-        secure: smtpPort === 465, // true for 465, false for other ports
-        auth: {
-            user: process.env.SMTP_USER,
-            pass: process.env.SMTP_PASS,
+    const pdfBuffer = await pdfService.renderTemplateToPdf(templatePath, templateData);
+
+    const appointmentUrl = getBaseUrl() + `/api/appointment/${appointment._id}/card/view`;
+    const icsContent = buildCalendar([appointment], { baseUrl: getBaseUrl() });
+
+    const email = await queueMail({
+        to: appointment.client.email,
+        template: "appointment_card",
+        data: {
+            clientName: templateData.client,
+            lawyerName: templateData.lawyer,
+            date: templateData.date,
+            time: templateData.timeSlot || "—",
+            venue: templateData.venue,
+            address: templateData.address,
+            appointmentUrl,
         },
+        user: appointment.client._id,
+        attachments: [
+            {
+                filename: `appointment_${appointment._id}.pdf`,
+                content: pdfBuffer,
+                contentType: "application/pdf",
+            },
+            {
+                filename: `appointment_${appointment._id}.ics`,
+                content: icsContent,
+                contentType: "text/calendar; charset=utf-8; method=PUBLISH",
+            },
+        ],
     });
 
-    // optional: verify connection (helps detect auth issues early)
-    try {
-        await transporter.verify();
-    } catch (err) {
-        // don't leak credentials in response
-        console.error("SMTP verify failed:", err);
-        throw new apiError(500, "Email configuration error. Check server logs.");
+    if (email.status === "sent") {
+        return res.status(200).json({ message: "Appointment card emailed to client" });
     }
+    if (email.status === "queued") {
+        // the outbox keeps retrying in the background
+        return res
+            .status(202)
+            .json({ message: "Email could not be sent yet; it will be retried shortly" });
+    }
+    throw new apiError(500, `Failed to send email: ${email.lastError || "rejected by server"}`);
+});
 
-    // construct email
-    const appointmentUrl =
-        (process.env.APP_URL || `${req.protocol}://${req.get("host")}`) +
-        `/api/appointment/${appointment._id}/card/view`;
+/** Download a single appointment as an iCalendar (.ics) file */
+const downloadAppointmentIcs = asyncHandler(async (req, res) => {
+    const appointment = await populateForCalendar(Appointment.findById(req.params.appointmentId));
+    if (!appointment) throw new apiError(404, "Appointment not found");
 
-    const formattedDate = new Date(templateData.date).toLocaleDateString("en-IN", {
-        weekday: "long",
-        year: "numeric",
-        month: "long",
-        day: "numeric",
+    if (!getActorRole(appointment, req.user)) {
+        throw new apiError(403, "You are not authorized to view this appointment");
+    }
+
+    const ics = buildCalendar([appointment], { baseUrl: getBaseUrl() });
+    res.set({
+        "Content-Type": "text/calendar; charset=utf-8",
+        "Content-Disposition": `attachment; filename="appointment_${appointment._id}.ics"`,
     });
-    const formattedTime = templateData.timeSlot || "Time not specified";
+    return res.status(200).send(ics);
+});
 
-    const mailOptions = {
-        from: `"LegalHub" <${process.env.SMTP_USER}>`, // ✅ Gmail safe sender
-        to: appointment.client.email,
-        subject: `Appointment Confirmation with ${templateData.lawyer} — ${formattedDate}`,
-        text: `Hello ${templateData.client},
+/** Create (or rotate) the logged-in user's calendar feed token and return the feed URL */
+const regenerateCalendarFeed = asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user._id);
+    if (!user) throw new apiError(404, "User not found");
 
-    Your appointment has been scheduled successfully.
+    // rotating the token revokes any calendar already subscribed to the old URL
+    user.calendarFeedToken = crypto.randomBytes(24).toString("hex");
+    await user.save();
 
-    📅 Date: ${formattedDate}
-    🕒 Time: ${formattedTime}
-    👨‍⚖️ Lawyer: ${templateData.lawyer}
-    📍 Venue: ${templateData.venue}
-    🏠 Address: ${templateData.address}
+    const feedUrl = `${getBaseUrl()}/api/appointment/calendar/${user.calendarFeedToken}.ics`;
+    return res
+        .status(200)
+        .json(new apiResponse(200, { feedUrl }, "Calendar feed link generated successfully"));
+});
 
-    We have attached your appointment card as a PDF.  
-    You can also view it online here: ${appointmentUrl}
+/** Public, token-protected feed of a user's approved appointments for calendar apps */
+const getCalendarFeed = asyncHandler(async (req, res) => {
+    const { token } = req.params;
+    const user = token ? await User.findOne({ calendarFeedToken: token }) : null;
+    if (!user) throw new apiError(404, "Calendar feed not found");
 
-    Thank you for choosing LegalHub.  
+    const appointments = await populateForCalendar(
+        Appointment.find({
+            $or: [{ client: user._id }, { lawyer: user._id }],
+            status: "approved",
+        })
+    ).sort({ date: 1 });
 
-    Best regards,  
-    LegalHub Team`,
-        attachments: [
-            {
-                filename: `appointment_${appointment._id}.pdf`,
-                content: pdfBuffer,
-                contentType: "application/pdf",
-            },
-        ],
-    };
+    const ics = buildCalendar(appointments, {
+        name: "LegalHub Appointments",
+        baseUrl: getBaseUrl(),
+    });
+    res.set({
+        "Content-Type": "text/calendar; charset=utf-8",
+        "Content-Disposition": 'inline; filename="legalhub.ics"',
+        "Cache-Control": "private, max-age=900",
+    });
+    return res.status(200).send(ics);
+});
 
-    // send
-    try {
-        await transporter.sendMail(mailOptions);
-    } catch (err) {
-        console.error("Error sending email:", err);
-        throw new apiError(500, "Failed to send email. See server logs.");
+/** Public: verify a scanned appointment card (signed link from the QR code) */
+const verifyAppointmentCard = asyncHandler(async (req, res) => {
+    const { cardId } = req.params;
+    const authentic = verifyCardSignature(cardId, req.query.sig);
+
+    const appointment = authentic
+        ? await Appointment.findOne({ "appointmentCard.cardId": cardId })
+              .populate("client", "username name")
+              .populate("lawyer", "username name")
+        : null;
+
+    let statusCode = 200;
+    let result;
+    if (!authentic) {
+        statusCode = 403;
+        result = {
+            authentic: false,
+            valid: false,
+            state: "forged",
+            reason: "This card was not issued by LegalHub or the link has been altered.",
+            cardId,
+        };
+    } else if (!appointment) {
+        statusCode = 404;
+        result = {
+            authentic: true,
+            valid: false,
+            state: "unknown",
+            reason: "No appointment matches this card.",
+            cardId,
+        };
+    } else {
+        result = {
+            authentic: true,
+            cardId,
+            ...getCardValidity(appointment),
+            appointment: {
+                lawyer: appointment.lawyer?.name || appointment.lawyer?.username || "N/A",
+                client: appointment.client?.name || appointment.client?.username || "N/A",
+                date: appointment.date,
+                timeSlot: appointment.timeSlot,
+                durationMinutes: appointment.durationMinutes,
+                status: appointment.status,
+            },
+        };
     }
 
-    return res.status(200).json({ message: "Appointment card emailed to client" });
+    if (req.accepts("html")) {
+        return res.status(statusCode).render("pages/verify-card", { result });
+    }
+    if (statusCode !== 200) throw new apiError(statusCode, result.reason);
+    return res.status(200).json(new apiResponse(200, result, "Appointment card verified"));
 });
 
 module.exports = {
@@ -538,9 +884,17 @@ module.exports = {
     getAppointments,
     updateAppointmentStatus,
     cancelAppointment,
+    getAppointmentHistory,
+    proposeReschedule,
+    acceptReschedule,
+    declineReschedule,
     getAvailableSlots,
     renderAppointmentStats,
     viewAppointmentCard,
     downloadAppointmentCard,
     emailAppointmentCard,
+    downloadAppointmentIcs,
+    regenerateCalendarFeed,
+    getCalendarFeed,
+    verifyAppointmentCard,
 };
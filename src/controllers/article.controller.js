@@ -4,6 +4,8 @@ const asyncHandler = require("../utils/asyncHandler");
 const ApiError = require("../utils/apiError");
 const ApiResponse = require("../utils/apiResponse");
 const sanitizeHtml = require("sanitize-html");
+const path = require("path");
+const pdfService = require("../services/pdfService.js");
 
 // ✅ Create Article
 const createArticle = asyncHandler(async (req, res) => {
@@ -121,6 +123,17 @@ const cleanHtml = (html) =>
             !frame.text.trim(),
     });
 
+// ✅ Plain article object with all HTML content sanitized
+const toCleanArticle = (article) => ({
+    ...article.toObject(),
+    introduction: cleanHtml(article.introduction),
+    conclusion: cleanHtml(article.conclusion),
+    sections: article.sections.map((section) => ({
+        ...section.toObject(),
+        content: cleanHtml(section.content),
+    })),
+});
+
 // ✅ Get Article by ID
 const getArticleById = asyncHandler(async (req, res) => {
     const article = await Article.findById(req.params.id).populate("author", "name email role");
@@ -129,18 +142,7 @@ const getArticleById = asyncHandler(async (req, res) => {
         throw new ApiError(404, "Article not found");
     }
 
-    // ✅ Sanitize all HTML content
-    const sanitizedSections = article.sections.map((section) => ({
-        ...section.toObject(),
-        content: cleanHtml(section.content),
-    }));
-
-    const cleanArticle = {
-        ...article.toObject(),
-        introduction: cleanHtml(article.introduction),
-        conclusion: cleanHtml(article.conclusion),
-        sections: sanitizedSections,
-    };
+    const cleanArticle = toCleanArticle(article);
 
     if (req.accepts("html")) {
         return res.render("pages/article-details", { article: cleanArticle });
@@ -151,6 +153,28 @@ const getArticleById = asyncHandler(async (req, res) => {
     }
 });
 
+// ✅ Download Article as PDF
+const downloadArticlePdf = asyncHandler(async (req, res) => {
+    const article = await Article.findById(req.params.id).populate("author", "name");
+
+    if (!article) {
+        throw new ApiError(404, "Article not found");
+    }
+
+    const pdfBuffer = await pdfService.renderTemplateToPdf(
+        path.join(__dirname, "../views/pages/download_article.ejs"),
+        {
+            article: toCleanArticle(article),
+            // day granularity keeps the cache useful
+            generatedAt: new Date().toISOString().slice(0, 10),
+        }
+    );
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename=article_${article._id}.pdf`);
+    return res.end(pdfBuffer);
+});
+
 // ✅ Update Article (Only Author or Admin Can Update)
 const updateArticle = asyncHandler(async (req, res) => {
     let {
@@ -286,6 +310,7 @@ module.exports = {
     createArticle,
     getAllArticles,
     getArticleById,
+    downloadArticlePdf,
     updateArticle,
     deleteArticle,
     publishArticle,
@@ -1,8 +1,61 @@
+const path = require("path");
+const mongoose = require("mongoose");
+const shortid = require("shortid");
 const ChatRoom = require("../models/chatRoom.model.js");
 const Message = require("../models/message.model.js");
 const Appointment = require("../models/appointment.model.js");
+const CallLog = require("../models/callLog.model.js");
+const ChatTranscript = require("../models/chatTranscript.model.js");
 const asyncHandler = require("../utils/asyncHandler.js");
 const apiError = require("../utils/apiError.js");
+const apiResponse = require("../utils/apiResponse.js");
+const pdfService = require("../services/pdfService.js");
+const {
+    buildTranscript,
+    renderTranscriptText,
+    hashTranscript,
+    signTranscript,
+    verifyTranscriptSignature,
+    buildTranscriptVerificationUrl,
+    renderTranscriptFooter,
+    stripTranscriptFooter,
+} = require("../utils/chatTranscript.js");
+const { loadCallAccess } = require("../utils/callAccess.js");
+const { getIceServers } = require("../config/webrtc.js");
+const presence = require("../services/presence.js");
+const { notifyNewMessage } = require("../services/chatNotifications.js");
+const { matchesSignature, sanitizeFileName } = require("../utils/attachmentPolicy.js");
+const { scanAttachment } = require("../services/attachmentScanner.js");
+const { getStorage, removeMessageAttachments } = require("../services/attachmentStorage");
+const {
+    EDIT_WINDOW,
+    ALLOWED_REACTIONS,
+    findReplyTarget,
+} = require("../utils/chatMessagePolicy.js");
+const {
+    MIN_SEARCH_LENGTH,
+    MAX_SEARCH_LENGTH,
+    searchRegex,
+    highlightMatches,
+} = require("../utils/messageSearch.js");
+
+const MESSAGE_PAGE_SIZE = 30;
+const MAX_MESSAGE_PAGE_SIZE = 100;
+const SEARCH_PAGE_SIZE = 20;
+
+function pageSize(limit, fallback) {
+    const n = parseInt(limit);
+    if (Number.isNaN(n) || n < 1) return fallback;
+    return Math.min(n, MAX_MESSAGE_PAGE_SIZE);
+}
+
+function parseCursor(value) {
+    if (value === undefined || value === "") return null;
+    if (!mongoose.isValidObjectId(value)) {
+        throw new apiError(400, "Invalid message cursor");
+    }
+    return new mongoose.Types.ObjectId(String(value));
+}
 
 // Get or create chat room for appointment
 const getOrCreateChatRoom = asyncHandler(async (req, res) => {
@@ -52,13 +105,38 @@ const getUserChatRooms = asyncHandler(async (req, res) => {
         .sort({ updatedAt: -1 })
         .populate({
             path: "participants",
-            select: "username name",
+            select: "username name lastSeenAt",
         })
         .populate({
             path: "appointment",
             select: "date status",
         });
-    res.json(chatRooms);
+
+    // messages from the other side not read yet, per room
+    const unread = await Message.aggregate([
+        {
+            $match: {
+                chatRoom: { $in: chatRooms.map((room) => room._id) },
+                sender: { $ne: new mongoose.Types.ObjectId(String(userId)) },
+                seen: false,
+                deleted: false,
+            },
+        },
+        { $group: { _id: "$chatRoom", count: { $sum: 1 } } },
+    ]);
+    const unreadByRoom = new Map(unread.map((u) => [u._id.toString(), u.count]));
+
+    res.json(
+        chatRooms.map((room) => {
+            const json = room.toJSON();
+            json.participants = json.participants.filter(Boolean).map((p) => ({
+                ...p,
+                online: presence.isOnline(p._id),
+            }));
+            json.unreadCount = unreadByRoom.get(room._id.toString()) || 0;
+            return json;
+        })
+    );
 });
 
 // Get messages for a chat room
@@ -75,12 +153,97 @@ const getMessages = asyncHandler(async (req, res) => {
         throw new apiError(403, "Unauthorized");
     }
 
-    const messages = await Message.find({ chatRoom: chatRoomId })
-        .sort({ createdAt: 1 })
-        .populate("sender", "username name")
-        .populate("receiver", "username name");
+    // Pages are cut on _id, which grows with creation time, so cursors stay
+    // stable while new messages arrive. Pass at most one of before/after/around.
+    const limit = pageSize(req.query.limit, MESSAGE_PAGE_SIZE);
+    const before = parseCursor(req.query.before);
+    const after = parseCursor(req.query.after);
+    const around = parseCursor(req.query.around);
+    const inRoom = { chatRoom: chatRoom._id };
+
+    const findPage = (idFilter, order, size) =>
+        Message.find(idFilter ? { ...inRoom, _id: idFilter } : inRoom)
+            .sort({ _id: order })
+            .limit(size)
+            .forChat();
+
+    let messages;
+    if (after) {
+        messages = await findPage({ $gt: after }, 1, limit);
+    } else if (around) {
+        // the page containing a given message, e.g. a search result
+        const olderCount = Math.floor(limit / 2);
+        const [older, newer] = await Promise.all([
+            olderCount ? findPage({ $lt: around }, -1, olderCount) : [],
+            findPage({ $gte: around }, 1, limit - olderCount),
+        ]);
+        messages = [...older.reverse(), ...newer];
+    } else {
+        messages = (await findPage(before && { $lt: before }, -1, limit)).reverse();
+    }
+
+    const oldestId = messages.length ? messages[0]._id : null;
+    const newestId = messages.length ? messages[messages.length - 1]._id : null;
+    const [hasOlder, hasNewer] = await Promise.all([
+        oldestId ? Message.exists({ ...inRoom, _id: { $lt: oldestId } }) : null,
+        newestId ? Message.exists({ ...inRoom, _id: { $gt: newestId } }) : null,
+    ]);
+
+    res.json({
+        messages,
+        pageInfo: {
+            limit,
+            oldestId,
+            newestId,
+            hasOlder: Boolean(hasOlder),
+            hasNewer: Boolean(hasNewer),
+        },
+    });
+});
 
-    res.json(messages);
+// Search messages across all of the user's chat rooms
+const searchMessages = asyncHandler(async (req, res) => {
+    const userId = req.user._id;
+    const q = String(req.query.q || "").trim();
+    if (q.length < MIN_SEARCH_LENGTH || q.length > MAX_SEARCH_LENGTH) {
+        throw new apiError(
+            400,
+            `Search term must be ${MIN_SEARCH_LENGTH} to ${MAX_SEARCH_LENGTH} characters`
+        );
+    }
+    const limit = pageSize(req.query.limit, SEARCH_PAGE_SIZE);
+    const before = parseCursor(req.query.before);
+
+    const rooms = await ChatRoom.find({ participants: userId }).select("_id");
+    const filter = {
+        chatRoom: { $in: rooms.map((r) => r._id) },
+        deleted: false,
+        content: searchRegex(q),
+    };
+    if (before) filter._id = { $lt: before };
+
+    // one extra to know whether there is another page
+    const found = await Message.find(filter)
+        .sort({ _id: -1 })
+        .limit(limit + 1)
+        .populate("sender", "username name");
+    const page = found.slice(0, limit);
+
+    res.json({
+        query: q,
+        results: page.map((msg) => ({
+            _id: msg._id,
+            chatRoom: msg.chatRoom,
+            sender: msg.sender,
+            createdAt: msg.createdAt,
+            highlights: highlightMatches(msg.content, q),
+        })),
+        pageInfo: {
+            limit,
+            hasMore: found.length > limit,
+            nextCursor: found.length > limit ? page[page.length - 1]._id : null,
+        },
+    });
 });
 
 // Delete a single message
@@ -173,16 +336,360 @@ const deleteChatRoom = asyncHandler(async (req, res) => {
         throw new apiError(403, "Unauthorized");
     }
 
+    const messages = await Message.find({
+        chatRoom: chatRoomId,
+        "attachments.0": { $exists: true },
+    });
+    await removeMessageAttachments(messages);
     await Message.deleteMany({ chatRoom: chatRoomId });
     await ChatRoom.findByIdAndDelete(chatRoomId);
 
     return res.json({ ok: true });
 });
 
+// Send files (with an optional caption) to a chat room; files arrive via multer memory storage
+const sendAttachments = asyncHandler(async (req, res) => {
+    const userId = req.user._id;
+    const chatRoom = req.chatRoom; // set by ownChatRoom
+    const files = req.files || [];
+    if (!files.length) {
+        throw new apiError(400, "Please attach at least one file");
+    }
+
+    let replyTo = null;
+    if (req.body.replyTo) {
+        replyTo = await findReplyTarget(chatRoom._id, req.body.replyTo);
+        if (!replyTo) {
+            throw new apiError(400, "The message you are replying to is not available");
+        }
+    }
+
+    // check every file before storing any of them
+    for (const file of files) {
+        if (!matchesSignature(file.buffer, file.mimetype)) {
+            throw new apiError(415, `${file.originalname} does not match its file type`);
+        }
+        const scan = await scanAttachment({
+            buffer: file.buffer,
+            fileName: file.originalname,
+            mimeType: file.mimetype,
+        });
+        if (!scan.clean) {
+            throw new apiError(422, `${file.originalname} failed the virus scan`);
+        }
+    }
+
+    const storage = getStorage();
+    const attachments = [];
+    try {
+        for (const file of files) {
+            const fileName = sanitizeFileName(file.originalname);
+            const saved = await storage.save({
+                buffer: file.buffer,
+                fileName,
+                mimeType: file.mimetype,
+            });
+            attachments.push({
+                fileName,
+                mimeType: file.mimetype,
+                size: file.size,
+                storage: storage.name,
+                ...saved,
+            });
+        }
+    } catch (err) {
+        await removeMessageAttachments([{ attachments }]);
+        throw err;
+    }
+
+    const content = (req.body.content || "").trim();
+    const receiverId = chatRoom.participants.find((id) => id.toString() !== userId.toString());
+    const message = await Message.create({
+        chatRoom: chatRoom._id,
+        sender: userId,
+        receiver: receiverId,
+        content,
+        attachments,
+        replyTo: replyTo && replyTo._id,
+        deliveredAt: receiverId && presence.isOnline(receiverId) ? new Date() : null,
+    });
+
+    await ChatRoom.findByIdAndUpdate(chatRoom._id, {
+        $set: {
+            lastMessage: content || `📎 ${attachments.map((a) => a.fileName).join(", ")}`,
+            lastMessageAt: new Date(),
+            lastMessageSender: userId,
+        },
+    });
+
+    const populated = await Message.findById(message._id).forChat();
+
+    const io = req.app.get("io");
+    if (io) {
+        io.to(String(chatRoom._id)).to(String(receiverId)).emit("newMessage", populated);
+        notifyNewMessage(io, message, req.user).catch((err) =>
+            console.error("Chat notification failed:", err)
+        );
+    }
+
+    res.status(201).json(populated);
+});
+
+// Stream (or redirect to) an attachment, for chat room participants only
+const downloadAttachment = asyncHandler(async (req, res) => {
+    const userId = req.user._id;
+    const { messageId, attachmentId } = req.params;
+
+    const message = mongoose.isValidObjectId(messageId) ? await Message.findById(messageId) : null;
+    const attachment = mongoose.isValidObjectId(attachmentId)
+        ? message?.attachments.id(attachmentId)
+        : null;
+    if (!attachment) {
+        throw new apiError(404, "Attachment not found");
+    }
+
+    const room = await ChatRoom.findById(message.chatRoom).select("participants");
+    if (!room || !room.participants.some((p) => p.toString() === userId.toString())) {
+        throw new apiError(403, "Unauthorized");
+    }
+    if (message.deleted) {
+        throw new apiError(410, "This message was deleted");
+    }
+
+    const download = await getStorage(attachment.storage).getDownload(attachment);
+    if (download.redirectUrl) {
+        return res.redirect(download.redirectUrl);
+    }
+
+    const disposition = req.query.download ? "attachment" : "inline";
+    res.setHeader("Content-Type", attachment.mimeType);
+    res.setHeader("Content-Length", attachment.size);
+    const asciiName = attachment.fileName.replace(/[^\x20-\x7e]/g, "_");
+    res.setHeader(
+        "Content-Disposition",
+        `${disposition}; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(attachment.fileName)}`
+    );
+    res.setHeader("Cache-Control", "private, no-store");
+    download.stream.on("error", (err) => res.destroy(err));
+    download.stream.pipe(res);
+});
+
+// Call availability and history for a chat room
+const getCallInfo = asyncHandler(async (req, res) => {
+    const userId = req.user._id;
+    const { chatRoomId } = req.params;
+
+    const { access } = await loadCallAccess(chatRoomId, userId);
+    const calls = await CallLog.find({ chatRoom: chatRoomId })
+        .sort({ startedAt: -1 })
+        .limit(20)
+        .populate("initiator", "username name");
+
+    res.json({ access, iceServers: getIceServers(), calls });
+});
+
+function getBaseUrl(req) {
+    return process.env.APP_URL || `${req.protocol}://${req.get("host")}`;
+}
+
+// Export a chat room's full transcript as PDF or plain text (participants or admin)
+const exportTranscript = asyncHandler(async (req, res) => {
+    const { chatRoomId } = req.params;
+    const format = String(req.query.format || "pdf").toLowerCase();
+    if (!["pdf", "txt"].includes(format)) {
+        throw new apiError(400, "Format must be pdf or txt");
+    }
+    if (!mongoose.isValidObjectId(chatRoomId)) {
+        throw new apiError(404, "Chat room not found");
+    }
+
+    const chatRoom = await ChatRoom.findById(chatRoomId)
+        .populate("participants", "username name")
+        .populate("appointment", "date timeSlot");
+    if (!chatRoom) {
+        throw new apiError(404, "Chat room not found");
+    }
+    const isParticipant = chatRoom.participants.some(
+        (p) => p && p._id.toString() === req.user._id.toString()
+    );
+    if (!isParticipant && req.user.role !== "admin") {
+        throw new apiError(403, "You are not authorized to export this chat");
+    }
+
+    const messages = await Message.find({ chatRoom: chatRoom._id })
+        .sort({ _id: 1 })
+        .populate("sender", "username name")
+        .populate({
+            path: "replyTo",
+            select: "sender createdAt",
+            populate: { path: "sender", select: "username name" },
+        });
+
+    const transcriptId = `LH-TR-${shortid.generate().toUpperCase()}`;
+    const transcript = buildTranscript({
+        chatRoom,
+        messages,
+        transcriptId,
+        generatedAt: new Date(),
+        generatedBy: req.user,
+    });
+    const text = renderTranscriptText(transcript);
+    const hash = hashTranscript(text);
+    const signature = signTranscript(transcriptId, hash);
+    const verifyUrl = buildTranscriptVerificationUrl(
+        getBaseUrl(req),
+        transcriptId,
+        hash,
+        signature
+    );
+
+    await ChatTranscript.create({
+        transcriptId,
+        chatRoom: chatRoom._id,
+        generatedBy: req.user._id,
+        format,
+        participants: transcript.participants,
+        messageCount: messages.length,
+        hash,
+        signature,
+    });
+
+    if (format === "txt") {
+        res.setHeader("Content-Type", "text/plain; charset=utf-8");
+        res.setHeader("Content-Disposition", `attachment; filename=${transcriptId}.txt`);
+        return res.send(text + renderTranscriptFooter({ hash, signature, verifyUrl }));
+    }
+
+    const pdfBuffer = await pdfService.renderTemplateToPdf(
+        path.join(__dirname, "../views/pages/download_transcript.ejs"),
+        { transcript, integrity: { hash, signature, verifyUrl } },
+        { cache: false }
+    );
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename=${transcriptId}.pdf`);
+    return res.end(pdfBuffer);
+});
+
+// What the verification page shows about an issued transcript
+function describeTranscript(record) {
+    return {
+        generatedAt: record.createdAt,
+        generatedBy: record.generatedBy?.name || record.generatedBy?.username || "Deleted user",
+        participants: record.participants,
+        messageCount: record.messageCount,
+        format: record.format,
+    };
+}
+
+function sendTranscriptResult(req, res, statusCode, result) {
+    if (req.accepts("html")) {
+        return res.status(statusCode).render("pages/verify-transcript", { result });
+    }
+    if (statusCode !== 200) throw new apiError(statusCode, result.reason);
+    return res.status(200).json(new apiResponse(200, result, "Transcript verified"));
+}
+
+// Public: check a transcript's hash and signature against the issued record.
+// This proves the record exists, not that a given copy is unchanged; see checkTranscriptCopy.
+const verifyTranscript = asyncHandler(async (req, res) => {
+    const { transcriptId } = req.params;
+    const hash = String(req.query.hash || "").toLowerCase();
+    const authentic = verifyTranscriptSignature(transcriptId, hash, req.query.sig);
+    const record = authentic
+        ? await ChatTranscript.findOne({ transcriptId, hash }).populate(
+              "generatedBy",
+              "username name"
+          )
+        : null;
+
+    let statusCode = 200;
+    let result;
+    if (!authentic) {
+        statusCode = 403;
+        result = {
+            authentic: false,
+            state: "forged",
+            reason: "This transcript was not issued by LegalHub or has been altered.",
+            transcriptId,
+        };
+    } else if (!record) {
+        statusCode = 404;
+        result = {
+            authentic: true,
+            state: "unknown",
+            reason: "No transcript export matches this record.",
+            transcriptId,
+        };
+    } else {
+        result = {
+            authentic: true,
+            state: "valid",
+            reason: "LegalHub issued a transcript with this SHA-256. The link alone does not show that your copy is unchanged: upload the .txt export below to check its contents.",
+            transcriptId,
+            hash,
+            transcript: describeTranscript(record),
+        };
+    }
+
+    return sendTranscriptResult(req, res, statusCode, result);
+});
+
+// Public: check the contents of a .txt transcript copy, sent as the text/plain
+// request body (with or without its footer), against the issued record
+const checkTranscriptCopy = asyncHandler(async (req, res) => {
+    const { transcriptId } = req.params;
+    if (typeof req.body !== "string" || !req.body) {
+        throw new apiError(400, "Send the .txt transcript as a text/plain request body");
+    }
+
+    const record = await ChatTranscript.findOne({ transcriptId }).populate(
+        "generatedBy",
+        "username name"
+    );
+    const hash = hashTranscript(stripTranscriptFooter(req.body));
+
+    let statusCode = 200;
+    let result;
+    if (!record) {
+        statusCode = 404;
+        result = {
+            authentic: false,
+            state: "unknown",
+            reason: "LegalHub never issued a transcript with this ID.",
+            transcriptId,
+        };
+    } else if (hash !== record.hash) {
+        statusCode = 403;
+        result = {
+            authentic: false,
+            state: "altered",
+            reason: "This copy differs from the transcript LegalHub issued.",
+            transcriptId,
+            hash,
+        };
+    } else {
+        result = {
+            authentic: true,
+            state: "valid",
+            reason: "This copy matches the transcript issued by LegalHub, word for word.",
+            transcriptId,
+            hash,
+            transcript: describeTranscript(record),
+        };
+    }
+
+    return sendTranscriptResult(req, res, statusCode, result);
+});
+
 // Render chat page
 const renderChatPage = asyncHandler(async (req, res) => {
     const { roomId } = req.query;
-    res.render("pages/chat", { user: req.user, roomId });
+    res.render("pages/chat", {
+        user: req.user,
+        roomId,
+        editWindow: EDIT_WINDOW,
+        reactions: ALLOWED_REACTIONS,
+    });
 });
 
 // Get or create chat room with a lawyer directly
@@ -221,8 +728,15 @@ module.exports = {
     getOrCreateChatRoom,
     getUserChatRooms,
     getMessages,
+    searchMessages,
     renderChatPage,
     getOrCreateChatRoomWithLawyer,
     deleteMessage,
     deleteChatRoom,
+    getCallInfo,
+    exportTranscript,
+    verifyTranscript,
+    checkTranscriptCopy,
+    sendAttachments,
+    downloadAttachment,
 };
@@ -3,6 +3,8 @@ const asyncHandler = require("../utils/asyncHandler.js");
 const ApiError = require("../utils/apiError.js");
 const ApiResponse = require("../utils/apiResponse.js");
 const indianStates = require("../utils/indianStates.js");
+const path = require("path");
+const pdfService = require("../services/pdfService.js");
 
 // ✅ Create Document
 const createDocument = asyncHandler(async (req, res) => {
@@ -270,6 +272,26 @@ const downloadDocument = asyncHandler(async (req, res) => {
     res.redirect(document.downloadLink); // Direct download ke liye redirect kar diya
 });
 
+// ✅ Export Document summary (details, required documents, guidelines) as PDF
+const downloadDocumentPdf = asyncHandler(async (req, res) => {
+    const document = await Document.findById(req.params.id);
+    if (!document) {
+        throw new ApiError(404, "Document not found");
+    }
+
+    const pdfBuffer = await pdfService.renderTemplateToPdf(
+        path.join(__dirname, "../views/pages/download_document.ejs"),
+        {
+            document: document.toObject(),
+            generatedAt: new Date().toISOString().slice(0, 10),
+        }
+    );
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename=document_${document._id}.pdf`);
+    return res.end(pdfBuffer);
+});
+
 // ✅ Apply Online Link
 const applyOnline = asyncHandler(async (req, res) => {
     const document = await Document.findById(req.params.id);
@@ -310,6 +332,7 @@ module.exports = {
     updateDocument,
     deleteDocument,
     downloadDocument,
+    downloadDocumentPdf,
     applyOnline,
     trackDownload,
     renderDownCount,
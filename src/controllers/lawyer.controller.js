@@ -3,6 +3,7 @@ const asyncHandler = require("../utils/asyncHandler");
 const apiError = require("../utils/apiError");
 const apiResponse = require("../utils/apiResponse");
 const LawyerProfile = require("../models/lawyer.model.js");
+const validateAvailability = require("../validators/availabilityValidator.js");
 
 const getLawyers = asyncHandler(async (req, res) => {
     const lawyers = await User.find({ role: "lawyer" }).populate({
@@ -55,7 +56,58 @@ const viewLawyer = asyncHandler(async (req, res) => {
     }
 });
 
+// Public: a lawyer's weekly schedule, holidays and blackout dates
+const getLawyerAvailability = asyncHandler(async (req, res) => {
+    const lawyer = await User.findOne({ _id: req.params.id, role: "lawyer" }).populate({
+        path: "lawyerProfile",
+        model: LawyerProfile,
+        select: "availability availableSlots",
+    });
+    if (!lawyer || !lawyer.lawyerProfile) {
+        throw new apiError(404, "Lawyer not found");
+    }
+
+    const { availability, availableSlots } = lawyer.lawyerProfile;
+    return res
+        .status(200)
+        .json(
+            new apiResponse(
+                200,
+                { availability, availableSlots },
+                "Availability fetched successfully"
+            )
+        );
+});
+
+// Lawyer: replace own weekly schedule, holidays and blackout dates
+const updateAvailability = asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user._id).populate("lawyerProfile");
+    if (!user || user.role !== "lawyer" || !user.lawyerProfile) {
+        throw new apiError(403, "Only lawyers can update availability");
+    }
+
+    const { errors, availability } = validateAvailability(req.body);
+    if (errors.length > 0) {
+        throw new apiError(400, errors.join(" "));
+    }
+
+    user.lawyerProfile.availability = availability;
+    await user.lawyerProfile.save();
+
+    return res
+        .status(200)
+        .json(
+            new apiResponse(
+                200,
+                user.lawyerProfile.availability,
+                "Availability updated successfully"
+            )
+        );
+});
+
 module.exports = {
     getLawyers,
     viewLawyer,
+    getLawyerAvailability,
+    updateAvailability,
 };
@@ -3,34 +3,105 @@ const asyncHandler = require("../utils/asyncHandler.js");
 const apiError = require("../utils/apiError.js");
 const apiResponse = require("../utils/apiResponse.js");
 const mongoose = require("mongoose");
+const {
+    NOTIFICATION_TYPES,
+    PREFERENCE_CHANNELS,
+    DIGEST_FREQUENCIES,
+    EMAIL_LANGUAGES,
+    getNotificationPreferences,
+    getTypeToggles,
+    isValidTimeZone,
+    parseClock,
+} = require("../utils/notificationPreferences.js");
+const {
+    parseIds,
+    buildInboxQuery,
+    parsePaging,
+    groupSimilarNotifications,
+    countUnread,
+    emitUnreadCount,
+} = require("../utils/notificationInbox.js");
 
-// Fetch current user's notifications
-const getUserNotifications = asyncHandler(async (req, res) => {
-    const { page = 1, limit = 10, status } = req.query;
+const isOn = (value) => value === true || value === "true" || value === "on" || value === "1";
 
-    const query = { user: req.user._id };
+// Fetch current user's notifications, filtered by type/priority/status and paginated.
+// ?grouped=true folds similar notifications on the page into groups.
+const getUserNotifications = asyncHandler(async (req, res) => {
+    if (req.accepts("html")) {
+        //redirect to notifications page
+        return res.redirect("/notifications");
+    }
 
-    if (status) query.status = status; // e.g., unread only
+    const { query, filters, error } = buildInboxQuery(req.user._id, req.query);
+    if (error) throw new apiError(400, error);
+    const { page, limit } = parsePaging(req.query);
 
     const notifications = await Notification.find(query)
         .sort({ createdAt: -1 })
         .skip((page - 1) * limit)
-        .limit(parseInt(limit)); // Pagination
-
+        .limit(limit);
     const total = await Notification.countDocuments(query);
+    const unreadCount = await countUnread(req.user._id);
+
+    const data = {
+        notifications,
+        total,
+        page,
+        totalPages: Math.ceil(total / limit),
+        unreadCount,
+        filters,
+    };
+    if (isOn(req.query.grouped)) data.groups = groupSimilarNotifications(notifications);
+
+    res.status(200).json(new apiResponse(200, data, "Notifications fetched"));
+});
+
+// where form posts go back to: the notifications page, keeping its filters
+const backToInbox = (req) =>
+    typeof req.body.returnTo === "string" && req.body.returnTo.startsWith("/notifications")
+        ? req.body.returnTo
+        : "/notifications";
+
+// Reply to a bulk action with the new unread count, and push it to the user's other tabs
+async function respondToBulkAction(req, res, message, result) {
+    const unreadCount = await emitUnreadCount(req.app.get("io"), req.user._id);
 
     if (req.accepts("html")) {
-        //redirect to notifications page
-        return res.redirect("/notifications");
+        req.flash("success", message);
+        return res.redirect(backToInbox(req));
     }
-    res.status(200).json(new apiResponse(200, { notifications, total }, "Notifications fetched"));
-});
+    res.status(200).json(
+        new apiResponse(
+            200,
+            { modified: result.modifiedCount ?? result.deletedCount, unreadCount },
+            message
+        )
+    );
+}
+
+// ids of the selected notifications, or an error for the caller to throw
+function selectedIds(req) {
+    const ids = parseIds(req.body.ids);
+    if (!ids) return { error: "Invalid notification id" };
+    if (!ids.length) return { error: "Select at least one notification" };
+    return { ids };
+}
+
+function rejectSelection(req, res, error) {
+    if (req.accepts("html")) {
+        req.flash("error", error);
+        return res.redirect(backToInbox(req));
+    }
+    throw new apiError(400, error);
+}
 
 // Mark a notification as read
 const markAsRead = asyncHandler(async (req, res) => {
     const { id } = req.params;
 
-    const notification = await Notification.findById(id);
+    const notification = mongoose.isValidObjectId(id)
+        ? await Notification.findOne({ _id: id, user: req.user._id })
+        : null;
     if (!notification) {
         return res.status(404).json({ success: false, message: "Notification not found" });
     }
@@ -39,7 +110,7 @@ const markAsRead = asyncHandler(async (req, res) => {
     if (notification.status === "read") {
         if (req.accepts("html")) {
             //redirect to notifications page
-            return res.redirect("/notifications");
+            return res.redirect(backToInbox(req));
         }
         return res
             .status(200)
@@ -49,10 +120,11 @@ const markAsRead = asyncHandler(async (req, res) => {
     // mark and save (runs validation, middleware, updates timestamps)
     notification.status = "read";
     await notification.save();
+    await emitUnreadCount(req.app.get("io"), req.user._id);
 
     if (req.accepts("html")) {
         //redirect to notifications page
-        return res.redirect("/notifications");
+        return res.redirect(backToInbox(req));
     }
     res.status(200).json({
         success: true,
@@ -61,6 +133,79 @@ const markAsRead = asyncHandler(async (req, res) => {
     });
 });
 
+// Mark every unread notification as read; type/priority filters narrow it down
+const markAllAsRead = asyncHandler(async (req, res) => {
+    const { query, error } = buildInboxQuery(req.user._id, { ...req.body, status: "unread" });
+    if (error) return rejectSelection(req, res, error);
+
+    const result = await Notification.updateMany(query, { $set: { status: "read" } });
+    await respondToBulkAction(
+        req,
+        res,
+        `${result.modifiedCount} notification(s) marked as read`,
+        result
+    );
+});
+
+// Mark the selected notifications as read
+const markSelectedAsRead = asyncHandler(async (req, res) => {
+    const { ids, error } = selectedIds(req);
+    if (error) return rejectSelection(req, res, error);
+
+    const result = await Notification.updateMany(
+        { _id: { $in: ids }, user: req.user._id, status: "unread" },
+        { $set: { status: "read" } }
+    );
+    await respondToBulkAction(
+        req,
+        res,
+        `${result.modifiedCount} notification(s) marked as read`,
+        result
+    );
+});
+
+// Move the selected notifications out of the inbox
+const archiveNotifications = asyncHandler(async (req, res) => {
+    const { ids, error } = selectedIds(req);
+    if (error) return rejectSelection(req, res, error);
+
+    const result = await Notification.updateMany(
+        { _id: { $in: ids }, user: req.user._id, archivedAt: null },
+        { $set: { archivedAt: new Date() } }
+    );
+    await respondToBulkAction(req, res, `${result.modifiedCount} notification(s) archived`, result);
+});
+
+// Bring archived notifications back to the inbox
+const unarchiveNotifications = asyncHandler(async (req, res) => {
+    const { ids, error } = selectedIds(req);
+    if (error) return rejectSelection(req, res, error);
+
+    const result = await Notification.updateMany(
+        { _id: { $in: ids }, user: req.user._id, archivedAt: { $ne: null } },
+        { $set: { archivedAt: null } }
+    );
+    await respondToBulkAction(
+        req,
+        res,
+        `${result.modifiedCount} notification(s) moved to the inbox`,
+        result
+    );
+});
+
+// Delete the selected notifications (ids in the body) or the one in the URL
+const deleteNotifications = asyncHandler(async (req, res) => {
+    if (req.params.id) req.body.ids = [req.params.id];
+    const { ids, error } = selectedIds(req);
+    if (error) return rejectSelection(req, res, error);
+
+    const result = await Notification.deleteMany({ _id: { $in: ids }, user: req.user._id });
+    if (req.params.id && !result.deletedCount) {
+        throw new apiError(404, "Notification not found");
+    }
+    await respondToBulkAction(req, res, `${result.deletedCount} notification(s) deleted`, result);
+});
+
 // Admin: fetch all notifications
 const getAllNotifications = asyncHandler(async (req, res) => {
     const { page = 1, limit = 20, status, type } = req.query;
@@ -82,8 +227,99 @@ const getAllNotifications = asyncHandler(async (req, res) => {
     );
 });
 
+// Current user's notification preferences (defaults when never saved)
+const getPreferences = asyncHandler(async (req, res) => {
+    const prefs = await getNotificationPreferences(req.user._id);
+    res.status(200).json(new apiResponse(200, prefs, "Notification preferences fetched"));
+});
+
+/**
+ * Apply submitted preferences to the document.
+ * The settings form sends every toggle, and unchecked boxes are simply missing,
+ * so for form posts a missing toggle means off; JSON clients change only what they send.
+ * @returns {String|null} validation error
+ */
+function applyPreferenceUpdate(prefs, body, fromForm) {
+    const types = body.types || {};
+    for (const type of NOTIFICATION_TYPES) {
+        if (!fromForm && !types[type]) continue;
+        let toggles = getTypeToggles(prefs, type);
+        if (!toggles) {
+            prefs.types.push({ name: type });
+            toggles = prefs.types[prefs.types.length - 1];
+        }
+        PREFERENCE_CHANNELS.forEach((channel) => {
+            const submitted = types[type]?.[channel];
+            if (fromForm || submitted !== undefined) toggles[channel] = isOn(submitted);
+        });
+    }
+
+    const quietHours = body.quietHours;
+    if (quietHours || fromForm) {
+        const { start = prefs.quietHours.start, end = prefs.quietHours.end } = quietHours || {};
+        const timeZone = quietHours?.timeZone || prefs.quietHours.timeZone;
+        if (parseClock(start) === null || parseClock(end) === null) {
+            return "Quiet hours must be given as HH:mm";
+        }
+        if (!isValidTimeZone(timeZone)) return "Unknown time zone";
+        prefs.quietHours = {
+            enabled:
+                fromForm || quietHours?.enabled !== undefined
+                    ? isOn(quietHours?.enabled)
+                    : prefs.quietHours.enabled,
+            start,
+            end,
+            timeZone,
+        };
+    }
+
+    if (body.digestFrequency !== undefined) {
+        if (!DIGEST_FREQUENCIES.includes(body.digestFrequency)) {
+            return `Digest frequency must be one of: ${DIGEST_FREQUENCIES.join(", ")}`;
+        }
+        prefs.digestFrequency = body.digestFrequency;
+    }
+
+    if (body.language !== undefined) {
+        if (!EMAIL_LANGUAGES.includes(body.language)) {
+            return `Email language must be one of: ${EMAIL_LANGUAGES.join(", ")}`;
+        }
+        prefs.language = body.language;
+    }
+    return null;
+}
+
+// Update the current user's notification preferences
+const updatePreferences = asyncHandler(async (req, res) => {
+    const prefs = await getNotificationPreferences(req.user._id);
+    const error = applyPreferenceUpdate(prefs, req.body, Boolean(req.is("urlencoded")));
+
+    if (error) {
+        if (req.accepts("html")) {
+            req.flash("error", error);
+            return res.redirect("/settings");
+        }
+        throw new apiError(400, error);
+    }
+
+    await prefs.save();
+
+    if (req.accepts("html")) {
+        req.flash("success", "Notification preferences saved");
+        return res.redirect("/settings");
+    }
+    res.status(200).json(new apiResponse(200, prefs, "Notification preferences saved"));
+});
+
 module.exports = {
     getUserNotifications,
     markAsRead,
+    markAllAsRead,
+    markSelectedAsRead,
+    archiveNotifications,
+    unarchiveNotifications,
+    deleteNotifications,
     getAllNotifications,
+    getPreferences,
+    updatePreferences,
 };
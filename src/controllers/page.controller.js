@@ -7,6 +7,25 @@ const ApiResponse = require("../utils/apiResponse.js");
 const User = require("../models/user.model.js");
 const LawyerProfile = require("../models/lawyer.model.js");
 const Notification = require("../models/notification.model.js");
+const Subscription = require("../models/subscription.model.js");
+const {
+    NOTIFICATION_TYPES,
+    PREFERENCE_CHANNELS,
+    DIGEST_FREQUENCIES,
+    EMAIL_LANGUAGES,
+    getNotificationPreferences,
+    getTypeToggles,
+} = require("../utils/notificationPreferences.js");
+const {
+    NOTIFICATION_STATUSES,
+    NOTIFICATION_PRIORITIES,
+    ARCHIVE_FILTERS,
+    buildInboxQuery,
+    parsePaging,
+    groupSimilarNotifications,
+    emitUnreadCount,
+} = require("../utils/notificationInbox.js");
+const { buildOfflineManifest } = require("../utils/offlineContent.js");
 const axios = require("axios");
 
 // ---------- GitHub Helpers ----------
@@ -285,6 +304,18 @@ const renderFundamental = asyncHandler(async (req, res) => {
 const renderAbout = (req, res) => {
     res.render("pages/about");
 };
+// Fallback page the service worker shows when a page isn't available offline
+const renderOffline = (req, res) => {
+    res.render("pages/offline");
+};
+
+// What the service worker should keep for offline reading
+const getOfflineManifest = asyncHandler(async (req, res) => {
+    const manifest = await buildOfflineManifest(req.user || null);
+    res.set("Cache-Control", "no-store");
+    res.status(200).json(new ApiResponse(200, manifest, "Offline manifest fetched"));
+});
+
 const renderPrivacyPolicy = asyncHandler(async (req, res) => {
     res.render("pages/privacy");
 });
@@ -343,21 +374,60 @@ const getLawyers = asyncHandler(async (req, res) => {
     });
 });
 const renderNotifications = asyncHandler(async (req, res) => {
-    const notifications = await Notification.find({ user: req.user._id })
+    const { query, filters, error } = buildInboxQuery(req.user._id, req.query);
+    if (error) {
+        req.flash("error", error);
+        return res.redirect("/notifications");
+    }
+    const { page, limit } = parsePaging(req.query, 30);
+    // similar notifications are grouped unless ?grouped=0
+    const grouped = req.query.grouped !== "0";
+
+    const notifications = await Notification.find(query)
         .sort({ createdAt: -1 })
-        .limit(50);
-    res.render("pages/notifications", { notifications });
+        .skip((page - 1) * limit)
+        .limit(limit);
+    const total = await Notification.countDocuments(query);
+
+    res.render("pages/notifications", {
+        notifications,
+        groups: grouped ? groupSimilarNotifications(notifications) : null,
+        filters,
+        grouped,
+        page,
+        totalPages: Math.ceil(total / limit),
+        notificationTypes: NOTIFICATION_TYPES,
+        notificationPriorities: NOTIFICATION_PRIORITIES,
+        notificationStatuses: NOTIFICATION_STATUSES,
+        archiveFilters: ARCHIVE_FILTERS,
+        returnTo: req.originalUrl,
+    });
 });
 const markAsRead = asyncHandler(async (req, res) => {
     await Notification.findOneAndUpdate(
         { _id: req.params.id, user: req.user._id },
         { status: "read" }
     );
+    await emitUnreadCount(req.app.get("io"), req.user._id);
     res.redirect("/notifications");
 });
 const renderSettings = asyncHandler(async (req, res) => {
     const user = req.user;
-    res.render("pages/settings", { user });
+    const notificationPreferences = await getNotificationPreferences(user._id);
+    const pushDevices = await Subscription.find({ user: user._id })
+        .select("deviceName userAgent endpoint createdAt lastSeenAt lastPushAt failureCount")
+        .sort({ lastSeenAt: -1 });
+    res.render("pages/settings", {
+        user,
+        notificationPreferences,
+        pushDevices,
+        notificationTypes: NOTIFICATION_TYPES,
+        preferenceChannels: PREFERENCE_CHANNELS,
+        digestFrequencies: DIGEST_FREQUENCIES,
+        emailLanguages: EMAIL_LANGUAGES,
+        timeZones: Intl.supportedValuesOf("timeZone"),
+        getTypeToggles,
+    });
 });
 
 // ---------- Contributors Page (THE FIX) ----------
@@ -419,6 +489,8 @@ module.exports = {
     renderPrivacyPolicy,
     renderTermsAndConditions,
     renderAbout,
+    renderOffline,
+    getOfflineManifest,
     renderLoginForm,
     getLawyers,
     renderNotifications,
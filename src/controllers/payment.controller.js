@@ -0,0 +1,129 @@
+const path = require("path");
+const Appointment = require("../models/appointment.model.js");
+const Payment = require("../models/payment.model.js");
+const Invoice = require("../models/invoice.model.js");
+const asyncHandler = require("../utils/asyncHandler.js");
+const apiError = require("../utils/apiError.js");
+const apiResponse = require("../utils/apiResponse.js");
+const { getActorRole } = require("../utils/appointmentStatus.js");
+const pdfService = require("../services/pdfService.js");
+const payments = require("../services/payments/index.js");
+
+/** Start checkout for an appointment fee (client only) */
+const createPaymentOrder = asyncHandler(async (req, res) => {
+    const { payment, order } = await payments.createOrderForAppointment(
+        req.params.appointmentId,
+        req.user
+    );
+
+    return res.status(201).json(
+        new apiResponse(
+            201,
+            {
+                paymentId: payment._id,
+                orderId: order.orderId,
+                amount: order.amount,
+                currency: order.currency,
+                checkout: order.checkout,
+            },
+            "Payment order created successfully"
+        )
+    );
+});
+
+/** Confirm a completed checkout with the gateway's signed result */
+const verifyPayment = asyncHandler(async (req, res) => {
+    const { orderId, paymentId, signature } = req.body;
+    if (!orderId || !paymentId || !signature) {
+        throw new apiError(400, "Please provide orderId, paymentId and signature");
+    }
+
+    const existing = await Payment.findOne({ gatewayOrderId: orderId });
+    if (!existing) throw new apiError(404, "Payment not found");
+    if (existing.payer.toString() !== req.user._id.toString()) {
+        throw new apiError(403, "You are not authorized to confirm this payment");
+    }
+
+    const payment = await payments.confirmPayment(
+        { orderId, paymentId, signature },
+        { io: req.app.get("io") }
+    );
+
+    return res.status(200).json(new apiResponse(200, payment, "Payment verified successfully"));
+});
+
+/**
+ * Dev/test only: complete a fake-gateway checkout, returning what the checkout
+ * widget would post back to /verify
+ */
+const completeFakeCheckout = asyncHandler(async (req, res) => {
+    if (process.env.NODE_ENV === "production" || payments.getGateway().name !== "fake") {
+        throw new apiError(404, "Not found");
+    }
+
+    const payment = await Payment.findOne({ gatewayOrderId: req.params.orderId });
+    if (!payment) throw new apiError(404, "Payment not found");
+    if (payment.payer.toString() !== req.user._id.toString()) {
+        throw new apiError(403, "You are not authorized to complete this payment");
+    }
+
+    const result = await payments.getGateway("fake").simulatePayment(req.params.orderId);
+    if (!result) throw new apiError(404, "Order not found on the fake gateway");
+
+    return res.status(200).json(new apiResponse(200, result, "Fake checkout completed"));
+});
+
+/** Payments, refunds and invoice for an appointment (participants or admin) */
+const getAppointmentPayments = asyncHandler(async (req, res) => {
+    const appointment = await Appointment.findById(req.params.appointmentId).select(
+        "client lawyer feeAmount paymentStatus"
+    );
+    if (!appointment) throw new apiError(404, "Appointment not found");
+    if (!getActorRole(appointment, req.user)) {
+        throw new apiError(403, "You are not authorized to view this appointment");
+    }
+
+    const [paymentList, invoice] = await Promise.all([
+        Payment.find({ appointment: appointment._id }).sort({ createdAt: -1 }),
+        Invoice.findOne({ appointment: appointment._id }),
+    ]);
+
+    return res.status(200).json(
+        new apiResponse(
+            200,
+            {
+                feeAmount: appointment.feeAmount,
+                paymentStatus: appointment.paymentStatus,
+                payments: paymentList,
+                invoice,
+            },
+            "Payments fetched successfully"
+        )
+    );
+});
+
+/** Download a GST tax invoice as PDF (client, lawyer or admin) */
+const downloadInvoicePdf = asyncHandler(async (req, res) => {
+    const invoice = await Invoice.findById(req.params.invoiceId);
+    if (!invoice) throw new apiError(404, "Invoice not found");
+    if (!getActorRole(invoice, req.user)) {
+        throw new apiError(403, "You are not authorized to view this invoice");
+    }
+
+    const pdfBuffer = await pdfService.renderTemplateToPdf(
+        path.join(__dirname, "../views/pages/download_invoice.ejs"),
+        { invoice: invoice.toObject() }
+    );
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename=${invoice.invoiceNumber}.pdf`);
+    return res.end(pdfBuffer);
+});
+
+module.exports = {
+    createPaymentOrder,
+    verifyPayment,
+    completeFakeCheckout,
+    getAppointmentPayments,
+    downloadInvoicePdf,
+};
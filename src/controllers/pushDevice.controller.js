@@ -0,0 +1,71 @@
+const mongoose = require("mongoose");
+const Subscription = require("../models/subscription.model.js");
+const asyncHandler = require("../utils/asyncHandler.js");
+const apiError = require("../utils/apiError.js");
+const apiResponse = require("../utils/apiResponse.js");
+const { enabled } = require("../config/push.js");
+const { sendToSubscription } = require("../services/push.js");
+
+const DEVICE_FIELDS = "deviceName userAgent endpoint createdAt lastSeenAt lastPushAt failureCount";
+
+// the user's own subscription, or a 404
+async function findDevice(req) {
+    const { id } = req.params;
+    const device = mongoose.isValidObjectId(id)
+        ? await Subscription.findOne({ _id: id, user: req.user._id })
+        : null;
+    if (!device) throw new apiError(404, "Device not found");
+    return device;
+}
+
+function respond(req, res, type, message, data = null) {
+    if (req.accepts("html")) {
+        req.flash(type, message);
+        return res.redirect("/settings#push-devices");
+    }
+    if (type === "error") throw new apiError(502, message);
+    res.status(200).json(new apiResponse(200, data, message));
+}
+
+// Browsers/devices subscribed to the current user's push notifications
+const listDevices = asyncHandler(async (req, res) => {
+    const devices = await Subscription.find({ user: req.user._id })
+        .select(DEVICE_FIELDS)
+        .sort({ lastSeenAt: -1 });
+    res.status(200).json(new apiResponse(200, devices, "Push devices fetched"));
+});
+
+// Stop sending push notifications to one device
+const revokeDevice = asyncHandler(async (req, res) => {
+    const device = await findDevice(req);
+    await Subscription.deleteOne({ _id: device._id });
+    respond(req, res, "success", `${device.deviceName || "Device"} removed`);
+});
+
+// Send a test notification to one device
+const testDevice = asyncHandler(async (req, res) => {
+    if (!enabled) throw new apiError(503, "Push notifications are not configured on the server");
+    const device = await findDevice(req);
+
+    const result = await sendToSubscription(device, {
+        title: "LegalHub test notification",
+        body: `Push notifications work on ${device.deviceName || "this device"} 🎉`,
+        icon: "/pic/logo.png",
+        data: { url: "/settings" },
+    });
+
+    if (result.status === "ok") {
+        return respond(req, res, "success", "Test notification sent", result);
+    }
+    const reason =
+        result.status === "removed"
+            ? "the device is no longer reachable and was removed"
+            : result.error;
+    respond(req, res, "error", `Test notification failed: ${reason}`, result);
+});
+
+module.exports = {
+    listDevices,
+    revokeDevice,
+    testDevice,
+};
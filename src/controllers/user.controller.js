@@ -5,23 +5,14 @@ const apiResponse = require("../utils/apiResponse.js");
 const apiError = require("../utils/apiError.js");
 const passport = require("passport");
 const crypto = require("crypto");
-const nodemailer = require("nodemailer");
 const validatePassword = require("../validators/passwordValidator.js");
 const cloudinary = require("../config/cloudinary.js");
 const { deleteFromCloudinary } = require("../utils/cloudinary.js");
+const { queueMail } = require("../services/mail/outbox.js");
 
 const DEFAULT_AVATAR =
     "https://cdn.vectorstock.com/i/1000v/51/87/student-avatar-user-profile-icon-vector-47025187.jpg";
 
-// Nodemailer setup
-const transporter = nodemailer.createTransport({
-    service: "gmail",
-    auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASS,
-    },
-});
-
 // Register Account (merged)
 const registerAccount = asyncHandler(async (req, res) => {
     const { username, email, password, confirmPassword, role, lawyerProfile } = req.body;
@@ -355,18 +346,12 @@ const requestPasswordReset = asyncHandler(async (req, res) => {
     const host = req.headers.host;
     const resetLink = `${protocol}://${host}/api/users/reset-password/${token}`;
 
-    const mailOptions = {
-        from: `"Support Team" <${process.env.EMAIL_USER}>`,
+    await queueMail({
         to: user.email,
-        subject: "Password Reset",
-        html: `
-      <p>You requested a password reset.</p>
-      <p>Click <a href="${resetLink}">here</a> to reset your password.</p>
-      <p>This link expires in 30 minutes.</p>
-    `,
-    };
-
-    await transporter.sendMail(mailOptions);
+        template: "password_reset",
+        data: { name: user.name || user.username, resetLink, expiresInMinutes: 30 },
+        user: user._id,
+    });
 
     req.flash("success", genericMsg);
     return res.render("pages/forgot-password", { message: genericMsg });
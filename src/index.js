@@ -29,10 +29,33 @@ if (!app || typeof app.set !== "function") {
 
 // DB connect function (existing db connector)
 const db_connect = require("./db/index.js");
+const jobScheduler = require("./services/jobScheduler.js");
+const pdfService = require("./services/pdfService.js");
+const { registerAppointmentJobs } = require("./jobs/appointmentJobs.js");
+const { registerNotificationJobs } = require("./jobs/notificationJobs.js");
+const { registerMailJobs } = require("./jobs/mailJobs.js");
+const { registerAnnouncementJobs } = require("./jobs/announcementJobs.js");
+const { registerPaymentJobs } = require("./jobs/paymentJobs.js");
+const { assertGatewayConfigured } = require("./services/payments/index.js");
 
 const PORT = Number(process.env.PORT) || 8000;
 const NODE_ENV = process.env.NODE_ENV || "development";
 
+// a gateway that would accept forged or unverifiable checkouts disables paid bookings;
+// the rest of the app (and free appointments) keeps running
+try {
+    const gateway = assertGatewayConfigured();
+    console.log(`💳 Payment gateway: ${gateway.name}`);
+} catch (err) {
+    console.error("❌ Payment gateway misconfigured, paid bookings are disabled:", err.message);
+}
+
+// links in emails and appointment card QR codes are built from APP_URL, never the Host header
+if (NODE_ENV === "production" && !process.env.APP_URL) {
+    console.error("❌ APP_URL must be set in production");
+    process.exit(1);
+}
+
 const server = http.createServer(app);
 
 const io = new Server(server, {
@@ -45,6 +68,9 @@ const io = new Server(server, {
 // attach io to app (so other modules can access it)
 app.set("io", io);
 
+// run the express session on the socket.io handshake so sockets know the logged-in user
+io.engine.use(app.get("sessionMiddleware"));
+
 // import socket logic (if it expects io)
 try {
     require("./socket")(io);
@@ -81,7 +107,18 @@ function maskDbUrl(url) {
 
 // Start the server only after DB connects
 db_connect()
-    .then(() => {
+    .then(async () => {
+        // background jobs (reminders, expiry, notifications, email retries, announcements, refund retries) are persisted in MongoDB
+        await registerAppointmentJobs();
+        await registerNotificationJobs();
+        await registerMailJobs();
+        registerAnnouncementJobs();
+        registerPaymentJobs();
+        jobScheduler.start({
+            io,
+            pollInterval: Number(process.env.JOB_POLL_INTERVAL_MS) || undefined,
+        });
+
         server.listen(PORT, () => {
             const localUrl = `http://localhost:${PORT}`;
             const lanIps = getLanIPs();
@@ -108,6 +145,14 @@ db_connect()
 // graceful shutdown (in case you want to handle it here too)
 async function gracefulShutdown(signal) {
     console.log(`\n🛑 Received ${signal}. Shutting down gracefully...`);
+    jobScheduler.stop();
+
+    try {
+        await pdfService.shutdown();
+    } catch (err) {
+        console.warn("⚠️ Error closing PDF browsers:", err);
+    }
+
     try {
         // close server if running
         if (server.listening) {
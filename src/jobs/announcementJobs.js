@@ -0,0 +1,243 @@
+// src/jobs/announcementJobs.js
+// Admin announcements: who a segment covers, the job that notifies them at the
+// scheduled time, and the delivery statistics shown on the admin page.
+
+const Announcement = require("../models/announcement.model.js");
+const LawyerProfile = require("../models/lawyer.model.js");
+const Notification = require("../models/notification.model.js");
+const User = require("../models/user.model.js");
+const { defineJob, scheduleJob, cancelJobs } = require("../services/jobScheduler.js");
+const { createNotification } = require("../utils/notificationService.js");
+const { escapeRegex } = require("../utils/messageSearch.js");
+
+const ANNOUNCEMENT_JOB = "announcement.send";
+const SEGMENTS = Announcement.schema.path("segment").enumValues;
+// progress is saved after this many recipients, so the admin page can follow along
+const PROGRESS_EVERY = 50;
+// recipients per job run; the rest go to a follow-up job so other jobs get a turn
+const DEFAULT_BATCH_SIZE = 200;
+
+function getBatchSize() {
+    return Number(process.env.ANNOUNCEMENT_BATCH_SIZE) || DEFAULT_BATCH_SIZE;
+}
+
+const jobKey = (announcement) => `${ANNOUNCEMENT_JOB}:${announcement._id}`;
+
+// notifications created for an announcement
+const deliveredQuery = (announcement) => ({
+    relatedModel: "Announcement",
+    relatedId: announcement._id,
+});
+
+/**
+ * User filter for a segment; deactivated accounts are never included
+ */
+async function getAudienceQuery({ segment, state }) {
+    const query = { isActive: { $ne: false } };
+    if (segment === "lawyers") {
+        query.role = "lawyer";
+    } else if (segment === "verified_lawyers") {
+        query._id = { $in: await LawyerProfile.distinct("user", { isVerified: true }) };
+    } else if (segment === "state") {
+        // only lawyer profiles record a state
+        const profiles = { state: new RegExp(`^${escapeRegex(state || "")}$`, "i") };
+        query._id = { $in: await LawyerProfile.distinct("user", profiles) };
+    } else if (segment !== "all") {
+        throw new Error(`Unknown announcement segment "${segment}"`);
+    }
+    return query;
+}
+
+async function countAudience(announcement) {
+    return User.countDocuments(await getAudienceQuery(announcement));
+}
+
+/**
+ * Queue the announcement for its scheduled time (rescheduling keeps one job)
+ */
+function scheduleAnnouncement(announcement) {
+    return scheduleJob(
+        ANNOUNCEMENT_JOB,
+        { announcementId: announcement._id.toString() },
+        { runAt: announcement.scheduledFor, uniqueKey: jobKey(announcement) }
+    );
+}
+
+/**
+ * Cancel an announcement that has not started sending
+ * @returns {Promise<Object|null>} the cancelled announcement, null if it was too late
+ */
+async function cancelAnnouncement(id) {
+    const announcement = await Announcement.findOneAndUpdate(
+        { _id: id, status: "scheduled" },
+        { $set: { status: "cancelled", cancelledAt: new Date() } },
+        { new: true }
+    );
+    if (announcement) await cancelJobs({ uniqueKey: jobKey(announcement) });
+    return announcement;
+}
+
+/**
+ * Notify the next batch of the segment, in _id order, then queue a follow-up
+ * job for the users after it. Recipients who already got this announcement
+ * are skipped, so a retry after a crash carries on where the last run stopped.
+ * Emails only go into the outbox here; the outbox job sends them.
+ */
+async function sendAnnouncement(job, { io } = {}) {
+    const { announcementId, after = null } = job.data;
+    const announcement = await Announcement.findById(announcementId);
+    if (!announcement || !["scheduled", "sending"].includes(announcement.status)) {
+        return { skipped: announcement ? announcement.status : "deleted" };
+    }
+
+    const { stats, channels } = announcement;
+    const batchSize = getBatchSize();
+    let users;
+    try {
+        const query = await getAudienceQuery(announcement);
+        if (announcement.status === "scheduled") {
+            announcement.status = "sending";
+            announcement.startedAt = announcement.startedAt || new Date();
+            stats.recipients = await User.countDocuments(query);
+        }
+        announcement.error = null;
+        await announcement.save();
+
+        users = await User.find(after ? { $and: [query, { _id: { $gt: after } }] } : query)
+            .select("name username email")
+            .sort({ _id: 1 })
+            .limit(batchSize);
+        const alreadyNotified = new Set(
+            (
+                await Notification.distinct("user", {
+                    ...deliveredQuery(announcement),
+                    user: { $in: users.map((user) => user._id) },
+                })
+            ).map(String)
+        );
+
+        let processed = 0;
+        for (const user of users) {
+            if (alreadyNotified.has(String(user._id))) continue;
+            try {
+                await createNotification(io, {
+                    user: user._id,
+                    type: "system.alert",
+                    title: announcement.title,
+                    message: announcement.message,
+                    relatedId: announcement._id,
+                    relatedModel: "Announcement",
+                    priority: announcement.priority,
+                    // the email channel already mails it, so keep it out of the digest
+                    channels: {
+                        inApp: channels.inApp,
+                        push: channels.push,
+                        email: channels.email,
+                        digest: false,
+                    },
+                    email: channels.email ? user.email : undefined,
+                    emailNow: false,
+                    url: announcement.url || "/notifications",
+                });
+                stats.notified++;
+            } catch (err) {
+                console.error(`Announcement ${announcement._id} to ${user._id}:`, err.message);
+                stats.failed++;
+            }
+            if (++processed % PROGRESS_EVERY === 0) await announcement.save();
+        }
+    } catch (err) {
+        // the job retries; already notified users are skipped next time
+        announcement.error = err.message || String(err);
+        await announcement.save();
+        throw err;
+    }
+
+    if (users.length === batchSize) {
+        await announcement.save();
+        const last = users[users.length - 1]._id.toString();
+        await scheduleJob(
+            ANNOUNCEMENT_JOB,
+            { announcementId, after: last },
+            // keyed by position, so a retried batch doesn't queue its follow-up twice
+            { runAt: job.lastRunAt || new Date(), uniqueKey: `${jobKey(announcement)}:${last}` }
+        );
+        return { notified: stats.notified, failed: stats.failed, continuesAfter: last };
+    }
+
+    announcement.status = "sent";
+    announcement.completedAt = new Date();
+    await announcement.save();
+    const { recipients, notified, failed } = announcement.stats;
+    return { recipients, notified, failed };
+}
+
+const countWhere = (condition) => ({ $sum: { $cond: [condition, 1, 0] } });
+
+/**
+ * Delivery statistics for several announcements, from one aggregation:
+ * what was sent, and how many recipients have read it
+ * @returns {Promise<Object[]>} stats in the order of the given announcements
+ */
+async function getAnnouncementStatsList(announcements) {
+    const now = new Date();
+    const grouped = await Notification.aggregate([
+        {
+            $match: {
+                relatedModel: "Announcement",
+                relatedId: { $in: announcements.map((announcement) => announcement._id) },
+            },
+        },
+        {
+            $group: {
+                _id: "$relatedId",
+                delivered: { $sum: 1 },
+                read: countWhere({ $eq: ["$status", "read"] }),
+                email: countWhere({ $eq: ["$channels.email", true] }),
+                push: countWhere({ $eq: ["$channels.push", true] }),
+                deferred: countWhere({ $gt: ["$deferredUntil", now] }),
+            },
+        },
+    ]);
+    const byId = new Map(grouped.map((counts) => [String(counts._id), counts]));
+
+    return announcements.map((announcement) => {
+        const counts = byId.get(String(announcement._id)) || {};
+        const { delivered = 0, read = 0, email = 0, push = 0, deferred = 0 } = counts;
+        return {
+            recipients: announcement.stats.recipients,
+            failed: announcement.stats.failed,
+            delivered,
+            read,
+            readRate: delivered ? Math.round((read / delivered) * 100) : 0,
+            email,
+            push,
+            deferred,
+        };
+    });
+}
+
+/**
+ * Delivery statistics for one announcement
+ */
+async function getAnnouncementStats(announcement) {
+    const [stats] = await getAnnouncementStatsList([announcement]);
+    return stats;
+}
+
+function registerAnnouncementJobs() {
+    defineJob(ANNOUNCEMENT_JOB, sendAnnouncement);
+}
+
+module.exports = {
+    ANNOUNCEMENT_JOB,
+    SEGMENTS,
+    getAudienceQuery,
+    countAudience,
+    scheduleAnnouncement,
+    cancelAnnouncement,
+    sendAnnouncement,
+    getAnnouncementStats,
+    getAnnouncementStatsList,
+    registerAnnouncementJobs,
+};
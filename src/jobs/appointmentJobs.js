@@ -0,0 +1,144 @@
+// src/jobs/appointmentJobs.js
+// Background jobs for appointments: reminders before approved appointments and
+// expiry of requests the lawyer never answered.
+
+const Appointment = require("../models/appointment.model.js");
+const {
+    defineJob,
+    scheduleJob,
+    scheduleRecurring,
+    cancelJobs,
+} = require("../services/jobScheduler.js");
+const { createNotification } = require("../utils/notificationService.js");
+const { getAppointmentWindow } = require("../utils/availability.js");
+const { applyStatusChange } = require("../utils/appointmentStatus.js");
+const { refundAppointmentPayment } = require("../services/payments/index.js");
+
+const REMINDER_JOB = "appointment.reminder";
+const EXPIRE_JOB = "appointment.expirePending";
+
+const HOUR = 60 * 60 * 1000;
+const REMINDER_OFFSETS = {
+    "24h": 24 * HOUR,
+    "1h": HOUR,
+};
+const EXPIRE_INTERVAL = 15 * 60 * 1000;
+
+/**
+ * Queue the 24h and 1h reminders for an approved appointment. Re-running this
+ * after a reschedule moves the existing reminders instead of duplicating them;
+ * reminders whose time has already passed are skipped.
+ */
+async function scheduleAppointmentReminders(appointment, now = new Date()) {
+    const { start } = getAppointmentWindow(appointment);
+    const appointmentId = appointment._id.toString();
+
+    await Promise.all(
+        Object.entries(REMINDER_OFFSETS).map(([offset, ms]) => {
+            const uniqueKey = `${REMINDER_JOB}:${appointmentId}:${offset}`;
+            const runAt = new Date(start.getTime() - ms);
+            if (runAt <= now) {
+                return cancelJobs({ uniqueKey });
+            }
+            return scheduleJob(
+                REMINDER_JOB,
+                { appointmentId, offset, startsAt: start },
+                { runAt, uniqueKey }
+            );
+        })
+    );
+}
+
+async function cancelAppointmentReminders(appointmentId) {
+    return cancelJobs({ name: REMINDER_JOB, "data.appointmentId": appointmentId.toString() });
+}
+
+async function sendReminder(job, { io }) {
+    const { appointmentId, offset, startsAt } = job.data;
+    const appointment = await Appointment.findById(appointmentId)
+        .populate("client", "username email")
+        .populate("lawyer", "username email");
+
+    // nothing to do if it was cancelled or moved after the reminder was queued
+    if (!appointment || appointment.status !== "approved") return { skipped: "not approved" };
+    const { start } = getAppointmentWindow(appointment);
+    if (start.getTime() !== new Date(startsAt).getTime()) return { skipped: "rescheduled" };
+
+    const when = offset === "1h" ? "in 1 hour" : "tomorrow";
+    const time = `${appointment.timeSlot} on ${start.toDateString()}`;
+    const recipients = [
+        {
+            user: appointment.client,
+            message: `Reminder: your appointment with ${appointment.lawyer?.username || "your lawyer"} is ${when} (${time}).`,
+        },
+        {
+            user: appointment.lawyer,
+            message: `Reminder: your appointment with ${appointment.client?.username || "your client"} is ${when} (${time}).`,
+        },
+    ];
+
+    await Promise.all(
+        recipients
+            .filter((r) => r.user)
+            .map((r) =>
+                createNotification(io, {
+                    user: r.user._id,
+                    type: "appointment.reminder",
+                    title: "Appointment Reminder",
+                    message: r.message,
+                    relatedId: appointment._id,
+                    relatedModel: "Appointment",
+                    priority: offset === "1h" ? "high" : "normal",
+                    channels: { inApp: true, email: true, push: true },
+                    email: r.user.email,
+                })
+            )
+    );
+    return { sent: recipients.length };
+}
+
+/**
+ * Mark pending appointments whose slot has already started as expired
+ */
+async function expirePendingAppointments(job, { io } = {}, now = new Date()) {
+    const candidates = await Appointment.find({ status: "pending", date: { $lte: now } });
+    let expired = 0;
+
+    for (const appointment of candidates) {
+        if (getAppointmentWindow(appointment).start > now) continue;
+
+        applyStatusChange(appointment, {
+            to: "expired",
+            role: "system",
+            reason: "The lawyer did not respond before the appointment time",
+        });
+        await appointment.save();
+        await refundAppointmentPayment(appointment, { status: "expired", role: "system", io, now });
+        expired++;
+
+        await createNotification(io, {
+            user: appointment.client,
+            type: "appointment.updated",
+            title: "Appointment Request Expired",
+            message: `Your appointment request for ${appointment.timeSlot} on ${new Date(appointment.date).toDateString()} expired without a response. Please book another slot.`,
+            relatedId: appointment._id,
+            relatedModel: "Appointment",
+        });
+    }
+    return { expired };
+}
+
+function registerAppointmentJobs() {
+    defineJob(REMINDER_JOB, sendReminder);
+    defineJob(EXPIRE_JOB, (job, ctx) => expirePendingAppointments(job, ctx));
+    return scheduleRecurring(EXPIRE_JOB, EXPIRE_INTERVAL);
+}
+
+module.exports = {
+    REMINDER_JOB,
+    EXPIRE_JOB,
+    registerAppointmentJobs,
+    scheduleAppointmentReminders,
+    cancelAppointmentReminders,
+    expirePendingAppointments,
+};
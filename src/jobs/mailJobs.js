@@ -0,0 +1,19 @@
+// src/jobs/mailJobs.js
+// Background job for outgoing email: sends outbox messages that are due a retry.
+
+const { defineJob, scheduleRecurring } = require("../services/jobScheduler.js");
+const { processOutbox } = require("../services/mail/outbox.js");
+
+const OUTBOX_JOB = "mail.outbox";
+// the shortest retry delay is a minute, so checking more often gains nothing
+const OUTBOX_INTERVAL = 60 * 1000;
+
+function registerMailJobs() {
+    defineJob(OUTBOX_JOB, () => processOutbox());
+    return scheduleRecurring(OUTBOX_JOB, OUTBOX_INTERVAL);
+}
+
+module.exports = {
+    OUTBOX_JOB,
+    registerMailJobs,
+};
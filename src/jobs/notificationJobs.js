@@ -0,0 +1,196 @@
+// src/jobs/notificationJobs.js
+// Background jobs for notifications: email and push held back by quiet hours, and
+// the daily/weekly email digest of notifications the user has not read.
+
+const Notification = require("../models/notification.model.js");
+const NotificationDigest = require("../models/notificationDigest.model.js");
+const User = require("../models/user.model.js");
+const { getMailBaseUrl } = require("../services/mail/index.js");
+const { queueMail } = require("../services/mail/outbox.js");
+const { defineJob, scheduleRecurring } = require("../services/jobScheduler.js");
+const { DELIVER_JOB, deliverDeferredNotification } = require("../utils/notificationService.js");
+const {
+    getNotificationPreferences,
+    quietHoursEndsAt,
+} = require("../utils/notificationPreferences.js");
+
+const DIGEST_JOB = "notification.digest";
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const DIGEST_PERIODS = {
+    daily: DAY,
+    weekly: 7 * DAY,
+};
+// the job checks hourly which users are due; each user still gets at most one per period
+const DIGEST_INTERVAL = HOUR;
+// notifications listed in one email; the rest are summed up as "and N more"
+const MAX_DIGEST_ITEMS = 50;
+
+// digest sections by notification type prefix; labels live in the mail locales
+const GROUP_KEYS = {
+    appointment: "appointment",
+    payment: "payment",
+    message: "message",
+    feedback: "review",
+    review: "review",
+    system: "system",
+};
+
+// unread notifications of a user that no digest has covered yet
+const pendingQuery = (userId, now) => ({
+    user: userId,
+    status: "unread",
+    digestedAt: null,
+    "channels.digest": true,
+    createdAt: { $lte: now },
+});
+
+function formatDate(date, timeZone) {
+    return new Date(date).toLocaleString("en-GB", {
+        timeZone,
+        day: "2-digit",
+        month: "short",
+        hour: "2-digit",
+        minute: "2-digit",
+        hour12: false,
+    });
+}
+
+/**
+ * Group notifications by area (appointments, payments, …) for the email
+ */
+function groupNotifications(notifications, timeZone) {
+    const groups = new Map();
+    notifications.forEach((n) => {
+        const key = GROUP_KEYS[n.type.split(".")[0]] || "other";
+        if (!groups.has(key)) groups.set(key, { key, items: [] });
+        groups.get(key).items.push({
+            title: n.title,
+            message: n.message,
+            count: n.count || 1,
+            at: formatDate(n.createdAt, timeZone),
+        });
+    });
+    return [...groups.values()];
+}
+
+/**
+ * Send one user their digest if it is due.
+ * @returns {Promise<String>} "sent", "failed" or why it was skipped
+ */
+async function sendUserDigest(user, now = new Date()) {
+    if (!user.email) return "no email";
+
+    const prefs = await getNotificationPreferences(user._id);
+    const period = DIGEST_PERIODS[prefs.digestFrequency];
+    if (!period) return "off";
+    // try again on a later run instead of mailing during quiet hours
+    if (quietHoursEndsAt(prefs.quietHours, now)) return "quiet hours";
+
+    const pending = await Notification.find(pendingQuery(user._id, now)).sort({ createdAt: 1 });
+    if (!pending.length) return "nothing unread";
+
+    const lastSent = await NotificationDigest.findOne({ user: user._id, status: "sent" }).sort({
+        periodEnd: -1,
+    });
+    const periodStart = lastSent ? lastSent.periodEnd : pending[0].createdAt;
+    if (now - periodStart < period) return "not due";
+
+    // claim the notifications before mailing so an overlapping run can't send them again
+    const digest = await NotificationDigest.create({
+        user: user._id,
+        frequency: prefs.digestFrequency,
+        periodStart,
+        periodEnd: now,
+        notifications: pending.map((n) => n._id),
+        count: pending.length,
+    });
+    const claimed = await Notification.updateMany(
+        { _id: { $in: digest.notifications }, digestedAt: null },
+        { $set: { digestedAt: now, digest: digest._id } }
+    );
+    if (!claimed.modifiedCount) {
+        await NotificationDigest.deleteOne({ _id: digest._id });
+        return "already sent";
+    }
+
+    const timeZone = prefs.quietHours.timeZone;
+    const shown = pending.slice(-MAX_DIGEST_ITEMS).reverse();
+    const baseUrl = getMailBaseUrl();
+    const email = await queueMail({
+        to: user.email,
+        template: "digest",
+        data: {
+            name: user.name || user.username,
+            frequency: prefs.digestFrequency,
+            count: pending.length,
+            since: formatDate(periodStart, timeZone),
+            groups: groupNotifications(shown, timeZone),
+            hidden: pending.length - shown.length,
+            notificationsUrl: `${baseUrl}/notifications`,
+            settingsUrl: `${baseUrl}/settings`,
+        },
+        user: user._id,
+        locale: prefs.language,
+    });
+
+    // a send that is merely queued for retry stays with this digest; the outbox delivers it
+    if (email.status === "failed" || email.status === "bounced") {
+        // release the notifications so the next run retries them
+        await Notification.updateMany(
+            { digest: digest._id },
+            { $set: { digestedAt: null, digest: null } }
+        );
+        await NotificationDigest.updateOne(
+            { _id: digest._id },
+            { $set: { status: "failed", email: email._id, error: email.lastError } }
+        );
+        return "failed";
+    }
+
+    await NotificationDigest.updateOne(
+        { _id: digest._id },
+        { $set: { status: "sent", sentAt: new Date(), email: email._id } }
+    );
+    return "sent";
+}
+
+/**
+ * Mail the digest to every user who has undigested unread notifications and is due
+ */
+async function sendNotificationDigests(job, context = {}, now = new Date()) {
+    const userIds = await Notification.distinct("user", {
+        status: "unread",
+        digestedAt: null,
+        "channels.digest": true,
+    });
+    const users = await User.find({ _id: { $in: userIds } }).select("name username email");
+
+    const summary = { sent: 0, failed: 0, skipped: 0 };
+    for (const user of users) {
+        try {
+            const outcome = await sendUserDigest(user, now);
+            if (outcome === "sent") summary.sent++;
+            else if (outcome === "failed") summary.failed++;
+            else summary.skipped++;
+        } catch (err) {
+            console.error(`❌ Digest for user ${user._id} failed:`, err.message || err);
+            summary.failed++;
+        }
+    }
+    return summary;
+}
+
+function registerNotificationJobs() {
+    defineJob(DELIVER_JOB, deliverDeferredNotification);
+    defineJob(DIGEST_JOB, (job, ctx) => sendNotificationDigests(job, ctx));
+    return scheduleRecurring(DIGEST_JOB, DIGEST_INTERVAL);
+}
+
+module.exports = {
+    DIGEST_JOB,
+    registerNotificationJobs,
+    sendUserDigest,
+    sendNotificationDigests,
+};
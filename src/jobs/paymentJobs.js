@@ -0,0 +1,13 @@
+// src/jobs/paymentJobs.js
+// Background job for payments: retries refunds the gateway rejected.
+
+const { defineJob } = require("../services/jobScheduler.js");
+const { REFUND_JOB, retryRefund } = require("../services/payments/index.js");
+
+function registerPaymentJobs() {
+    defineJob(REFUND_JOB, retryRefund);
+}
+
+module.exports = {
+    registerPaymentJobs,
+};
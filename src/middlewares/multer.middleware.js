@@ -1,6 +1,48 @@
 const multer = require("multer");
 const { storage } = require("../config/cloudinary");
+const apiError = require("../utils/apiError.js");
+const {
+    MAX_ATTACHMENT_SIZE,
+    MAX_ATTACHMENTS_PER_MESSAGE,
+    isAllowedType,
+} = require("../utils/attachmentPolicy.js");
 
 const upload = multer({ storage });
 
+// Chat attachments are held in memory so they can be checked and scanned before
+// anything is written to the attachment storage backend
+const attachmentUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_ATTACHMENT_SIZE, files: MAX_ATTACHMENTS_PER_MESSAGE },
+    fileFilter: (req, file, cb) => {
+        if (!isAllowedType(file.mimetype, file.originalname)) {
+            return cb(new apiError(415, `File type not allowed: ${file.originalname}`));
+        }
+        cb(null, true);
+    },
+});
+
+const MULTER_ERRORS = {
+    LIMIT_FILE_SIZE: [413, `Files must be smaller than ${MAX_ATTACHMENT_SIZE / (1024 * 1024)} MB`],
+    LIMIT_FILE_COUNT: [400, `You can attach up to ${MAX_ATTACHMENTS_PER_MESSAGE} files at a time`],
+    LIMIT_UNEXPECTED_FILE: [400, "Unexpected file field"],
+};
+
+/**
+ * Accept up to MAX_ATTACHMENTS_PER_MESSAGE whitelisted files in `field`,
+ * turning multer errors into apiErrors
+ */
+const chatAttachments = (field = "attachments") => {
+    const middleware = attachmentUpload.array(field, MAX_ATTACHMENTS_PER_MESSAGE);
+    return (req, res, next) =>
+        middleware(req, res, (err) => {
+            if (err instanceof multer.MulterError) {
+                const [status, msg] = MULTER_ERRORS[err.code] || [400, err.message];
+                return next(new apiError(status, msg));
+            }
+            next(err);
+        });
+};
+
 module.exports = upload;
+module.exports.chatAttachments = chatAttachments;
@@ -13,4 +13,17 @@ const apiLimiter = rateLimit({
     },
 });
 
-module.exports = apiLimiter;
+// Public transcript checks parse an uploaded copy and hash it: 20 per 15 minutes per IP
+const transcriptCheckLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 20,
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: {
+        status: 429,
+        success: false,
+        message: "Too many transcript checks. Please try again later.",
+    },
+});
+
+module.exports = { apiLimiter, transcriptCheckLimiter };
@@ -0,0 +1,75 @@
+const mongoose = require("mongoose");
+const passport = require("passport");
+const ChatRoom = require("../models/chatRoom.model.js");
+
+/**
+ * Error shape sent to socket clients, both as a connect_error payload and in
+ * event acknowledgements: { status: "error", code, msg }
+ */
+const socketError = (code, msg) => ({ status: "error", code, msg });
+
+function connectionError(code, msg) {
+    const err = new Error(msg);
+    err.data = socketError(code, msg); // exposed to the client on "connect_error"
+    return err;
+}
+
+/**
+ * socket.io middleware: resolve the logged-in user from the express-session /
+ * passport session shared with app.js (attached via io.engine.use) and store it
+ * on socket.data.user. Connections without a valid session are refused.
+ */
+const authenticateSocket = (socket, next) => {
+    // ✅ Bypass authentication in tests, mirroring isLoggedIn
+    const testAuthor = socket.handshake.auth?.author;
+    if (process.env.NODE_ENV === "test" && testAuthor) {
+        socket.data.user = { _id: String(testAuthor), role: "user" };
+        return next();
+    }
+
+    const serialized = socket.request.session?.passport?.user;
+    if (!serialized) {
+        return next(connectionError(401, "Please log in first"));
+    }
+
+    passport.deserializeUser(serialized, socket.request, (err, user) => {
+        if (err || !user) {
+            return next(connectionError(401, "Your session has expired, please log in again"));
+        }
+        if (user.isActive === false) {
+            return next(connectionError(403, "Your account is deactivated"));
+        }
+        socket.data.user = {
+            _id: String(user._id),
+            username: user.username,
+            name: user.name,
+            role: user.role,
+        };
+        next();
+    });
+};
+
+/**
+ * Load a chat room the socket's user belongs to, or throw a structured error
+ * @returns {Promise<Object>} the ChatRoom document
+ */
+async function requireChatRoomMember(socket, chatRoomId) {
+    if (!chatRoomId || !mongoose.isValidObjectId(chatRoomId)) {
+        throw socketError(400, "A valid chat room ID is required");
+    }
+    const chatRoom = await ChatRoom.findById(chatRoomId);
+    if (!chatRoom) {
+        throw socketError(404, "Chat room not found");
+    }
+    const userId = socket.data.user._id;
+    if (!chatRoom.participants.some((p) => p.toString() === userId)) {
+        throw socketError(403, "You do not have access to this chat room");
+    }
+    return chatRoom;
+}
+
+module.exports = {
+    socketError,
+    authenticateSocket,
+    requireChatRoomMember,
+};
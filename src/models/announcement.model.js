@@ -0,0 +1,59 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// An admin broadcast to a segment of users, sent by the "announcement.send" job
+// (src/jobs/announcementJobs.js) as "system.alert" notifications.
+const announcementSchema = new Schema(
+    {
+        title: { type: String, required: true, trim: true, maxlength: 120 },
+        message: { type: String, required: true, trim: true, maxlength: 1000 },
+        // opened from the notification, push and email; defaults to the notifications page
+        url: { type: String, trim: true, default: null },
+
+        segment: {
+            type: String,
+            enum: ["all", "lawyers", "verified_lawyers", "state"],
+            required: true,
+        },
+        // for the "state" segment
+        state: { type: String, trim: true, default: null },
+
+        channels: {
+            inApp: { type: Boolean, default: true },
+            push: { type: Boolean, default: false },
+            email: { type: Boolean, default: false },
+        },
+        // high priority skips the recipients' quiet hours
+        priority: {
+            type: String,
+            enum: ["normal", "high"],
+            default: "normal",
+        },
+
+        status: {
+            type: String,
+            enum: ["scheduled", "sending", "sent", "cancelled"],
+            default: "scheduled",
+        },
+        scheduledFor: { type: Date, default: Date.now },
+        createdBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+        startedAt: { type: Date, default: null },
+        completedAt: { type: Date, default: null },
+        cancelledAt: { type: Date, default: null },
+
+        // filled in while sending; read counts come from the notifications themselves
+        stats: {
+            recipients: { type: Number, default: 0 },
+            notified: { type: Number, default: 0 },
+            failed: { type: Number, default: 0 },
+        },
+        error: { type: String, default: null },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+announcementSchema.index({ status: 1, scheduledFor: -1 });
+
+module.exports = mongoose.model("Announcement", announcementSchema);
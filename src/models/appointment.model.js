@@ -1,5 +1,70 @@
 const mongoose = require("mongoose");
 const Schema = mongoose.Schema;
+const { APPOINTMENT_STATUSES } = require("../utils/appointmentStatus.js");
+const { PAYMENT_STATUSES } = require("../utils/refundPolicy.js");
+
+// A proposal to move the appointment, made by either the client or the lawyer
+const rescheduleRequestSchema = new Schema(
+    {
+        proposedBy: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        date: {
+            type: Date,
+            required: true,
+        },
+        timeSlot: {
+            type: String,
+            required: true,
+        },
+        reason: {
+            type: String,
+            trim: true,
+        },
+        // where the appointment was when the proposal was made
+        previousDate: { type: Date },
+        previousTimeSlot: { type: String },
+        status: {
+            type: String,
+            enum: ["pending", "accepted", "declined"],
+            default: "pending",
+        },
+        respondedBy: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+        },
+        respondedAt: { type: Date },
+        responseNote: {
+            type: String,
+            trim: true,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// Audit trail entry written on every status transition
+const statusChangeSchema = new Schema(
+    {
+        from: { type: String, default: null }, // null for the initial "pending" entry
+        to: { type: String, enum: APPOINTMENT_STATUSES, required: true },
+        changedBy: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            default: null, // null when changed by the system
+        },
+        role: {
+            type: String,
+            enum: ["client", "lawyer", "admin", "system"],
+        },
+        reason: { type: String, trim: true },
+        changedAt: { type: Date, default: Date.now },
+    },
+    { _id: false }
+);
 
 const appointmentSchema = new Schema(
     {
@@ -21,15 +86,32 @@ const appointmentSchema = new Schema(
             type: String,
             required: true,
         },
+        durationMinutes: {
+            type: Number, // slot length from the lawyer's schedule at booking time
+            default: 30,
+        },
         status: {
             type: String,
-            enum: ["pending", "approved", "rejected", "cancelled", "completed"],
+            enum: APPOINTMENT_STATUSES,
             default: "pending",
         },
+        statusHistory: {
+            type: [statusChangeSchema],
+            default: [],
+        },
         notes: {
             type: String,
             trim: true,
         },
+        feeAmount: {
+            type: Number, // paise, copied from the lawyer's fees at booking time
+            default: 0,
+        },
+        paymentStatus: {
+            type: String,
+            enum: PAYMENT_STATUSES,
+            default: "not_required", // free consultations and appointments booked before payments
+        },
         appointmentCard: {
             cardId: {
                 type: String,
@@ -38,10 +120,17 @@ const appointmentSchema = new Schema(
             qrCode: {
                 type: String,
             },
+            verifyUrl: {
+                type: String, // signed /verify/card link encoded in the QR code
+            },
             expiresAt: {
-                type: Date,
+                type: Date, // end of the appointment slot
             },
         },
+        rescheduleRequests: {
+            type: [rescheduleRequestSchema],
+            default: [],
+        },
     },
     {
         timestamps: true,
@@ -0,0 +1,61 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// One voice/video call attempt in a chat room
+const callLogSchema = new Schema(
+    {
+        chatRoom: {
+            type: Schema.Types.ObjectId,
+            ref: "ChatRoom",
+            required: true,
+        },
+        appointment: {
+            type: Schema.Types.ObjectId,
+            ref: "Appointment",
+            required: true,
+        },
+        initiator: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        // everyone who joined the call
+        participants: [
+            {
+                type: Schema.Types.ObjectId,
+                ref: "User",
+            },
+        ],
+        type: {
+            type: String,
+            enum: ["audio", "video"],
+            default: "video",
+        },
+        status: {
+            type: String,
+            // ringing -> active -> ended, or ringing -> missed/declined
+            enum: ["ringing", "active", "ended", "missed", "declined"],
+            default: "ringing",
+        },
+        startedAt: { type: Date, default: Date.now }, // when the call was placed
+        answeredAt: { type: Date },
+        endedAt: { type: Date },
+        durationSeconds: { type: Number, default: 0 }, // answered -> ended
+        endedBy: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            default: null, // null when ended by the server (disconnect, window closed)
+        },
+        endReason: {
+            type: String,
+            enum: ["hangup", "declined", "disconnected", "window_closed", "no_answer"],
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+callLogSchema.index({ chatRoom: 1, status: 1 });
+
+module.exports = mongoose.model("CallLog", callLogSchema);
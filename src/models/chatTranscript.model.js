@@ -0,0 +1,41 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// One issued chat transcript export. Keeps the hash of the transcript text so a
+// copy can be checked against what LegalHub actually produced.
+const chatTranscriptSchema = new Schema(
+    {
+        transcriptId: {
+            type: String,
+            required: true,
+            unique: true,
+        },
+        chatRoom: {
+            type: Schema.Types.ObjectId,
+            ref: "ChatRoom",
+            required: true,
+        },
+        generatedBy: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        format: {
+            type: String,
+            enum: ["pdf", "txt"],
+            required: true,
+        },
+        participants: {
+            type: [String], // display names at export time; the room may be deleted later
+            default: [],
+        },
+        messageCount: { type: Number, default: 0 },
+        hash: { type: String, required: true }, // SHA-256 of the transcript text, hex
+        signature: { type: String, required: true }, // HMAC of transcriptId + hash
+    },
+    {
+        timestamps: true,
+    }
+);
+
+module.exports = mongoose.model("ChatTranscript", chatTranscriptSchema);
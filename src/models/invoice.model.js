@@ -0,0 +1,84 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+const lineItemSchema = new Schema(
+    {
+        description: { type: String, required: true },
+        sac: { type: String }, // GST services accounting code
+        quantity: { type: Number, default: 1 },
+        unitPrice: { type: Number, required: true }, // paise, before tax
+        amount: { type: Number, required: true }, // paise, before tax
+    },
+    { _id: false }
+);
+
+// Tax invoice issued once an appointment fee is paid. Amounts are in paise and
+// the fee is treated as GST-inclusive, split into CGST + SGST.
+const invoiceSchema = new Schema(
+    {
+        invoiceNumber: {
+            type: String,
+            required: true,
+            unique: true,
+        },
+        appointment: {
+            type: Schema.Types.ObjectId,
+            ref: "Appointment",
+            required: true,
+        },
+        payment: {
+            type: Schema.Types.ObjectId,
+            ref: "Payment",
+            required: true,
+        },
+        client: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        lawyer: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        // billing details frozen at issue time
+        billedTo: {
+            name: { type: String },
+            email: { type: String },
+        },
+        billedBy: {
+            name: { type: String },
+            email: { type: String },
+            address: { type: String },
+            gstin: { type: String },
+        },
+        lineItems: {
+            type: [lineItemSchema],
+            default: [],
+        },
+        currency: {
+            type: String,
+            default: "INR",
+        },
+        subtotal: { type: Number, required: true },
+        taxRate: { type: Number, required: true }, // percent, e.g. 18
+        cgst: { type: Number, default: 0 },
+        sgst: { type: Number, default: 0 },
+        total: { type: Number, required: true },
+        refundedAmount: { type: Number, default: 0 },
+        status: {
+            type: String,
+            enum: ["paid", "partially_refunded", "refunded"],
+            default: "paid",
+        },
+        issuedAt: {
+            type: Date,
+            default: Date.now,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+module.exports = mongoose.model("Invoice", invoiceSchema);
@@ -0,0 +1,62 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// A unit of background work picked up by src/services/jobScheduler.js
+const jobSchema = new Schema(
+    {
+        name: {
+            type: String, // handler name, e.g. "appointment.reminder"
+            required: true,
+            trim: true,
+        },
+        data: {
+            type: Schema.Types.Mixed,
+            default: {},
+        },
+        // de-duplicates jobs, e.g. one 24h reminder per appointment
+        uniqueKey: {
+            type: String,
+            unique: true,
+            sparse: true,
+        },
+        status: {
+            type: String,
+            enum: ["queued", "running", "completed", "failed", "cancelled"],
+            default: "queued",
+        },
+        runAt: {
+            type: Date,
+            required: true,
+            default: Date.now,
+        },
+        // recurring jobs are re-queued this many ms after each run
+        repeatEvery: {
+            type: Number,
+            default: null,
+        },
+        attempts: {
+            type: Number,
+            default: 0,
+        },
+        maxAttempts: {
+            type: Number,
+            default: 3,
+            min: 1,
+        },
+        lockedAt: { type: Date, default: null },
+        lockedBy: { type: String, default: null },
+        lastRunAt: { type: Date },
+        completedAt: { type: Date },
+        lastError: { type: String },
+        result: { type: Schema.Types.Mixed },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// polling query: due jobs in run order
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ name: 1, status: 1 });
+
+module.exports = mongoose.model("Job", jobSchema);
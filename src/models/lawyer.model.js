@@ -53,10 +53,47 @@ const lawyerProfileSchema = new Schema(
             type: [String],
             default: [],
         },
+        // Legacy flat slot list, used only when no weekly schedule is configured
         availableSlots: {
             type: [String],
             default: [],
         },
+        availability: {
+            slotDuration: {
+                type: Number, // minutes
+                default: 30,
+                min: 10,
+                max: 240,
+            },
+            bufferMinutes: {
+                type: Number, // gap between consecutive slots
+                default: 0,
+                min: 0,
+                max: 120,
+            },
+            weeklySchedule: [
+                {
+                    _id: false,
+                    dayOfWeek: { type: Number, min: 0, max: 6, required: true }, // 0 = Sunday
+                    start: { type: String, required: true }, // "09:00"
+                    end: { type: String, required: true }, // "13:00"
+                },
+            ],
+            holidays: [
+                {
+                    date: { type: Date, required: true },
+                    name: { type: String, trim: true },
+                    recurring: { type: Boolean, default: false }, // repeats every year
+                },
+            ],
+            blackoutDates: [
+                {
+                    from: { type: Date, required: true },
+                    to: { type: Date, required: true },
+                    reason: { type: String, trim: true },
+                },
+            ],
+        },
         fees: {
             type: Number,
             default: 0,
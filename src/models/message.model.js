@@ -1,6 +1,58 @@
 const mongoose = require("mongoose");
 const Schema = mongoose.Schema;
 
+// A file shared in chat; the bytes live in the attachment storage backend
+const attachmentSchema = new Schema(
+    {
+        fileName: { type: String, required: true },
+        mimeType: { type: String, required: true },
+        size: { type: Number, required: true }, // bytes
+        storage: { type: String, required: true }, // backend name, e.g. "local" or "cloudinary"
+        key: { type: String, required: true }, // backend specific location, never sent to clients
+        format: { type: String }, // cloudinary format, needed for signed download links
+        scanStatus: {
+            type: String,
+            enum: ["clean"], // infected uploads are rejected, never stored
+            default: "clean",
+        },
+    },
+    {
+        toJSON: {
+            virtuals: true,
+            transform: (doc, ret) => {
+                delete ret.key;
+                delete ret.format;
+                delete ret.storage;
+                delete ret.id;
+                return ret;
+            },
+        },
+    }
+);
+
+// participants-only download link, see chat.controller.js downloadAttachment
+attachmentSchema.virtual("url").get(function () {
+    return `/chat/attachments/${this.parent()._id}/${this._id}`;
+});
+
+// Earlier text of an edited message
+const editSchema = new Schema(
+    {
+        content: { type: String, default: "" },
+        editedAt: { type: Date, required: true },
+    },
+    { _id: false }
+);
+
+const reactionSchema = new Schema(
+    {
+        emoji: { type: String, required: true },
+        user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+        createdAt: { type: Date, default: Date.now },
+    },
+    { _id: false }
+);
+
 const messageSchema = new Schema(
     {
         chatRoom: {
@@ -18,14 +70,76 @@ const messageSchema = new Schema(
             ref: "User",
             required: true,
         },
-        content: { type: String, required: true },
+        content: {
+            type: String,
+            // a message may be attachments only
+            required: function () {
+                return !this.attachments || this.attachments.length === 0;
+            },
+            default: "",
+        },
+        attachments: {
+            type: [attachmentSchema],
+            default: [],
+        },
+        // the earlier message this one quotes
+        replyTo: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Message",
+            default: null,
+        },
+        // set on every edit; clients show it as the "edited" marker
+        editedAt: { type: Date, default: null },
+        // previous versions, oldest first; only sent on request (see getEditHistory)
+        editHistory: {
+            type: [editSchema],
+            default: [],
+        },
+        reactions: {
+            type: [reactionSchema],
+            default: [],
+        },
         seen: { type: Boolean, default: false },
+        // receipts: reached one of the receiver's open sockets / was read by them
+        deliveredAt: { type: Date, default: null },
+        readAt: { type: Date, default: null },
         deleted: { type: Boolean, default: false },
         deletedAt: { type: Date, default: null },
     },
     {
         timestamps: true,
+        toJSON: {
+            transform: (doc, ret) => {
+                ret.editCount = (ret.editHistory || []).length;
+                delete ret.editHistory;
+                return ret;
+            },
+        },
     }
 );
 
+// Populate what chat clients need to render a message, e.g. Message.find(...).forChat()
+messageSchema.query.forChat = function () {
+    return this.populate("sender", "username name")
+        .populate("receiver", "username name")
+        .populate({
+            path: "replyTo",
+            select: "content sender attachments deleted",
+            populate: { path: "sender", select: "username name" },
+            // a quoted message deleted since keeps its place but not its text or files
+            transform: (quoted) => {
+                if (quoted?.deleted) {
+                    quoted.content = "";
+                    quoted.attachments = [];
+                }
+                return quoted;
+            },
+        });
+};
+
+// cursor pagination within a room and search across rooms walk _id
+messageSchema.index({ chatRoom: 1, _id: -1 });
+// unread counts and pending delivery receipts
+messageSchema.index({ receiver: 1, seen: 1 });
+
 module.exports = mongoose.model("Message", messageSchema);
@@ -14,6 +14,9 @@ const notificationSchema = new Schema(
                 "appointment.created",
                 "appointment.updated",
                 "appointment.cancelled",
+                "appointment.reminder",
+                "payment.received",
+                "payment.refunded",
                 "message.new",
                 "feedback.submitted",
                 "review.posted",
@@ -47,8 +50,25 @@ const notificationSchema = new Schema(
             email: { type: Boolean, default: false },
             sms: { type: Boolean, default: false },
             push: { type: Boolean, default: false },
+            // included in the periodic email digest while still unread
+            digest: { type: Boolean, default: true },
         },
 
+        // email/push held back by the user's quiet hours until this time
+        deferredUntil: { type: Date, default: null },
+
+        // set once the notification went out in an email digest
+        digestedAt: { type: Date, default: null },
+        digest: { type: Schema.Types.ObjectId, ref: "NotificationDigest", default: null },
+
+        // how many events this notification stands for, e.g. a burst of chat messages
+        count: { type: Number, default: 1 },
+        // display name of whoever caused it, used when grouping ("5 new messages from Asha")
+        actor: { type: String, default: null },
+
+        // archived notifications leave the inbox but are kept until deleted
+        archivedAt: { type: Date, default: null },
+
         createdAt: { type: Date, default: Date.now },
     },
     {
@@ -56,4 +76,11 @@ const notificationSchema = new Schema(
     }
 );
 
+// digest job: each user's unread notifications not yet sent in a digest
+notificationSchema.index({ user: 1, status: 1, digestedAt: 1 });
+// inbox listing and the unread counter
+notificationSchema.index({ user: 1, archivedAt: 1, status: 1, createdAt: -1 });
+// delivery statistics of announcements
+notificationSchema.index({ relatedModel: 1, relatedId: 1, status: 1 });
+
 module.exports = mongoose.model("Notification", notificationSchema);
@@ -0,0 +1,38 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// One email digest sent to a user. The last sent digest decides when the next one
+// is due, and the notifications it covered are never mailed in a digest again.
+const notificationDigestSchema = new Schema(
+    {
+        user: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        frequency: {
+            type: String,
+            enum: ["daily", "weekly"],
+            required: true,
+        },
+        periodStart: { type: Date, required: true },
+        periodEnd: { type: Date, required: true },
+        notifications: [{ type: Schema.Types.ObjectId, ref: "Notification" }],
+        count: { type: Number, default: 0 },
+        status: {
+            type: String,
+            enum: ["sending", "sent", "failed"],
+            default: "sending",
+        },
+        sentAt: { type: Date, default: null },
+        email: { type: Schema.Types.ObjectId, ref: "OutboxEmail", default: null },
+        error: { type: String, default: null },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+notificationDigestSchema.index({ user: 1, status: 1, periodEnd: -1 });
+
+module.exports = mongoose.model("NotificationDigest", notificationDigestSchema);
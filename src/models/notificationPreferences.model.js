@@ -0,0 +1,53 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Which channels a user wants for each notification type. In-app notifications are
+// always stored; these toggles only gate email and push.
+const typeToggleSchema = new Schema(
+    {
+        name: { type: String, required: true }, // notification type, e.g. "appointment.reminder"
+        email: { type: Boolean, default: true },
+        push: { type: Boolean, default: true },
+    },
+    { _id: false }
+);
+
+const notificationPreferencesSchema = new Schema(
+    {
+        user: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+            unique: true,
+        },
+        // one entry per type the user has changed; missing types use the defaults
+        types: {
+            type: [typeToggleSchema],
+            default: [],
+        },
+        // email and push are held back during these hours and sent when they end
+        quietHours: {
+            enabled: { type: Boolean, default: false },
+            start: { type: String, default: "22:00" }, // HH:mm, local to timeZone
+            end: { type: String, default: "07:00" },
+            timeZone: { type: String, default: "Asia/Kolkata" },
+        },
+        // language of the emails we send this user (see services/mail/locales)
+        language: {
+            type: String,
+            enum: ["en", "hi"],
+            default: "en",
+        },
+        // the digest is opt-in
+        digestFrequency: {
+            type: String,
+            enum: ["off", "daily", "weekly"],
+            default: "off",
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+module.exports = mongoose.model("NotificationPreferences", notificationPreferencesSchema);
@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// An email waiting in, or passed through, the outbox (src/services/mail/outbox.js).
+// Everything needed to render it again is stored, so failed sends can be retried.
+const outboxEmailSchema = new Schema(
+    {
+        to: { type: String, required: true, trim: true },
+        template: { type: String, required: true }, // see services/mail TEMPLATES
+        data: { type: Schema.Types.Mixed, default: {} },
+        locale: { type: String, default: null }, // null: the recipient's email language
+        user: { type: Schema.Types.ObjectId, ref: "User", default: null },
+        attachments: [
+            {
+                _id: false,
+                filename: String,
+                content: Buffer,
+                contentType: String,
+            },
+        ],
+        status: {
+            type: String,
+            enum: ["queued", "sending", "sent", "failed", "bounced"],
+            default: "queued",
+        },
+        attempts: { type: Number, default: 0 },
+        maxAttempts: { type: Number, default: 5, min: 1 },
+        nextAttemptAt: { type: Date, default: Date.now },
+        lockedAt: { type: Date, default: null },
+        lastAttemptAt: { type: Date, default: null },
+        lastError: { type: String, default: null },
+        messageId: { type: String, default: null },
+        sentAt: { type: Date, default: null },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// worker query: due messages in send order
+outboxEmailSchema.index({ status: 1, nextAttemptAt: 1 });
+
+module.exports = mongoose.model("OutboxEmail", outboxEmailSchema);
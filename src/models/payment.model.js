@@ -0,0 +1,83 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+const refundSchema = new Schema(
+    {
+        amount: { type: Number, required: true }, // paise
+        reason: { type: String, trim: true },
+        gatewayRefundId: { type: String },
+        status: {
+            type: String,
+            enum: ["processed", "pending", "failed"],
+            default: "pending",
+        },
+        error: { type: String }, // gateway error when status is "failed"
+        createdAt: { type: Date, default: Date.now },
+    },
+    { _id: false }
+);
+
+// One gateway order for an appointment fee; amounts are in paise
+const paymentSchema = new Schema(
+    {
+        appointment: {
+            type: Schema.Types.ObjectId,
+            ref: "Appointment",
+            required: true,
+        },
+        invoice: {
+            type: Schema.Types.ObjectId,
+            ref: "Invoice",
+        },
+        payer: {
+            type: Schema.Types.ObjectId,
+            ref: "User", // the client
+            required: true,
+        },
+        payee: {
+            type: Schema.Types.ObjectId,
+            ref: "User", // the lawyer
+            required: true,
+        },
+        amount: {
+            type: Number,
+            required: true,
+            min: 0,
+        },
+        currency: {
+            type: String,
+            default: "INR",
+        },
+        gateway: {
+            type: String, // adapter name, e.g. "fake" or "razorpay"
+            required: true,
+        },
+        gatewayOrderId: {
+            type: String,
+            required: true,
+            unique: true,
+        },
+        gatewayPaymentId: { type: String },
+        status: {
+            type: String,
+            enum: ["created", "verifying", "paid", "failed", "partially_refunded", "refunded"],
+            default: "created",
+        },
+        paidAt: { type: Date },
+        refundedAmount: {
+            type: Number,
+            default: 0,
+        },
+        refunds: {
+            type: [refundSchema],
+            default: [],
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+paymentSchema.index({ appointment: 1, status: 1 });
+
+module.exports = mongoose.model("Payment", paymentSchema);
@@ -8,7 +8,17 @@ const SubscriptionSchema = new Schema({
         p256dh: { type: String },
         auth: { type: String },
     },
+    // the browser/device that subscribed, e.g. "Chrome on Android"
+    userAgent: { type: String, default: null },
+    deviceName: { type: String, default: null },
     createdAt: { type: Date, default: Date.now },
+    // the browser re-registers on page loads while subscribed
+    lastSeenAt: { type: Date, default: Date.now },
+    lastPushAt: { type: Date, default: null },
+    // consecutive failed pushes; see services/push.js for pruning
+    failureCount: { type: Number, default: 0 },
+    lastFailureAt: { type: Date, default: null },
+    lastError: { type: String, default: null },
 });
 
 SubscriptionSchema.index({ user: 1, endpoint: 1 }, { unique: true });
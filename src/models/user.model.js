@@ -50,6 +50,20 @@ const userSchema = new Schema(
         resetToken: String,
         resetTokenExpires: Date,
 
+        // secret for the subscribable appointments calendar feed
+        calendarFeedToken: {
+            type: String,
+            unique: true,
+            sparse: true,
+            select: false,
+        },
+
+        // when the user's last chat connection closed; see services/presence.js
+        lastSeenAt: {
+            type: Date,
+            default: null,
+        },
+
         // NEW: saved terms for dictionary
         savedTerms: {
             type: [String],
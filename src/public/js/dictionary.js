@@ -199,6 +199,8 @@
                         btn.style.transform = "translateY(-2px) scale(1.02)";
                         setTimeout(() => (btn.style.transform = ""), 380);
                         toast("Saved!");
+                        // keep the term readable offline
+                        if (window.syncOfflineContent) window.syncOfflineContent();
                     } else {
                         toast(j?.message || "Save failed");
                     }
@@ -490,8 +492,10 @@
                     headers: { "Content-Type": "application/json" },
                     body: JSON.stringify({ term }),
                 });
-                if (resp.ok) toast("Saved");
-                else {
+                if (resp.ok) {
+                    toast("Saved");
+                    if (window.syncOfflineContent) window.syncOfflineContent();
+                } else {
                     const j = await resp.json().catch(() => ({}));
                     toast(j?.message || "Save failed");
                 }
@@ -508,6 +512,13 @@
      ------------------------- */
     renderRecent();
 
+    // shared links and the offline page open /dictionary?term=...
+    const linkedTerm = new URLSearchParams(window.location.search).get("term");
+    if (linkedTerm && input) {
+        input.value = linkedTerm;
+        submitSearch(linkedTerm);
+    }
+
     // Initial empty-state message already present in EJS; ensure related aside hidden
     if (relatedAside) relatedAside.classList.add("hidden");
 })();
@@ -0,0 +1,70 @@
+// public/js/install.js
+// "Install LegalHuB" banner for browsers that fire beforeinstallprompt (Chrome and
+// other Chromium browsers on Android). Dismissing it keeps it away for DISMISS_FOR.
+(function () {
+    const DISMISS_KEY = "legalhub_install_dismissed_at";
+    const DISMISS_FOR = 14 * 24 * 60 * 60 * 1000;
+    let deferredPrompt = null;
+
+    const isInstalled = () =>
+        window.matchMedia("(display-mode: standalone)").matches || navigator.standalone === true;
+
+    function dismissedRecently() {
+        const at = Number(localStorage.getItem(DISMISS_KEY)) || 0;
+        return Date.now() - at < DISMISS_FOR;
+    }
+
+    function dismiss() {
+        localStorage.setItem(DISMISS_KEY, String(Date.now()));
+        hideBanner();
+    }
+
+    function hideBanner() {
+        const banner = document.getElementById("installBanner");
+        if (banner) banner.remove();
+    }
+
+    function showBanner() {
+        if (document.getElementById("installBanner")) return;
+
+        const banner = document.createElement("div");
+        banner.id = "installBanner";
+        banner.className = "install-banner";
+        banner.setAttribute("role", "dialog");
+        banner.setAttribute("aria-label", "Install LegalHuB");
+        banner.innerHTML = `
+            <img src="/pic/icons/icon-96.png" alt="" width="40" height="40" />
+            <div class="install-banner__text">
+                <strong>Install LegalHuB</strong>
+                <span>Open it from your home screen, even offline.</span>
+            </div>
+            <button type="button" class="install-banner__install">Install</button>
+            <button type="button" class="install-banner__close" aria-label="Not now">&times;</button>
+        `;
+        banner.querySelector(".install-banner__install").addEventListener("click", install);
+        banner.querySelector(".install-banner__close").addEventListener("click", dismiss);
+        document.body.appendChild(banner);
+    }
+
+    async function install() {
+        if (!deferredPrompt) return;
+        hideBanner();
+        deferredPrompt.prompt();
+        const { outcome } = await deferredPrompt.userChoice;
+        if (outcome === "dismissed") dismiss();
+        // a prompt can only be used once
+        deferredPrompt = null;
+    }
+
+    window.addEventListener("beforeinstallprompt", (event) => {
+        // show our banner instead of the browser's mini-infobar
+        event.preventDefault();
+        deferredPrompt = event;
+        if (!isInstalled() && !dismissedRecently()) showBanner();
+    });
+
+    window.addEventListener("appinstalled", () => {
+        deferredPrompt = null;
+        hideBanner();
+    });
+})();
@@ -0,0 +1,25 @@
+// public/js/notification-counter.js
+// Keeps the navbar's unread badge in sync: the server emits "notification:unread"
+// whenever the count changes (new notification, read, archived, deleted).
+
+(function () {
+    const badge = document.getElementById("notificationBadge");
+    if (!badge) return;
+
+    function render(count) {
+        badge.textContent = count > 99 ? "99+" : String(count);
+        badge.hidden = count <= 0;
+    }
+
+    function listen() {
+        // io() reuses the page's connection when another script (e.g. chat) opened one
+        const socket = window.io();
+        socket.on("notification:unread", ({ count }) => render(count));
+    }
+
+    if (window.io) return listen();
+    const script = document.createElement("script");
+    script.src = "/socket.io/socket.io.js";
+    script.onload = listen;
+    document.head.appendChild(script);
+})();
@@ -56,8 +56,35 @@ async function subscribeToPush(authToken) {
     console.log("🎉 Subscribed to push notifications successfully");
 }
 
+// This browser's push subscription, or null
+async function getCurrentSubscription() {
+    if (!("serviceWorker" in navigator) || !("PushManager" in window)) return null;
+    const reg = await navigator.serviceWorker.getRegistration("/");
+    return reg ? reg.pushManager.getSubscription() : null;
+}
+
+async function checkSubscription() {
+    return Boolean(await getCurrentSubscription());
+}
+
+// Unsubscribe this browser and forget it on the server
+async function unsubscribeFromPush() {
+    const subscription = await getCurrentSubscription();
+    if (!subscription) return;
+
+    await fetch("/api/push/unsubscribe", {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Accept: "application/json" },
+        body: JSON.stringify({ endpoint: subscription.endpoint }),
+    });
+    await subscription.unsubscribe();
+}
+
 // expose for other modules
 window.subscribeToPush = subscribeToPush;
+window.getCurrentSubscription = getCurrentSubscription;
+window.checkSubscription = checkSubscription;
+window.unsubscribeFromPush = unsubscribeFromPush;
 
 // --- Toast utility (NEW) ---
 // Reusable site toast that other scripts can call: window.showToast(msg, durationMs)
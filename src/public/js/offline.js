@@ -0,0 +1,38 @@
+// public/js/offline.js
+// Registers the service worker and asks it to refresh what is saved for offline
+// reading (see sw.js). Syncs at most every SYNC_INTERVAL, and right away after
+// signing in/out, coming back online, or when a page calls window.syncOfflineContent().
+(function () {
+    if (!("serviceWorker" in navigator)) return;
+
+    const SYNC_KEY = "legalhub_offline_sync_v1";
+    const SYNC_INTERVAL = 10 * 60 * 1000;
+    const user = (document.currentScript && document.currentScript.dataset.user) || "";
+
+    async function requestSync(force) {
+        if (!navigator.onLine) return;
+
+        let last = {};
+        try {
+            last = JSON.parse(localStorage.getItem(SYNC_KEY)) || {};
+        } catch (e) {
+            last = {};
+        }
+        const due = force || last.user !== user || Date.now() - (last.at || 0) > SYNC_INTERVAL;
+        if (!due) return;
+
+        localStorage.setItem(SYNC_KEY, JSON.stringify({ user, at: Date.now() }));
+        const reg = await navigator.serviceWorker.ready;
+        if (reg.active) reg.active.postMessage({ type: "offline:sync" });
+    }
+
+    window.syncOfflineContent = () => requestSync(true).catch(console.warn);
+
+    window.addEventListener("load", () => {
+        navigator.serviceWorker
+            .register("/sw.js", { scope: "/" })
+            .then(() => requestSync(false))
+            .catch((err) => console.warn("Service worker registration failed:", err));
+    });
+    window.addEventListener("online", () => window.syncOfflineContent());
+})();
@@ -1,4 +1,227 @@
 // public/sw.js
+
+// --- Offline support ---
+// Bump CACHE_VERSION whenever APP_SHELL or the caching below changes: the new
+// worker precaches into fresh caches and deletes the old versions on activate.
+const CACHE_VERSION = "v2";
+const SHELL_CACHE = `legalhub-shell-${CACHE_VERSION}`;
+const CONTENT_CACHE = `legalhub-content-${CACHE_VERSION}`;
+
+const OFFLINE_URL = "/offline";
+const MANIFEST_URL = "/offline/manifest.json";
+// what the last sync saved; read by the offline page
+const INDEX_URL = "/offline/index.json";
+// saved dictionary results are stored under a GET key, as POSTs can't be cached
+const TERM_PREFIX = "/offline/dictionary/";
+
+const APP_SHELL = [
+    OFFLINE_URL,
+    "/css/style.css",
+    "/css/login.css",
+    "/css/review.css",
+    "/css/contributor.css",
+    "/css/go-top.css",
+    "/css/home.css",
+    "/css/dictionary.css",
+    "/js/login.js",
+    "/js/home-animations.js",
+    "/js/dictionary.js",
+    "/js/offline.js",
+    "/js/install.js",
+    "/manifest.webmanifest",
+    "/pic/logo.png",
+    "/pic/logo1.png",
+    "/pic/icons/icon-96.png",
+    "/pic/icons/icon-192.png",
+];
+// same-origin files served stale-while-revalidate
+const STATIC_PATH = /^\/(css|js|pic)\/|^\/manifest\.webmanifest$/;
+// third-party stylesheets/scripts the layout needs (must be allowed by the CSP connect-src)
+const CDN_ORIGINS = ["https://cdn.jsdelivr.net"];
+
+const termKey = (term) => TERM_PREFIX + encodeURIComponent(term.trim().toLowerCase());
+const absolute = (path) => new URL(path, self.location.origin).href;
+
+self.addEventListener("install", (event) => {
+    // without cookies, so the offline page doesn't show whoever was signed in
+    const requests = APP_SHELL.map((url) => new Request(url, { credentials: "omit" }));
+    event.waitUntil(
+        caches
+            .open(SHELL_CACHE)
+            .then((cache) => cache.addAll(requests))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener("activate", (event) => {
+    event.waitUntil(
+        caches
+            .keys()
+            .then((keys) =>
+                Promise.all(
+                    keys
+                        .filter((key) => key.startsWith("legalhub-"))
+                        .filter((key) => key !== SHELL_CACHE && key !== CONTENT_CACHE)
+                        .map((key) => caches.delete(key))
+                )
+            )
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener("fetch", (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    const sameOrigin = url.origin === self.location.origin;
+
+    if (request.method === "POST" && sameOrigin && url.pathname === "/dictionary/search") {
+        event.respondWith(searchDictionary(request));
+        return;
+    }
+    if (request.method !== "GET") return;
+
+    if (request.mode === "navigate") {
+        event.respondWith(navigate(request, url));
+    } else if (sameOrigin ? STATIC_PATH.test(url.pathname) : CDN_ORIGINS.includes(url.origin)) {
+        event.respondWith(staleWhileRevalidate(event, request));
+    }
+});
+
+// Pages: network first; offline, the saved copy or the offline page
+async function navigate(request, url) {
+    const cache = await caches.open(CONTENT_CACHE);
+    try {
+        const response = await fetch(request);
+        // keep pages that are saved for offline reading up to date
+        if (
+            response.ok &&
+            !response.redirected &&
+            (await cache.match(request, { ignoreVary: true }))
+        ) {
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (err) {
+        const saved =
+            (await cache.match(request, { ignoreVary: true })) ||
+            // /dictionary?term=... loads the term from the saved results
+            (url.pathname === "/dictionary" && (await cache.match("/dictionary")));
+        return saved || (await caches.match(OFFLINE_URL));
+    }
+}
+
+// Static assets: serve the cached copy, refresh it in the background
+async function staleWhileRevalidate(event, request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request);
+    const network = fetch(request)
+        .then(async (response) => {
+            if (response.ok || response.type === "opaque") {
+                await cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(() => cached || Response.error());
+    event.waitUntil(network);
+    return cached || network;
+}
+
+function jsonResponse(body, status) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: { "Content-Type": "application/json" },
+    });
+}
+
+// Dictionary search: remember each result so saved terms work offline; the next
+// sync drops the ones that weren't saved
+async function searchDictionary(request) {
+    const { term } = await request
+        .clone()
+        .json()
+        .catch(() => ({}));
+    const key = typeof term === "string" && term.trim() ? termKey(term) : null;
+    const cache = await caches.open(CONTENT_CACHE);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok && key) await cache.put(key, response.clone());
+        return response;
+    } catch (err) {
+        const saved = key && (await cache.match(key));
+        if (saved) return saved;
+        return jsonResponse(
+            {
+                ok: false,
+                message:
+                    "You're offline. Only your saved terms can be looked up without a connection.",
+            },
+            503
+        );
+    }
+}
+
+// Bring the content cache in line with the server's offline manifest: drop what
+// is no longer wanted, download what is missing (one at a time, to go easy on the
+// server and its rate limits). Pages already saved are refreshed on visits.
+async function syncOfflineContent() {
+    const res = await fetch(MANIFEST_URL, {
+        headers: { Accept: "application/json" },
+        cache: "no-store",
+    });
+    if (!res.ok) return;
+    const manifest = (await res.json()).data;
+
+    let cache = await caches.open(CONTENT_CACHE);
+    const previous = await cache.match(INDEX_URL);
+    // someone else (or nobody) is signed in now: start over
+    if (previous && (await previous.json()).scope !== manifest.scope) {
+        await caches.delete(CONTENT_CACHE);
+        cache = await caches.open(CONTENT_CACHE);
+    }
+
+    const wanted = new Set([
+        absolute(INDEX_URL),
+        ...manifest.pages.map((page) => absolute(page.url)),
+        ...manifest.terms.map((term) => absolute(termKey(term))),
+    ]);
+    const keys = await cache.keys();
+    await Promise.all(keys.filter((req) => !wanted.has(req.url)).map((req) => cache.delete(req)));
+    const saved = new Set(keys.map((req) => req.url));
+
+    for (const page of manifest.pages) {
+        if (saved.has(absolute(page.url))) continue;
+        const response = await fetch(page.url, { headers: { Accept: "text/html" } });
+        if (response.ok && !response.redirected) await cache.put(page.url, response);
+    }
+    for (const term of manifest.terms) {
+        if (saved.has(absolute(termKey(term)))) continue;
+        const response = await fetch("/dictionary/search", {
+            method: "POST",
+            headers: { "Content-Type": "application/json", Accept: "application/json" },
+            body: JSON.stringify({ term }),
+        });
+        if (response.ok) await cache.put(termKey(term), response);
+    }
+
+    await cache.put(INDEX_URL, jsonResponse(manifest, 200));
+}
+
+let syncing = null;
+
+self.addEventListener("message", (event) => {
+    if (!event.data || event.data.type !== "offline:sync") return;
+    syncing =
+        syncing ||
+        syncOfflineContent()
+            .catch((err) => console.warn("Offline sync failed:", err))
+            .finally(() => {
+                syncing = null;
+            });
+    event.waitUntil(syncing);
+});
+
+// --- Push notifications ---
 self.addEventListener("push", function (event) {
     let data = { title: "Notification", body: "You have a new message", url: "/" };
 
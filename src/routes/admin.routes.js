@@ -14,6 +14,18 @@ const {
 } = require("../controllers/adminLawyerController.js");
 const { getAllArticles, deleteArticle } = require("../controllers/adminArticleController.js");
 const { getAllDocuments, exportCsv } = require("../controllers/adminDocumentController.js");
+const {
+    renderEmailPreviews,
+    previewEmail,
+    renderEmailOutbox,
+    resendOutboxEmail,
+} = require("../controllers/adminEmailController.js");
+const {
+    renderAnnouncements,
+    createAnnouncement,
+    getAnnouncement,
+    cancelScheduledAnnouncement,
+} = require("../controllers/adminAnnouncementController.js");
 
 // render pages
 router.route("/dashboard/users").get(isAdmin, renderUserPage);
@@ -36,6 +48,22 @@ router.route("/dashboard/articles/delete/:id").post(isAdmin, deleteArticle);
 router.route("/dashboard/documents").get(isAdmin, getAllDocuments);
 router.route("/dashboard/documents/export-csv").get(isAdmin, exportCsv);
 
+// email template previews
+router.route("/dashboard/emails").get(isAdmin, renderEmailPreviews);
+router.route("/dashboard/emails/:template").get(isAdmin, previewEmail);
+
+// email outbox: failed sends and resend
+router.route("/dashboard/email-outbox").get(isAdmin, renderEmailOutbox);
+router.route("/dashboard/email-outbox/:id/resend").post(isAdmin, resendOutboxEmail);
+
+// announcements to user segments
+router
+    .route("/dashboard/announcements")
+    .get(isAdmin, renderAnnouncements)
+    .post(isAdmin, createAnnouncement);
+router.route("/dashboard/announcements/:id").get(isAdmin, getAnnouncement);
+router.route("/dashboard/announcements/:id/cancel").post(isAdmin, cancelScheduledAnnouncement);
+
 router.route("/dashboard").get(isAdmin, dashboardStats);
 
 module.exports = router;
@@ -5,22 +5,37 @@ const {
     getAppointments,
     updateAppointmentStatus,
     cancelAppointment,
+    getAppointmentHistory,
+    proposeReschedule,
+    acceptReschedule,
+    declineReschedule,
     getAvailableSlots,
     renderAppointmentStats,
     viewAppointmentCard,
     downloadAppointmentCard,
     emailAppointmentCard,
+    downloadAppointmentIcs,
+    regenerateCalendarFeed,
+    getCalendarFeed,
 } = require("../controllers/appointment.controller.js");
+const { isLoggedIn } = require("../middlewares/auth.middleware.js");
 
 Router.route("/").post(bookAppointment);
 Router.route("/").get(getAppointments);
-Router.route("/status").put(updateAppointmentStatus);
+Router.route("/status").put(isLoggedIn, updateAppointmentStatus);
 // Use clear param name appointmentId (controller accepts either appointmentId or id)
-Router.route("/:appointmentId").delete(cancelAppointment);
+Router.route("/:appointmentId").delete(isLoggedIn, cancelAppointment);
 Router.route("/slots").get(getAvailableSlots);
-Router.route("/bookings").get(renderAppointmentStats);
-Router.route("/:appointmentId/card/view").get(viewAppointmentCard);
-Router.route("/:appointmentId/card/download").get(downloadAppointmentCard);
-Router.route("/:appointmentId/card/email").post(emailAppointmentCard);
+Router.route("/bookings").get(isLoggedIn, renderAppointmentStats);
+Router.route("/calendar/token").post(isLoggedIn, regenerateCalendarFeed);
+Router.route("/calendar/:token.ics").get(getCalendarFeed);
+Router.route("/:appointmentId/card/view").get(isLoggedIn, viewAppointmentCard);
+Router.route("/:appointmentId/card/download").get(isLoggedIn, downloadAppointmentCard);
+Router.route("/:appointmentId/card/email").post(isLoggedIn, emailAppointmentCard);
+Router.route("/:appointmentId/ics").get(isLoggedIn, downloadAppointmentIcs);
+Router.route("/:appointmentId/history").get(isLoggedIn, getAppointmentHistory);
+Router.route("/:appointmentId/reschedule").post(isLoggedIn, proposeReschedule);
+Router.route("/:appointmentId/reschedule/:requestId/accept").post(isLoggedIn, acceptReschedule);
+Router.route("/:appointmentId/reschedule/:requestId/decline").post(isLoggedIn, declineReschedule);
 
 module.exports = Router;
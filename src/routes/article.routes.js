@@ -3,6 +3,7 @@ const {
     createArticle,
     getAllArticles,
     getArticleById,
+    downloadArticlePdf,
     updateArticle,
     deleteArticle,
 } = require("../controllers/article.controller.js");
@@ -44,4 +45,6 @@ router
     .put(isLoggedIn, isAuthorOrAdmin, updateArticle) // ✅ Allow authors/admins
     .delete(isLoggedIn, isAuthorOrAdmin, deleteArticle); // ✅ Allow authors/admins
 
+router.route("/:id/pdf").get(downloadArticlePdf); // Download article as PDF (Public)
+
 module.exports = router;
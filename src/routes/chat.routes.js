@@ -4,18 +4,35 @@ const {
     getOrCreateChatRoom,
     getUserChatRooms,
     getMessages,
+    searchMessages,
     renderChatPage,
     getOrCreateChatRoomWithLawyer,
     deleteMessage,
     deleteChatRoom,
+    getCallInfo,
+    exportTranscript,
+    sendAttachments,
+    downloadAttachment,
 } = require("../controllers/chat.controller");
 const { isLoggedIn, ownChatRoom } = require("../middlewares/auth.middleware.js");
+const { chatAttachments } = require("../middlewares/multer.middleware.js");
 
 router.get("/", isLoggedIn, renderChatPage);
 router.get("/rooms", isLoggedIn, getUserChatRooms);
 router.get("/room/:appointmentId", isLoggedIn, getOrCreateChatRoom);
 router.get("/lawyer/:lawyerId", isLoggedIn, getOrCreateChatRoomWithLawyer);
+router.get("/search", isLoggedIn, searchMessages);
 router.get("/messages/:chatRoomId", isLoggedIn, ownChatRoom, getMessages);
+router.get("/calls/:chatRoomId", isLoggedIn, ownChatRoom, getCallInfo);
+router.post(
+    "/messages/:chatRoomId/attachments",
+    isLoggedIn,
+    ownChatRoom,
+    chatAttachments("attachments"),
+    sendAttachments
+);
+router.get("/attachments/:messageId/:attachmentId", isLoggedIn, downloadAttachment);
+router.get("/transcripts/:chatRoomId", isLoggedIn, exportTranscript);
 
 // NEW
 router.delete("/messages/:messageId", isLoggedIn, deleteMessage);
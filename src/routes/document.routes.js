@@ -6,6 +6,7 @@ const {
     updateDocument,
     deleteDocument,
     downloadDocument,
+    downloadDocumentPdf,
     applyOnline,
     trackDownload,
 } = require("../controllers/document.controller.js");
@@ -30,6 +31,9 @@ router.route("/:id").delete(deleteDocument);
 // ✅ Download Document
 router.route("/:id/download").get(downloadDocument);
 
+// ✅ Export Document summary as PDF
+router.route("/:id/pdf").get(downloadDocumentPdf);
+
 // ✅ Apply Online Link
 router.route("/:id/apply").get(applyOnline);
 
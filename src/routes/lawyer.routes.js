@@ -1,8 +1,16 @@
 const express = require("express");
 const router = express.Router();
-const { getLawyers, viewLawyer } = require("../controllers/lawyer.controller.js");
+const {
+    getLawyers,
+    viewLawyer,
+    getLawyerAvailability,
+    updateAvailability,
+} = require("../controllers/lawyer.controller.js");
+const { isLoggedIn } = require("../middlewares/auth.middleware.js");
 
 router.get("/", getLawyers);
+router.put("/availability", isLoggedIn, updateAvailability);
 router.get("/verify/:id", viewLawyer);
+router.get("/:id/availability", getLawyerAvailability);
 
 module.exports = router;
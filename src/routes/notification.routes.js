@@ -3,13 +3,28 @@ const router = express.Router();
 const {
     getUserNotifications,
     markAsRead,
+    markAllAsRead,
+    markSelectedAsRead,
+    archiveNotifications,
+    unarchiveNotifications,
+    deleteNotifications,
     getAllNotifications,
+    getPreferences,
+    updatePreferences,
 } = require("../controllers/notification.controller.js");
 const { isLoggedIn } = require("../middlewares/auth.middleware.js");
 
 // User routes
 router.get("/", isLoggedIn, getUserNotifications);
-router.post("/:id/read", markAsRead);
+router.post("/:id/read", isLoggedIn, markAsRead);
+router.post("/read-all", isLoggedIn, markAllAsRead);
+router.post("/read", isLoggedIn, markSelectedAsRead);
+router.post("/archive", isLoggedIn, archiveNotifications);
+router.post("/unarchive", isLoggedIn, unarchiveNotifications);
+router.delete("/", isLoggedIn, deleteNotifications);
+router.delete("/:id", isLoggedIn, deleteNotifications);
+router.get("/preferences", isLoggedIn, getPreferences);
+router.post("/preferences", isLoggedIn, updatePreferences);
 
 // Admin routes
 router.get("/all", isLoggedIn, getAllNotifications); // restrict inside controller/middleware
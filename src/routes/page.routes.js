@@ -7,6 +7,8 @@ const {
     renderArticles,
     renderFundamental,
     renderAbout,
+    renderOffline,
+    getOfflineManifest,
     renderPrivacyPolicy,
     renderTermsAndConditions,
     renderLoginForm,
@@ -38,6 +40,8 @@ router.get("/lawyers/:id", viewLawyer);
 router.get("/about", renderAbout);
 router.get("/privacy", renderPrivacyPolicy);
 router.get("/terms", renderTermsAndConditions);
+router.get("/offline", renderOffline);
+router.get("/offline/manifest.json", getOfflineManifest);
 router.get("/login", renderLoginForm);
 router.get("/account", getUserProfile);
 router.get("/account/update", renderUpdateForm);
@@ -46,9 +50,9 @@ router.get("/account/update/lawyer", renderLawyerUpdateForm);
 router.get("/articles/publish", isLoggedIn, publishArticle);
 router.get("/articles/:id/edit", isLoggedIn, renderEditForm);
 router.get("/viewdowncount", renderDownCount);
-router.get("/notifications", renderNotifications);
-router.get("/notifications/:id/read", markAsRead);
-router.get("/settings", renderSettings);
+router.get("/notifications", isLoggedIn, renderNotifications);
+router.get("/notifications/:id/read", isLoggedIn, markAsRead);
+router.get("/settings", isLoggedIn, renderSettings);
 router.get("/contributors", isLoggedIn, renderContributors);
 
 module.exports = router;
@@ -0,0 +1,18 @@
+const express = require("express");
+const Router = express.Router();
+const {
+    createPaymentOrder,
+    verifyPayment,
+    completeFakeCheckout,
+    getAppointmentPayments,
+    downloadInvoicePdf,
+} = require("../controllers/payment.controller.js");
+const { isLoggedIn } = require("../middlewares/auth.middleware.js");
+
+Router.route("/appointments/:appointmentId").get(isLoggedIn, getAppointmentPayments);
+Router.route("/appointments/:appointmentId/order").post(isLoggedIn, createPaymentOrder);
+Router.route("/verify").post(isLoggedIn, verifyPayment);
+Router.route("/fake/:orderId/complete").post(isLoggedIn, completeFakeCheckout);
+Router.route("/invoices/:invoiceId/pdf").get(isLoggedIn, downloadInvoicePdf);
+
+module.exports = Router;
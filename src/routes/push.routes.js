@@ -1,9 +1,15 @@
 // src/routes/push.routes.js
 const express = require("express");
 const router = express.Router();
-const { webPush, enabled, publicKey } = require("../config/push");
+const { enabled } = require("../config/push");
 const Subscription = require("../models/subscription.model");
 const { isLoggedIn } = require("../middlewares/auth.middleware.js");
+const { describeDevice, sendToSubscriptions } = require("../services/push.js");
+const {
+    listDevices,
+    revokeDevice,
+    testDevice,
+} = require("../controllers/pushDevice.controller.js");
 
 router.get("/vapidPublicKey", (req, res) => {
     if (!enabled || !process.env.VAPID_PUBLIC_KEY)
@@ -20,11 +26,20 @@ router.post("/subscribe", isLoggedIn, async (req, res) => {
         }
 
         const userId = req.user ? req.user._id : null;
+        const userAgent = req.get("user-agent") || null;
 
         // Upsert by endpoint (works well for anonymous or authenticated)
         const updated = await Subscription.findOneAndUpdate(
             { endpoint: subscription.endpoint },
-            { $set: { keys: subscription.keys, user: userId } },
+            {
+                $set: {
+                    keys: subscription.keys,
+                    user: userId,
+                    userAgent,
+                    deviceName: describeDevice(userAgent),
+                    lastSeenAt: new Date(),
+                },
+            },
             { upsert: true, new: true, setDefaultsOnInsert: true }
         );
 
@@ -61,37 +76,19 @@ router.post("/send", isLoggedIn, async (req, res) => {
     );
     const targetUserId = req.body.userId || null;
 
-    let subs;
+    let results;
     try {
-        subs = targetUserId
-            ? await Subscription.find({ user: targetUserId })
-            : await Subscription.find({});
+        results = await sendToSubscriptions(targetUserId ? { user: targetUserId } : {}, payload);
     } catch (err) {
         return res.status(500).json({ error: "Failed to load subscriptions" });
     }
 
-    // Consider batching or rate-limiting for many subs; using sequential here to simplify logs.
-    const results = [];
-    for (const subDoc of subs) {
-        const sub = { endpoint: subDoc.endpoint, keys: subDoc.keys };
-        try {
-            await webPush.sendNotification(sub, payload);
-            results.push({ id: subDoc._id, status: "ok" });
-        } catch (err) {
-            // If expired or gone -> delete
-            if (err.statusCode === 410 || err.statusCode === 404 || /p256dh/.test(err.message)) {
-                try {
-                    await Subscription.deleteOne({ _id: subDoc._id });
-                } catch (delErr) {
-                    console.error("Failed to delete expired subscription:", delErr);
-                }
-            }
-            console.error("Push send error:", err && err.message ? err.message : err);
-            results.push({ id: subDoc._id, status: "failed", error: err.message || err });
-        }
-    }
-
     res.json({ results });
 });
 
+// Devices (browsers) the current user receives push notifications on
+router.get("/devices", isLoggedIn, listDevices);
+router.delete("/devices/:id", isLoggedIn, revokeDevice);
+router.post("/devices/:id/test", isLoggedIn, testDevice);
+
 module.exports = router;
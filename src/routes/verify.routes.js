@@ -0,0 +1,16 @@
+const express = require("express");
+const { verifyAppointmentCard } = require("../controllers/appointment.controller.js");
+const { verifyTranscript, checkTranscriptCopy } = require("../controllers/chat.controller.js");
+const { transcriptCheckLimiter } = require("../middlewares/rateLimiter.middleware.js");
+
+const router = express.Router();
+
+// Public: target of the QR code printed on appointment cards
+router.route("/card/:cardId").get(verifyAppointmentCard);
+// Public: target of the link in chat transcript footers; POST a .txt copy to check its contents
+router
+    .route("/transcript/:transcriptId")
+    .get(verifyTranscript)
+    .post(transcriptCheckLimiter, express.text({ limit: "1mb" }), checkTranscriptCopy);
+
+module.exports = router;
@@ -0,0 +1,34 @@
+// src/services/attachmentScanner.js
+// Virus-scan hook for chat attachments. A scanner is an async function
+// ({ buffer, fileName, mimeType }) => ({ clean: Boolean, reason?: String });
+// register one (e.g. a ClamAV client) at startup with registerScanner().
+// Until then only the EICAR test signature is detected, so the hook can be tested.
+
+const EICAR_SIGNATURE = "EICAR-STANDARD-ANTIVIRUS-TEST-FILE";
+
+async function eicarScanner({ buffer }) {
+    if (buffer.includes(EICAR_SIGNATURE)) {
+        return { clean: false, reason: "EICAR test signature" };
+    }
+    return { clean: true };
+}
+
+let scanner = eicarScanner;
+
+function registerScanner(fn) {
+    scanner = fn || eicarScanner;
+}
+
+/**
+ * Scan one file with the registered scanner
+ * @returns {Promise<{ clean: Boolean, reason?: String }>}
+ */
+async function scanAttachment(file) {
+    const result = await scanner(file);
+    return { clean: Boolean(result && result.clean), reason: result?.reason };
+}
+
+module.exports = {
+    registerScanner,
+    scanAttachment,
+};
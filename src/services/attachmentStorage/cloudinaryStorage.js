@@ -0,0 +1,46 @@
+// src/services/attachmentStorage/cloudinaryStorage.js
+// Stores attachments as "authenticated" Cloudinary assets, which have no public
+// URL. Downloads go through short-lived signed links issued after access checks.
+
+const { cloudinary } = require("../../config/cloudinary");
+
+const FOLDER = "LegalHuB/chat-attachments";
+const LINK_TTL_SECONDS = 5 * 60;
+
+const resourceTypeFor = (mimeType) => (mimeType.startsWith("image/") ? "image" : "raw");
+
+const cloudinaryStorage = {
+    name: "cloudinary",
+
+    save({ buffer, mimeType }) {
+        const resourceType = resourceTypeFor(mimeType);
+        return new Promise((resolve, reject) => {
+            const upload = cloudinary.uploader.upload_stream(
+                { folder: FOLDER, type: "authenticated", resource_type: resourceType },
+                (err, result) => {
+                    if (err) return reject(err);
+                    resolve({ key: result.public_id, format: result.format || "" });
+                }
+            );
+            upload.end(buffer);
+        });
+    },
+
+    async getDownload({ key, mimeType, format = "" }) {
+        const redirectUrl = cloudinary.utils.private_download_url(key, format, {
+            resource_type: resourceTypeFor(mimeType),
+            type: "authenticated",
+            expires_at: Math.floor(Date.now() / 1000) + LINK_TTL_SECONDS,
+        });
+        return { redirectUrl };
+    },
+
+    async remove({ key, mimeType }) {
+        await cloudinary.uploader.destroy(key, {
+            type: "authenticated",
+            resource_type: resourceTypeFor(mimeType),
+        });
+    },
+};
+
+module.exports = cloudinaryStorage;
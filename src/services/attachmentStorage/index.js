@@ -0,0 +1,47 @@
+// src/services/attachmentStorage/index.js
+// Pluggable storage for chat attachments. A backend is an object with:
+//   name                                         - stored on each attachment
+//   save({ buffer, fileName, mimeType })         - { key, format? }
+//   getDownload(attachment)                      - { stream } or { redirectUrl }
+//   remove(attachment)
+// ATTACHMENT_STORAGE picks the backend for new uploads ("local" by default,
+// "cloudinary" in production); existing files are read from the backend they were saved to.
+
+const localStorage = require("./localStorage.js");
+const cloudinaryStorage = require("./cloudinaryStorage.js");
+
+const backends = {
+    [localStorage.name]: localStorage,
+    [cloudinaryStorage.name]: cloudinaryStorage,
+};
+
+// production servers may not keep local files across deploys, so uploads go to Cloudinary there
+function getDefaultStorageName() {
+    if (process.env.ATTACHMENT_STORAGE) return process.env.ATTACHMENT_STORAGE;
+    return process.env.NODE_ENV === "production" ? cloudinaryStorage.name : localStorage.name;
+}
+
+function getStorage(name = getDefaultStorageName()) {
+    const backend = backends[name];
+    if (!backend) throw new Error(`Unknown attachment storage "${name}"`);
+    return backend;
+}
+
+/**
+ * Delete the stored files of the given messages (best effort)
+ */
+async function removeMessageAttachments(messages) {
+    const attachments = messages.flatMap((m) => m.attachments || []);
+    await Promise.all(
+        attachments.map((attachment) =>
+            getStorage(attachment.storage)
+                .remove(attachment)
+                .catch((err) => console.error("Attachment cleanup failed:", err.message))
+        )
+    );
+}
+
+module.exports = {
+    getStorage,
+    removeMessageAttachments,
+};
@@ -0,0 +1,46 @@
+// src/services/attachmentStorage/localStorage.js
+// Keeps attachments on local disk, outside the public folder. For development and tests.
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+
+function getRoot() {
+    if (process.env.ATTACHMENT_LOCAL_DIR) return path.resolve(process.env.ATTACHMENT_LOCAL_DIR);
+    if (process.env.NODE_ENV === "test") return path.join(os.tmpdir(), "legalhub-test-attachments");
+    return path.join(__dirname, "../../../uploads/chat-attachments");
+}
+
+// keys are generated here, but never trust them to stay inside the root
+function resolveKey(key) {
+    const root = getRoot();
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) throw new Error("Invalid attachment key");
+    return filePath;
+}
+
+const localStorage = {
+    name: "local",
+
+    async save({ buffer, fileName }) {
+        const day = new Date().toISOString().slice(0, 10);
+        const key = `${day}/${crypto.randomBytes(16).toString("hex")}${path.extname(fileName)}`;
+        const filePath = resolveKey(key);
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(filePath, buffer, { flag: "wx" });
+        return { key };
+    },
+
+    async getDownload({ key }) {
+        const filePath = resolveKey(key);
+        await fs.promises.access(filePath);
+        return { stream: fs.createReadStream(filePath) };
+    },
+
+    async remove({ key }) {
+        await fs.promises.rm(resolveKey(key), { force: true });
+    },
+};
+
+module.exports = localStorage;
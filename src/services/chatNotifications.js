@@ -0,0 +1,107 @@
+// src/services/chatNotifications.js
+// "message.new" notifications for receivers who are not looking at the chat.
+// A burst of messages in one room is folded into a single unread notification
+// (its count and text are updated) until the throttle window has passed.
+
+const Notification = require("../models/notification.model.js");
+const { createNotification } = require("../utils/notificationService.js");
+const { emitUnreadCount } = require("../utils/notificationInbox.js");
+
+const MINUTE = 60 * 1000;
+const THROTTLE_WINDOW = (Number(process.env.CHAT_NOTIFY_THROTTLE_MINUTES) || 10) * MINUTE;
+const PREVIEW_LENGTH = 80;
+
+// receiver:room -> promise of the notification work in flight, so concurrent
+// messages of one burst are handled one after another
+const pending = new Map();
+
+const displayName = (user) => user?.name || user?.username || "Someone";
+
+function preview(message) {
+    const text = (message.content || "").trim();
+    if (!text) {
+        const files = (message.attachments || []).map((a) => a.fileName);
+        return files.length ? `📎 ${files.join(", ")}` : "New message";
+    }
+    return text.length > PREVIEW_LENGTH ? `${text.slice(0, PREVIEW_LENGTH - 1)}…` : text;
+}
+
+/**
+ * Whether one of the user's sockets has the chat room open
+ */
+async function isViewingRoom(io, chatRoomId, userId) {
+    const sockets = await io.in(String(chatRoomId)).fetchSockets();
+    return sockets.some((s) => String(s.data.user?._id) === String(userId));
+}
+
+async function notify(io, message, sender) {
+    const receiverId = message.receiver;
+    const chatRoomId = message.chatRoom;
+    const since = new Date(Date.now() - THROTTLE_WINDOW);
+
+    const recent = await Notification.findOne({
+        user: receiverId,
+        type: "message.new",
+        relatedId: chatRoomId,
+        status: "unread",
+        // one that already went out in a digest stays as it was mailed
+        digestedAt: null,
+        createdAt: { $gte: since },
+    }).sort({ createdAt: -1 });
+
+    if (recent) {
+        recent.count += 1;
+        recent.title = `${recent.count} new messages from ${displayName(sender)}`;
+        recent.message = preview(message);
+        recent.actor = displayName(sender);
+        await recent.save();
+
+        // refresh the folded notification wherever the receiver has it open
+        try {
+            io.to(String(receiverId)).emit("notificationUpdated", recent);
+        } catch (err) {
+            console.error("Socket emit error:", err);
+        }
+        await emitUnreadCount(io, receiverId);
+        return recent;
+    }
+
+    return createNotification(io, {
+        user: receiverId,
+        type: "message.new",
+        title: `New message from ${displayName(sender)}`,
+        message: preview(message),
+        relatedId: chatRoomId,
+        relatedModel: "ChatRoom",
+        actor: displayName(sender),
+        channels: { inApp: true, push: true, digest: true },
+        url: `/chat?roomId=${chatRoomId}`,
+    });
+}
+
+/**
+ * Notify the receiver of a new chat message unless they have the room open.
+ * @param {Object} io - Socket.io server
+ * @param {Object} message - saved Message
+ * @param {Object} sender - User with name/username
+ * @returns {Promise<Object|null>} the created or updated notification
+ */
+async function notifyNewMessage(io, message, sender) {
+    if (!io || !message.receiver) return null;
+    if (await isViewingRoom(io, message.chatRoom, message.receiver)) return null;
+
+    const key = `${message.receiver}:${message.chatRoom}`;
+    const previous = pending.get(key) || Promise.resolve();
+    const current = previous.catch(() => {}).then(() => notify(io, message, sender));
+    pending.set(key, current);
+    try {
+        return await current;
+    } finally {
+        if (pending.get(key) === current) pending.delete(key);
+    }
+}
+
+module.exports = {
+    THROTTLE_WINDOW,
+    notifyNewMessage,
+};
@@ -0,0 +1,249 @@
+// src/services/jobScheduler.js
+// MongoDB-backed job runner. Jobs are persisted in the "jobs" collection so
+// scheduled work (reminders, clean-ups) survives restarts; a poller claims due
+// jobs atomically, so several app instances can share one queue.
+
+const os = require("os");
+const Job = require("../models/job.model.js");
+
+const DEFAULT_POLL_INTERVAL = 30 * 1000;
+// a job still "running" after this long is assumed to belong to a dead worker
+const LOCK_TIMEOUT = 10 * 60 * 1000;
+const RETRY_DELAY = 60 * 1000;
+
+const handlers = new Map();
+const workerId = `${os.hostname()}:${process.pid}`;
+
+let timer = null;
+let polling = false;
+let context = {};
+
+/**
+ * Register the function that runs jobs of the given name.
+ * The handler receives (job, context) where context holds { io }.
+ */
+function defineJob(name, handler) {
+    handlers.set(name, handler);
+}
+
+/**
+ * Queue a job. With a uniqueKey an existing job is rescheduled in place
+ * (and re-queued even if it already ran) instead of creating a duplicate.
+ * @param {String} name - handler name passed to defineJob
+ * @param {Object} [data] - payload stored with the job
+ * @param {Object} [options] - { runAt, uniqueKey, maxAttempts, repeatEvery }
+ */
+async function scheduleJob(name, data = {}, options = {}) {
+    const { runAt = new Date(), uniqueKey, maxAttempts = 3, repeatEvery = null } = options;
+    const fields = {
+        name,
+        data,
+        runAt,
+        maxAttempts,
+        repeatEvery,
+        status: "queued",
+        attempts: 0,
+        lockedAt: null,
+        lockedBy: null,
+        lastError: null,
+    };
+
+    if (!uniqueKey) return Job.create(fields);
+
+    return Job.findOneAndUpdate(
+        { uniqueKey },
+        { $set: fields },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+}
+
+/**
+ * Queue a recurring job once; later calls leave the existing schedule alone
+ * so restarts don't push the next run further out.
+ */
+async function scheduleRecurring(name, repeatEvery, data = {}) {
+    return Job.findOneAndUpdate(
+        { uniqueKey: `recurring:${name}` },
+        {
+            $set: { repeatEvery },
+            $setOnInsert: { name, data, status: "queued", runAt: new Date(), maxAttempts: 1 },
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+}
+
+/**
+ * Cancel queued jobs matching a filter, e.g. { name, "data.appointmentId": id }
+ */
+async function cancelJobs(filter) {
+    const result = await Job.updateMany(
+        { ...filter, status: "queued" },
+        { $set: { status: "cancelled" } }
+    );
+    return result.modifiedCount;
+}
+
+// Atomically take the next due job, including ones abandoned by a crashed worker
+async function claimNextJob(now = new Date()) {
+    return Job.findOneAndUpdate(
+        {
+            name: { $in: [...handlers.keys()] },
+            $or: [
+                { status: "queued", runAt: { $lte: now } },
+                { status: "running", lockedAt: { $lte: new Date(now - LOCK_TIMEOUT) } },
+            ],
+        },
+        {
+            $set: { status: "running", lockedAt: now, lockedBy: workerId, lastRunAt: now },
+            $inc: { attempts: 1 },
+        },
+        { sort: { runAt: 1 }, new: true }
+    );
+}
+
+async function runJob(job) {
+    const handler = handlers.get(job.name);
+    // schedule follow-ups relative to the claim time, not the wall clock
+    const ranAt = job.lastRunAt.getTime();
+    try {
+        const result = await handler(job, context);
+        const update = { lockedAt: null, lockedBy: null, lastError: null, result };
+
+        if (job.repeatEvery) {
+            Object.assign(update, {
+                status: "queued",
+                attempts: 0,
+                runAt: new Date(ranAt + job.repeatEvery),
+            });
+        } else {
+            Object.assign(update, { status: "completed", completedAt: new Date() });
+        }
+        await Job.updateOne({ _id: job._id }, { $set: update });
+    } catch (err) {
+        console.error(`❌ Job ${job.name} (${job._id}) failed:`, err.message || err);
+        const update = { lockedAt: null, lockedBy: null, lastError: err.message || String(err) };
+
+        if (job.repeatEvery) {
+            // recurring jobs simply wait for their next slot
+            Object.assign(update, {
+                status: "queued",
+                attempts: 0,
+                runAt: new Date(ranAt + job.repeatEvery),
+            });
+        } else if (job.attempts < job.maxAttempts) {
+            Object.assign(update, {
+                status: "queued",
+                runAt: new Date(ranAt + RETRY_DELAY * job.attempts),
+            });
+        } else {
+            update.status = "failed";
+        }
+        await Job.updateOne({ _id: job._id }, { $set: update });
+    }
+}
+
+/**
+ * Run every job that is due right now; returns how many ran.
+ * Called by the poller, and directly from tests.
+ */
+async function runDueJobs(now = new Date()) {
+    let count = 0;
+    let job;
+    while ((job = await claimNextJob(now))) {
+        await runJob(job);
+        count++;
+    }
+    return count;
+}
+
+async function poll() {
+    if (polling) return;
+    polling = true;
+    try {
+        await runDueJobs();
+    } catch (err) {
+        console.error("❌ Job scheduler poll failed:", err);
+    } finally {
+        polling = false;
+    }
+}
+
+/**
+ * Start polling for due jobs
+ * @param {Object} [options] - { io, pollInterval }
+ */
+function start({ io, pollInterval = DEFAULT_POLL_INTERVAL } = {}) {
+    if (timer) return;
+    context = { io };
+    timer = setInterval(poll, pollInterval);
+    timer.unref();
+    poll();
+    console.log(`⏱️ Job scheduler started (every ${Math.round(pollInterval / 1000)}s)`);
+}
+
+function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+}
+
+/**
+ * Per-job-name counts and recent failures, for the admin dashboard
+ */
+async function getJobStats() {
+    const grouped = await Job.aggregate([
+        {
+            $group: {
+                _id: { name: "$name", status: "$status" },
+                count: { $sum: 1 },
+                lastRunAt: { $max: "$lastRunAt" },
+            },
+        },
+    ]);
+
+    const byName = {};
+    grouped.forEach(({ _id, count, lastRunAt }) => {
+        const entry = (byName[_id.name] = byName[_id.name] || {
+            name: _id.name,
+            queued: 0,
+            running: 0,
+            completed: 0,
+            failed: 0,
+            cancelled: 0,
+            lastRunAt: null,
+        });
+        entry[_id.status] = count;
+        if (lastRunAt && (!entry.lastRunAt || lastRunAt > entry.lastRunAt)) {
+            entry.lastRunAt = lastRunAt;
+        }
+    });
+
+    const nextRuns = await Job.aggregate([
+        { $match: { status: "queued" } },
+        { $group: { _id: "$name", nextRunAt: { $min: "$runAt" } } },
+    ]);
+    nextRuns.forEach(({ _id, nextRunAt }) => {
+        if (byName[_id]) byName[_id].nextRunAt = nextRunAt;
+    });
+
+    const recentFailures = await Job.find({ status: "failed" })
+        .sort({ updatedAt: -1 })
+        .limit(10)
+        .select("name lastError attempts updatedAt");
+
+    return {
+        running: Boolean(timer),
+        jobs: Object.values(byName).sort((a, b) => a.name.localeCompare(b.name)),
+        recentFailures,
+    };
+}
+
+module.exports = {
+    defineJob,
+    scheduleJob,
+    scheduleRecurring,
+    cancelJobs,
+    runDueJobs,
+    start,
+    stop,
+    getJobStats,
+};
@@ -0,0 +1,111 @@
+// src/services/mail/index.js
+// The one place email is built and sent. Each event has an EJS template pair in
+// src/views/emails: "<template>.html.ejs" (wrapped in layout.html.ejs) and
+// "<template>.text.ejs". Strings come from ./locales; the recipient's language is
+// their email language preference unless the caller passes one.
+
+const path = require("path");
+const ejs = require("ejs");
+const NotificationPreferences = require("../../models/notificationPreferences.model.js");
+const transports = require("./transports.js");
+const { DEFAULT_LOCALE, LOCALES, createTranslator } = require("./locales/index.js");
+
+const TEMPLATE_DIR = path.join(__dirname, "../../views/emails");
+const TEMPLATES = [
+    "notification",
+    "password_reset",
+    "appointment_created",
+    "appointment_updated",
+    "appointment_card",
+    "lawyer_verified",
+    "digest",
+];
+
+const DATE_LOCALES = { en: "en-IN", hi: "hi-IN" };
+
+function getDefaultFrom() {
+    return (
+        process.env.SMTP_FROM ||
+        `"LegalHub" <${process.env.SMTP_USER || process.env.EMAIL_USER || "no-reply@legalhub.local"}>`
+    );
+}
+
+/**
+ * Public base URL for links in emails
+ */
+function getMailBaseUrl() {
+    return process.env.APP_URL || `http://localhost:${process.env.PORT || 8000}`;
+}
+
+/**
+ * Render an email without sending it
+ * @param {String} template - one of TEMPLATES
+ * @param {Object} data - template variables
+ * @param {String} [locale] - one of LOCALES; unknown locales fall back to English
+ * @returns {Promise<{ subject: String, html: String, text: String, locale: String }>}
+ */
+async function renderMail(template, data = {}, locale = DEFAULT_LOCALE) {
+    if (!TEMPLATES.includes(template)) {
+        throw new Error(`Unknown email template "${template}"`);
+    }
+    const lang = LOCALES.includes(locale) ? locale : DEFAULT_LOCALE;
+    const t = createTranslator(lang);
+    const formatDate = (date, options = { year: "numeric", month: "long", day: "numeric" }) =>
+        new Date(date).toLocaleDateString(DATE_LOCALES[lang], options);
+
+    const locals = { ...data, t, formatDate, locale: lang, baseUrl: getMailBaseUrl() };
+    const subject = t(`${template}.subject`, data);
+
+    const body = await ejs.renderFile(path.join(TEMPLATE_DIR, `${template}.html.ejs`), locals);
+    const html = await ejs.renderFile(path.join(TEMPLATE_DIR, "layout.html.ejs"), {
+        ...locals,
+        subject,
+        body,
+    });
+    const text = await ejs.renderFile(path.join(TEMPLATE_DIR, `${template}.text.ejs`), locals);
+    return { subject, html, text, locale: lang };
+}
+
+/**
+ * The email language a user chose, English when unset
+ */
+async function getUserLocale(userId) {
+    if (!userId) return DEFAULT_LOCALE;
+    const prefs = await NotificationPreferences.findOne({ user: userId }).select("language");
+    return prefs?.language || DEFAULT_LOCALE;
+}
+
+/**
+ * Render and send a templated email. Throws when the transport fails.
+ * @param {Object} options
+ * @param {String} options.to - recipient address
+ * @param {String} options.template - one of TEMPLATES
+ * @param {Object} [options.data] - template variables
+ * @param {String} [options.locale] - overrides the recipient's language
+ * @param {ObjectId} [options.user] - recipient user, to look up their language
+ * @param {Array} [options.attachments] - nodemailer attachments
+ * @returns {Promise<Object>} the transport's info (messageId, …)
+ */
+async function sendMail({ to, template, data = {}, locale, user, attachments }) {
+    const lang = locale || (await getUserLocale(user));
+    const { subject, html, text } = await renderMail(template, data, lang);
+
+    const info = await transports.getTransport().sendMail({
+        from: getDefaultFrom(),
+        to,
+        subject,
+        html,
+        text,
+        attachments,
+    });
+    console.log("📧 Email sent:", info.messageId, template, "to", to);
+    return info;
+}
+
+module.exports = {
+    TEMPLATES,
+    LOCALES,
+    getMailBaseUrl,
+    renderMail,
+    sendMail,
+};
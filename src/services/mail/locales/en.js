@@ -0,0 +1,71 @@
+// English email strings. {name}-style placeholders are filled in by the translator;
+// keys ending in _one/_other are picked by the `count` variable.
+module.exports = {
+    common: {
+        greeting: "Hello {name},",
+        greetingNoName: "Hello,",
+        buttonFallback:
+            "If the button above doesn't work, copy and paste this link into your browser:",
+        footer: "This is an automated message from LegalHub. Please do not reply.",
+        signoff: "Best regards,\nThe LegalHub Team",
+    },
+    notification: {
+        subject: "New notification: {title}",
+        action: "View details",
+    },
+    password_reset: {
+        subject: "Reset your LegalHub password",
+        intro: "You requested a password reset.",
+        action: "Reset password",
+        expiry: "This link expires in {minutes} minutes.",
+        ignore: "If you didn't ask for this, you can safely ignore this email.",
+    },
+    appointment_created: {
+        subject: "{title}",
+        heading: "Appointment booked",
+        action: "View appointments",
+    },
+    appointment_updated: {
+        subject: "{title}",
+        heading: "Appointment update",
+        action: "View appointments",
+    },
+    appointment_card: {
+        subject: "Appointment confirmation with {lawyerName}",
+        intro: "Your appointment has been scheduled successfully.",
+        date: "Date",
+        time: "Time",
+        lawyer: "Lawyer",
+        venue: "Venue",
+        address: "Address",
+        attachments:
+            "Your appointment card is attached as a PDF, along with a calendar invite (.ics).",
+        action: "View appointment card",
+        thanks: "Thank you for choosing LegalHub.",
+    },
+    lawyer_verified: {
+        subject: "Your LegalHub lawyer profile is verified",
+        intro: "Congratulations! An administrator has verified your lawyer profile.",
+        details: "Clients can now find you in the lawyer directory and book appointments with you.",
+        action: "View your profile",
+    },
+    digest: {
+        subject_one: "LegalHub: {count} unread notification",
+        subject_other: "LegalHub: {count} unread notifications",
+        heading: "Your {frequency} LegalHub summary",
+        intro_one: "You have {count} unread notification since {since}.",
+        intro_other: "You have {count} unread notifications since {since}.",
+        more: "…and {count} more in your notification center.",
+        action: "Open notifications",
+        reason: "You receive this {frequency} summary because you have unread notifications on LegalHub.",
+        settings: "Change how often, or turn it off, in your settings:",
+        frequency_daily: "daily",
+        frequency_weekly: "weekly",
+        group_appointment: "Appointments",
+        group_payment: "Payments",
+        group_message: "Messages",
+        group_review: "Reviews & feedback",
+        group_system: "System",
+        group_other: "Other",
+    },
+};
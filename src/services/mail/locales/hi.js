@@ -0,0 +1,70 @@
+// Hindi email strings. Anything missing here falls back to English.
+module.exports = {
+    common: {
+        greeting: "नमस्ते {name},",
+        greetingNoName: "नमस्ते,",
+        buttonFallback:
+            "यदि ऊपर दिया गया बटन काम नहीं करता, तो यह लिंक अपने ब्राउज़र में कॉपी करके खोलें:",
+        footer: "यह LegalHub का स्वचालित संदेश है। कृपया इसका उत्तर न दें।",
+        signoff: "शुभकामनाओं सहित,\nLegalHub टीम",
+    },
+    notification: {
+        subject: "नई सूचना: {title}",
+        action: "विवरण देखें",
+    },
+    password_reset: {
+        subject: "अपना LegalHub पासवर्ड रीसेट करें",
+        intro: "आपने पासवर्ड रीसेट करने का अनुरोध किया है।",
+        action: "पासवर्ड रीसेट करें",
+        expiry: "यह लिंक {minutes} मिनट में समाप्त हो जाएगा।",
+        ignore: "यदि आपने यह अनुरोध नहीं किया है, तो आप इस ईमेल को अनदेखा कर सकते हैं।",
+    },
+    appointment_created: {
+        subject: "{title}",
+        heading: "अपॉइंटमेंट बुक हो गया",
+        action: "अपॉइंटमेंट देखें",
+    },
+    appointment_updated: {
+        subject: "{title}",
+        heading: "अपॉइंटमेंट अपडेट",
+        action: "अपॉइंटमेंट देखें",
+    },
+    appointment_card: {
+        subject: "{lawyerName} के साथ अपॉइंटमेंट की पुष्टि",
+        intro: "आपका अपॉइंटमेंट सफलतापूर्वक निर्धारित हो गया है।",
+        date: "तारीख",
+        time: "समय",
+        lawyer: "वकील",
+        venue: "स्थान",
+        address: "पता",
+        attachments: "आपका अपॉइंटमेंट कार्ड PDF के रूप में और कैलेंडर आमंत्रण (.ics) संलग्न है।",
+        action: "अपॉइंटमेंट कार्ड देखें",
+        thanks: "LegalHub चुनने के लिए धन्यवाद।",
+    },
+    lawyer_verified: {
+        subject: "आपकी LegalHub वकील प्रोफ़ाइल सत्यापित हो गई है",
+        intro: "बधाई हो! एक व्यवस्थापक ने आपकी वकील प्रोफ़ाइल सत्यापित कर दी है।",
+        details:
+            "अब क्लाइंट आपको वकीलों की सूची में खोज सकते हैं और आपके साथ अपॉइंटमेंट बुक कर सकते हैं।",
+        action: "अपनी प्रोफ़ाइल देखें",
+    },
+    digest: {
+        subject_one: "LegalHub: {count} अपठित सूचना",
+        subject_other: "LegalHub: {count} अपठित सूचनाएँ",
+        heading: "आपका {frequency} LegalHub सारांश",
+        intro_one: "{since} से आपकी {count} सूचना अपठित है।",
+        intro_other: "{since} से आपकी {count} सूचनाएँ अपठित हैं।",
+        more: "…और {count} सूचनाएँ आपके सूचना केंद्र में हैं।",
+        action: "सूचनाएँ खोलें",
+        reason: "आपको यह {frequency} सारांश इसलिए मिल रहा है क्योंकि LegalHub पर आपकी सूचनाएँ अपठित हैं।",
+        settings: "यह कितनी बार आए, या इसे बंद करने के लिए अपनी सेटिंग्स देखें:",
+        frequency_daily: "दैनिक",
+        frequency_weekly: "साप्ताहिक",
+        group_appointment: "अपॉइंटमेंट",
+        group_payment: "भुगतान",
+        group_message: "संदेश",
+        group_review: "समीक्षाएँ और फ़ीडबैक",
+        group_system: "सिस्टम",
+        group_other: "अन्य",
+    },
+};
@@ -0,0 +1,44 @@
+// src/services/mail/locales/index.js
+// Email translations. Keys are "<template>.<string>", e.g. t("password_reset.intro").
+
+const dictionaries = {
+    en: require("./en.js"),
+    hi: require("./hi.js"),
+};
+
+const DEFAULT_LOCALE = "en";
+const LOCALES = Object.keys(dictionaries);
+
+function lookup(dictionary, key) {
+    return key.split(".").reduce((node, part) => (node ? node[part] : undefined), dictionary);
+}
+
+/**
+ * Build t(key, vars) for a locale. Missing keys fall back to English, then to the key
+ * itself; with vars.count, "<key>_one" / "<key>_other" are tried first.
+ */
+function createTranslator(locale) {
+    const dictionary = dictionaries[locale] || dictionaries[DEFAULT_LOCALE];
+
+    return function t(key, vars = {}) {
+        const keys =
+            vars.count === undefined
+                ? [key]
+                : [`${key}_${vars.count === 1 ? "one" : "other"}`, key];
+        let text;
+        for (const k of keys) {
+            text = lookup(dictionary, k) ?? lookup(dictionaries[DEFAULT_LOCALE], k);
+            if (typeof text === "string") break;
+        }
+        if (typeof text !== "string") return key;
+        return text.replace(/\{(\w+)\}/g, (match, name) =>
+            vars[name] === undefined ? match : String(vars[name])
+        );
+    };
+}
+
+module.exports = {
+    DEFAULT_LOCALE,
+    LOCALES,
+    createTranslator,
+};
@@ -0,0 +1,165 @@
+// src/services/mail/outbox.js
+// Every email goes through the outbox: it is saved first, sent straight away when
+// possible, and otherwise retried by the "mail.outbox" job with exponential backoff.
+// Status: queued -> sending -> sent, or failed once the attempts run out, or bounced
+// when the receiving server rejects the address for good.
+
+const OutboxEmail = require("../../models/outboxEmail.model.js");
+const { sendMail } = require("./index.js");
+
+const MINUTE = 60 * 1000;
+const RETRY_BASE = MINUTE;
+const MAX_RETRY_DELAY = 6 * 60 * MINUTE;
+// a message still "sending" after this long belongs to a worker that died mid-send
+const LOCK_TIMEOUT = 10 * MINUTE;
+// messages sent per worker run, so one run can't hold the scheduler for long
+const BATCH_SIZE = 50;
+
+/**
+ * Delay before the next attempt: 1, 2, 4, 8… minutes, capped at 6 hours
+ */
+function retryDelay(attempts) {
+    return Math.min(RETRY_BASE * 2 ** Math.max(attempts - 1, 0), MAX_RETRY_DELAY);
+}
+
+// 550-554: mailbox unavailable, not local, full, name not allowed, transaction failed
+function isBounce(err) {
+    return err.responseCode >= 550 && err.responseCode <= 554;
+}
+
+/**
+ * Send a claimed message once and record the outcome
+ */
+async function deliver(email, now = new Date()) {
+    const update = { lockedAt: null, lastAttemptAt: now };
+    try {
+        const info = await sendMail({
+            to: email.to,
+            template: email.template,
+            data: email.data,
+            locale: email.locale || undefined,
+            user: email.user,
+            attachments: email.attachments.map(({ filename, content, contentType }) => ({
+                filename,
+                content: Buffer.from(content),
+                contentType,
+            })),
+        });
+        if (info.rejected?.length) {
+            Object.assign(update, {
+                status: "bounced",
+                lastError: `Rejected by server: ${info.rejected.join(", ")}`,
+            });
+        } else {
+            Object.assign(update, {
+                status: "sent",
+                sentAt: new Date(),
+                messageId: info.messageId || null,
+                lastError: null,
+            });
+        }
+    } catch (err) {
+        update.lastError = err.message || String(err);
+        if (isBounce(err)) {
+            update.status = "bounced";
+        } else if (email.attempts >= email.maxAttempts) {
+            update.status = "failed";
+        } else {
+            update.status = "queued";
+            update.nextAttemptAt = new Date(now.getTime() + retryDelay(email.attempts));
+        }
+        console.error(`❌ Email ${email._id} (${email.template}) not sent:`, update.lastError);
+    }
+    return OutboxEmail.findByIdAndUpdate(email._id, { $set: update }, { new: true });
+}
+
+// Atomically take a message for sending: the given one, or the next due one
+async function claim(filter, now = new Date()) {
+    return OutboxEmail.findOneAndUpdate(
+        {
+            ...filter,
+            $or: [
+                { status: "queued", nextAttemptAt: { $lte: now } },
+                { status: "sending", lockedAt: { $lte: new Date(now - LOCK_TIMEOUT) } },
+            ],
+        },
+        { $set: { status: "sending", lockedAt: now }, $inc: { attempts: 1 } },
+        { sort: { nextAttemptAt: 1 }, new: true }
+    );
+}
+
+/**
+ * Put an email in the outbox and try to send it right away.
+ * Never throws for transport errors; the returned document holds the status.
+ * @param {Object} options - as for sendMail: { to, template, data, locale, user, attachments }
+ * @param {Object} [settings] - { deliverNow = true, maxAttempts }
+ */
+async function queueMail(options, { deliverNow = true, maxAttempts } = {}) {
+    const { to, template, data = {}, locale = null, user = null, attachments = [] } = options;
+    const email = await OutboxEmail.create({
+        to,
+        template,
+        data,
+        locale,
+        user,
+        attachments,
+        ...(maxAttempts ? { maxAttempts } : {}),
+    });
+    if (!deliverNow) return email;
+
+    const claimed = await claim({ _id: email._id });
+    return claimed ? deliver(claimed) : email;
+}
+
+/**
+ * Send every due message (up to BATCH_SIZE); run by the "mail.outbox" job
+ */
+async function processOutbox(now = new Date()) {
+    const summary = { sent: 0, retrying: 0, failed: 0, bounced: 0 };
+    for (let i = 0; i < BATCH_SIZE; i++) {
+        const email = await claim({}, now);
+        if (!email) break;
+        const result = await deliver(email, now);
+        if (result.status === "sent") summary.sent++;
+        else if (result.status === "queued") summary.retrying++;
+        else summary[result.status]++;
+    }
+    return summary;
+}
+
+/**
+ * Give a failed or bounced message a fresh set of attempts and send it now
+ * @returns {Promise<Object|null>} the updated message, null when it can't be resent
+ */
+async function resendMail(id) {
+    const email = await OutboxEmail.findOneAndUpdate(
+        { _id: id, status: { $in: ["failed", "bounced"] } },
+        { $set: { status: "queued", attempts: 0, nextAttemptAt: new Date(), lastError: null } },
+        { new: true }
+    );
+    if (!email) return null;
+    const claimed = await claim({ _id: email._id });
+    return claimed ? deliver(claimed) : email;
+}
+
+/**
+ * Message counts per status, for the admin page
+ */
+async function getOutboxStats() {
+    const grouped = await OutboxEmail.aggregate([
+        { $group: { _id: "$status", count: { $sum: 1 } } },
+    ]);
+    const stats = { queued: 0, sending: 0, sent: 0, failed: 0, bounced: 0 };
+    grouped.forEach(({ _id, count }) => {
+        stats[_id] = count;
+    });
+    return stats;
+}
+
+module.exports = {
+    retryDelay,
+    queueMail,
+    processOutbox,
+    resendMail,
+    getOutboxStats,
+};
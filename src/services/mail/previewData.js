@@ -0,0 +1,86 @@
+// Sample variables for each email template, used by the admin email preview
+const { getMailBaseUrl } = require("./index.js");
+
+function getPreviewData(template) {
+    const baseUrl = getMailBaseUrl();
+    const samples = {
+        notification: {
+            name: "Asha Verma",
+            title: "New Review",
+            message: "A client left a 5-star review on your profile.",
+            url: `${baseUrl}/notifications`,
+        },
+        password_reset: {
+            name: "Asha Verma",
+            resetLink: `${baseUrl}/api/users/reset-password/sample-token`,
+            expiresInMinutes: 30,
+        },
+        appointment_created: {
+            name: "Asha Verma",
+            title: "Appointment Confirmed",
+            message: "You booked an appointment with Adv. Rohan Mehta on Friday, 14 March.",
+            url: `${baseUrl}/appointments`,
+        },
+        appointment_updated: {
+            name: "Asha Verma",
+            title: "Appointment Rescheduled",
+            message: "Your appointment has been moved to Monday, 17 March at 11:00 AM.",
+            url: `${baseUrl}/appointments`,
+        },
+        appointment_card: {
+            clientName: "Asha Verma",
+            lawyerName: "Adv. Rohan Mehta",
+            date: new Date("2025-03-14T00:00:00Z"),
+            time: "10:00 AM - 11:00 AM",
+            venue: "Online",
+            address: "Not provided",
+            appointmentUrl: `${baseUrl}/api/appointment/sample/card/view`,
+        },
+        lawyer_verified: {
+            name: "Adv. Rohan Mehta",
+            profileUrl: `${baseUrl}/lawyers/sample`,
+        },
+        digest: {
+            name: "Asha Verma",
+            frequency: "daily",
+            count: 3,
+            since: "13 Mar, 09:00",
+            groups: [
+                {
+                    key: "appointment",
+                    items: [
+                        {
+                            title: "Reschedule Requested",
+                            message: "Adv. Rohan Mehta proposed moving your appointment.",
+                            count: 1,
+                            at: "13 Mar, 18:20",
+                        },
+                    ],
+                },
+                {
+                    key: "message",
+                    items: [
+                        {
+                            title: "4 new messages from Adv. Rohan Mehta",
+                            message: "Please bring the sale deed to the meeting.",
+                            count: 4,
+                            at: "13 Mar, 20:05",
+                        },
+                        {
+                            title: "New message from Adv. Rohan Mehta",
+                            message: "Thanks, see you then.",
+                            count: 1,
+                            at: "14 Mar, 07:40",
+                        },
+                    ],
+                },
+            ],
+            hidden: 0,
+            notificationsUrl: `${baseUrl}/notifications`,
+            settingsUrl: `${baseUrl}/settings`,
+        },
+    };
+    return samples[template] || null;
+}
+
+module.exports = { getPreviewData };
@@ -0,0 +1,74 @@
+// src/services/mail/transports.js
+// Where outgoing email goes, picked by MAIL_TRANSPORT:
+//   smtp - the SMTP server from SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS (default)
+//   json - nothing is sent; sendMail resolves with the message as JSON (default in tests)
+//   file - like json, but each message is also written to MAIL_FILE_DIR for inspection
+
+const fs = require("fs/promises");
+const path = require("path");
+const nodemailer = require("nodemailer");
+const { conditionalConsole } = require("../../utils/logger");
+
+const DEFAULT_FILE_DIR = path.join(process.cwd(), "tmp", "mail");
+
+function createSmtpTransport() {
+    const port = parseInt(process.env.SMTP_PORT || "587", 10);
+    const transport = nodemailer.createTransport({
+        host: process.env.SMTP_HOST || "smtp.gmail.com",
+        port,
+        secure: port === 465, // true for 465, false for 587
+        auth: {
+            user: process.env.SMTP_USER || process.env.EMAIL_USER,
+            pass: process.env.SMTP_PASS || process.env.EMAIL_PASS,
+        },
+    });
+
+    // quick verify on startup (non-fatal)
+    transport
+        .verify()
+        .then(() => conditionalConsole.log("✅ SMTP transporter ready"))
+        .catch((err) => conditionalConsole.warn("⚠️ SMTP transporter verify failed:", err.message));
+    return transport;
+}
+
+function createFileTransport(dir = process.env.MAIL_FILE_DIR || DEFAULT_FILE_DIR) {
+    const json = nodemailer.createTransport({ jsonTransport: true });
+    return {
+        async sendMail(message) {
+            const info = await json.sendMail(message);
+            await fs.mkdir(dir, { recursive: true });
+            const id = info.messageId.replace(/[^a-zA-Z0-9.-]/g, "");
+            await fs.writeFile(path.join(dir, `${Date.now()}-${id}.json`), info.message);
+            return info;
+        },
+    };
+}
+
+const factories = {
+    smtp: createSmtpTransport,
+    json: () => nodemailer.createTransport({ jsonTransport: true }),
+    file: createFileTransport,
+};
+
+let transport = null;
+
+function defaultTransportName() {
+    return process.env.NODE_ENV === "test" ? "json" : "smtp";
+}
+
+/**
+ * The shared transport, created on first use
+ */
+function getTransport() {
+    if (!transport) {
+        const name = process.env.MAIL_TRANSPORT || defaultTransportName();
+        const factory = factories[name];
+        if (!factory) throw new Error(`Unknown mail transport "${name}"`);
+        transport = factory();
+    }
+    return transport;
+}
+
+module.exports = {
+    getTransport,
+};
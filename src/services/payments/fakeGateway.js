@@ -0,0 +1,57 @@
+// src/services/payments/fakeGateway.js
+// Local stand-in for a real payment gateway, used in development and tests.
+// Orders and payments only exist in memory; signatures are real HMACs so the
+// verification path matches production. Never available in production.
+
+const crypto = require("crypto");
+
+// without FAKE_GATEWAY_SECRET every process signs with its own random key,
+// so nobody can forge a checkout result from the source
+const secret = process.env.FAKE_GATEWAY_SECRET || crypto.randomBytes(32).toString("hex");
+const orders = new Map(); // orderId -> { amount, currency, paymentId }
+
+function randomId(prefix) {
+    return `${prefix}_${crypto.randomBytes(8).toString("hex")}`;
+}
+
+function sign(orderId, paymentId) {
+    return crypto.createHmac("sha256", secret).update(`${orderId}|${paymentId}`).digest("hex");
+}
+
+const fakeGateway = {
+    name: "fake",
+
+    async createOrder({ amount, currency = "INR", receipt }) {
+        const orderId = randomId("order_fake");
+        orders.set(orderId, { amount, currency, receipt, paymentId: null });
+        return { orderId, amount, currency, checkout: { gateway: "fake" } };
+    },
+
+    async verifyPayment({ orderId, paymentId, signature }) {
+        if (!orderId || !paymentId || typeof signature !== "string") return false;
+        const expected = Buffer.from(sign(orderId, paymentId));
+        const actual = Buffer.from(signature);
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    },
+
+    async refund({ paymentId, amount }) {
+        return { refundId: randomId("rfnd_fake"), paymentId, amount, status: "processed" };
+    },
+
+    /**
+     * Pretend the customer completed checkout; returns what the gateway's
+     * client-side widget would hand back. Not part of the adapter interface.
+     */
+    async simulatePayment(orderId) {
+        const order = orders.get(orderId);
+        if (!order) return null;
+        order.paymentId = order.paymentId || randomId("pay_fake");
+        return {
+            orderId,
+            paymentId: order.paymentId,
+            signature: sign(orderId, order.paymentId),
+        };
+    },
+};
+
+module.exports = fakeGateway;
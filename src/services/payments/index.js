@@ -0,0 +1,387 @@
+// src/services/payments/index.js
+// Appointment fee payments on top of a pluggable gateway adapter.
+//
+// An adapter is an object with:
+//   name                                              - stored on each Payment
+//   createOrder({ amount, currency, receipt, notes }) - { orderId, amount, currency, checkout }
+//   verifyPayment({ orderId, paymentId, signature })  - true when the checkout result is genuine
+//   refund({ paymentId, amount, reason })             - { refundId, amount, status }
+//   assertConfigured()                                - optional; throws when secrets are missing
+// All amounts are in paise. PAYMENT_GATEWAY picks the adapter; outside production
+// it defaults to "fake", in production it must name a real gateway.
+
+const shortid = require("shortid");
+const Appointment = require("../../models/appointment.model.js");
+const Payment = require("../../models/payment.model.js");
+const Invoice = require("../../models/invoice.model.js");
+const apiError = require("../../utils/apiError.js");
+const { computeRefund } = require("../../utils/refundPolicy.js");
+const { createNotification } = require("../../utils/notificationService.js");
+const { scheduleJob } = require("../jobScheduler.js");
+const fakeGateway = require("./fakeGateway.js");
+const razorpayGateway = require("./razorpayGateway.js");
+
+const gateways = {
+    [fakeGateway.name]: fakeGateway,
+    [razorpayGateway.name]: razorpayGateway,
+};
+
+const SAC_LEGAL_SERVICES = "998211"; // legal advisory and representation services
+
+const REFUND_JOB = "payment.refund";
+// the scheduler backs off a little more after each failed attempt (~45 minutes in total)
+const REFUND_MAX_ATTEMPTS = 10;
+
+/**
+ * Add (or replace) a gateway adapter
+ */
+function registerGateway(adapter) {
+    gateways[adapter.name] = adapter;
+}
+
+/**
+ * Gateway adapter by name; defaults to PAYMENT_GATEWAY. Refuses the fake
+ * gateway in production, whose checkouts anyone could sign.
+ */
+function getGateway(name = process.env.PAYMENT_GATEWAY) {
+    const production = process.env.NODE_ENV === "production";
+    if (!name) {
+        if (production) throw new Error("PAYMENT_GATEWAY must be set in production");
+        name = fakeGateway.name;
+    }
+    if (name === fakeGateway.name && production) {
+        throw new Error("The fake payment gateway cannot be used in production");
+    }
+
+    const gateway = gateways[name];
+    if (!gateway) throw new Error(`Unknown payment gateway "${name}"`);
+    return gateway;
+}
+
+/**
+ * Throw when the configured gateway is unusable (unset, fake in production or missing secrets)
+ */
+function assertGatewayConfigured() {
+    const gateway = getGateway();
+    if (typeof gateway.assertConfigured === "function") gateway.assertConfigured();
+    return gateway;
+}
+
+/**
+ * Gateway for a new paid booking or checkout. A misconfigured gateway only turns
+ * paid bookings away (402); free appointments keep working.
+ */
+function getCheckoutGateway() {
+    try {
+        return assertGatewayConfigured();
+    } catch (err) {
+        console.error("❌ Payment gateway misconfigured:", err.message);
+        throw new apiError(402, "Online payments are currently unavailable");
+    }
+}
+
+function getTaxRate() {
+    const rate = Number(process.env.GST_RATE);
+    return Number.isFinite(rate) && rate >= 0 ? rate : 18;
+}
+
+/**
+ * Split a GST-inclusive total (paise) into taxable value and CGST/SGST halves
+ */
+function splitTax(total, rate = getTaxRate()) {
+    const subtotal = Math.round((total * 100) / (100 + rate));
+    const tax = total - subtotal;
+    const cgst = Math.floor(tax / 2);
+    return { subtotal, cgst, sgst: tax - cgst, total };
+}
+
+/**
+ * Start a gateway order for an unpaid appointment (client only)
+ */
+async function createOrderForAppointment(appointmentId, user) {
+    const appointment = await Appointment.findById(appointmentId);
+    if (!appointment) throw new apiError(404, "Appointment not found");
+
+    if (appointment.client.toString() !== user._id.toString()) {
+        throw new apiError(403, "Only the client can pay for this appointment");
+    }
+    if (appointment.paymentStatus !== "unpaid") {
+        throw new apiError(400, "This appointment has no outstanding fee");
+    }
+    if (!["pending", "approved"].includes(appointment.status)) {
+        throw new apiError(400, `Cannot pay for a ${appointment.status} appointment`);
+    }
+
+    const gateway = getCheckoutGateway();
+    const order = await gateway.createOrder({
+        amount: appointment.feeAmount,
+        currency: "INR",
+        receipt: appointment._id.toString(),
+        notes: { appointmentId: appointment._id.toString() },
+    });
+
+    const payment = await Payment.create({
+        appointment: appointment._id,
+        payer: appointment.client,
+        payee: appointment.lawyer,
+        amount: order.amount,
+        currency: order.currency,
+        gateway: gateway.name,
+        gatewayOrderId: order.orderId,
+    });
+
+    return { payment, order };
+}
+
+async function issueInvoice(payment, appointment) {
+    await appointment.populate([
+        { path: "client", select: "username name email" },
+        {
+            path: "lawyer",
+            select: "username name email",
+            populate: { path: "lawyerProfile", select: "city state" },
+        },
+    ]);
+    const { client, lawyer } = appointment;
+    const taxRate = getTaxRate();
+    const { subtotal, cgst, sgst, total } = splitTax(payment.amount, taxRate);
+    const profile = lawyer.lawyerProfile || {};
+
+    return Invoice.create({
+        invoiceNumber: `LH-INV-${new Date().getFullYear()}-${shortid.generate().toUpperCase()}`,
+        appointment: appointment._id,
+        payment: payment._id,
+        client: client._id,
+        lawyer: lawyer._id,
+        billedTo: { name: client.name || client.username, email: client.email },
+        billedBy: {
+            name: lawyer.name || lawyer.username,
+            email: lawyer.email,
+            address: [profile.city, profile.state].filter(Boolean).join(", "),
+            gstin: process.env.GSTIN,
+        },
+        lineItems: [
+            {
+                description: `Legal consultation on ${new Date(appointment.date).toDateString()} at ${appointment.timeSlot}`,
+                sac: SAC_LEGAL_SERVICES,
+                quantity: 1,
+                unitPrice: subtotal,
+                amount: subtotal,
+            },
+        ],
+        currency: payment.currency,
+        subtotal,
+        taxRate,
+        cgst,
+        sgst,
+        total,
+    });
+}
+
+/**
+ * Verify a checkout result, mark the appointment paid and issue the invoice.
+ * Safe to call twice for the same order.
+ * @param {Object} result - { orderId, paymentId, signature } from the gateway checkout
+ * @param {Object} [ctx] - { io }
+ */
+async function confirmPayment({ orderId, paymentId, signature }, { io } = {}) {
+    // claim the order first so a double-submit or a racing webhook confirms it only once
+    const payment = await Payment.findOneAndUpdate(
+        { gatewayOrderId: orderId, status: "created" },
+        { $set: { status: "verifying" } },
+        { new: true }
+    );
+    if (!payment) {
+        const existing = await Payment.findOne({ gatewayOrderId: orderId });
+        if (!existing) throw new apiError(404, "Payment not found");
+        return existing;
+    }
+
+    // release the claim so the checkout can be verified again
+    const releaseClaim = () =>
+        Payment.updateOne(
+            { _id: payment._id, status: "verifying" },
+            { $set: { status: "created" } }
+        );
+
+    let genuine;
+    try {
+        genuine = await getGateway(payment.gateway).verifyPayment({
+            orderId,
+            paymentId,
+            signature,
+        });
+    } catch (err) {
+        await releaseClaim();
+        throw err;
+    }
+    if (!genuine) {
+        payment.status = "failed";
+        await payment.save();
+        throw new apiError(400, "Payment verification failed");
+    }
+
+    payment.status = "paid";
+    payment.gatewayPaymentId = paymentId;
+    payment.paidAt = new Date();
+
+    const appointment = await Appointment.findById(payment.appointment);
+    const previousPaymentStatus = appointment.paymentStatus;
+    let invoice;
+    try {
+        appointment.paymentStatus = "paid";
+        await appointment.save();
+
+        invoice = await issueInvoice(payment, appointment);
+        payment.invoice = invoice._id;
+        await payment.save();
+    } catch (err) {
+        // undo what was booked so the payment is not left "verifying" on a paid appointment
+        if (invoice) await Invoice.deleteOne({ _id: invoice._id });
+        await Appointment.updateOne(
+            { _id: appointment._id },
+            { $set: { paymentStatus: previousPaymentStatus } }
+        );
+        await releaseClaim();
+        throw err;
+    }
+
+    await createNotification(io, {
+        user: appointment.lawyer._id,
+        type: "payment.received",
+        title: "Appointment Fee Paid",
+        message: `${appointment.client.username} paid the fee for the appointment on ${new Date(appointment.date).toDateString()} at ${appointment.timeSlot}. You can now approve it.`,
+        relatedId: appointment._id,
+        relatedModel: "Appointment",
+        channels: { inApp: true, email: true },
+        email: appointment.lawyer.email,
+    });
+
+    // the appointment ended while the client was at the checkout
+    if (!["pending", "approved"].includes(appointment.status)) {
+        await refundAppointmentPayment(appointment, { status: appointment.status, io });
+    }
+    return payment;
+}
+
+// Ask the gateway to refund one entry, recording the outcome on the entry
+async function requestRefund(payment, entry) {
+    try {
+        const result = await getGateway(payment.gateway).refund({
+            paymentId: payment.gatewayPaymentId,
+            amount: entry.amount,
+            reason: entry.reason,
+        });
+        entry.gatewayRefundId = result.refundId;
+        entry.status = result.status === "processed" ? "processed" : "pending";
+        entry.error = undefined;
+    } catch (err) {
+        console.error("Refund failed:", err.message);
+        entry.status = "failed";
+        entry.error = err.message;
+    }
+}
+
+// Book an accepted refund on the payment, appointment and invoice, and tell the client
+async function recordRefund(payment, appointment, entry, io) {
+    payment.refundedAmount += entry.amount;
+    payment.status = payment.refundedAmount >= payment.amount ? "refunded" : "partially_refunded";
+    appointment.paymentStatus = payment.status;
+    await appointment.save();
+    await Invoice.updateOne(
+        { payment: payment._id },
+        { refundedAmount: payment.refundedAmount, status: payment.status }
+    );
+    await payment.save();
+
+    await createNotification(io, {
+        user: payment.payer,
+        type: "payment.refunded",
+        title: "Refund Initiated",
+        message: `₹${(entry.amount / 100).toFixed(2)} of your appointment fee is being refunded. ${entry.reason}.`,
+        relatedId: appointment._id,
+        relatedModel: "Appointment",
+    });
+}
+
+/**
+ * Refund a paid appointment fee according to the refund policy. Gateway errors
+ * are recorded on the payment instead of thrown, so they never block a cancellation;
+ * the failed refund is retried in the background (see retryRefund).
+ * @param {Object} appointment - Appointment document that was rejected, cancelled or expired
+ * @param {Object} options - { status, role, io, now }
+ * @returns {Object|null} the refund entry, or null when nothing was refunded
+ */
+async function refundAppointmentPayment(appointment, { status, role, io, now = new Date() } = {}) {
+    if (!["paid", "partially_refunded"].includes(appointment.paymentStatus)) return null;
+
+    const payment = await Payment.findOne({
+        appointment: appointment._id,
+        status: { $in: ["paid", "partially_refunded"] },
+    });
+    if (!payment) return null;
+
+    // failed refunds are still owed, so they count against what is left
+    const awaitingRetry = payment.refunds
+        .filter((refund) => refund.status === "failed")
+        .reduce((sum, refund) => sum + refund.amount, 0);
+    const refundable = payment.amount - payment.refundedAmount - awaitingRetry;
+    const policy = computeRefund(appointment, { status, role, now, paidAmount: refundable });
+    if (policy.amount <= 0) return null;
+
+    payment.refunds.push({ amount: policy.amount, reason: policy.reason });
+    const index = payment.refunds.length - 1;
+    const entry = payment.refunds[index];
+    await requestRefund(payment, entry);
+
+    if (entry.status === "failed") {
+        await payment.save();
+        await scheduleJob(
+            REFUND_JOB,
+            { paymentId: payment._id.toString(), index },
+            {
+                runAt: new Date(now.getTime() + 60 * 1000),
+                uniqueKey: `${REFUND_JOB}:${payment._id}:${index}`,
+                maxAttempts: REFUND_MAX_ATTEMPTS,
+            }
+        );
+    } else {
+        await recordRefund(payment, appointment, entry, io);
+    }
+    return entry;
+}
+
+/**
+ * Job handler: ask the gateway again for a refund that failed. Throws while the
+ * gateway keeps failing so the scheduler retries with a growing delay; refunds
+ * that run out of attempts show up under failed jobs on the admin dashboard.
+ */
+async function retryRefund(job, { io } = {}) {
+    const { paymentId, index } = job.data;
+    const payment = await Payment.findById(paymentId);
+    const entry = payment?.refunds[index];
+    if (!entry || entry.status !== "failed") return { skipped: "not failed" };
+
+    await requestRefund(payment, entry);
+    if (entry.status === "failed") {
+        await payment.save();
+        throw new Error(`Refund of ${entry.amount} paise failed again: ${entry.error}`);
+    }
+
+    const appointment = await Appointment.findById(payment.appointment);
+    await recordRefund(payment, appointment, entry, io);
+    return { refunded: entry.amount };
+}
+
+module.exports = {
+    REFUND_JOB,
+    registerGateway,
+    getGateway,
+    assertGatewayConfigured,
+    getCheckoutGateway,
+    splitTax,
+    createOrderForAppointment,
+    confirmPayment,
+    refundAppointmentPayment,
+    retryRefund,
+};
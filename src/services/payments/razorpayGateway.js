@@ -0,0 +1,81 @@
+// src/services/payments/razorpayGateway.js
+// Razorpay adapter using the REST API directly (https://razorpay.com/docs/api/).
+// Needs RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET.
+
+const crypto = require("crypto");
+const axios = require("axios");
+
+const API_BASE = "https://api.razorpay.com/v1";
+
+function getCredentials() {
+    const keyId = process.env.RAZORPAY_KEY_ID;
+    const keySecret = process.env.RAZORPAY_KEY_SECRET;
+    if (!keyId || !keySecret) {
+        throw new Error("RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET must be set");
+    }
+    return { keyId, keySecret };
+}
+
+function client() {
+    const { keyId, keySecret } = getCredentials();
+    return axios.create({
+        baseURL: API_BASE,
+        auth: { username: keyId, password: keySecret },
+        timeout: 15 * 1000,
+    });
+}
+
+// surface Razorpay's error description instead of a bare axios error
+function unwrap(err) {
+    const description = err.response?.data?.error?.description;
+    return new Error(description ? `Razorpay: ${description}` : err.message);
+}
+
+const razorpayGateway = {
+    name: "razorpay",
+
+    assertConfigured() {
+        getCredentials();
+    },
+
+    async createOrder({ amount, currency = "INR", receipt, notes = {} }) {
+        try {
+            const { data } = await client().post("/orders", { amount, currency, receipt, notes });
+            return {
+                orderId: data.id,
+                amount: data.amount,
+                currency: data.currency,
+                // everything the browser needs to open Razorpay Checkout
+                checkout: { gateway: "razorpay", key: getCredentials().keyId },
+            };
+        } catch (err) {
+            throw unwrap(err);
+        }
+    },
+
+    async verifyPayment({ orderId, paymentId, signature }) {
+        if (!orderId || !paymentId || typeof signature !== "string") return false;
+        const expected = Buffer.from(
+            crypto
+                .createHmac("sha256", getCredentials().keySecret)
+                .update(`${orderId}|${paymentId}`)
+                .digest("hex")
+        );
+        const actual = Buffer.from(signature);
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    },
+
+    async refund({ paymentId, amount, reason }) {
+        try {
+            const { data } = await client().post(`/payments/${paymentId}/refund`, {
+                amount,
+                notes: reason ? { reason } : undefined,
+            });
+            return { refundId: data.id, paymentId, amount: data.amount, status: data.status };
+        } catch (err) {
+            throw unwrap(err);
+        }
+    },
+};
+
+module.exports = razorpayGateway;
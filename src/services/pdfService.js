@@ -0,0 +1,220 @@
+// src/services/pdfService.js
+// Shared HTML -> PDF rendering. Keeps a small pool of headless browsers alive
+// instead of launching Chrome per request, limits how many pages render at once,
+// queues the rest (with a cap and a timeout) and caches recent output.
+
+const crypto = require("crypto");
+const ejs = require("ejs");
+const puppeteer = require("puppeteer");
+const apiError = require("../utils/apiError.js");
+
+const POOL_SIZE = Number(process.env.PDF_POOL_SIZE) || 2;
+const CONCURRENCY = Number(process.env.PDF_CONCURRENCY) || 4;
+const QUEUE_LIMIT = Number(process.env.PDF_QUEUE_LIMIT) || 50;
+const RENDER_TIMEOUT = Number(process.env.PDF_RENDER_TIMEOUT_MS) || 30 * 1000;
+const CACHE_SIZE = Number(process.env.PDF_CACHE_SIZE) || 50;
+const CACHE_TTL = 10 * 60 * 1000;
+// restart a browser after this many pages to keep memory in check
+const PAGES_PER_BROWSER = 200;
+
+const DEFAULT_PDF_OPTIONS = {
+    format: "A4",
+    printBackground: true,
+    margin: { top: "1cm", right: "1cm", bottom: "1cm", left: "1cm" },
+};
+
+const pool = []; // { browserPromise, active, rendered }
+const queue = []; // pending { task, resolve, reject }
+const cache = new Map(); // key -> { buffer, expiresAt }, oldest first
+let running = 0;
+
+// ---------- browser pool ----------
+
+function launchBrowser() {
+    const entry = { active: 0, rendered: 0 };
+    entry.browserPromise = puppeteer
+        .launch({
+            headless: "new",
+            args: ["--no-sandbox", "--disable-setuid-sandbox", "--disable-dev-shm-usage"],
+        })
+        .then((browser) => {
+            browser.on("disconnected", () => removeFromPool(entry));
+            return browser;
+        })
+        .catch((err) => {
+            removeFromPool(entry);
+            throw err;
+        });
+    pool.push(entry);
+    return entry;
+}
+
+function removeFromPool(entry) {
+    const index = pool.indexOf(entry);
+    if (index !== -1) pool.splice(index, 1);
+}
+
+async function retireBrowser(entry) {
+    removeFromPool(entry);
+    try {
+        const browser = await entry.browserPromise;
+        await browser.close();
+    } catch (err) {
+        // already gone
+    }
+}
+
+// least busy browser, launching a new one while the pool is below size
+function acquireBrowser() {
+    if (pool.length < POOL_SIZE) return launchBrowser();
+    return pool.reduce((best, entry) => (entry.active < best.active ? entry : best));
+}
+
+async function renderWithBrowser(html, pdfOptions) {
+    const entry = acquireBrowser();
+    entry.active++;
+    let page;
+    let timer;
+    try {
+        const browser = await entry.browserPromise;
+        page = await browser.newPage();
+
+        const render = (async () => {
+            await page.setContent(html, { waitUntil: "networkidle0", timeout: RENDER_TIMEOUT });
+            return page.pdf({ ...DEFAULT_PDF_OPTIONS, ...pdfOptions });
+        })();
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(
+                () => reject(new apiError(504, "PDF rendering timed out")),
+                RENDER_TIMEOUT
+            );
+        });
+
+        return Buffer.from(await Promise.race([render, timeout]));
+    } finally {
+        clearTimeout(timer);
+        entry.active--;
+        entry.rendered++;
+        if (page) page.close().catch(() => {});
+        if (entry.rendered >= PAGES_PER_BROWSER && entry.active === 0) {
+            retireBrowser(entry);
+        }
+    }
+}
+
+// ---------- queue ----------
+
+function enqueue(task) {
+    if (running >= CONCURRENCY && queue.length >= QUEUE_LIMIT) {
+        return Promise.reject(new apiError(503, "PDF service is busy, please try again shortly"));
+    }
+    return new Promise((resolve, reject) => {
+        queue.push({ task, resolve, reject });
+        drain();
+    });
+}
+
+function drain() {
+    while (running < CONCURRENCY && queue.length > 0) {
+        const { task, resolve, reject } = queue.shift();
+        running++;
+        task()
+            .then(resolve, reject)
+            .finally(() => {
+                running--;
+                drain();
+            });
+    }
+}
+
+// ---------- cache ----------
+
+/**
+ * Stable cache key for a template and the data it is rendered with
+ */
+function getCacheKey(templatePath, data, pdfOptions = {}) {
+    return crypto
+        .createHash("sha256")
+        .update(templatePath)
+        .update(JSON.stringify(data ?? null))
+        .update(JSON.stringify(pdfOptions))
+        .digest("hex");
+}
+
+function cacheGet(key) {
+    const hit = cache.get(key);
+    if (!hit) return null;
+    if (hit.expiresAt < Date.now()) {
+        cache.delete(key);
+        return null;
+    }
+    // refresh LRU position
+    cache.delete(key);
+    cache.set(key, hit);
+    return hit.buffer;
+}
+
+function cacheSet(key, buffer) {
+    cache.set(key, { buffer, expiresAt: Date.now() + CACHE_TTL });
+    while (cache.size > CACHE_SIZE) {
+        cache.delete(cache.keys().next().value);
+    }
+}
+
+// ---------- public API ----------
+
+/**
+ * Render an HTML string to a PDF buffer (not cached)
+ */
+function renderHtmlToPdf(html, pdfOptions = {}) {
+    return enqueue(() => renderWithBrowser(html, pdfOptions));
+}
+
+/**
+ * Render an EJS template to a PDF buffer. Identical template + data pairs are
+ * served from cache, so include anything that changes the output (e.g. updatedAt).
+ * @param {String} templatePath - absolute path of the EJS template
+ * @param {Object} data - template locals
+ * @param {Object} [options] - { pdfOptions, cache }
+ */
+async function renderTemplateToPdf(
+    templatePath,
+    data,
+    { pdfOptions = {}, cache: useCache = true } = {}
+) {
+    const key = useCache ? getCacheKey(templatePath, data, pdfOptions) : null;
+    if (key) {
+        const cached = cacheGet(key);
+        if (cached) return cached;
+    }
+
+    const html = await ejs.renderFile(templatePath, data);
+    const buffer = await renderHtmlToPdf(html, pdfOptions);
+    if (key) cacheSet(key, buffer);
+    return buffer;
+}
+
+function getStats() {
+    return {
+        browsers: pool.length,
+        running,
+        queued: queue.length,
+        cached: cache.size,
+    };
+}
+
+/**
+ * Close all pooled browsers (graceful shutdown)
+ */
+async function shutdown() {
+    cache.clear();
+    await Promise.all([...pool].map(retireBrowser));
+}
+
+module.exports = {
+    renderHtmlToPdf,
+    renderTemplateToPdf,
+    getCacheKey,
+    getStats,
+    shutdown,
+};
@@ -0,0 +1,87 @@
+// src/services/presence.js
+// Who is online right now. A user counts as online while at least one of their
+// sockets (tabs, devices) is connected; last-seen is saved when the last one closes.
+// State is kept in this process, so it assumes a single socket.io server.
+
+const User = require("../models/user.model.js");
+const ChatRoom = require("../models/chatRoom.model.js");
+
+const sockets = new Map(); // userId -> Set of socket ids
+const lastSeen = new Map(); // userId -> Date, for users who went offline since startup
+
+/**
+ * Record a new socket for a user
+ * @returns {Boolean} true when the user just came online
+ */
+function connect(userId, socketId) {
+    const id = String(userId);
+    const set = sockets.get(id) || new Set();
+    set.add(socketId);
+    sockets.set(id, set);
+    return set.size === 1;
+}
+
+/**
+ * Forget a closed socket
+ * @returns {Date|null} the last-seen time when the user just went offline
+ */
+function disconnect(userId, socketId) {
+    const id = String(userId);
+    const set = sockets.get(id);
+    if (!set) return null;
+    set.delete(socketId);
+    if (set.size) return null;
+
+    sockets.delete(id);
+    const at = new Date();
+    lastSeen.set(id, at);
+    User.updateOne({ _id: id }, { $set: { lastSeenAt: at } }).catch((err) =>
+        console.error("Saving last seen failed:", err.message)
+    );
+    return at;
+}
+
+function isOnline(userId) {
+    return sockets.has(String(userId));
+}
+
+/**
+ * Presence of the given users
+ * @returns {Promise<Array<{ userId: String, online: Boolean, lastSeenAt: Date|null }>>}
+ */
+async function getPresence(userIds) {
+    const ids = [...new Set(userIds.map(String))];
+    const offline = ids.filter((id) => !isOnline(id) && !lastSeen.has(id));
+    const stored = offline.length
+        ? await User.find({ _id: { $in: offline } }).select("lastSeenAt")
+        : [];
+    const storedMap = new Map(stored.map((u) => [u._id.toString(), u.lastSeenAt || null]));
+
+    return ids.map((id) => ({
+        userId: id,
+        online: isOnline(id),
+        lastSeenAt: isOnline(id) ? null : lastSeen.get(id) || storedMap.get(id) || null,
+    }));
+}
+
+/**
+ * Everyone who shares a chat room with the user; they receive the user's presence updates
+ */
+async function getChatPartners(userId) {
+    const rooms = await ChatRoom.find({ participants: userId }).select("participants");
+    const partners = new Set();
+    rooms.forEach((room) =>
+        room.participants.forEach((p) => {
+            if (p.toString() !== String(userId)) partners.add(p.toString());
+        })
+    );
+    return [...partners];
+}
+
+module.exports = {
+    connect,
+    disconnect,
+    isOnline,
+    getPresence,
+    getChatPartners,
+};
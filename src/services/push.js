@@ -0,0 +1,89 @@
+// src/services/push.js
+// Web push delivery to stored subscriptions. A subscription the push service
+// reports as gone (404/410) is removed at once; one that keeps failing for other
+// reasons is removed after MAX_PUSH_FAILURES attempts in a row.
+
+const useragent = require("express-useragent");
+const Subscription = require("../models/subscription.model.js");
+const { webPush, enabled } = require("../config/push.js");
+
+const MAX_PUSH_FAILURES = Number(process.env.PUSH_MAX_FAILURES) || 5;
+// pushes in flight at once when sending to many subscriptions (e.g. a broadcast)
+const PUSH_CONCURRENCY = Number(process.env.PUSH_CONCURRENCY) || 5;
+
+/**
+ * Readable name for a subscribing browser, e.g. "Chrome on Android"
+ */
+function describeDevice(userAgentString) {
+    if (!userAgentString) return "Unknown device";
+    const ua = useragent.parse(userAgentString);
+    const browser = ua.browser && ua.browser !== "unknown" ? ua.browser : "Browser";
+    const platform = ua.platform && ua.platform !== "unknown" ? ua.platform : ua.os;
+    return platform && platform !== "unknown" ? `${browser} on ${platform}` : browser;
+}
+
+/**
+ * Push a payload to one subscription and record the outcome on it
+ * @returns {Promise<Object>} { id, status: "ok" | "failed" | "removed", error }
+ */
+async function sendToSubscription(subDoc, payload) {
+    const body = typeof payload === "string" ? payload : JSON.stringify(payload);
+    try {
+        await webPush.sendNotification({ endpoint: subDoc.endpoint, keys: subDoc.keys }, body);
+        await Subscription.updateOne(
+            { _id: subDoc._id },
+            { $set: { lastPushAt: new Date(), failureCount: 0, lastError: null } }
+        );
+        return { id: subDoc._id, status: "ok" };
+    } catch (err) {
+        const error = err.message || String(err);
+        console.error("Push send error:", err.statusCode || error);
+
+        // expired or unsubscribed in the browser
+        const gone = err.statusCode === 404 || err.statusCode === 410 || /p256dh/.test(error);
+        const failed = gone
+            ? null
+            : await Subscription.findOneAndUpdate(
+                  { _id: subDoc._id },
+                  {
+                      $inc: { failureCount: 1 },
+                      $set: { lastFailureAt: new Date(), lastError: error },
+                  },
+                  { new: true }
+              );
+        if (gone || (failed && failed.failureCount >= MAX_PUSH_FAILURES)) {
+            await Subscription.deleteOne({ _id: subDoc._id });
+            return { id: subDoc._id, status: "removed", error };
+        }
+        return { id: subDoc._id, status: "failed", error };
+    }
+}
+
+/**
+ * Push a payload to every subscription matching the filter, e.g. { user },
+ * with at most PUSH_CONCURRENCY sends in flight
+ * @returns {Promise<Object[]>} one result per subscription, in the order found
+ */
+async function sendToSubscriptions(filter, payload) {
+    if (!enabled) return [];
+    const subs = await Subscription.find(filter);
+    const results = new Array(subs.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < subs.length) {
+            const i = next++;
+            results[i] = await sendToSubscription(subs[i], payload);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(PUSH_CONCURRENCY, subs.length) }, worker));
+    return results;
+}
+
+module.exports = {
+    MAX_PUSH_FAILURES,
+    PUSH_CONCURRENCY,
+    describeDevice,
+    sendToSubscription,
+    sendToSubscriptions,
+};
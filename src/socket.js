@@ -1,169 +1,410 @@
+const mongoose = require("mongoose");
 const ChatRoom = require("./models/chatRoom.model");
 const Message = require("./models/message.model");
+const registerCallHandlers = require("./callSignaling");
+const presence = require("./services/presence");
+const { notifyNewMessage } = require("./services/chatNotifications");
+const { removeMessageAttachments } = require("./services/attachmentStorage");
+const {
+    ALLOWED_REACTIONS,
+    MAX_REACTIONS_PER_USER,
+    canEditMessage,
+    findReplyTarget,
+} = require("./utils/chatMessagePolicy");
+const {
+    socketError,
+    authenticateSocket,
+    requireChatRoomMember,
+} = require("./middlewares/socketAuth.middleware");
 
 module.exports = function (io) {
+    // every connection must carry a logged-in session; see socketAuth.middleware.js
+    io.use(authenticateSocket);
+
     io.on("connection", (socket) => {
         // console.log("User connected:", socket.id);
+        const userId = socket.data.user._id;
+
+        // Register an event handler. The acting user always comes from the session,
+        // never from the payload. Failures are returned as { status: "error", code, msg }
+        // through the ack callback, or emitted as "socketError" when there is none.
+        const on = (event, handler) => {
+            socket.on(event, async (payload, callback) => {
+                if (typeof payload === "function") {
+                    callback = payload;
+                    payload = undefined;
+                }
+                try {
+                    const result = await handler(payload);
+                    if (typeof callback === "function") callback({ status: "ok", ...result });
+                } catch (err) {
+                    const error = err?.status === "error" ? err : socketError(500, "Server error");
+                    if (error.code === 500) console.error(`${event} error:`, err);
+                    if (typeof callback === "function") callback(error);
+                    else socket.emit("socketError", { event, ...error });
+                }
+            });
+        };
 
         // --- 🔔 Notifications ---
-        socket.on("registerUser", (userId) => {
-            if (!userId) return;
-            socket.join(userId.toString());
-            console.log(`🔌 User ${userId} joined notifications room`);
+        // each user gets a personal room for notifications and incoming calls
+        socket.join(userId);
+
+        // --- 🟢 Presence & delivery receipts ---
+        const broadcastPresence = async (online, lastSeenAt = null) => {
+            const partners = await presence.getChatPartners(userId);
+            if (partners.length) {
+                io.to(partners).emit("presence", { userId, online, lastSeenAt });
+            }
+        };
+
+        // messages sent while this user was offline have now reached them
+        const markDelivered = async () => {
+            const pending = await Message.find({
+                receiver: userId,
+                deliveredAt: null,
+                deleted: false,
+            }).select("_id chatRoom");
+            if (!pending.length) return;
+
+            const deliveredAt = new Date();
+            await Message.updateMany(
+                { _id: { $in: pending.map((m) => m._id) } },
+                { $set: { deliveredAt } }
+            );
+            const byRoom = new Map();
+            pending.forEach((m) => {
+                const roomId = m.chatRoom.toString();
+                byRoom.set(roomId, [...(byRoom.get(roomId) || []), m._id.toString()]);
+            });
+            byRoom.forEach((messageIds, chatRoomId) =>
+                io.to(chatRoomId).emit("messagesDelivered", { chatRoomId, messageIds, deliveredAt })
+            );
+        };
+
+        if (presence.connect(userId, socket.id)) {
+            broadcastPresence(true).catch((err) => console.error("presence error:", err));
+        }
+        markDelivered().catch((err) => console.error("markDelivered error:", err));
+
+        // Online state and last seen of the other participants of a room
+        on("getPresence", async ({ chatRoomId } = {}) => {
+            const room = await requireChatRoomMember(socket, chatRoomId);
+            const others = room.participants.filter((p) => p.toString() !== userId);
+            return { presence: await presence.getPresence(others) };
+        });
+
+        // kept for older clients; the room is always the session user's own
+        on("registerUser", () => {
+            socket.join(userId);
         });
 
         // --- 💬 Chat events ---
-        socket.on("joinRoom", (chatRoomId) => {
+        on("joinRoom", async (chatRoomId) => {
+            await requireChatRoomMember(socket, chatRoomId);
             socket.join(String(chatRoomId));
             // console.log(`Socket ${socket.id} joined room ${chatRoomId}`);
         });
 
-        // Typing indicator
-        socket.on("typing", ({ chatRoomId, userId }) => {
+        // The client switched to another chat; messages here now notify this user
+        on("leaveRoom", (chatRoomId) => {
+            socket.leave(String(chatRoomId));
+        });
+
+        // Typing indicator (only in rooms this socket has joined)
+        on("typing", ({ chatRoomId } = {}) => {
+            if (!socket.rooms.has(String(chatRoomId))) {
+                throw socketError(403, "Join the chat room first");
+            }
             socket.to(String(chatRoomId)).emit("typing", userId);
         });
 
-        socket.on("stopTyping", ({ chatRoomId, userId }) => {
+        on("stopTyping", ({ chatRoomId } = {}) => {
+            if (!socket.rooms.has(String(chatRoomId))) {
+                throw socketError(403, "Join the chat room first");
+            }
             socket.to(String(chatRoomId)).emit("stopTyping", userId);
         });
 
-        // Send message
-        socket.on(
-            "sendMessage",
-            async ({ chatRoomId, senderId, receiverId, content }, callback) => {
-                try {
-                    if (!content || !chatRoomId || !senderId) {
-                        return callback?.({
-                            status: "error",
-                            msg: "Missing fields",
-                        });
-                    }
-
-                    // If no receiverId provided, find it from chat room participants
-                    if (!receiverId) {
-                        const room = await ChatRoom.findById(chatRoomId).select("participants");
-                        if (room) {
-                            receiverId = room.participants.find(
-                                (id) => id.toString() !== senderId.toString()
-                            );
-                        }
-                    }
-
-                    const message = await Message.create({
-                        chatRoom: chatRoomId,
-                        sender: senderId,
-                        receiver: receiverId || null,
-                        content,
-                        seen: false,
-                    });
-
-                    await ChatRoom.findByIdAndUpdate(chatRoomId, {
-                        $set: {
-                            lastMessage: content,
-                            lastMessageAt: new Date(),
-                            lastMessageSender: senderId,
-                        },
-                    });
+        // A message of the given room, or a 404
+        const findRoomMessage = async (messageId, chatRoomId) => {
+            if (!mongoose.isValidObjectId(messageId)) {
+                throw socketError(400, "A valid message ID is required");
+            }
+            const msg = await Message.findById(messageId);
+            if (!msg || msg.chatRoom.toString() !== String(chatRoomId)) {
+                throw socketError(404, "Message not found");
+            }
+            return msg;
+        };
 
-                    const populated = await Message.findById(message._id)
-                        .populate("sender", "username name")
-                        .populate("receiver", "username name");
+        // Send message, optionally quoting an earlier one (replyTo)
+        on("sendMessage", async ({ chatRoomId, content, replyTo } = {}) => {
+            if (!content || !chatRoomId) {
+                throw socketError(400, "Missing fields");
+            }
 
-                    io.to(String(chatRoomId)).emit("newMessage", populated);
-                    callback?.({ status: "ok", message: populated });
-                } catch (err) {
-                    console.error("sendMessage error:", err);
-                    callback?.({ status: "error", msg: "Server error" });
+            const room = await requireChatRoomMember(socket, chatRoomId);
+            const receiverId = room.participants.find((id) => id.toString() !== userId);
+
+            let quoted = null;
+            if (replyTo) {
+                quoted = await findReplyTarget(chatRoomId, replyTo);
+                if (!quoted) {
+                    throw socketError(400, "The message you are replying to is not available");
                 }
             }
-        );
 
-        // Mark all messages as seen
-        socket.on("markSeen", async ({ chatRoomId, userId }) => {
-            try {
-                await Message.updateMany(
-                    {
-                        chatRoom: chatRoomId,
-                        sender: { $ne: userId },
-                        seen: false,
-                    },
-                    { $set: { seen: true } }
+            const message = await Message.create({
+                chatRoom: chatRoomId,
+                sender: userId,
+                receiver: receiverId || null,
+                content,
+                replyTo: quoted && quoted._id,
+                seen: false,
+                deliveredAt: receiverId && presence.isOnline(receiverId) ? new Date() : null,
+            });
+
+            await ChatRoom.findByIdAndUpdate(chatRoomId, {
+                $set: {
+                    lastMessage: content,
+                    lastMessageAt: new Date(),
+                    lastMessageSender: userId,
+                },
+            });
+
+            const populated = await Message.findById(message._id).forChat();
+
+            // the receiver's own room too, so their room list updates while the chat is closed
+            io.to(String(chatRoomId)).to(String(receiverId)).emit("newMessage", populated);
+            notifyNewMessage(io, message, socket.data.user).catch((err) =>
+                console.error("Chat notification failed:", err)
+            );
+            return { message: populated };
+        });
+
+        // Edit own message within the edit window, keeping the previous text
+        on("editMessage", async ({ messageId, chatRoomId, content } = {}) => {
+            await requireChatRoomMember(socket, chatRoomId);
+            const text = typeof content === "string" ? content.trim() : "";
+            const msg = await findRoomMessage(messageId, chatRoomId);
+            if (!text && !msg.attachments.length) {
+                throw socketError(400, "Message content is required");
+            }
+
+            const check = canEditMessage(msg, userId);
+            if (!check.allowed) throw socketError(403, check.reason);
+            if (text === msg.content) return { message: msg };
+
+            const editedAt = new Date();
+            // matching the old content guards against two edits racing each other
+            const updated = await Message.findOneAndUpdate(
+                { _id: msg._id, content: msg.content, deleted: false },
+                {
+                    $set: { content: text, editedAt },
+                    $push: { editHistory: { content: msg.content, editedAt } },
+                },
+                { new: true }
+            ).forChat();
+            if (!updated) {
+                throw socketError(409, "The message was changed meanwhile, please try again");
+            }
+
+            // keep the room preview in sync when the latest message is edited
+            const latest = await Message.findOne({ chatRoom: chatRoomId, deleted: false })
+                .sort({ _id: -1 })
+                .select("_id");
+            if (latest && latest._id.equals(msg._id) && text) {
+                await ChatRoom.findByIdAndUpdate(chatRoomId, { $set: { lastMessage: text } });
+            }
+
+            io.to(String(chatRoomId)).emit("messageEdited", {
+                chatRoomId: String(chatRoomId),
+                messageId: String(msg._id),
+                content: text,
+                editedAt,
+                editCount: updated.editHistory.length,
+            });
+            return { message: updated };
+        });
+
+        // Earlier versions of a message, oldest first
+        on("getEditHistory", async ({ messageId, chatRoomId } = {}) => {
+            await requireChatRoomMember(socket, chatRoomId);
+            const msg = await findRoomMessage(messageId, chatRoomId);
+            if (msg.deleted) throw socketError(410, "This message was deleted");
+            return {
+                history: [
+                    ...msg.editHistory.map((e) => ({ content: e.content, editedAt: e.editedAt })),
+                    { content: msg.content, editedAt: msg.editedAt, current: true },
+                ],
+            };
+        });
+
+        // Add or remove one of the user's emoji reactions
+        on("toggleReaction", async ({ messageId, chatRoomId, emoji } = {}) => {
+            await requireChatRoomMember(socket, chatRoomId);
+            if (!ALLOWED_REACTIONS.includes(emoji)) {
+                throw socketError(400, "Unsupported reaction");
+            }
+            const msg = await findRoomMessage(messageId, chatRoomId);
+            if (msg.deleted) throw socketError(400, "Cannot react to a deleted message");
+
+            const mine = msg.reactions.filter((r) => r.user.toString() === userId);
+            let updated;
+            if (mine.some((r) => r.emoji === emoji)) {
+                updated = await Message.findByIdAndUpdate(
+                    msg._id,
+                    { $pull: { reactions: { user: userId, emoji } } },
+                    { new: true }
                 );
-                io.to(String(chatRoomId)).emit("messagesSeen", {
-                    chatRoomId,
-                    userId,
-                });
-            } catch (err) {
-                console.error("markSeen error:", err);
+            } else {
+                if (mine.length >= MAX_REACTIONS_PER_USER) {
+                    throw socketError(
+                        400,
+                        `You can add up to ${MAX_REACTIONS_PER_USER} reactions to a message`
+                    );
+                }
+                // the filter keeps a double click from adding the same reaction twice
+                updated =
+                    (await Message.findOneAndUpdate(
+                        {
+                            _id: msg._id,
+                            reactions: { $not: { $elemMatch: { user: userId, emoji } } },
+                        },
+                        { $push: { reactions: { emoji, user: userId } } },
+                        { new: true }
+                    )) || (await Message.findById(msg._id));
             }
+
+            io.to(String(chatRoomId)).emit("messageReactions", {
+                chatRoomId: String(chatRoomId),
+                messageId: String(msg._id),
+                reactions: updated.reactions,
+            });
+            return { reactions: updated.reactions };
         });
 
-        // Delete message
-        socket.on("deleteMessage", async ({ messageId, chatRoomId }) => {
-            try {
-                const msg = await Message.findById(messageId);
-                if (!msg) return;
+        // Mark the other participant's messages as read, all of them or up to
+        // the newest one on screen (upTo)
+        on("markSeen", async ({ chatRoomId, upTo } = {}) => {
+            await requireChatRoomMember(socket, chatRoomId);
+            const filter = {
+                chatRoom: chatRoomId,
+                sender: { $ne: userId },
+                seen: false,
+            };
+            if (upTo !== undefined) {
+                if (!mongoose.isValidObjectId(upTo)) {
+                    throw socketError(400, "A valid message ID is required");
+                }
+                filter._id = { $lte: upTo };
+            }
 
-                // Mark message as deleted instead of removing it
-                await Message.findByIdAndUpdate(messageId, {
+            const unread = await Message.find(filter).select("_id");
+            if (!unread.length) return { messageIds: [] };
+
+            const readAt = new Date();
+            const messageIds = unread.map((m) => m._id);
+            await Message.updateMany({ _id: { $in: messageIds } }, [
+                {
                     $set: {
-                        deleted: true,
-                        deletedAt: new Date(),
+                        seen: true,
+                        readAt,
+                        deliveredAt: { $ifNull: ["$deliveredAt", readAt] },
                     },
-                });
+                },
+            ]);
+            io.to(String(chatRoomId)).emit("messagesSeen", {
+                chatRoomId,
+                userId,
+                readAt,
+                messageIds: messageIds.map(String),
+            });
+            return { messageIds: messageIds.map(String) };
+        });
 
-                // Update chat room's last message if this was the last message
-                const last = await Message.find({ chatRoom: chatRoomId, deleted: false })
-                    .sort({ createdAt: -1 })
-                    .limit(1);
-
-                if (!last.length) {
-                    await ChatRoom.findByIdAndUpdate(chatRoomId, {
-                        $set: {
-                            lastMessage: "This message was deleted",
-                            lastMessageAt: new Date(),
-                            lastMessageSender: msg.sender,
-                        },
-                    });
-                } else if (last[0]._id.toString() !== messageId) {
-                    // Only update if the deleted message wasn't the last message
-                    await ChatRoom.findByIdAndUpdate(chatRoomId, {
-                        $set: {
-                            lastMessage: last[0].content,
-                            lastMessageAt: last[0].createdAt,
-                            lastMessageSender: last[0].sender,
-                        },
-                    });
-                } else {
-                    // If the deleted message was the last message, show "This message was deleted"
-                    await ChatRoom.findByIdAndUpdate(chatRoomId, {
-                        $set: {
-                            lastMessage: "This message was deleted",
-                            lastMessageAt: msg.createdAt,
-                            lastMessageSender: msg.sender,
-                        },
-                    });
-                }
+        // Delete message
+        on("deleteMessage", async ({ messageId, chatRoomId } = {}) => {
+            await requireChatRoomMember(socket, chatRoomId);
+            const msg = await findRoomMessage(messageId, chatRoomId);
+            if (msg.sender.toString() !== String(userId)) {
+                throw socketError(403, "Only the sender can delete this message");
+            }
+            if (msg.deleted) throw socketError(400, "Message is already deleted");
+
+            // Mark message as deleted instead of removing it; the filter keeps a racing
+            // delete from moving deletedAt
+            const deleted = await Message.findOneAndUpdate(
+                { _id: msg._id, deleted: false },
+                { $set: { deleted: true, deletedAt: new Date() } }
+            );
+            if (!deleted) throw socketError(400, "Message is already deleted");
+
+            // Update chat room's last message if this was the last message
+            const last = await Message.find({ chatRoom: chatRoomId, deleted: false })
+                .sort({ createdAt: -1 })
+                .limit(1);
 
-                io.to(String(chatRoomId)).emit("messageDeleted", { messageId });
-            } catch (err) {
-                console.error("deleteMessage error:", err);
+            if (!last.length) {
+                await ChatRoom.findByIdAndUpdate(chatRoomId, {
+                    $set: {
+                        lastMessage: "This message was deleted",
+                        lastMessageAt: new Date(),
+                        lastMessageSender: msg.sender,
+                    },
+                });
+            } else if (last[0]._id.toString() !== String(messageId)) {
+                // Only update if the deleted message wasn't the last message
+                await ChatRoom.findByIdAndUpdate(chatRoomId, {
+                    $set: {
+                        lastMessage: last[0].content,
+                        lastMessageAt: last[0].createdAt,
+                        lastMessageSender: last[0].sender,
+                    },
+                });
+            } else {
+                // If the deleted message was the last message, show "This message was deleted"
+                await ChatRoom.findByIdAndUpdate(chatRoomId, {
+                    $set: {
+                        lastMessage: "This message was deleted",
+                        lastMessageAt: msg.createdAt,
+                        lastMessageSender: msg.sender,
+                    },
+                });
             }
+
+            io.to(String(chatRoomId)).emit("messageDeleted", { messageId });
         });
 
         // Delete whole chat
-        socket.on("deleteChat", async (chatRoomId) => {
-            try {
-                await Message.deleteMany({ chatRoom: chatRoomId });
-                await ChatRoom.findByIdAndDelete(chatRoomId);
-                io.emit("chatDeleted", chatRoomId);
-            } catch (err) {
-                console.error("deleteChat error:", err);
-            }
+        on("deleteChat", async (chatRoomId) => {
+            const room = await requireChatRoomMember(socket, chatRoomId);
+            const withFiles = await Message.find({
+                chatRoom: chatRoomId,
+                "attachments.0": { $exists: true },
+            });
+            await removeMessageAttachments(withFiles);
+            await Message.deleteMany({ chatRoom: chatRoomId });
+            await ChatRoom.findByIdAndDelete(chatRoomId);
+            // only the participants need to know
+            io.to(String(chatRoomId))
+                .to(room.participants.map(String))
+                .emit("chatDeleted", String(chatRoomId));
+            io.in(String(chatRoomId)).socketsLeave(String(chatRoomId));
         });
 
+        // --- 📞 Voice/video call signaling ---
+        registerCallHandlers(io, socket);
+
         socket.on("disconnect", () => {
             console.log("User disconnected:", socket.id);
+            const lastSeenAt = presence.disconnect(userId, socket.id);
+            if (lastSeenAt) {
+                broadcastPresence(false, lastSeenAt).catch((err) =>
+                    console.error("presence error:", err)
+                );
+            }
         });
     });
 };
@@ -0,0 +1,110 @@
+// src/utils/appointmentCard.js
+// Signed verification links for appointment cards. The QR code on a card
+// encodes /verify/card/:cardId?sig=<hmac>, so anyone scanning it can check the
+// card was issued by LegalHub and still matches a live appointment.
+
+const crypto = require("crypto");
+const QRCode = require("qrcode");
+const { getAppointmentWindow } = require("./availability.js");
+
+// falls back to the session secret so existing deployments keep working
+function getSigningSecret() {
+    return process.env.CARD_SIGNING_SECRET || process.env.SESSION_SECRET || "mysecret";
+}
+
+/**
+ * HMAC-SHA256 of the card id, base64url encoded
+ */
+function signCardId(cardId) {
+    return crypto
+        .createHmac("sha256", getSigningSecret())
+        .update(String(cardId))
+        .digest("base64url");
+}
+
+/**
+ * Constant-time check of a signature taken from a verification URL
+ */
+function verifyCardSignature(cardId, signature) {
+    if (!cardId || typeof signature !== "string") return false;
+    const expected = Buffer.from(signCardId(cardId));
+    const actual = Buffer.from(signature);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function buildVerificationUrl(baseUrl, cardId) {
+    return `${baseUrl}/verify/card/${encodeURIComponent(cardId)}?sig=${signCardId(cardId)}`;
+}
+
+/**
+ * A card stays valid until the appointment it belongs to has ended
+ */
+function getCardExpiry(appointment) {
+    return getAppointmentWindow(appointment).end;
+}
+
+/**
+ * Whether a card can be honoured right now, with a human readable reason
+ * @returns {{ valid: boolean, state: string, reason: string }}
+ */
+function getCardValidity(appointment, now = new Date()) {
+    switch (appointment.status) {
+        case "approved":
+            if (now > getCardExpiry(appointment)) {
+                return {
+                    valid: false,
+                    state: "expired",
+                    reason: "The appointment has already taken place.",
+                };
+            }
+            return { valid: true, state: "valid", reason: "The appointment is confirmed." };
+        case "pending":
+            return {
+                valid: false,
+                state: "pending",
+                reason: "The lawyer has not confirmed this appointment yet.",
+            };
+        case "completed":
+            return { valid: false, state: "used", reason: "The appointment has been completed." };
+        default:
+            return {
+                valid: false,
+                state: "void",
+                reason: `The appointment was ${appointment.status}.`,
+            };
+    }
+}
+
+/**
+ * Point the card at its signed verification URL, regenerating the QR code when
+ * the URL changed (legacy cards, a new APP_URL or a rotated secret).
+ * Returns true when the appointment was modified and needs saving.
+ */
+async function refreshCardLink(appointment, baseUrl) {
+    const card = appointment.appointmentCard;
+    if (!card || !card.cardId) return false;
+
+    const verifyUrl = buildVerificationUrl(baseUrl, card.cardId);
+    const expiresAt = getCardExpiry(appointment);
+    let changed = false;
+
+    if (card.verifyUrl !== verifyUrl || !card.qrCode) {
+        card.verifyUrl = verifyUrl;
+        card.qrCode = await QRCode.toDataURL(verifyUrl);
+        changed = true;
+    }
+    if (!card.expiresAt || card.expiresAt.getTime() !== expiresAt.getTime()) {
+        card.expiresAt = expiresAt;
+        changed = true;
+    }
+    return changed;
+}
+
+module.exports = {
+    signCardId,
+    verifyCardSignature,
+    buildVerificationUrl,
+    getCardExpiry,
+    getCardValidity,
+    refreshCardLink,
+};
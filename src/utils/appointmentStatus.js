@@ -0,0 +1,127 @@
+// src/utils/appointmentStatus.js
+// Appointment status state machine: which transitions exist and who may perform them
+
+const apiError = require("./apiError.js");
+
+const APPOINTMENT_STATUSES = [
+    "pending",
+    "approved",
+    "rejected",
+    "cancelled",
+    "completed",
+    "expired",
+];
+
+/**
+ * from -> to -> roles allowed to perform the transition.
+ * Roles are relative to the appointment: "client", "lawyer" or "admin";
+ * "system" is used by background jobs.
+ * Statuses without outgoing transitions are terminal.
+ */
+const STATUS_TRANSITIONS = {
+    pending: {
+        approved: ["lawyer", "admin"],
+        rejected: ["lawyer", "admin"],
+        cancelled: ["client", "lawyer", "admin"],
+        expired: ["system"], // never answered before the slot started
+    },
+    approved: {
+        completed: ["lawyer", "admin"],
+        cancelled: ["client", "lawyer", "admin"],
+    },
+    rejected: {},
+    cancelled: {},
+    completed: {},
+    expired: {},
+};
+
+/**
+ * Transitions that must carry a reason, per role. Clients may cancel without
+ * explaining themselves; a lawyer or admin turning a client away may not.
+ */
+const REASON_REQUIRED = {
+    rejected: ["lawyer", "admin"],
+    cancelled: ["lawyer", "admin"],
+};
+
+/**
+ * Role of a user relative to an appointment, or null if they are not involved
+ */
+function getActorRole(appointment, user) {
+    if (!user) return null;
+    if (user.role === "admin") return "admin";
+    const id = user._id.toString();
+    if (id === (appointment.client?._id || appointment.client).toString()) return "client";
+    if (id === (appointment.lawyer?._id || appointment.lawyer).toString()) return "lawyer";
+    return null;
+}
+
+function canTransition(from, to, role) {
+    const allowed = STATUS_TRANSITIONS[from]?.[to];
+    return Boolean(allowed && (!role || allowed.includes(role)));
+}
+
+/**
+ * Whether a role may move an appointment into the given status from any state
+ */
+function canSetStatus(to, role) {
+    return Object.values(STATUS_TRANSITIONS).some((targets) => targets[to]?.includes(role));
+}
+
+/**
+ * Validate and apply a status change, appending an entry to statusHistory.
+ * Moving into a terminal status also declines any open reschedule proposal.
+ * Throws apiError (400/403) when the transition or role is not allowed.
+ * The caller is responsible for saving the appointment.
+ */
+function applyStatusChange(appointment, { to, user, role, reason }) {
+    const from = appointment.status;
+    const trimmedReason = reason ? String(reason).trim() : "";
+
+    // authorise against the target status first so callers learn nothing about state
+    if (!canSetStatus(to, role)) {
+        throw new apiError(403, "You are not authorized to update this appointment");
+    }
+    if (!canTransition(from, to)) {
+        throw new apiError(400, `Cannot change appointment status from ${from} to ${to}`);
+    }
+    if (!canTransition(from, to, role)) {
+        throw new apiError(403, "You are not authorized to update this appointment");
+    }
+    if (REASON_REQUIRED[to]?.includes(role) && !trimmedReason) {
+        throw new apiError(400, `A reason is required when an appointment is ${to}`);
+    }
+
+    appointment.status = to;
+    appointment.statusHistory.push({
+        from,
+        to,
+        changedBy: user?._id || null,
+        role,
+        reason: trimmedReason || undefined,
+        changedAt: new Date(),
+    });
+
+    // a proposal to move an appointment that has ended can no longer be accepted
+    if (!Object.keys(STATUS_TRANSITIONS[to]).length) {
+        (appointment.rescheduleRequests || [])
+            .filter((proposal) => proposal.status === "pending")
+            .forEach((proposal) => {
+                proposal.status = "declined";
+                proposal.respondedBy = user?._id || undefined;
+                proposal.respondedAt = new Date();
+                proposal.responseNote = `Appointment ${to}`;
+            });
+    }
+    return appointment;
+}
+
+module.exports = {
+    APPOINTMENT_STATUSES,
+    STATUS_TRANSITIONS,
+    REASON_REQUIRED,
+    getActorRole,
+    canTransition,
+    canSetStatus,
+    applyStatusChange,
+};
@@ -0,0 +1,69 @@
+// src/utils/attachmentPolicy.js
+// Which files may be attached to chat messages
+
+const path = require("path");
+
+const MAX_ATTACHMENT_SIZE = (Number(process.env.CHAT_ATTACHMENT_MAX_MB) || 10) * 1024 * 1024;
+const MAX_ATTACHMENTS_PER_MESSAGE = 5;
+
+// mime type -> allowed extensions. Covers scanned FIRs/ID proofs and agreements.
+const ALLOWED_ATTACHMENT_TYPES = {
+    "application/pdf": [".pdf"],
+    "image/jpeg": [".jpg", ".jpeg"],
+    "image/png": [".png"],
+    "image/webp": [".webp"],
+    "application/msword": [".doc"],
+    "application/vnd.openxmlformats-officedocument.wordprocessingml.document": [".docx"],
+    "text/plain": [".txt"],
+};
+
+// leading bytes each type must start with, so a renamed executable is not accepted as a PDF
+const SIGNATURES = {
+    "application/pdf": [Buffer.from("%PDF-")],
+    "image/jpeg": [Buffer.from([0xff, 0xd8, 0xff])],
+    "image/png": [Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])],
+    "image/webp": [Buffer.from("RIFF")],
+    "application/msword": [Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])],
+    "application/vnd.openxmlformats-officedocument.wordprocessingml.document": [
+        Buffer.from([0x50, 0x4b, 0x03, 0x04]),
+    ],
+};
+
+/**
+ * Whether a declared mime type and file name are on the whitelist
+ */
+function isAllowedType(mimeType, fileName) {
+    const extensions = ALLOWED_ATTACHMENT_TYPES[mimeType];
+    return Boolean(extensions && extensions.includes(path.extname(fileName || "").toLowerCase()));
+}
+
+/**
+ * Whether the file content matches its declared type
+ */
+function matchesSignature(buffer, mimeType) {
+    if (!Buffer.isBuffer(buffer) || buffer.length === 0) return false;
+    if (mimeType === "text/plain") return !buffer.includes(0); // no binary content
+    const signatures = SIGNATURES[mimeType];
+    return Boolean(
+        signatures && signatures.some((sig) => buffer.subarray(0, sig.length).equals(sig))
+    );
+}
+
+/**
+ * Strip directory parts and control characters from a client supplied file name
+ */
+function sanitizeFileName(fileName) {
+    const base = Array.from(path.basename(String(fileName || "attachment")))
+        .map((ch) => (ch.charCodeAt(0) < 0x20 || ch === '"' || ch === "\\" ? "_" : ch))
+        .join("");
+    return base.slice(-150) || "attachment";
+}
+
+module.exports = {
+    MAX_ATTACHMENT_SIZE,
+    MAX_ATTACHMENTS_PER_MESSAGE,
+    ALLOWED_ATTACHMENT_TYPES,
+    isAllowedType,
+    matchesSignature,
+    sanitizeFileName,
+};
@@ -0,0 +1,231 @@
+// src/utils/availability.js
+// Helpers for turning a lawyer's weekly schedule into bookable time slots
+
+const DEFAULT_SLOT_DURATION = 30; // minutes
+
+/**
+ * Parse a 24h clock string ("09:30") into minutes since midnight.
+ * Returns null for anything that is not a valid HH:mm value.
+ */
+function parseClock(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || "").trim());
+    if (!match) return null;
+    const hours = Number(match[1]);
+    const minutes = Number(match[2]);
+    if (hours > 23 || minutes > 59) return null;
+    return hours * 60 + minutes;
+}
+
+/**
+ * Parse a slot label ("10:00 AM", "2:30 pm" or "14:30") into minutes since midnight.
+ * Legacy range labels ("10:00 AM - 12:00 PM") resolve to their start time.
+ */
+function parseSlotLabel(label) {
+    const start = String(label || "")
+        .split("-")[0]
+        .trim();
+    const match = /^(\d{1,2}):(\d{2})\s*([AaPp][Mm])?$/.exec(start);
+    if (!match) return null;
+
+    let hours = Number(match[1]);
+    const minutes = Number(match[2]);
+    const meridiem = match[3] ? match[3].toUpperCase() : null;
+    if (minutes > 59) return null;
+
+    if (meridiem) {
+        if (hours < 1 || hours > 12) return null;
+        if (hours === 12) hours = 0;
+        if (meridiem === "PM") hours += 12;
+    } else if (hours > 23) {
+        return null;
+    }
+    return hours * 60 + minutes;
+}
+
+/**
+ * Format minutes since midnight as a slot label, e.g. 870 -> "2:30 PM"
+ */
+function formatSlotLabel(totalMinutes) {
+    const hours = Math.floor(totalMinutes / 60) % 24;
+    const minutes = totalMinutes % 60;
+    const meridiem = hours >= 12 ? "PM" : "AM";
+    const hour12 = hours % 12 === 0 ? 12 : hours % 12;
+    return `${hour12}:${String(minutes).padStart(2, "0")} ${meridiem}`;
+}
+
+function isSameDay(a, b) {
+    return (
+        a.getFullYear() === b.getFullYear() &&
+        a.getMonth() === b.getMonth() &&
+        a.getDate() === b.getDate()
+    );
+}
+
+function startOfDay(dateInput) {
+    const d = new Date(dateInput);
+    d.setHours(0, 0, 0, 0);
+    return d;
+}
+
+/**
+ * Whether a lawyer has configured a recurring weekly schedule
+ */
+function hasWeeklySchedule(availability) {
+    return Boolean(
+        availability &&
+            Array.isArray(availability.weeklySchedule) &&
+            availability.weeklySchedule.length > 0
+    );
+}
+
+/**
+ * Returns the holiday or blackout entry covering the given date, or null.
+ * Recurring holidays match on day and month every year.
+ */
+function findBlockingEntry(availability, dateInput) {
+    if (!availability) return null;
+    const day = startOfDay(dateInput);
+
+    const holiday = (availability.holidays || []).find((h) => {
+        if (!h || !h.date) return false;
+        const hd = new Date(h.date);
+        if (h.recurring) {
+            return hd.getMonth() === day.getMonth() && hd.getDate() === day.getDate();
+        }
+        return isSameDay(hd, day);
+    });
+    if (holiday) return holiday;
+
+    const blackout = (availability.blackoutDates || []).find((b) => {
+        if (!b || !b.from) return false;
+        const from = startOfDay(b.from);
+        const to = startOfDay(b.to || b.from);
+        return day >= from && day <= to;
+    });
+    return blackout || null;
+}
+
+/**
+ * Build the slot labels a weekly schedule yields on a given date.
+ * Each window is split into slotDuration chunks separated by bufferMinutes.
+ */
+function generateSlotsForDate(availability, dateInput) {
+    if (!hasWeeklySchedule(availability)) return [];
+    if (findBlockingEntry(availability, dateInput)) return [];
+
+    const weekday = new Date(dateInput).getDay();
+    const duration = Number(availability.slotDuration) || DEFAULT_SLOT_DURATION;
+    const buffer = Number(availability.bufferMinutes) || 0;
+
+    const starts = new Set();
+    availability.weeklySchedule
+        .filter((w) => Number(w.dayOfWeek) === weekday)
+        .forEach((w) => {
+            const windowStart = parseClock(w.start);
+            const windowEnd = parseClock(w.end);
+            if (windowStart === null || windowEnd === null) return;
+            for (let t = windowStart; t + duration <= windowEnd; t += duration + buffer) {
+                starts.add(t);
+            }
+        });
+
+    return [...starts].sort((a, b) => a - b).map(formatSlotLabel);
+}
+
+/**
+ * Legacy availableSlots might be stored as an array, a JSON string or a
+ * comma separated string ("10:00 AM,11:00 AM"); be flexible.
+ */
+function parseLegacySlots(value) {
+    if (!value) return [];
+    if (Array.isArray(value)) return value.filter(Boolean);
+    try {
+        const parsed = JSON.parse(value);
+        return Array.isArray(parsed) ? parsed : [];
+    } catch (err) {
+        return String(value)
+            .split(",")
+            .map((s) => s.trim())
+            .filter(Boolean);
+    }
+}
+
+/**
+ * All slots a lawyer offers on a date, before removing booked ones.
+ * Lawyers without a weekly schedule fall back to the flat availableSlots list,
+ * which still honours holidays and blackout dates.
+ */
+function getSlotsForDate(lawyerProfile, dateInput) {
+    if (!lawyerProfile) return [];
+    const availability = lawyerProfile.availability;
+    if (hasWeeklySchedule(availability)) {
+        return generateSlotsForDate(availability, dateInput);
+    }
+    if (findBlockingEntry(availability, dateInput)) return [];
+    return parseLegacySlots(lawyerProfile.availableSlots);
+}
+
+/**
+ * Find the offered slot matching a requested timeSlot ("10:00 AM", "10:00", ...).
+ * Returns the canonical label as offered by the lawyer, or null.
+ */
+function matchSlot(slots, requested) {
+    if (!requested) return null;
+    const exact = slots.find((s) => s === requested);
+    if (exact) return exact;
+
+    const requestedMinutes = parseSlotLabel(requested);
+    if (requestedMinutes === null) return null;
+    return slots.find((s) => parseSlotLabel(s) === requestedMinutes) || null;
+}
+
+/**
+ * Drop slots that have already started when the date is today
+ */
+function removePastSlots(slots, dateInput, now = new Date()) {
+    if (!isSameDay(new Date(dateInput), now)) return slots;
+    const nowMinutes = now.getHours() * 60 + now.getMinutes();
+    return slots.filter((s) => {
+        const minutes = parseSlotLabel(s);
+        return minutes === null || minutes > nowMinutes;
+    });
+}
+
+/**
+ * Slot length (minutes) a lawyer's schedule uses for new bookings
+ */
+function getSlotDuration(lawyerProfile) {
+    const duration = Number(lawyerProfile?.availability?.slotDuration);
+    return duration > 0 ? duration : DEFAULT_SLOT_DURATION;
+}
+
+/**
+ * Start and end of a booked appointment. The stored date is the booking day at
+ * midnight; the time comes from the slot label.
+ */
+function getAppointmentWindow(appointment) {
+    const start = new Date(appointment.date);
+    const minutes = parseSlotLabel(appointment.timeSlot);
+    start.setHours(0, 0, 0, 0);
+    if (minutes !== null) start.setMinutes(minutes);
+
+    const duration = Number(appointment.durationMinutes) || DEFAULT_SLOT_DURATION;
+    const end = new Date(start.getTime() + duration * 60 * 1000);
+    return { start, end };
+}
+
+module.exports = {
+    DEFAULT_SLOT_DURATION,
+    parseClock,
+    parseSlotLabel,
+    formatSlotLabel,
+    hasWeeklySchedule,
+    findBlockingEntry,
+    generateSlotsForDate,
+    parseLegacySlots,
+    getSlotsForDate,
+    matchSlot,
+    removePastSlots,
+    getSlotDuration,
+    getAppointmentWindow,
+};
@@ -0,0 +1,78 @@
+// src/utils/callAccess.js
+// Who may start or join a voice/video consultation in a chat room, and when
+
+const ChatRoom = require("../models/chatRoom.model.js");
+const { getAppointmentWindow } = require("./availability.js");
+
+const MINUTE = 60 * 1000;
+// the call room opens a little early and stays open briefly after the slot ends
+const CALL_OPENS_BEFORE = 10 * MINUTE;
+const CALL_CLOSES_AFTER = 15 * MINUTE;
+
+/**
+ * When calls are allowed for an appointment
+ * @returns {{ opensAt: Date, closesAt: Date }}
+ */
+function getCallWindow(appointment) {
+    const { start, end } = getAppointmentWindow(appointment);
+    return {
+        opensAt: new Date(start.getTime() - CALL_OPENS_BEFORE),
+        closesAt: new Date(end.getTime() + CALL_CLOSES_AFTER),
+    };
+}
+
+/**
+ * Check whether a user may call in a chat room right now.
+ * @param {Object} chatRoom - ChatRoom with `appointment` populated
+ * @param {String|ObjectId} userId
+ * @param {Date} [now]
+ * @returns {{ allowed: Boolean, reason: String|null, opensAt?: Date, closesAt?: Date }}
+ */
+function checkCallAccess(chatRoom, userId, now = new Date()) {
+    if (!chatRoom) return { allowed: false, reason: "Chat room not found" };
+    if (!userId || !chatRoom.participants.some((p) => String(p._id || p) === String(userId))) {
+        return { allowed: false, reason: "You are not a participant of this chat" };
+    }
+
+    const appointment = chatRoom.appointment;
+    if (!appointment || !appointment.date) {
+        return { allowed: false, reason: "This chat is not linked to an appointment" };
+    }
+    if (appointment.status !== "approved") {
+        return { allowed: false, reason: "Calls are only available for approved appointments" };
+    }
+
+    const { opensAt, closesAt } = getCallWindow(appointment);
+    if (now < opensAt) {
+        return {
+            allowed: false,
+            reason: "The consultation room opens 10 minutes before the appointment",
+            opensAt,
+            closesAt,
+        };
+    }
+    if (now > closesAt) {
+        return { allowed: false, reason: "The consultation window has ended", opensAt, closesAt };
+    }
+    return { allowed: true, reason: null, opensAt, closesAt };
+}
+
+/**
+ * Load a chat room with its appointment and check call access for a user
+ * @returns {Promise<{ chatRoom: Object|null, access: Object }>}
+ */
+async function loadCallAccess(chatRoomId, userId, now = new Date()) {
+    const chatRoom = await ChatRoom.findById(chatRoomId).populate(
+        "appointment",
+        "date timeSlot durationMinutes status client lawyer"
+    );
+    return { chatRoom, access: checkCallAccess(chatRoom, userId, now) };
+}
+
+module.exports = {
+    CALL_OPENS_BEFORE,
+    CALL_CLOSES_AFTER,
+    getCallWindow,
+    checkCallAccess,
+    loadCallAccess,
+};
@@ -0,0 +1,55 @@
+// src/utils/chatMessagePolicy.js
+// Rules for editing, replying to and reacting to chat messages
+
+const mongoose = require("mongoose");
+const Message = require("../models/message.model.js");
+
+const MINUTE = 60 * 1000;
+// a message can be corrected shortly after sending, not rewritten later in the matter
+const EDIT_WINDOW = (Number(process.env.CHAT_EDIT_WINDOW_MINUTES) || 15) * MINUTE;
+const MAX_EDITS = 10;
+
+const ALLOWED_REACTIONS = ["👍", "❤️", "😂", "😮", "😢", "🙏", "✅"];
+// different emojis one user can put on the same message
+const MAX_REACTIONS_PER_USER = 3;
+
+/**
+ * Check whether a user may edit a message right now.
+ * @returns {{ allowed: Boolean, reason: String|null }}
+ */
+function canEditMessage(message, userId, now = new Date()) {
+    if (message.sender.toString() !== String(userId)) {
+        return { allowed: false, reason: "Only the sender can edit this message" };
+    }
+    if (message.deleted) {
+        return { allowed: false, reason: "Deleted messages cannot be edited" };
+    }
+    if (now.getTime() - new Date(message.createdAt).getTime() > EDIT_WINDOW) {
+        return {
+            allowed: false,
+            reason: `Messages can only be edited within ${EDIT_WINDOW / MINUTE} minutes of sending`,
+        };
+    }
+    if ((message.editHistory || []).length >= MAX_EDITS) {
+        return { allowed: false, reason: "This message cannot be edited again" };
+    }
+    return { allowed: true, reason: null };
+}
+
+/**
+ * The message being replied to, if it is a live message of the same room
+ * @returns {Promise<Object|null>}
+ */
+async function findReplyTarget(chatRoomId, messageId) {
+    if (!mongoose.isValidObjectId(messageId)) return null;
+    return Message.findOne({ _id: messageId, chatRoom: chatRoomId, deleted: false });
+}
+
+module.exports = {
+    EDIT_WINDOW,
+    MAX_EDITS,
+    ALLOWED_REACTIONS,
+    MAX_REACTIONS_PER_USER,
+    canEditMessage,
+    findReplyTarget,
+};
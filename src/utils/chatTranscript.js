@@ -0,0 +1,193 @@
+// src/utils/chatTranscript.js
+// Chat transcripts for legal records. The plain-text rendering is canonical:
+// its SHA-256 is printed (with an HMAC signature) in the footer of both the .txt
+// and the PDF export. GET /verify/transcript/:transcriptId checks that hash and
+// signature; POSTing a .txt copy there checks the copy's contents as well.
+
+const crypto = require("crypto");
+
+const TRANSCRIPT_TIMEZONE = process.env.TRANSCRIPT_TIMEZONE || "Asia/Kolkata";
+// everything after this line in a .txt export is the integrity footer
+const FOOTER_SEPARATOR = "=".repeat(72);
+
+// falls back to the session secret so existing deployments keep working
+function getSigningSecret() {
+    return process.env.TRANSCRIPT_SIGNING_SECRET || process.env.SESSION_SECRET || "mysecret";
+}
+
+const displayName = (user) => user?.name || user?.username || "Deleted user";
+
+function formatTimestamp(date) {
+    return new Date(date).toLocaleString("en-GB", {
+        timeZone: TRANSCRIPT_TIMEZONE,
+        year: "numeric",
+        month: "short",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+        hour12: false,
+        timeZoneName: "short",
+    });
+}
+
+/**
+ * Collect what goes into a transcript. Deleted messages keep only a placeholder.
+ * @param {Object} options
+ * @param {Object} options.chatRoom - with `participants` (and optionally `appointment`) populated
+ * @param {Array} options.messages - oldest first, `sender` and `replyTo.sender` populated
+ */
+function buildTranscript({ chatRoom, messages, transcriptId, generatedAt, generatedBy }) {
+    return {
+        transcriptId,
+        chatRoomId: String(chatRoom._id),
+        generatedAt: formatTimestamp(generatedAt),
+        generatedBy: displayName(generatedBy),
+        participants: chatRoom.participants.map(displayName),
+        appointment: chatRoom.appointment?.date
+            ? {
+                  date: new Date(chatRoom.appointment.date).toLocaleDateString("en-GB", {
+                      timeZone: TRANSCRIPT_TIMEZONE,
+                      year: "numeric",
+                      month: "short",
+                      day: "2-digit",
+                  }),
+                  timeSlot: chatRoom.appointment.timeSlot || "",
+              }
+            : null,
+        entries: messages.map((msg) => {
+            const entry = {
+                id: String(msg._id),
+                at: formatTimestamp(msg.createdAt),
+                sender: displayName(msg.sender),
+                deleted: Boolean(msg.deleted),
+            };
+            if (entry.deleted) {
+                entry.deletedAt = msg.deletedAt ? formatTimestamp(msg.deletedAt) : null;
+                return entry;
+            }
+            entry.content = msg.content || "";
+            entry.editedAt = msg.editedAt ? formatTimestamp(msg.editedAt) : null;
+            entry.earlierVersions = (msg.editHistory || []).map((e) => ({
+                content: e.content,
+                replacedAt: formatTimestamp(e.editedAt),
+            }));
+            entry.attachments = (msg.attachments || []).map((a) => ({
+                fileName: a.fileName,
+                mimeType: a.mimeType,
+                size: a.size,
+            }));
+            entry.replyTo = msg.replyTo?._id
+                ? {
+                      sender: displayName(msg.replyTo.sender),
+                      at: formatTimestamp(msg.replyTo.createdAt),
+                  }
+                : null;
+            return entry;
+        }),
+    };
+}
+
+/**
+ * Canonical plain-text transcript, without the integrity footer
+ */
+function renderTranscriptText(transcript) {
+    const lines = [
+        "LegalHuB - Chat Transcript",
+        `Transcript ID: ${transcript.transcriptId}`,
+        `Participants: ${transcript.participants.join(", ")}`,
+    ];
+    if (transcript.appointment) {
+        const { date, timeSlot } = transcript.appointment;
+        lines.push(`Appointment: ${date}${timeSlot ? ` ${timeSlot}` : ""}`);
+    }
+    lines.push(
+        `Generated: ${transcript.generatedAt} by ${transcript.generatedBy}`,
+        `Messages: ${transcript.entries.length}`,
+        ""
+    );
+
+    transcript.entries.forEach((entry) => {
+        if (entry.deleted) {
+            lines.push(`[${entry.at}] ${entry.sender}: [This message was deleted]`);
+            return;
+        }
+        if (entry.replyTo) {
+            lines.push(`  ↪ in reply to ${entry.replyTo.sender}, ${entry.replyTo.at}`);
+        }
+        const edited = entry.editedAt ? ` (edited ${entry.editedAt})` : "";
+        lines.push(`[${entry.at}] ${entry.sender}: ${entry.content}${edited}`);
+        entry.attachments.forEach((a) =>
+            lines.push(`    Attachment: ${a.fileName} (${a.mimeType}, ${a.size} bytes)`)
+        );
+        entry.earlierVersions.forEach((v) =>
+            lines.push(`    Earlier version, replaced ${v.replacedAt}: ${v.content}`)
+        );
+    });
+
+    return lines.join("\n") + "\n";
+}
+
+function hashTranscript(text) {
+    return crypto.createHash("sha256").update(text, "utf8").digest("hex");
+}
+
+/**
+ * HMAC-SHA256 binding a transcript id to its hash, base64url encoded
+ */
+function signTranscript(transcriptId, hash) {
+    return crypto
+        .createHmac("sha256", getSigningSecret())
+        .update(`${transcriptId}.${hash}`)
+        .digest("base64url");
+}
+
+/**
+ * Constant-time check of a transcript signature
+ */
+function verifyTranscriptSignature(transcriptId, hash, signature) {
+    if (!transcriptId || typeof hash !== "string" || typeof signature !== "string") return false;
+    const expected = Buffer.from(signTranscript(transcriptId, hash));
+    const actual = Buffer.from(signature);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function buildTranscriptVerificationUrl(baseUrl, transcriptId, hash, signature) {
+    // hex and base64url are both URL safe
+    return `${baseUrl}/verify/transcript/${encodeURIComponent(transcriptId)}?hash=${hash}&sig=${signature}`;
+}
+
+/**
+ * Footer appended to the .txt export. The hash covers everything above the separator.
+ */
+function renderTranscriptFooter({ hash, signature, verifyUrl }) {
+    return [
+        FOOTER_SEPARATOR,
+        "Integrity: SHA-256 of all text above the line of = signs",
+        `SHA-256: ${hash}`,
+        `Signature: ${signature}`,
+        `Verify: ${verifyUrl}`,
+        "",
+    ].join("\n");
+}
+
+/**
+ * The hashed part of a .txt export: everything before the integrity footer
+ * (the whole text when the footer was removed)
+ */
+function stripTranscriptFooter(text) {
+    const footerAt = text.lastIndexOf(`\n${FOOTER_SEPARATOR}\n`);
+    return footerAt === -1 ? text : text.slice(0, footerAt + 1);
+}
+
+module.exports = {
+    FOOTER_SEPARATOR,
+    buildTranscript,
+    renderTranscriptText,
+    hashTranscript,
+    signTranscript,
+    verifyTranscriptSignature,
+    buildTranscriptVerificationUrl,
+    renderTranscriptFooter,
+    stripTranscriptFooter,
+};
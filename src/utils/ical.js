@@ -0,0 +1,181 @@
+// src/utils/ical.js
+// Minimal RFC 5545 (iCalendar) writer for appointment exports and calendar feeds
+
+const { getAppointmentWindow } = require("./availability.js");
+
+const PRODID = "-//LegalHub//Appointments//EN";
+const CRLF = "\r\n";
+
+// slots are booked in Indian time; events carry it as a TZID so calendars
+// show the booked time whatever the server's own timezone is
+const TIMEZONE = "Asia/Kolkata";
+// IST is UTC+05:30 all year, so one STANDARD rule describes it completely
+const VTIMEZONE = [
+    "BEGIN:VTIMEZONE",
+    `TZID:${TIMEZONE}`,
+    "BEGIN:STANDARD",
+    "DTSTART:19700101T000000",
+    "TZOFFSETFROM:+0530",
+    "TZOFFSETTO:+0530",
+    "TZNAME:IST",
+    "END:STANDARD",
+    "END:VTIMEZONE",
+];
+
+// appointment status -> VEVENT STATUS
+const EVENT_STATUS = {
+    pending: "TENTATIVE",
+    approved: "CONFIRMED",
+    completed: "CONFIRMED",
+    rejected: "CANCELLED",
+    cancelled: "CANCELLED",
+};
+
+/**
+ * Escape a TEXT value: backslash, semicolon, comma and newlines
+ */
+function escapeText(value) {
+    return String(value ?? "")
+        .replace(/\\/g, "\\\\")
+        .replace(/;/g, "\\;")
+        .replace(/,/g, "\\,")
+        .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Fold content lines longer than 75 octets, continuation lines start with a space
+ */
+function foldLine(line) {
+    const bytes = Buffer.from(line, "utf8");
+    if (bytes.length <= 75) return line;
+
+    const parts = [];
+    let current = "";
+    let currentBytes = 0;
+    for (const char of line) {
+        const size = Buffer.byteLength(char, "utf8");
+        // first line holds 75 octets, continuation lines 74 plus the leading space
+        const limit = parts.length === 0 ? 75 : 74;
+        if (currentBytes + size > limit) {
+            parts.push(current);
+            current = "";
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += size;
+    }
+    parts.push(current);
+    return parts.join(`${CRLF} `);
+}
+
+/**
+ * Format a Date as a UTC DATE-TIME, e.g. 20250314T043000Z
+ */
+function formatUtc(date) {
+    return new Date(date)
+        .toISOString()
+        .replace(/[-:]/g, "")
+        .replace(/\.\d{3}/, "");
+}
+
+/**
+ * Format the wall-clock time of a Date built with local setters (as
+ * getAppointmentWindow does), e.g. 20250314T100000
+ */
+function formatLocal(date) {
+    const d = new Date(date);
+    const pad = (n) => String(n).padStart(2, "0");
+    return (
+        `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}` +
+        `T${pad(d.getHours())}${pad(d.getMinutes())}${pad(d.getSeconds())}`
+    );
+}
+
+function displayName(user) {
+    return user?.fullName || user?.name || user?.username || "N/A";
+}
+
+function getLocation(appointment) {
+    if (appointment.venue || appointment.address) {
+        return [appointment.venue, appointment.address].filter(Boolean).join(", ");
+    }
+    const profile = appointment.lawyer?.lawyerProfile;
+    const place = [profile?.city, profile?.state].filter(Boolean).join(", ");
+    return place || "LegalHub";
+}
+
+/**
+ * VEVENT lines for one appointment. Expects client and lawyer to be populated
+ * (lawyer.lawyerProfile optionally, for the location).
+ */
+function buildEventLines(appointment, { baseUrl } = {}) {
+    const { start, end } = getAppointmentWindow(appointment);
+    const lawyer = displayName(appointment.lawyer);
+    const client = displayName(appointment.client);
+
+    const description = [`Lawyer: ${lawyer}`, `Client: ${client}`];
+    if (appointment.notes) description.push(`Notes: ${appointment.notes}`);
+    if (appointment.appointmentCard?.cardId) {
+        description.push(`Card ID: ${appointment.appointmentCard.cardId}`);
+    }
+
+    const lines = [
+        "BEGIN:VEVENT",
+        `UID:appointment-${appointment._id}@legalhub`,
+        `DTSTAMP:${formatUtc(appointment.updatedAt || new Date())}`,
+        `DTSTART;TZID=${TIMEZONE}:${formatLocal(start)}`,
+        `DTEND;TZID=${TIMEZONE}:${formatLocal(end)}`,
+        `SUMMARY:${escapeText(`Legal consultation: ${client} with ${lawyer}`)}`,
+        `DESCRIPTION:${escapeText(description.join("\n"))}`,
+        `LOCATION:${escapeText(getLocation(appointment))}`,
+        `STATUS:${EVENT_STATUS[appointment.status] || "TENTATIVE"}`,
+        // bump SEQUENCE on every status change or reschedule so clients replace the event
+        `SEQUENCE:${(appointment.statusHistory?.length || 0) + (appointment.rescheduleRequests?.length || 0)}`,
+    ];
+    if (appointment.lawyer?.email) {
+        lines.push(`ORGANIZER;CN=${escapeText(lawyer)}:mailto:${appointment.lawyer.email}`);
+    }
+    if (appointment.client?.email) {
+        lines.push(
+            `ATTENDEE;CN=${escapeText(client)};ROLE=REQ-PARTICIPANT:mailto:${appointment.client.email}`
+        );
+    }
+    if (baseUrl) {
+        lines.push(`URL:${baseUrl}/api/appointment/${appointment._id}/card/view`);
+    }
+    lines.push("END:VEVENT");
+    return lines;
+}
+
+/**
+ * Build a complete VCALENDAR document for one or more appointments
+ * @param {Array} appointments - populated appointment documents
+ * @param {Object} options - { name, baseUrl }
+ * @returns {string} iCalendar text with CRLF line endings
+ */
+function buildCalendar(appointments, { name, baseUrl } = {}) {
+    const lines = [
+        "BEGIN:VCALENDAR",
+        "VERSION:2.0",
+        `PRODID:${PRODID}`,
+        "CALSCALE:GREGORIAN",
+        "METHOD:PUBLISH",
+    ];
+    if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+    lines.push(...VTIMEZONE);
+
+    appointments.forEach((appointment) => {
+        lines.push(...buildEventLines(appointment, { baseUrl }));
+    });
+    lines.push("END:VCALENDAR");
+
+    return lines.map(foldLine).join(CRLF) + CRLF;
+}
+
+module.exports = {
+    escapeText,
+    foldLine,
+    formatUtc,
+    formatLocal,
+    buildCalendar,
+};
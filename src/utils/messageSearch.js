@@ -0,0 +1,56 @@
+// src/utils/messageSearch.js
+// Helpers for searching chat messages and showing where the term matched
+
+const MIN_SEARCH_LENGTH = 2;
+const MAX_SEARCH_LENGTH = 100;
+// characters of context kept on each side of the first match
+const SNIPPET_CONTEXT = 40;
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Case-insensitive regex matching the search term literally
+ */
+function searchRegex(term, flags = "i") {
+    return new RegExp(escapeRegex(term), flags);
+}
+
+/**
+ * Cut a snippet around the first match and split it into plain and matched parts,
+ * so clients can highlight matches without rendering HTML.
+ * @returns {Array<{ text: String, match: Boolean }>}
+ */
+function highlightMatches(content, term, context = SNIPPET_CONTEXT) {
+    const text = String(content || "");
+    const first = text.search(searchRegex(term));
+    if (first === -1) {
+        return [{ text: text.slice(0, context * 2), match: false }];
+    }
+
+    const start = Math.max(0, first - context);
+    const end = Math.min(text.length, first + term.length + context);
+    const snippet = text.slice(start, end);
+
+    const parts = [];
+    let last = 0;
+    for (const m of snippet.matchAll(searchRegex(term, "gi"))) {
+        if (m.index > last) parts.push({ text: snippet.slice(last, m.index), match: false });
+        parts.push({ text: m[0], match: true });
+        last = m.index + m[0].length;
+    }
+    if (last < snippet.length) parts.push({ text: snippet.slice(last), match: false });
+
+    if (start > 0) parts.unshift({ text: "…", match: false });
+    if (end < text.length) parts.push({ text: "…", match: false });
+    return parts;
+}
+
+module.exports = {
+    MIN_SEARCH_LENGTH,
+    MAX_SEARCH_LENGTH,
+    escapeRegex,
+    searchRegex,
+    highlightMatches,
+};
@@ -0,0 +1,157 @@
+// src/utils/notificationInbox.js
+// The user's notification inbox: filters shared by the API and the notifications
+// page, grouping of similar notifications, and the live unread counter.
+
+const mongoose = require("mongoose");
+const Notification = require("../models/notification.model.js");
+const { NOTIFICATION_TYPES } = require("./notificationPreferences.js");
+
+const NOTIFICATION_STATUSES = Notification.schema.path("status").enumValues;
+const NOTIFICATION_PRIORITIES = Notification.schema.path("priority").enumValues;
+const ARCHIVE_FILTERS = ["inbox", "archived", "all"];
+const MAX_PAGE_SIZE = 100;
+
+// "a,b" or ["a", "b"] -> ["a", "b"]
+function toList(value) {
+    if (value === undefined || value === null || value === "") return [];
+    return (Array.isArray(value) ? value : [value])
+        .flatMap((v) => String(v).split(","))
+        .map((v) => v.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Notification ids from a request body (ids[]=…, "id1,id2" or a JSON array)
+ * @returns {String[]|null} valid ids, or null if any of them is malformed
+ */
+function parseIds(value) {
+    const ids = toList(value);
+    return ids.every((id) => mongoose.isValidObjectId(id)) ? ids : null;
+}
+
+/**
+ * Build the Mongo query for a user's inbox from query-string filters:
+ * type (one or more), priority, status (unread/read) and archived (inbox/archived/all).
+ * @returns {{ query: Object, filters: Object, error: String|null }}
+ */
+function buildInboxQuery(userId, params = {}) {
+    const types = toList(params.type);
+    const priorities = toList(params.priority);
+    const status = params.status || "";
+    const archived = params.archived || "inbox";
+
+    const invalidType = types.find((t) => !NOTIFICATION_TYPES.includes(t));
+    if (invalidType) return { error: `Unknown notification type "${invalidType}"` };
+    const invalidPriority = priorities.find((p) => !NOTIFICATION_PRIORITIES.includes(p));
+    if (invalidPriority) return { error: `Unknown priority "${invalidPriority}"` };
+    if (status && !NOTIFICATION_STATUSES.includes(status)) {
+        return { error: `Status must be one of: ${NOTIFICATION_STATUSES.join(", ")}` };
+    }
+    if (!ARCHIVE_FILTERS.includes(archived)) {
+        return { error: `Archived must be one of: ${ARCHIVE_FILTERS.join(", ")}` };
+    }
+
+    const query = { user: userId, "channels.inApp": { $ne: false } };
+    if (types.length) query.type = { $in: types };
+    if (priorities.length) query.priority = { $in: priorities };
+    if (status) query.status = status;
+    if (archived === "inbox") query.archivedAt = null;
+    if (archived === "archived") query.archivedAt = { $ne: null };
+
+    return { query, filters: { types, priorities, status, archived }, error: null };
+}
+
+/**
+ * Page number and size from the query string, with the size capped
+ */
+function parsePaging({ page, limit } = {}, defaultLimit = 10) {
+    return {
+        page: Math.max(parseInt(page) || 1, 1),
+        limit: Math.min(Math.max(parseInt(limit) || defaultLimit, 1), MAX_PAGE_SIZE),
+    };
+}
+
+// notifications about the same thing (chat room, appointment, …) are grouped;
+// ones without a related resource only group with identical titles
+const groupKey = (n) => `${n.type}:${n.relatedId ? n.relatedId : `title:${n.title}`}`;
+
+function groupTitle(type, latest, total, size) {
+    if (size === 1) return latest.title;
+    if (type === "message.new") {
+        return `${total} new messages${latest.actor ? ` from ${latest.actor}` : ""}`;
+    }
+    if (type.startsWith("appointment.")) return `${size} updates on an appointment`;
+    if (type.startsWith("payment.")) return `${size} payment updates`;
+    return `${latest.title} (${size})`;
+}
+
+/**
+ * Fold similar notifications into groups, e.g. several "message.new" notifications
+ * for one chat room become "5 new messages from Asha". Expects newest first and keeps
+ * that order; each group carries its notification ids for bulk actions.
+ */
+function groupSimilarNotifications(notifications) {
+    const groups = new Map();
+    notifications.forEach((n) => {
+        const key = groupKey(n);
+        if (!groups.has(key)) groups.set(key, { key, type: n.type, latest: n, items: [] });
+        groups.get(key).items.push(n);
+    });
+
+    return [...groups.values()].map(({ key, type, latest, items }) => {
+        const total = items.reduce((sum, n) => sum + (n.count || 1), 0);
+        return {
+            key,
+            type,
+            title: groupTitle(type, latest, total, items.length),
+            message: latest.message,
+            relatedId: latest.relatedId,
+            relatedModel: latest.relatedModel,
+            priority: items.some((n) => n.priority === "high") ? "high" : latest.priority,
+            status: items.some((n) => n.status === "unread") ? "unread" : "read",
+            unread: items.filter((n) => n.status === "unread").length,
+            count: total,
+            createdAt: latest.createdAt,
+            ids: items.map((n) => n._id),
+        };
+    });
+}
+
+/**
+ * Unread notifications in the user's inbox (archived and push/email-only ones don't count)
+ */
+function countUnread(userId) {
+    return Notification.countDocuments({
+        user: userId,
+        status: "unread",
+        archivedAt: null,
+        "channels.inApp": { $ne: false },
+    });
+}
+
+/**
+ * Push the current unread count to the user's open tabs
+ */
+async function emitUnreadCount(io, userId) {
+    if (!io || !userId) return null;
+    try {
+        const count = await countUnread(userId);
+        io.to(String(userId)).emit("notification:unread", { count });
+        return count;
+    } catch (err) {
+        console.error("Unread count emit error:", err);
+        return null;
+    }
+}
+
+module.exports = {
+    NOTIFICATION_STATUSES,
+    NOTIFICATION_PRIORITIES,
+    ARCHIVE_FILTERS,
+    parseIds,
+    buildInboxQuery,
+    parsePaging,
+    groupSimilarNotifications,
+    countUnread,
+    emitUnreadCount,
+};
@@ -0,0 +1,110 @@
+// src/utils/notificationPreferences.js
+// Reading a user's notification preferences: per-type channel toggles, quiet hours
+// and digest frequency (see models/notificationPreferences.model.js)
+
+const Notification = require("../models/notification.model.js");
+const NotificationPreferences = require("../models/notificationPreferences.model.js");
+
+const NOTIFICATION_TYPES = Notification.schema.path("type").enumValues;
+// channels the user can switch per type; in-app is always on
+const PREFERENCE_CHANNELS = ["email", "push"];
+const DIGEST_FREQUENCIES = NotificationPreferences.schema.path("digestFrequency").enumValues;
+const EMAIL_LANGUAGES = NotificationPreferences.schema.path("language").enumValues;
+
+const MINUTES_PER_DAY = 24 * 60;
+const CLOCK_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * A user's saved preferences, or an unsaved document holding the defaults
+ */
+async function getNotificationPreferences(userId) {
+    const prefs = await NotificationPreferences.findOne({ user: userId });
+    return prefs || new NotificationPreferences({ user: userId });
+}
+
+/**
+ * The saved toggles for one type, or null when the user never changed them
+ */
+function getTypeToggles(prefs, type) {
+    return (prefs.types || []).find((t) => t.name === type) || null;
+}
+
+function isChannelEnabled(prefs, type, channel) {
+    return getTypeToggles(prefs, type)?.[channel] ?? true;
+}
+
+/**
+ * Switch off the channels the user has turned off for this type
+ */
+function applyNotificationPreferences(prefs, type, channels) {
+    const result = { ...channels };
+    PREFERENCE_CHANNELS.forEach((channel) => {
+        result[channel] = Boolean(result[channel]) && isChannelEnabled(prefs, type, channel);
+    });
+    if (prefs.digestFrequency === "off") result.digest = false;
+    return result;
+}
+
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat("en-US", { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * "22:30" -> 1350 minutes after midnight, or null when malformed
+ */
+function parseClock(value) {
+    const match = CLOCK_PATTERN.exec(String(value || ""));
+    return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+function minutesIntoDay(date, timeZone) {
+    const parts = new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hour: "2-digit",
+        minute: "2-digit",
+        hourCycle: "h23",
+    }).formatToParts(date);
+    const get = (type) => Number(parts.find((p) => p.type === type).value);
+    return get("hour") * 60 + get("minute");
+}
+
+/**
+ * When the quiet hours the user is currently in end
+ * @returns {Date|null} null when quiet hours are off or not in effect at `now`
+ */
+function quietHoursEndsAt(quietHours, now = new Date()) {
+    if (!quietHours?.enabled || !isValidTimeZone(quietHours.timeZone)) return null;
+    const start = parseClock(quietHours.start);
+    const end = parseClock(quietHours.end);
+    if (start === null || end === null || start === end) return null;
+
+    const current = minutesIntoDay(now, quietHours.timeZone);
+    // the window may wrap past midnight, e.g. 22:00 - 07:00
+    const inside =
+        start < end ? current >= start && current < end : current >= start || current < end;
+    if (!inside) return null;
+
+    const minutesLeft = (end - current + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+    const endsAt = new Date(now.getTime() + minutesLeft * 60 * 1000);
+    endsAt.setSeconds(0, 0);
+    return endsAt;
+}
+
+module.exports = {
+    NOTIFICATION_TYPES,
+    PREFERENCE_CHANNELS,
+    DIGEST_FREQUENCIES,
+    EMAIL_LANGUAGES,
+    getNotificationPreferences,
+    getTypeToggles,
+    isChannelEnabled,
+    applyNotificationPreferences,
+    isValidTimeZone,
+    parseClock,
+    quietHoursEndsAt,
+};
@@ -1,7 +1,100 @@
 const Notification = require("../models/notification.model.js");
-const sendEmail = require("../utils/email.js");
+const { getMailBaseUrl } = require("../services/mail/index.js");
+const { queueMail } = require("../services/mail/outbox.js");
 const Subscription = require("../models/subscription.model");
-const { webPush, enabled } = require("../config/push");
+const { enabled } = require("../config/push");
+const { sendToSubscription, sendToSubscriptions } = require("../services/push.js");
+const { scheduleJob } = require("../services/jobScheduler.js");
+const {
+    getNotificationPreferences,
+    applyNotificationPreferences,
+    quietHoursEndsAt,
+} = require("./notificationPreferences.js");
+const { emitUnreadCount } = require("./notificationInbox.js");
+
+// sends email/push for a notification that was held back by quiet hours
+const DELIVER_JOB = "notification.deliver";
+
+// templates for notification types that have their own email; the rest use "notification"
+const EMAIL_TEMPLATES = {
+    "appointment.created": "appointment_created",
+    "appointment.updated": "appointment_updated",
+    "appointment.cancelled": "appointment_updated",
+    "appointment.reminder": "appointment_updated",
+};
+
+// 📧 Email notification, through the outbox so failed sends are retried
+async function sendNotificationEmail(notification, email, { url, locale, deliverNow } = {}) {
+    try {
+        await queueMail(
+            {
+                to: email,
+                template: EMAIL_TEMPLATES[notification.type] || "notification",
+                data: {
+                    name: null,
+                    title: notification.title,
+                    message: notification.message,
+                    url: `${getMailBaseUrl()}${url || "/notifications"}`,
+                },
+                user: notification.user,
+                locale,
+            },
+            { deliverNow }
+        );
+    } catch (err) {
+        console.error("Email send error:", err);
+    }
+}
+
+// 📲 Push notification to every subscribed browser of the user
+async function sendNotificationPush(notification, url) {
+    const { user, title, message, type, priority, relatedId, relatedModel } = notification;
+    try {
+        const payload = JSON.stringify({
+            title,
+            body: message,
+            icon: "/pic/logo.png",
+            data: {
+                url: url
+                    ? `${process.env.APP_URL}${url}`
+                    : relatedId && relatedModel
+                      ? `${process.env.APP_URL}/${relatedModel.toLowerCase()}/${relatedId}`
+                      : `${process.env.APP_URL}/notifications`,
+            },
+            type,
+            priority,
+            notificationId: notification._id,
+        });
+
+        await sendToSubscriptions({ user }, payload);
+    } catch (err) {
+        console.error("Failed to send push notifications:", err);
+    }
+}
+
+/**
+ * Send the email and push held back by quiet hours. Runs as the DELIVER_JOB job.
+ */
+async function deliverDeferredNotification(job) {
+    const { notificationId, email, url } = job.data;
+    const notification = await Notification.findById(notificationId);
+    if (!notification) return { skipped: "deleted" };
+
+    notification.deferredUntil = null;
+    await notification.save();
+    // already seen in the app, no need to ping the user again
+    if (notification.status === "read") return { skipped: "already read" };
+
+    if (notification.channels.email && email) {
+        // the user's language as of now, they may have changed it during quiet hours
+        const prefs = await getNotificationPreferences(notification.user);
+        await sendNotificationEmail(notification, email, { url, locale: prefs.language });
+    }
+    if (notification.channels.push && enabled) {
+        await sendNotificationPush(notification, url);
+    }
+    return { delivered: true };
+}
 
 /**
  * Create and save a notification
@@ -15,6 +108,9 @@ const { webPush, enabled } = require("../config/push");
  * @param {String} [options.priority] - low | normal | high
  * @param {Object} [options.channels] - Which channels to use (inApp/email/etc.)
  * @param {String} [options.email] - Recipient email (if email notifications enabled)
+ * @param {Boolean} [options.emailNow=true] - Send the email right away; false leaves it to the outbox job
+ * @param {String} [options.url] - Path opened from push notifications (defaults to the related resource)
+ * @param {String} [options.actor] - Name of who caused it, shown when similar notifications are grouped
  * @param {Object} io - Socket.io instance
  */
 
@@ -29,14 +125,23 @@ async function createNotification(io, options) {
         priority = "normal",
         channels = {},
         email,
+        emailNow = true,
+        url,
+        actor = null,
     } = options;
 
     if (!user || !type || !title || !message) {
         throw new Error("Missing required fields for notification");
     }
 
-    const defaultChannels = { inApp: true, email: false, push: false };
-    const finalChannels = { ...defaultChannels, ...channels };
+    const prefs = await getNotificationPreferences(user);
+    const defaultChannels = { inApp: true, email: false, push: false, digest: true };
+    const finalChannels = applyNotificationPreferences(prefs, type, {
+        ...defaultChannels,
+        ...channels,
+    });
+    // a notification that is emailed on its own is not repeated in the digest
+    if (finalChannels.email && email) finalChannels.digest = false;
 
     const notification = new Notification({
         user,
@@ -47,8 +152,16 @@ async function createNotification(io, options) {
         relatedModel,
         priority,
         channels: finalChannels,
+        actor,
     });
 
+    // email and push wait for the end of the user's quiet hours; high priority
+    // notifications (e.g. the 1h appointment reminder) go out regardless
+    const hasOutgoing = (finalChannels.email && email) || (finalChannels.push && enabled);
+    const deferUntil =
+        hasOutgoing && priority !== "high" ? quietHoursEndsAt(prefs.quietHours) : null;
+    if (deferUntil) notification.deferredUntil = deferUntil;
+
     await notification.save();
 
     // 🔔 In-app notification via socket
@@ -58,79 +171,30 @@ async function createNotification(io, options) {
         } catch (err) {
             console.error("Socket emit error:", err);
         }
+        await emitUnreadCount(io, user);
+    }
+
+    if (deferUntil) {
+        await scheduleJob(
+            DELIVER_JOB,
+            { notificationId: notification._id.toString(), email: email || null, url: url || null },
+            { runAt: deferUntil, uniqueKey: `${DELIVER_JOB}:${notification._id}` }
+        );
+        return notification;
     }
 
     // 📧 Email notification
     if (finalChannels.email && email) {
-        try {
-            await sendEmail({
-                to: email,
-                subject: `New Notification: ${title}`,
-                html: `
-                    <div style="font-family: Arial, sans-serif; line-height: 1.5; color: #333; max-width: 600px; margin: auto; padding: 20px; border: 1px solid #eee; border-radius: 8px;">
-                        <h2 style="color: #2c3e50; text-align: center; margin-bottom: 20px;">Law Portal Notification</h2>
-                        <p style="font-size: 16px;">Hello,</p>
-                        <p style="font-size: 15px;">${message}</p>
-                        <div style="text-align: center; margin: 30px 0;">
-                        <a href="${process.env.APP_URL}/notifications" 
-                            style="display: inline-block; background-color: #007bff; color: #fff; text-decoration: none; padding: 12px 20px; border-radius: 5px; font-size: 16px;">
-                            View Details
-                        </a>
-                        </div>
-                        <p style="font-size: 14px; color: #555;">If the button above doesn’t work, copy and paste this link into your browser:</p>
-                        <p style="word-break: break-all; font-size: 13px; color: #0066cc;">${process.env.APP_URL}/notifications</p>
-                        <hr style="margin: 30px 0;">
-                        <p style="font-size: 12px; color: #999; text-align: center;">This is an automated message from Law Portal. Please do not reply.</p>
-                    </div>`,
-            });
-        } catch (err) {
-            console.error("Email send error:", err);
-        }
+        await sendNotificationEmail(notification, email, {
+            url,
+            locale: prefs.language,
+            deliverNow: emailNow,
+        });
     }
 
     // 📲 Push notification
     if (finalChannels.push && enabled) {
-        try {
-            const subs = await Subscription.find({ user });
-            const payload = JSON.stringify({
-                title,
-                body: message,
-                icon: "/pic/logo.png",
-                data: {
-                    url:
-                        relatedId && relatedModel
-                            ? `${process.env.APP_URL}/${relatedModel.toLowerCase()}/${relatedId}`
-                            : `${process.env.APP_URL}/notifications`,
-                },
-                type,
-                priority,
-                notificationId: notification._id,
-            });
-
-            await Promise.all(
-                subs.map(async (subDoc) => {
-                    const sub = { endpoint: subDoc.endpoint, keys: subDoc.keys };
-                    try {
-                        await webPush.sendNotification(
-                            { endpoint: subDoc.endpoint, keys: subDoc.keys },
-                            payload
-                        );
-                    } catch (err) {
-                        console.error("Push send error:", err && err.message ? err.message : err);
-                        // cleanup expired subscription
-                        if (err.statusCode === 410 || err.statusCode === 404) {
-                            try {
-                                await Subscription.deleteOne({ _id: subDoc._id });
-                            } catch (e) {
-                                console.error("Failed to delete expired subscription:", e);
-                            }
-                        }
-                    }
-                })
-            );
-        } catch (err) {
-            console.error("Failed to send push notifications:", err);
-        }
+        await sendNotificationPush(notification, url);
     }
 
     // 👉 Future: here we can also trigger email, push, etc.
@@ -155,29 +219,8 @@ async function sendPushNotification(userId, payload) {
             return { success: false, message: "No push subscriptions found for this user" };
         }
 
-        const payloadString = JSON.stringify(payload);
-        const results = [];
-
-        await Promise.all(
-            subscriptions.map(async (sub) => {
-                try {
-                    await webPush.sendNotification(
-                        {
-                            endpoint: sub.endpoint,
-                            keys: sub.keys,
-                        },
-                        payloadString
-                    );
-                    results.push({ status: "ok" });
-                } catch (err) {
-                    console.error("Push send error:", err.statusCode || err);
-                    results.push({ status: "failed", error: err.message });
-                    // If subscription expired / revoked, remove it
-                    if (err.statusCode === 410 || err.statusCode === 404) {
-                        await Subscription.findByIdAndDelete(sub._id);
-                    }
-                }
-            })
+        const results = await Promise.all(
+            subscriptions.map((sub) => sendToSubscription(sub, payload))
         );
 
         return { success: true, results };
@@ -187,4 +230,9 @@ async function sendPushNotification(userId, payload) {
     }
 }
 
-module.exports = { createNotification, sendPushNotification };
+module.exports = {
+    DELIVER_JOB,
+    createNotification,
+    deliverDeferredNotification,
+    sendPushNotification,
+};
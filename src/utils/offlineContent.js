@@ -0,0 +1,69 @@
+// src/utils/offlineContent.js
+// What the service worker keeps readable offline: the fundamental rights pages for
+// everyone, plus a signed-in user's bookmarked documents and saved dictionary terms.
+
+const Right = require("../models/rights.model.js");
+const Document = require("../models/document.model.js");
+const Bookmark = require("../models/bookmark.model.js");
+const User = require("../models/user.model.js");
+
+// page size of /rights, see renderFundamental
+const RIGHTS_PER_PAGE = 9;
+
+/**
+ * Pages and dictionary terms to cache for a user (or a visitor when user is null)
+ * @returns {Promise<Object>} { scope, pages: [{ url, title, kind }], terms }
+ */
+async function buildOfflineManifest(user) {
+    const rights = await Right.find().select("name articleNumber").sort({ articleNumber: 1 });
+    const totalPages = Math.max(1, Math.ceil(rights.length / RIGHTS_PER_PAGE));
+
+    const pages = [
+        { url: "/rights", title: "Fundamental Rights", kind: "rights" },
+        // the pagination links always carry ?page=
+        ...Array.from({ length: totalPages }, (_, i) => ({
+            url: `/rights?page=${i + 1}`,
+            title: `Fundamental Rights (page ${i + 1})`,
+            kind: "rights",
+        })),
+        ...rights.map((right) => ({
+            url: `/api/rights/${right._id}`,
+            title: `Article ${right.articleNumber}: ${right.name}`,
+            kind: "rights",
+        })),
+    ];
+
+    if (!user) return { scope: null, pages, terms: [] };
+
+    const [bookmark, account] = await Promise.all([
+        Bookmark.findOne({ userId: user._id }).select("documents"),
+        User.findById(user._id).select("savedTerms"),
+    ]);
+
+    const documentIds = bookmark ? bookmark.documents : [];
+    const documents = documentIds.length
+        ? await Document.find({ _id: { $in: documentIds } }).select("title")
+        : [];
+    documents.forEach((doc) => {
+        pages.push({ url: `/api/documents/${doc._id}`, title: doc.title, kind: "document" });
+    });
+
+    // saved results are looked up case-insensitively, see sw.js
+    const terms = [];
+    const seen = new Set();
+    (account ? account.savedTerms : []).forEach((term) => {
+        const key = term.trim().toLowerCase();
+        if (key && !seen.has(key)) {
+            seen.add(key);
+            terms.push(term.trim());
+        }
+    });
+    if (terms.length) pages.push({ url: "/dictionary", title: "Legal Dictionary", kind: "page" });
+
+    return { scope: String(user._id), pages, terms };
+}
+
+module.exports = {
+    RIGHTS_PER_PAGE,
+    buildOfflineManifest,
+};
@@ -0,0 +1,52 @@
+// src/utils/refundPolicy.js
+// Appointment fee payment states and how much of a paid fee goes back when an
+// appointment does not happen.
+
+const { getAppointmentWindow } = require("./availability.js");
+
+const PAYMENT_STATUSES = ["not_required", "unpaid", "paid", "partially_refunded", "refunded"];
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Client cancellations are refunded by notice given, checked in order.
+ * Anything the lawyer, an admin or the system ends is refunded in full.
+ */
+const CLIENT_CANCELLATION_TIERS = [
+    { minNotice: 24 * HOUR, percent: 100 },
+    { minNotice: 2 * HOUR, percent: 50 },
+    { minNotice: 0, percent: 0 },
+];
+
+/**
+ * Work out the refund for an appointment that is being rejected, cancelled or expired.
+ * @param {Object} appointment - needs date, timeSlot and feeAmount (paise)
+ * @param {Object} options - { status, role, now, paidAmount }
+ * @returns {{ percent: Number, amount: Number, reason: String }} amount in paise
+ */
+function computeRefund(appointment, { status, role, now = new Date(), paidAmount } = {}) {
+    const paid = paidAmount ?? appointment.feeAmount ?? 0;
+
+    let percent = 100;
+    let reason;
+    if (status === "rejected") {
+        reason = "Appointment rejected by the lawyer";
+    } else if (status === "expired") {
+        reason = "Appointment request expired without a response";
+    } else if (role === "client") {
+        const notice = getAppointmentWindow(appointment).start.getTime() - now.getTime();
+        const tier = CLIENT_CANCELLATION_TIERS.find((t) => notice >= t.minNotice);
+        percent = tier ? tier.percent : 0;
+        reason = `Cancelled by the client (${percent}% refund)`;
+    } else {
+        reason = `Appointment cancelled by the ${role || "system"}`;
+    }
+
+    return { percent, amount: Math.round((paid * percent) / 100), reason };
+}
+
+module.exports = {
+    PAYMENT_STATUSES,
+    CLIENT_CANCELLATION_TIERS,
+    computeRefund,
+};
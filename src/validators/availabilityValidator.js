@@ -0,0 +1,97 @@
+const { parseClock } = require("../utils/availability.js");
+
+/**
+ * Validates and normalises a lawyer availability payload.
+ * @param {Object} input - { slotDuration, bufferMinutes, weeklySchedule, holidays, blackoutDates }
+ * @returns {{ errors: string[], availability: Object }}
+ */
+const validateAvailability = function (input = {}) {
+    const errors = [];
+
+    const slotDuration = Number(input.slotDuration ?? 30);
+    if (!Number.isInteger(slotDuration) || slotDuration < 10 || slotDuration > 240) {
+        errors.push("Slot duration must be between 10 and 240 minutes.");
+    }
+
+    const bufferMinutes = Number(input.bufferMinutes ?? 0);
+    if (!Number.isInteger(bufferMinutes) || bufferMinutes < 0 || bufferMinutes > 120) {
+        errors.push("Buffer must be between 0 and 120 minutes.");
+    }
+
+    const weeklySchedule = [];
+    (Array.isArray(input.weeklySchedule) ? input.weeklySchedule : []).forEach((w, i) => {
+        const dayOfWeek = Number(w?.dayOfWeek);
+        const start = parseClock(w?.start);
+        const end = parseClock(w?.end);
+        if (!Number.isInteger(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) {
+            errors.push(`Schedule entry ${i + 1}: day must be 0 (Sunday) to 6 (Saturday).`);
+            return;
+        }
+        if (start === null || end === null) {
+            errors.push(`Schedule entry ${i + 1}: start and end must be HH:mm times.`);
+            return;
+        }
+        if (end - start < slotDuration) {
+            errors.push(`Schedule entry ${i + 1}: window is shorter than one slot.`);
+            return;
+        }
+        weeklySchedule.push({ dayOfWeek, start: w.start.trim(), end: w.end.trim() });
+    });
+
+    // overlapping windows on the same day would generate duplicate slots
+    for (let i = 0; i < weeklySchedule.length; i++) {
+        for (let j = i + 1; j < weeklySchedule.length; j++) {
+            const a = weeklySchedule[i];
+            const b = weeklySchedule[j];
+            if (
+                a.dayOfWeek === b.dayOfWeek &&
+                parseClock(a.start) < parseClock(b.end) &&
+                parseClock(b.start) < parseClock(a.end)
+            ) {
+                errors.push(
+                    `Schedule windows ${a.start}-${a.end} and ${b.start}-${b.end} overlap.`
+                );
+            }
+        }
+    }
+
+    const holidays = [];
+    (Array.isArray(input.holidays) ? input.holidays : []).forEach((h, i) => {
+        const date = new Date(h?.date);
+        if (!h?.date || isNaN(date)) {
+            errors.push(`Holiday ${i + 1}: a valid date is required.`);
+            return;
+        }
+        holidays.push({
+            date,
+            name: h.name ? String(h.name).trim() : undefined,
+            recurring: Boolean(h.recurring),
+        });
+    });
+
+    const blackoutDates = [];
+    (Array.isArray(input.blackoutDates) ? input.blackoutDates : []).forEach((b, i) => {
+        const from = new Date(b?.from);
+        const to = b?.to ? new Date(b.to) : from;
+        if (!b?.from || isNaN(from) || isNaN(to)) {
+            errors.push(`Blackout ${i + 1}: valid from/to dates are required.`);
+            return;
+        }
+        if (to < from) {
+            errors.push(`Blackout ${i + 1}: end date is before start date.`);
+            return;
+        }
+        blackoutDates.push({
+            from,
+            to,
+            reason: b.reason ? String(b.reason).trim() : undefined,
+        });
+    });
+
+    return {
+        errors,
+        availability: { slotDuration, bufferMinutes, weeklySchedule, holidays, blackoutDates },
+    };
+};
+
+module.exports = validateAvailability;